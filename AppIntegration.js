@@ -32,7 +32,9 @@ function integrateNostrRelays(App) {
         removeMember: App.removeMember.bind(App),
         saveGroupSettings: App.saveGroupSettings.bind(App),
         deleteGroup: App.deleteGroup.bind(App),
-        updateProfile: App.updateProfile.bind(App)
+        updateProfile: App.updateProfile.bind(App),
+        onUserUnlocked: App.onUserUnlocked.bind(App),
+        lock: App.lock.bind(App)
     };
     
     // Create nostr integration
@@ -40,7 +42,7 @@ function integrateNostrRelays(App) {
     
     /**
      * Replace relay connection method
-     * Uses real WebSocket connections to nostr relays
+     * Uses real WebSocket connections to nostr relays, or the in-app local group relay
      */
     App.connectRelay = async function() {
         try {
@@ -48,16 +50,19 @@ function integrateNostrRelays(App) {
                 throw new Error('User not logged in');
             }
             
-            // If we're using the local relay, switch to real relays
-            if (this.relay && this.relay.isConnected()) {
-                this.relay.disconnect();
-            }
+            const relayType = document.getElementById('relay-connection-type').value;
             
             // Initialize the nostr client
-            await this.nostr.connectRelay();
+            if (relayType === 'simulated') {
+                await this.nostr.connectLocalRelay();
+            } else {
+                await this.nostr.connectRelay();
+            }
             
             document.getElementById('relay-status').className = 'alert alert-success';
-            document.getElementById('relay-status').innerHTML = 'Connected to nostr relays';
+            document.getElementById('relay-status').innerHTML = relayType === 'simulated'
+                ? 'Connected to the local group relay'
+                : 'Connected to nostr relays';
             
             this.updateUIState();
         } catch (e) {
@@ -121,6 +126,10 @@ function integrateNostrRelays(App) {
                         <div class="group-description">
                             ${group.about || 'No description available.'}
                         </div>
+                        <div class="group-stats">
+                            <span>${this.nostr.getGroupMembers(group.id).length} members</span>
+                            <span class="group-stats-messages"></span>
+                        </div>
                         <div class="group-actions">
                             <button class="btn btn-view-group" data-group-id="${group.id}" data-hypertuna-id="${hypertunaId}">View</button>
                         </div>
@@ -129,6 +138,15 @@ function integrateNostrRelays(App) {
                 
                 groupsContainer.appendChild(groupElement);
                 
+                // Counts come from the relays, so fill them in when they arrive
+                this.nostr.getGroupStats(group.id).then(stats => {
+                    const label = groupElement.querySelector('.group-stats-messages');
+                    label.textContent = `${stats.approximate ? '~' : ''}${stats.messageCount} messages this week`;
+                    label.title = stats.messagesPerDay.map(day => `${day.date}: ${day.count}`).join('\n');
+                }).catch(e => {
+                    console.warn(`Could not load stats for group ${group.id}:`, e);
+                });
+                
                 // Add event listener for the view button
                 groupElement.querySelector('.btn-view-group').addEventListener('click', (e) => {
                     const button = e.target;
@@ -178,15 +196,18 @@ function integrateNostrRelays(App) {
         
         // Update profile display on auth page
         document.getElementById('profile-name').textContent = name;
-        document.getElementById('profile-pubkey').textContent = this.currentUser.pubkey;
+        document.getElementById('profile-pubkey').textContent = NostrUtils.npubEncode(this.currentUser.pubkey);
         
         // Update profile page
         document.getElementById('profile-display-name').textContent = name;
-        document.getElementById('profile-display-pubkey').textContent = this.currentUser.pubkey;
+        document.getElementById('profile-display-pubkey').textContent = NostrUtils.npubEncode(this.currentUser.pubkey);
         document.getElementById('profile-name-input').value = profile.name || '';
         document.getElementById('profile-about-input').value = profile.about || '';
-        document.getElementById('profile-pubkey-display').value = this.currentUser.pubkey;
-        document.getElementById('profile-privkey-display').value = this.currentUser.privateKey;
+        document.getElementById('profile-pubkey-display').value = NostrUtils.npubEncode(this.currentUser.pubkey);
+        document.getElementById('profile-privkey-display').value = this.currentUser.privateKey
+            ? NostrUtils.nsecEncode(this.currentUser.privateKey)
+            : '';
+        document.getElementById('profile-ncryptsec-display').value = this.currentUser.ncryptsec || '';
         
         // Update profile picture if available
         const updateProfilePicture = (selector) => {
@@ -243,6 +264,7 @@ function integrateNostrRelays(App) {
             document.getElementById('group-detail-visibility').textContent = group.isPublic ? 'Public' : 'Private';
             document.getElementById('group-detail-join-type').textContent = group.isOpen ? 'Open' : 'Closed';
             document.getElementById('group-detail-description').textContent = group.about || 'No description available.';
+            document.getElementById('group-share-display').classList.add('hidden');
             
             // Load members and check if user is a member/admin - with retries
             await this.loadGroupMembers();
@@ -327,7 +349,7 @@ function integrateNostrRelays(App) {
      * Replace load group messages method
      * Gets messages from the nostr client
      */
-    App.loadGroupMessages = async function() {
+    App.loadGroupMessages = async function(options = {}) {
         if (!this.currentUser || !this.currentGroupId) return;
         
         try {
@@ -335,12 +357,22 @@ function integrateNostrRelays(App) {
             if (!isMember) return;
             
             const messageList = document.getElementById('message-list');
+            this._hookMessageScroll(messageList);
+            this.renderingMessages = true; // Scroll events while the list is rebuilt are not the user's
+            
+            // Remember where the user was so a re-render doesn't yank them around
+            const isSameGroup = messageList.dataset.groupId === this.currentGroupId;
+            const distanceFromBottom = messageList.scrollHeight - messageList.scrollTop;
+            const wasAtBottom = distanceFromBottom - messageList.clientHeight < 50;
+            
             messageList.innerHTML = '';
+            messageList.dataset.groupId = this.currentGroupId;
             
             // Get messages for the group
             const messages = this.nostr.getGroupMessages(this.currentGroupId);
+            const fullyLoaded = this.nostr.isGroupHistoryLoaded(this.currentGroupId);
             
-            if (messages.length === 0) {
+            if (messages.length === 0 && fullyLoaded) {
                 messageList.innerHTML = `
                     <div class="alert">
                         No messages yet. Be the first to send a message!
@@ -363,6 +395,20 @@ function integrateNostrRelays(App) {
                 }
             }
             
+            // Show whether there is more history above
+            const historyElement = document.createElement('div');
+            historyElement.className = 'message-history';
+            if (fullyLoaded) {
+                historyElement.textContent = 'Beginning of group history';
+            } else {
+                const olderButton = document.createElement('button');
+                olderButton.className = 'btn btn-secondary';
+                olderButton.textContent = 'Load older messages';
+                olderButton.addEventListener('click', () => this.loadOlderGroupMessages());
+                historyElement.appendChild(olderButton);
+            }
+            messageList.appendChild(historyElement);
+            
             // Display messages
             messages.forEach(message => {
                 const author = profiles[message.pubkey] || { name: 'User_' + NostrUtils.truncatePubkey(message.pubkey) };
@@ -375,9 +421,13 @@ function integrateNostrRelays(App) {
                 messageElement.style.maxWidth = '80%';
                 messageElement.style.backgroundColor = isCurrentUser ? '#e6f7ff' : '#fff';
                 
+                const seenOn = this.nostr.getEventRelays(message.id);
+                messageElement.dataset.eventId = message.id;
+                
                 messageElement.innerHTML = `
                     <div class="message-meta">
                         <span>${author.name || 'Unknown'}</span>
+                        <span class="message-relays">${this.nostr.formatSeenOn(seenOn)}</span>
                         <span>${NostrUtils.formatTime(message.created_at)}</span>
                     </div>
                     <div class="message-content">
@@ -385,11 +435,25 @@ function integrateNostrRelays(App) {
                     </div>
                 `;
                 
+                // Relay URLs come from the network, so they are never parsed as HTML
+                messageElement.querySelector('.message-relays').title = seenOn.join('\n');
+                
+                // Our own messages that are not sent yet
+                const publishState = isCurrentUser ? this.nostr.getPublishState(message.id) : null;
+                if (publishState === 'pending' || publishState === 'failed') {
+                    messageElement.appendChild(this._createPublishStateElement(message.id, publishState));
+                }
+                
                 messageList.appendChild(messageElement);
             });
             
-            // Scroll to bottom
-            messageList.scrollTop = messageList.scrollHeight;
+            // Older messages were added above: keep the same messages in view.
+            // Otherwise follow new messages only if the user was already at the bottom
+            if (isSameGroup && (options.keepPosition || !wasAtBottom)) {
+                messageList.scrollTop = messageList.scrollHeight - distanceFromBottom;
+            } else {
+                messageList.scrollTop = messageList.scrollHeight;
+            }
             
             // Enable message input
             document.getElementById('message-input').disabled = false;
@@ -402,9 +466,84 @@ function integrateNostrRelays(App) {
                     Error loading messages. Please try again.
                 </div>
             `;
+        } finally {
+            this.renderingMessages = false;
+        }
+    };
+    
+    /**
+     * Build the sending / not sent line shown under an unsent message
+     * @param {string} eventId - Message event ID
+     * @param {string} state - 'pending' or 'failed'
+     * @returns {HTMLElement} - The element
+     * @private
+     */
+    App._createPublishStateElement = function(eventId, state) {
+        const stateElement = document.createElement('div');
+        stateElement.className = `message-publish-state ${state}`;
+        
+        const label = document.createElement('span');
+        label.textContent = state === 'pending' ? 'Sending… will retry until the group relay accepts it' : 'Not sent';
+        stateElement.appendChild(label);
+        
+        const retryButton = document.createElement('button');
+        retryButton.className = 'btn btn-secondary';
+        retryButton.textContent = 'Retry';
+        retryButton.addEventListener('click', async () => {
+            retryButton.disabled = true;
+            try {
+                await this.nostr.retryPublish(eventId);
+            } catch (e) {
+                console.error('Error retrying message:', e);
+            }
+            this.loadGroupMessages();
+        });
+        stateElement.appendChild(retryButton);
+        
+        const discardButton = document.createElement('button');
+        discardButton.className = 'btn btn-danger';
+        discardButton.textContent = 'Discard';
+        discardButton.addEventListener('click', () => {
+            if (confirm('Discard this unsent message?')) {
+                this.nostr.discardPublish(eventId);
+            }
+        });
+        stateElement.appendChild(discardButton);
+        
+        return stateElement;
+    };
+    
+    /**
+     * Load the next page of older messages for the current group
+     * The 'group:history' event re-renders the list when the page arrives
+     */
+    App.loadOlderGroupMessages = async function() {
+        if (!this.currentGroupId) return;
+        
+        try {
+            await this.nostr.loadOlderMessages(this.currentGroupId);
+        } catch (e) {
+            console.error('Error loading older messages:', e);
         }
     };
     
+    /**
+     * Load older messages when the message list is scrolled to the top
+     * @param {HTMLElement} messageList - The message list element
+     * @private
+     */
+    App._hookMessageScroll = function(messageList) {
+        if (messageList.dataset.scrollHooked) return;
+        messageList.dataset.scrollHooked = 'true';
+        
+        messageList.addEventListener('scroll', () => {
+            if (this.renderingMessages || messageList.scrollTop > 50 || !this.currentGroupId) return;
+            if (this.nostr.isGroupHistoryLoaded(this.currentGroupId)) return;
+            
+            this.loadOlderGroupMessages();
+        });
+    };
+    
     /**
      * Replace load group members method
      * Gets members from the nostr client
@@ -668,19 +807,12 @@ function integrateNostrRelays(App) {
         if (!this.currentUser || !this.currentGroupId) return;
         
         try {
-            await this.nostr.createGroupInvite(this.currentGroupId);
+            const event = await this.nostr.createGroupInvite(this.currentGroupId);
             
-            // Wait for relay to process the invite code
-            setTimeout(() => {
-                // Display the invite code - for real relays, this would require 
-                // additional handling to get the invite code from responses
-                alert('Invite code created! In a real relay implementation, you would need to handle the invite code response.');
-                
-                // This would normally come from the relay response
-                const inviteCode = NostrUtils.generateInviteCode();
-                document.getElementById('invite-code-display').classList.remove('hidden');
-                document.getElementById('invite-code-value').textContent = inviteCode;
-            }, 1000);
+            // The code travels in the invite event's 'code' tag
+            const codeTag = event.tags.find(tag => tag[0] === 'code');
+            document.getElementById('invite-code-display').classList.remove('hidden');
+            document.getElementById('invite-code-value').textContent = codeTag ? codeTag[1] : '';
             
         } catch (e) {
             console.error('Error creating invite code:', e);
@@ -688,6 +820,52 @@ function integrateNostrRelays(App) {
         }
     };
     
+    /**
+     * Show a link others can use to open the current group
+     */
+    App.shareGroup = function() {
+        if (!this.currentGroupId) return;
+        
+        const pointer = this.nostr.getGroupPointer(this.currentGroupId);
+        if (!pointer) {
+            alert('Group details are still loading, please try again.');
+            return;
+        }
+        
+        const input = document.getElementById('group-share-value');
+        input.value = pointer;
+        document.getElementById('group-share-display').classList.remove('hidden');
+        input.select();
+        
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(pointer).catch(e => {
+                console.warn('Could not copy group link:', e);
+            });
+        }
+    };
+    
+    /**
+     * Open a group from a shared naddr link
+     */
+    App.openSharedGroup = async function() {
+        if (!this.currentUser) return;
+        
+        const input = document.getElementById('group-pointer-input');
+        const pointer = input.value.trim();
+        if (!pointer) return;
+        
+        try {
+            this.currentGroupId = await this.nostr.openGroupPointer(pointer, {
+                confirmRelays: urls => confirm(`This group was only found on ${urls.join(', ')}. Add to your relays?`)
+            });
+            input.value = '';
+            this.navigateTo('group-detail');
+        } catch (e) {
+            console.error('Error opening shared group:', e);
+            alert('Error opening group: ' + e.message);
+        }
+    };
+    
     /**
      * Replace add member method
      * Adds a member via the nostr client
@@ -695,11 +873,14 @@ function integrateNostrRelays(App) {
     App.addMember = async function() {
         if (!this.currentUser || !this.currentGroupId) return;
         
-        const memberPubkey = document.getElementById('add-member-pubkey').value.trim();
+        const input = document.getElementById('add-member-pubkey').value.trim();
         const role = document.getElementById('add-member-role').value;
         
-        if (!memberPubkey) {
-            alert('Please enter a valid public key.');
+        let memberPubkey;
+        try {
+            memberPubkey = NostrUtils.toPublicKeyHex(input);
+        } catch (e) {
+            alert('Please enter a valid npub or hex public key.');
             return;
         }
         
@@ -860,24 +1041,38 @@ function integrateNostrRelays(App) {
     App.configureRelays = function(relayUrls) {
         if (!this.nostr) return;
         
-        // Update relay URLs
-        this.nostr.updateRelays(relayUrls);
+        // The user picked these relays, so they become the relay list others see
+        this.nostr.updateRelays(relayUrls, { publish: true });
     };
     
-    // Initialize nostr integration when user logs in
-    const originalLogin = App.login.bind(App);
-    App.login = async function() {
-        // Call original login method
-        originalLogin();
-        
-        // Initialize nostr integration if login was successful
-        if (this.currentUser && this.currentUser.privateKey) {
-            try {
-                await this.nostr.init(this.currentUser);
-                console.log('Nostr integration initialized');
-            } catch (e) {
-                console.error('Error initializing nostr integration:', e);
-            }
+    /**
+     * Initialize nostr integration once the user's key is unlocked
+     * After an idle lock the client is already running and only gets its key back
+     */
+    App.onUserUnlocked = async function(resumed) {
+        originalMethods.onUserUnlocked(resumed);
+        
+        if (resumed) {
+            this.nostr.setPrivateKey(this.currentUser.privateKey);
+            return;
+        }
+        
+        try {
+            await this.nostr.init(this.currentUser);
+            console.log('Nostr integration initialized');
+        } catch (e) {
+            console.error('Error initializing nostr integration:', e);
+        }
+    };
+    
+    /**
+     * Lock the app, taking the key away from the client as well
+     */
+    App.lock = function() {
+        originalMethods.lock();
+        
+        if (this.currentUser && this.currentUser.ncryptsec && !this.currentUser.privateKey) {
+            this.nostr.setPrivateKey(null);
         }
     };
     
@@ -908,13 +1103,6 @@ function integrateNostrRelays(App) {
         }
     };
     
-    // Initialize nostr integration if user is already logged in
-    if (App.currentUser && App.currentUser.privateKey) {
-        App.nostr.init(App.currentUser)
-            .then(() => console.log('Nostr integration initialized'))
-            .catch(e => console.error('Error initializing nostr integration:', e));
-    }
-    
     return App;
 }
 
@@ -0,0 +1,561 @@
+/**
+ * EventStore.js
+ * Persistent local store of nostr events, so the client can start from what it saw last time
+ * Events are indexed in memory by id, kind, author and d/h/p tags and written through to IndexedDB;
+ * without IndexedDB the store works in memory only
+ * The relays each event came from are kept too, so a relay is only asked for what it hasn't sent us
+ */
+
+import { NostrUtils } from './NostrUtils.js';
+import InMemoryRelay from './InMemoryRelay.js';
+
+// Tags worth indexing for the queries this app makes
+const INDEXED_TAGS = ['d', 'h', 'p'];
+
+class EventStore {
+    /**
+     * @param {Object} options - Store settings
+     * @param {string} options.dbName - IndexedDB database name (default 'hypertuna-events')
+     * @param {number} options.maxEvents - Prune the oldest regular events beyond this count (default 50000)
+     * @param {IDBFactory|null} options.indexedDB - IndexedDB implementation; null for memory only (default: global indexedDB)
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'hypertuna-events';
+        this.maxEvents = options.maxEvents || 50000;
+        this.indexedDB = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        
+        this.db = null;
+        this.opening = null; // Promise while open() is running
+        this.memoryOnly = false; // Set once we know there is no database to write to
+        
+        this.events = new Map(); // Map of event ID -> event
+        this.byKind = new Map(); // Map of kind -> Set of event IDs
+        this.byAuthor = new Map(); // Map of pubkey -> Set of event IDs
+        this.byTag = new Map(); // Map of 'name:value' -> Set of event IDs, for INDEXED_TAGS
+        this.addresses = new Map(); // Map of replaceable address -> event ID
+        this.seenOn = new Map(); // Map of event ID -> Set of relay URLs that sent it
+        
+        // Writes are batched into one transaction per tick
+        this.pendingPuts = new Map(); // Map of event ID -> event
+        this.pendingDeletes = new Set(); // Set of event IDs
+        this.pendingSeen = new Set(); // Set of event IDs whose relays changed
+        this.flushScheduled = false;
+    }
+    
+    /**
+     * Open the database and load stored events into memory
+     * Safe to call more than once
+     * @returns {Promise<EventStore>} - This store
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = this._open().then(() => this);
+        }
+        return this.opening;
+    }
+    
+    /**
+     * Switch to another database, e.g. the next user's, closing the current one
+     * Events held in memory are dropped and the other database's events loaded instead
+     * @param {string} dbName - IndexedDB database name
+     * @returns {Promise<EventStore>} - This store
+     */
+    async useDatabase(dbName) {
+        if (dbName !== this.dbName) {
+            await this.close();
+            this._clearMemory();
+            this.dbName = dbName;
+            this.memoryOnly = false;
+        }
+        return this.open();
+    }
+    
+    /**
+     * Whether events are being persisted
+     * @returns {boolean}
+     */
+    isPersistent() {
+        return this.db !== null;
+    }
+    
+    /**
+     * Add an event, keeping only the newest version of replaceable events
+     * @param {Object} event - Signed event
+     * @param {string} relayUrl - Relay the event came from, if any
+     * @returns {boolean} - Whether the event was stored
+     */
+    add(event, relayUrl = null) {
+        if (!event || !event.id) {
+            return false;
+        }
+        if (this.events.has(event.id)) {
+            this.markSeen(event.id, relayUrl);
+            return false;
+        }
+        
+        // Ephemeral events are never stored
+        if (event.kind >= 20000 && event.kind < 30000) {
+            return false;
+        }
+        
+        const address = InMemoryRelay.getAddress(event);
+        if (address) {
+            const current = this.events.get(this.addresses.get(address));
+            if (current && !EventStore._isNewer(event, current)) {
+                return false;
+            }
+            if (current) {
+                this.remove(current.id);
+            }
+            this.addresses.set(address, event.id);
+        }
+        
+        this._index(event);
+        this.pendingDeletes.delete(event.id);
+        this.pendingPuts.set(event.id, event);
+        this.markSeen(event.id, relayUrl);
+        this._scheduleFlush();
+        return true;
+    }
+    
+    /**
+     * Record that a relay sent a stored event
+     * @param {string} id - Event ID
+     * @param {string} relayUrl - Relay URL
+     */
+    markSeen(id, relayUrl) {
+        if (!relayUrl || !this.events.has(id)) return;
+        
+        if (!this.seenOn.has(id)) {
+            this.seenOn.set(id, new Set());
+        }
+        const relays = this.seenOn.get(id);
+        if (relays.has(relayUrl)) return;
+        
+        relays.add(relayUrl);
+        this.pendingSeen.add(id);
+        this._scheduleFlush();
+    }
+    
+    /**
+     * Get the relays a stored event came from
+     * @param {string} id - Event ID
+     * @returns {Array} - Relay URLs
+     */
+    getSeenOn(id) {
+        return Array.from(this.seenOn.get(id) || []);
+    }
+    
+    /**
+     * Add several events
+     * @param {Array} events - Signed events
+     * @param {string} relayUrl - Relay the events came from, if any
+     * @returns {number} - How many were stored
+     */
+    addMany(events, relayUrl = null) {
+        return events.filter(event => this.add(event, relayUrl)).length;
+    }
+    
+    /**
+     * Get an event by ID
+     * @param {string} id - Event ID
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.events.get(id) || null;
+    }
+    
+    /**
+     * Remove an event
+     * @param {string} id - Event ID
+     * @returns {boolean} - Whether the event was stored
+     */
+    remove(id) {
+        const event = this.events.get(id);
+        if (!event) return false;
+        
+        this._unindex(event);
+        this.seenOn.delete(id);
+        this.pendingSeen.delete(id);
+        const address = InMemoryRelay.getAddress(event);
+        if (address && this.addresses.get(address) === id) {
+            this.addresses.delete(address);
+        }
+        
+        this.pendingPuts.delete(id);
+        this.pendingDeletes.add(id);
+        this._scheduleFlush();
+        return true;
+    }
+    
+    /**
+     * Get stored events matching filters, newest first
+     * Each filter's limit applies to that filter
+     * @param {Array} filters - Array of filter objects
+     * @returns {Array} - Matching events
+     */
+    query(filters) {
+        const results = new Map();
+        
+        filters.forEach(filter => {
+            const limit = filter.limit !== undefined ? filter.limit : Infinity;
+            const matches = this._candidates(filter)
+                .filter(event => NostrUtils.matchFilter(event, filter))
+                .sort(EventStore._compareNewestFirst);
+            
+            matches.slice(0, limit).forEach(event => results.set(event.id, event));
+        });
+        
+        return Array.from(results.values()).sort(EventStore._compareNewestFirst);
+    }
+    
+    /**
+     * Get the created_at of the newest stored event matching filters
+     * Useful as `since` so subscriptions only ask for what we don't have
+     * @param {Array} filters - Array of filter objects
+     * @param {string} relayUrl - Only count events this relay sent (default: any event)
+     * @returns {number|null} - Timestamp, or null if nothing matches
+     */
+    getLatestTimestamp(filters, relayUrl = null) {
+        let latest = null;
+        
+        filters.forEach(filter => {
+            this._candidates(filter).forEach(event => {
+                if (relayUrl && !(this.seenOn.get(event.id) || new Set()).has(relayUrl)) return;
+                if ((latest === null || event.created_at > latest) && NostrUtils.matchFilter(event, filter)) {
+                    latest = event.created_at;
+                }
+            });
+        });
+        
+        return latest;
+    }
+    
+    /**
+     * Number of stored events
+     * @returns {number}
+     */
+    size() {
+        return this.events.size;
+    }
+    
+    /**
+     * Remove every stored event
+     * @returns {Promise} - Resolves once the database is cleared
+     */
+    async clear() {
+        this._clearMemory();
+        
+        if (this.db) {
+            const tx = this.db.transaction(['events', 'seen'], 'readwrite');
+            tx.objectStore('events').clear();
+            tx.objectStore('seen').clear();
+            await EventStore._transactionDone(tx);
+        }
+    }
+    
+    /**
+     * Write pending changes and close the database
+     * @returns {Promise}
+     */
+    async close() {
+        await this.flush();
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.opening = null;
+    }
+    
+    /**
+     * Write pending changes to the database now
+     * @returns {Promise}
+     */
+    async flush() {
+        this.flushScheduled = false;
+        this._prune();
+        
+        // Until the database opens, keep changes so they can be written then
+        if (!this.db) {
+            if (this.memoryOnly) {
+                this.pendingPuts.clear();
+                this.pendingDeletes.clear();
+                this.pendingSeen.clear();
+            }
+            return;
+        }
+        if (this.pendingPuts.size === 0 && this.pendingDeletes.size === 0 && this.pendingSeen.size === 0) {
+            return;
+        }
+        
+        const puts = Array.from(this.pendingPuts.values());
+        const deletes = Array.from(this.pendingDeletes);
+        const seen = Array.from(this.pendingSeen).map(id => ({ id, relays: this.getSeenOn(id) }));
+        this.pendingPuts.clear();
+        this.pendingDeletes.clear();
+        this.pendingSeen.clear();
+        
+        try {
+            const tx = this.db.transaction(['events', 'seen'], 'readwrite');
+            const objectStore = tx.objectStore('events');
+            const seenStore = tx.objectStore('seen');
+            deletes.forEach(id => {
+                objectStore.delete(id);
+                seenStore.delete(id);
+            });
+            puts.forEach(event => objectStore.put(event));
+            seen.forEach(record => seenStore.put(record));
+            await EventStore._transactionDone(tx);
+        } catch (e) {
+            console.error('Error writing to the event store:', e);
+        }
+    }
+    
+    /**
+     * Drop every event and pending write held in memory
+     * @private
+     */
+    _clearMemory() {
+        this.events.clear();
+        this.byKind.clear();
+        this.byAuthor.clear();
+        this.byTag.clear();
+        this.addresses.clear();
+        this.seenOn.clear();
+        this.pendingPuts.clear();
+        this.pendingDeletes.clear();
+        this.pendingSeen.clear();
+    }
+    
+    /**
+     * Open IndexedDB and load its events, or stay in memory if that fails
+     * @private
+     */
+    async _open() {
+        if (!this.indexedDB) {
+            console.log('IndexedDB unavailable, keeping events in memory only');
+            this.memoryOnly = true;
+            this._scheduleFlush();
+            return;
+        }
+        
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.dbName, 2);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('events')) {
+                        db.createObjectStore('events', { keyPath: 'id' });
+                    }
+                    // Version 2 records which relays sent each event
+                    if (!db.objectStoreNames.contains('seen')) {
+                        db.createObjectStore('seen', { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Event store is open in another window'));
+            });
+            
+            const readAll = (name) => new Promise((resolve, reject) => {
+                const request = this.db.transaction(name, 'readonly').objectStore(name).getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+            const stored = await readAll('events');
+            const seen = await readAll('seen');
+            
+            // Only events added before the database opened need writing;
+            // stored events superseded by those get deleted
+            const added = new Map(this.pendingPuts);
+            stored.forEach(event => {
+                if (!this.add(event) && !this.events.has(event.id)) {
+                    this.pendingDeletes.add(event.id);
+                }
+            });
+            this.pendingPuts = new Map(Array.from(added).filter(([id]) => this.events.has(id)));
+            seen.forEach(record => {
+                const relays = this.seenOn.get(record.id);
+                if (!this.events.has(record.id)) {
+                    this.pendingDeletes.add(record.id);
+                } else if (relays) {
+                    // Relays recorded before the database opened are merged in and written back
+                    record.relays.forEach(url => relays.add(url));
+                } else {
+                    this.seenOn.set(record.id, new Set(record.relays));
+                }
+            });
+            this._scheduleFlush();
+            
+            console.log(`Loaded ${stored.length} events from the event store`);
+        } catch (e) {
+            console.warn('Could not open the event store, keeping events in memory only:', e);
+            this.db = null;
+            this.memoryOnly = true;
+            this._scheduleFlush();
+        }
+    }
+    
+    /**
+     * Pick the smallest index that can answer a filter
+     * @private
+     */
+    _candidates(filter) {
+        const sets = [];
+        
+        if (filter.ids) {
+            return filter.ids.map(id => this.events.get(id)).filter(Boolean);
+        }
+        
+        INDEXED_TAGS.forEach(tagName => {
+            const values = filter[`#${tagName}`];
+            if (values) {
+                sets.push(this._union(values.map(value => this.byTag.get(`${tagName}:${value}`))));
+            }
+        });
+        if (filter.authors && filter.authors.every(author => author.length === 64)) {
+            sets.push(this._union(filter.authors.map(author => this.byAuthor.get(author))));
+        }
+        if (filter.kinds) {
+            sets.push(this._union(filter.kinds.map(kind => this.byKind.get(kind))));
+        }
+        
+        if (sets.length === 0) {
+            return Array.from(this.events.values());
+        }
+        
+        const smallest = sets.reduce((a, b) => (b.size < a.size ? b : a));
+        return Array.from(smallest).map(id => this.events.get(id));
+    }
+    
+    /**
+     * @private
+     */
+    _union(sets) {
+        const result = new Set();
+        sets.forEach(set => {
+            if (set) set.forEach(id => result.add(id));
+        });
+        return result;
+    }
+    
+    /**
+     * Add an event to the memory indexes
+     * @private
+     */
+    _index(event) {
+        this.events.set(event.id, event);
+        EventStore._addToIndex(this.byKind, event.kind, event.id);
+        EventStore._addToIndex(this.byAuthor, event.pubkey, event.id);
+        event.tags.forEach(tag => {
+            if (INDEXED_TAGS.includes(tag[0]) && tag[1] !== undefined) {
+                EventStore._addToIndex(this.byTag, `${tag[0]}:${tag[1]}`, event.id);
+            }
+        });
+    }
+    
+    /**
+     * Remove an event from the memory indexes
+     * @private
+     */
+    _unindex(event) {
+        this.events.delete(event.id);
+        EventStore._removeFromIndex(this.byKind, event.kind, event.id);
+        EventStore._removeFromIndex(this.byAuthor, event.pubkey, event.id);
+        event.tags.forEach(tag => {
+            if (INDEXED_TAGS.includes(tag[0]) && tag[1] !== undefined) {
+                EventStore._removeFromIndex(this.byTag, `${tag[0]}:${tag[1]}`, event.id);
+            }
+        });
+    }
+    
+    /**
+     * Drop the oldest regular events once the store is over its size
+     * Replaceable events are kept since they hold current state
+     * @private
+     */
+    _prune() {
+        if (this.events.size <= this.maxEvents) return;
+        
+        // Prune a little extra so this doesn't run on every write
+        const excess = this.events.size - Math.floor(this.maxEvents * 0.9);
+        const regular = Array.from(this.events.values())
+            .filter(event => !InMemoryRelay.getAddress(event))
+            .sort((a, b) => a.created_at - b.created_at);
+        
+        regular.slice(0, excess).forEach(event => this.remove(event.id));
+        console.log(`Pruned ${Math.min(excess, regular.length)} old events from the event store`);
+    }
+    
+    /**
+     * @private
+     */
+    _scheduleFlush() {
+        if (this.flushScheduled) return;
+        
+        this.flushScheduled = true;
+        setTimeout(() => {
+            if (this.flushScheduled) {
+                this.flush();
+            }
+        }, 0);
+    }
+    
+    /**
+     * @private
+     */
+    static _addToIndex(index, key, id) {
+        if (!index.has(key)) {
+            index.set(key, new Set());
+        }
+        index.get(key).add(id);
+    }
+    
+    /**
+     * @private
+     */
+    static _removeFromIndex(index, key, id) {
+        const ids = index.get(key);
+        if (!ids) return;
+        ids.delete(id);
+        if (ids.size === 0) {
+            index.delete(key);
+        }
+    }
+    
+    /**
+     * Whether one version of a replaceable event supersedes another
+     * Newer wins; equal timestamps keep the lowest ID
+     * @private
+     */
+    static _isNewer(event, current) {
+        return EventStore._compareNewestFirst(event, current) < 0;
+    }
+    
+    /**
+     * Sort order for results: newest first, then lowest ID
+     * @private
+     */
+    static _compareNewestFirst(a, b) {
+        if (a.created_at !== b.created_at) {
+            return b.created_at - a.created_at;
+        }
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    }
+    
+    /**
+     * Resolve when an IndexedDB transaction commits
+     * @private
+     */
+    static _transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+export default EventStore;
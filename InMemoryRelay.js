@@ -0,0 +1,487 @@
+/**
+ * InMemoryRelay.js
+ * A nostr relay that lives in memory, for running the client offline
+ * Stores events, evaluates NIP-01 filters and answers with EVENT/EOSE/OK/NOTICE/CLOSED,
+ * NIP-42 AUTH, NIP-45 COUNT and NIP-77 negentropy sync
+ */
+
+import { NostrUtils } from './NostrUtils.js';
+import Negentropy from './Negentropy.js';
+
+class InMemoryRelay {
+    /**
+     * @param {Object} options - Relay settings
+     * @param {Object} options.info - Fields merged into the relay's NIP-11 document
+     * @param {boolean} options.verifySignatures - Reject events with a bad ID or signature (default false)
+     * @param {boolean} options.requireAuth - Challenge every connection and refuse EVENT and REQ until it authenticates (default false)
+     * @param {Function} options.authorize - Called with an authenticated pubkey; return false to refuse it (default: allow all)
+     */
+    constructor(options = {}) {
+        this.info = {
+            name: 'In-memory relay',
+            description: 'Local relay for offline use',
+            supported_nips: options.requireAuth ? [1, 11, 42, 45, 77] : [1, 11, 45, 77],
+            software: 'hypertuna-in-memory-relay',
+            ...(options.info || {}),
+            limitation: {
+                max_subscriptions: 100,
+                max_filters: 10,
+                max_limit: 5000,
+                ...((options.info && options.info.limitation) || {})
+            }
+        };
+        this.verifySignatures = options.verifySignatures === true;
+        this.requireAuth = options.requireAuth === true;
+        this.authorize = options.authorize || (() => true);
+        
+        this.events = new Map(); // Map of event ID -> event
+        this.addresses = new Map(); // Map of replaceable address -> event ID currently stored for it
+        this.connections = new Set(); // Open client connections
+    }
+    
+    /**
+     * Accept a client connection
+     * @param {Function} send - Delivers a raw message to the client
+     * @param {Function} close - Closes the client's socket from the relay side
+     * @returns {Object} - The connection, passed back to handleMessage and closeConnection
+     */
+    openConnection(send, close) {
+        const connection = {
+            send: message => send(JSON.stringify(message)),
+            close,
+            subscriptions: new Map(), // Map of subscription ID -> filters
+            negentropy: new Map(), // Map of subscription ID -> Negentropy session
+            inbound: Promise.resolve(), // Messages from one client are handled in order
+            challenge: NostrUtils.generateRandomId(), // NIP-42 challenge for this connection
+            authenticated: null // Pubkey the client authenticated as
+        };
+        
+        this.connections.add(connection);
+        if (this.requireAuth) {
+            connection.send(['AUTH', connection.challenge]);
+        }
+        return connection;
+    }
+    
+    /**
+     * Forget a client connection
+     * @param {Object} connection - Connection from openConnection
+     */
+    closeConnection(connection) {
+        this.connections.delete(connection);
+    }
+    
+    /**
+     * Close every client connection, as if the relay went down
+     */
+    disconnectAll() {
+        this.connections.forEach(connection => {
+            this.closeConnection(connection);
+            connection.close();
+        });
+    }
+    
+    /**
+     * Handle a raw message from a client
+     * @param {Object} connection - Connection from openConnection
+     * @param {string} data - Raw message
+     * @returns {Promise} - Resolves once the message has been handled
+     */
+    handleMessage(connection, data) {
+        connection.inbound = connection.inbound
+            .then(() => this._dispatch(connection, data))
+            .catch(e => {
+                console.error('In-memory relay error:', e);
+                connection.send(['NOTICE', `error: ${e.message}`]);
+            });
+        return connection.inbound;
+    }
+    
+    /**
+     * Store an event and deliver it to subscribers without a client publishing it
+     * @param {Object} event - Signed event
+     * @returns {boolean} - Whether the event was stored or broadcast
+     */
+    publish(event) {
+        const stored = this._storeEvent(event);
+        if (stored) {
+            this._broadcast(event);
+        }
+        return stored;
+    }
+    
+    /**
+     * Get stored events matching filters, newest first
+     * @param {Array} filters - Array of filter objects
+     * @returns {Array} - Matching events
+     */
+    query(filters) {
+        const maxLimit = this.info.limitation.max_limit;
+        const sorted = Array.from(this.events.values()).sort(InMemoryRelay._compareNewestFirst);
+        const results = new Map();
+        
+        filters.forEach(filter => {
+            let limit = filter.limit !== undefined ? filter.limit : Infinity;
+            if (maxLimit) {
+                limit = Math.min(limit, maxLimit);
+            }
+            
+            let count = 0;
+            for (const event of sorted) {
+                if (count >= limit) break;
+                if (NostrUtils.matchFilter(event, filter)) {
+                    results.set(event.id, event);
+                    count++;
+                }
+            }
+        });
+        
+        return Array.from(results.values()).sort(InMemoryRelay._compareNewestFirst);
+    }
+    
+    /**
+     * Remove every stored event
+     */
+    clear() {
+        this.events.clear();
+        this.addresses.clear();
+    }
+    
+    /**
+     * Route a client message by type
+     * @private
+     */
+    async _dispatch(connection, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            connection.send(['NOTICE', 'error: could not parse message']);
+            return;
+        }
+        
+        if (!Array.isArray(message) || typeof message[0] !== 'string') {
+            connection.send(['NOTICE', 'error: message must be a JSON array']);
+            return;
+        }
+        
+        switch (message[0]) {
+            case 'EVENT':
+                await this._handleEvent(connection, message[1]);
+                break;
+            case 'REQ':
+                this._handleReq(connection, message[1], message.slice(2));
+                break;
+            case 'CLOSE':
+                connection.subscriptions.delete(message[1]);
+                break;
+            case 'COUNT':
+                this._handleCount(connection, message[1], message.slice(2));
+                break;
+            case 'NEG-OPEN':
+            case 'NEG-MSG':
+                await this._handleNegentropy(connection, message);
+                break;
+            case 'NEG-CLOSE':
+                connection.negentropy.delete(message[1]);
+                break;
+            case 'AUTH':
+                await this._handleAuth(connection, message[1]);
+                break;
+            default:
+                await this._handleOtherMessage(connection, message);
+        }
+    }
+    
+    /**
+     * Handle message types this relay does not know
+     * Subclasses override this to add protocol support
+     * @private
+     */
+    async _handleOtherMessage(connection, message) {
+        connection.send(['NOTICE', `error: unsupported message type ${message[0]}`]);
+    }
+    
+    /**
+     * Handle an EVENT from a client
+     * @private
+     */
+    async _handleEvent(connection, event) {
+        const invalid = await this._validateEvent(event);
+        if (invalid) {
+            connection.send(['OK', event && typeof event.id === 'string' ? event.id : '', false, `invalid: ${invalid}`]);
+            return;
+        }
+        
+        if (this.requireAuth && !connection.authenticated) {
+            connection.send(['OK', event.id, false, 'auth-required: authenticate to publish']);
+            return;
+        }
+        
+        if (this.events.has(event.id)) {
+            connection.send(['OK', event.id, true, 'duplicate: already have this event']);
+            return;
+        }
+        
+        const result = await this._acceptEvent(event, connection);
+        if (!result.ok) {
+            connection.send(['OK', event.id, false, result.message]);
+            return;
+        }
+        
+        if (result.store === false) {
+            connection.send(['OK', event.id, true, result.message || '']);
+            return;
+        }
+        
+        if (!this._storeEvent(event)) {
+            connection.send(['OK', event.id, true, 'duplicate: have a newer version of this event']);
+            return;
+        }
+        
+        connection.send(['OK', event.id, true, result.message || '']);
+        this._broadcast(event);
+    }
+    
+    /**
+     * Handle a NIP-42 AUTH event answering this connection's challenge
+     * @private
+     */
+    async _handleAuth(connection, event) {
+        const invalid = await this._validateEvent(event);
+        const id = event && typeof event.id === 'string' ? event.id : '';
+        if (invalid) {
+            connection.send(['OK', id, false, `invalid: ${invalid}`]);
+            return;
+        }
+        
+        const tagValue = name => (event.tags.find(tag => tag[0] === name) || [])[1];
+        const age = Math.abs(Math.floor(Date.now() / 1000) - event.created_at);
+        if (event.kind !== 22242 || tagValue('challenge') !== connection.challenge || !tagValue('relay') || age > 600) {
+            connection.send(['OK', id, false, 'invalid: not an answer to this connection\'s challenge']);
+            return;
+        }
+        if (!this.verifySignatures && !(await NostrUtils.verifySignature(event))) {
+            connection.send(['OK', id, false, 'invalid: bad signature']);
+            return;
+        }
+        if (!this.authorize(event.pubkey)) {
+            connection.send(['OK', id, false, 'restricted: this pubkey may not use the relay']);
+            return;
+        }
+        
+        connection.authenticated = event.pubkey;
+        connection.send(['OK', id, true, '']);
+    }
+    
+    /**
+     * Decide whether to accept a valid event
+     * Subclasses override this to apply policy
+     * @returns {Promise<Object>} - {ok, message, store}; store false acknowledges without keeping the event
+     * @private
+     */
+    async _acceptEvent(event, connection) {
+        return { ok: true, message: '' };
+    }
+    
+    /**
+     * Check an event's shape and, optionally, its ID and signature
+     * @returns {Promise<string|null>} - Why the event is invalid, or null
+     * @private
+     */
+    async _validateEvent(event) {
+        const isHex = (value, length) => typeof value === 'string' && value.length === length && /^[0-9a-f]+$/.test(value);
+        
+        if (!event || typeof event !== 'object') return 'not an event';
+        if (!isHex(event.id, 64) || !isHex(event.pubkey, 64) || !isHex(event.sig, 128)) {
+            return 'malformed id, pubkey or sig';
+        }
+        if (!Number.isInteger(event.kind) || !Number.isInteger(event.created_at) ||
+            !Array.isArray(event.tags) || typeof event.content !== 'string') {
+            return 'malformed fields';
+        }
+        if (this.verifySignatures && !await NostrUtils.verifySignature(event)) {
+            return 'bad id or signature';
+        }
+        return null;
+    }
+    
+    /**
+     * Store an event, applying ephemeral, replaceable and addressable rules
+     * @returns {boolean} - Whether subscribers should receive the event
+     * @private
+     */
+    _storeEvent(event) {
+        if (this.events.has(event.id)) {
+            return false;
+        }
+        
+        // Ephemeral events are delivered but never stored
+        if (event.kind >= 20000 && event.kind < 30000) {
+            return true;
+        }
+        
+        const address = InMemoryRelay.getAddress(event);
+        if (address) {
+            const currentId = this.addresses.get(address);
+            const current = currentId && this.events.get(currentId);
+            
+            // Keep the newest version; equal timestamps keep the lowest ID
+            if (current && InMemoryRelay._compareNewestFirst(current, event) <= 0) {
+                return false;
+            }
+            if (current) {
+                this.events.delete(current.id);
+            }
+            this.addresses.set(address, event.id);
+        }
+        
+        this.events.set(event.id, event);
+        return true;
+    }
+    
+    /**
+     * Handle a REQ from a client
+     * @private
+     */
+    _handleReq(connection, subscriptionId, filters) {
+        if (typeof subscriptionId !== 'string' || subscriptionId.length === 0 || subscriptionId.length > 64) {
+            connection.send(['NOTICE', 'error: invalid subscription id']);
+            return;
+        }
+        if (filters.length === 0 || filters.some(filter => !filter || typeof filter !== 'object' || Array.isArray(filter))) {
+            connection.send(['CLOSED', subscriptionId, 'error: invalid filters']);
+            return;
+        }
+        if (this.requireAuth && !connection.authenticated) {
+            connection.send(['CLOSED', subscriptionId, 'auth-required: authenticate to read']);
+            return;
+        }
+        
+        const limits = this.info.limitation;
+        if (limits.max_filters && filters.length > limits.max_filters) {
+            connection.send(['CLOSED', subscriptionId, `error: too many filters (max ${limits.max_filters})`]);
+            return;
+        }
+        if (limits.max_subscriptions && !connection.subscriptions.has(subscriptionId) &&
+            connection.subscriptions.size >= limits.max_subscriptions) {
+            connection.send(['CLOSED', subscriptionId, `error: too many subscriptions (max ${limits.max_subscriptions})`]);
+            return;
+        }
+        
+        // A REQ with an existing ID replaces that subscription
+        connection.subscriptions.set(subscriptionId, filters);
+        
+        this.query(filters).forEach(event => {
+            connection.send(['EVENT', subscriptionId, event]);
+        });
+        connection.send(['EOSE', subscriptionId]);
+    }
+    
+    /**
+     * Handle a NIP-45 COUNT from a client
+     * Limits don't apply to counts
+     * @private
+     */
+    _handleCount(connection, countId, filters) {
+        if (typeof countId !== 'string' || countId.length === 0 || countId.length > 64) {
+            connection.send(['NOTICE', 'error: invalid count id']);
+            return;
+        }
+        if (filters.length === 0 || filters.some(filter => !filter || typeof filter !== 'object' || Array.isArray(filter))) {
+            connection.send(['CLOSED', countId, 'error: invalid filters']);
+            return;
+        }
+        
+        let count = 0;
+        this.events.forEach(event => {
+            if (NostrUtils.matchFilters(event, filters)) {
+                count++;
+            }
+        });
+        connection.send(['COUNT', countId, { count }]);
+    }
+    
+    /**
+     * Handle a NIP-77 NEG-OPEN or NEG-MSG from a client
+     * @private
+     */
+    async _handleNegentropy(connection, message) {
+        const [type, subscriptionId] = message;
+        
+        let session = connection.negentropy.get(subscriptionId);
+        let clientMessage;
+        if (type === 'NEG-OPEN') {
+            const filter = message[2];
+            if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+                connection.send(['NEG-ERR', subscriptionId, 'error: invalid filter']);
+                return;
+            }
+            
+            // Reconciliation covers every matching event, so limit is ignored
+            const { limit, ...unlimited } = filter;
+            const events = Array.from(this.events.values()).filter(event => NostrUtils.matchFilter(event, unlimited));
+            session = new Negentropy(events);
+            connection.negentropy.set(subscriptionId, session);
+            clientMessage = message[3];
+        } else {
+            if (!session) {
+                connection.send(['NEG-ERR', subscriptionId, 'closed: no such negentropy session']);
+                return;
+            }
+            clientMessage = message[2];
+        }
+        
+        try {
+            const result = await session.reconcile(String(clientMessage || ''));
+            connection.send(['NEG-MSG', subscriptionId, result.message]);
+        } catch (e) {
+            connection.negentropy.delete(subscriptionId);
+            connection.send(['NEG-ERR', subscriptionId, `error: ${e.message}`]);
+        }
+    }
+    
+    /**
+     * Send a new event to every matching subscription
+     * @private
+     */
+    _broadcast(event) {
+        this.connections.forEach(connection => {
+            connection.subscriptions.forEach((filters, subscriptionId) => {
+                if (NostrUtils.matchFilters(event, filters)) {
+                    connection.send(['EVENT', subscriptionId, event]);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Get the address a replaceable or addressable event replaces
+     * @param {Object} event - Event
+     * @returns {string|null} - kind:pubkey for replaceable events, kind:pubkey:d for addressable ones
+     */
+    static getAddress(event) {
+        const kind = event.kind;
+        if (kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000)) {
+            return `${kind}:${event.pubkey}`;
+        }
+        if (kind >= 30000 && kind < 40000) {
+            const dTag = event.tags.find(tag => tag[0] === 'd');
+            return `${kind}:${event.pubkey}:${dTag ? dTag[1] || '' : ''}`;
+        }
+        return null;
+    }
+    
+    /**
+     * Sort order for results: newest first, then lowest ID
+     * @private
+     */
+    static _compareNewestFirst(a, b) {
+        if (a.created_at !== b.created_at) {
+            return b.created_at - a.created_at;
+        }
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    }
+}
+
+export default InMemoryRelay;
@@ -0,0 +1,208 @@
+/**
+ * InMemoryTransport.js
+ * Transport for WebSocketRelayManager that routes relay URLs to InMemoryRelay instances
+ * URLs without an in-memory relay can fall through to another transport
+ */
+
+import InMemoryRelay from './InMemoryRelay.js';
+
+// WebSocket readyState values
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+/**
+ * Client end of a connection to an InMemoryRelay, shaped like a WebSocket
+ */
+class InMemorySocket {
+    /**
+     * @param {string} url - The relay URL
+     * @param {InMemoryRelay|null} relay - Relay to connect to; null fails like an unreachable host
+     * @param {number} latency - Delay applied to each message in ms
+     */
+    constructor(url, relay, latency) {
+        this.url = url;
+        this.relay = relay;
+        this.latency = latency;
+        this.readyState = CONNECTING;
+        this.connection = null;
+        this.listeners = []; // 'message' listeners added with addEventListener
+        
+        this.onopen = null;
+        this.onclose = null;
+        this.onerror = null;
+        this.onmessage = null;
+        
+        setTimeout(() => this._open(), this.latency);
+    }
+    
+    /**
+     * Send a raw message to the relay
+     * @param {string} data - Raw message
+     */
+    send(data) {
+        if (this.readyState !== OPEN) {
+            throw new Error('Socket is not open');
+        }
+        
+        const connection = this.connection;
+        setTimeout(() => this.relay.handleMessage(connection, data), this.latency);
+    }
+    
+    /**
+     * Close the connection
+     */
+    close() {
+        if (this.readyState === CLOSED) return;
+        
+        if (this.connection) {
+            this.relay.closeConnection(this.connection);
+        }
+        this._closed();
+    }
+    
+    /**
+     * @param {string} type - Only 'message' is supported
+     * @param {Function} listener - Listener
+     */
+    addEventListener(type, listener) {
+        if (type === 'message' && typeof listener === 'function') {
+            this.listeners.push(listener);
+        }
+    }
+    
+    /**
+     * @param {string} type - Only 'message' is supported
+     * @param {Function} listener - Listener
+     */
+    removeEventListener(type, listener) {
+        if (type === 'message') {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        }
+    }
+    
+    /**
+     * Finish connecting, or fail if there is no relay
+     * @private
+     */
+    _open() {
+        if (this.readyState !== CONNECTING) return;
+        
+        if (!this.relay) {
+            if (this.onerror) this.onerror(new Error(`No in-memory relay at ${this.url}`));
+            this._closed();
+            return;
+        }
+        
+        this.connection = this.relay.openConnection(
+            data => this._deliver(data),
+            () => this._closed()
+        );
+        this.readyState = OPEN;
+        if (this.onopen) this.onopen({});
+    }
+    
+    /**
+     * Hand a message from the relay to the client
+     * @private
+     */
+    _deliver(data) {
+        setTimeout(() => {
+            if (this.readyState !== OPEN) return;
+            
+            const event = { data };
+            if (this.onmessage) this.onmessage(event);
+            [...this.listeners].forEach(listener => listener(event));
+        }, this.latency);
+    }
+    
+    /**
+     * Mark the socket closed and notify the client
+     * @private
+     */
+    _closed() {
+        if (this.readyState === CLOSED) return;
+        
+        this.readyState = CLOSED;
+        setTimeout(() => {
+            if (this.onclose) this.onclose({ code: 1000 });
+        }, 0);
+    }
+}
+
+class InMemoryTransport {
+    /**
+     * @param {Object} options - Transport settings
+     * @param {Object} options.fallback - Transport for URLs without an in-memory relay (default: none)
+     * @param {number} options.latency - Simulated delay per message in ms (default 0)
+     */
+    constructor(options = {}) {
+        this.relays = new Map(); // Map of relay URL -> InMemoryRelay
+        this.fallback = options.fallback || null;
+        this.latency = options.latency || 0;
+    }
+    
+    /**
+     * Serve a relay URL from memory
+     * @param {string} url - The relay URL
+     * @param {InMemoryRelay} relay - Relay to serve (default: a new InMemoryRelay)
+     * @returns {InMemoryRelay} - The relay
+     */
+    addRelay(url, relay = new InMemoryRelay()) {
+        this.relays.set(url, relay);
+        return relay;
+    }
+    
+    /**
+     * Stop serving a relay URL, closing its connections
+     * @param {string} url - The relay URL
+     */
+    removeRelay(url) {
+        const relay = this.relays.get(url);
+        if (relay) {
+            relay.disconnectAll();
+            this.relays.delete(url);
+        }
+    }
+    
+    /**
+     * Get the in-memory relay for a URL
+     * @param {string} url - The relay URL
+     * @returns {InMemoryRelay|null}
+     */
+    getRelay(url) {
+        return this.relays.get(url) || null;
+    }
+    
+    /**
+     * Open a connection to a relay
+     * @param {string} url - The relay URL
+     * @returns {Object} - A WebSocket-like socket
+     */
+    connect(url) {
+        const relay = this.relays.get(url);
+        if (!relay && this.fallback) {
+            return this.fallback.connect(url);
+        }
+        return new InMemorySocket(url, relay || null, this.latency);
+    }
+    
+    /**
+     * Get a relay's NIP-11 information document
+     * @param {string} url - The relay URL
+     * @param {Object} options - Request options passed to the fallback transport
+     * @returns {Promise<Object>} - The document
+     */
+    async fetchRelayInfo(url, options = {}) {
+        const relay = this.relays.get(url);
+        if (relay) {
+            return JSON.parse(JSON.stringify(relay.info));
+        }
+        if (this.fallback && typeof this.fallback.fetchRelayInfo === 'function') {
+            return this.fallback.fetchRelayInfo(url, options);
+        }
+        throw new Error(`No in-memory relay at ${url}`);
+    }
+}
+
+export default InMemoryTransport;
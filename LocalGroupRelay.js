@@ -0,0 +1,501 @@
+/**
+ * LocalGroupRelay.js
+ * A NIP-29 relay that runs inside the app, for development and offline use
+ * Enforces group moderation, publishes relay-signed group state (39000/39001/39002)
+ * and persists its key, events and groups to localStorage
+ */
+
+import InMemoryRelay from './InMemoryRelay.js';
+import NostrEvents from './NostrEvents.js';
+import { NostrUtils } from './NostrUtils.js';
+
+class LocalGroupRelay extends InMemoryRelay {
+    // URL the app serves this relay on
+    static DEFAULT_URL = 'ws://local-relay';
+    
+    // Moderation kinds that require an admin
+    static ADMIN_KINDS = [
+        NostrEvents.KIND_GROUP_PUT_USER,
+        NostrEvents.KIND_GROUP_REMOVE_USER,
+        NostrEvents.KIND_GROUP_EDIT_METADATA,
+        NostrEvents.KIND_GROUP_DELETE_EVENT,
+        NostrEvents.KIND_GROUP_DELETE,
+        NostrEvents.KIND_GROUP_INVITE_CREATE
+    ];
+    
+    /**
+     * @param {Object} options - Relay settings, plus those of InMemoryRelay
+     * @param {Object} options.storage - Storage with getItem/setItem (default: localStorage when available)
+     * @param {string} options.storageKey - Key the relay's data is saved under (default 'nostr_local_relay_data')
+     */
+    constructor(options = {}) {
+        super({
+            ...options,
+            verifySignatures: options.verifySignatures !== false,
+            info: {
+                name: 'Local group relay',
+                description: 'NIP-29 relay running inside the app',
+                supported_nips: [1, 11, 29, 45, 77],
+                software: 'hypertuna-local-group-relay',
+                ...(options.info || {})
+            }
+        });
+        
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || 'nostr_local_relay_data';
+        
+        this.groups = new Map(); // Map of groupId -> {metadata, members: Map of pubkey -> roles, inviteCodes: Set}
+        this.relayPrivkey = null;
+        this.relayPubkey = null;
+        this.lastStateTime = 0; // created_at of the newest group state event we signed
+        this.saveScheduled = false;
+        
+        this._load();
+        this.info.pubkey = this.relayPubkey;
+    }
+    
+    /**
+     * Get a group's current state
+     * @param {string} groupId - Group ID
+     * @returns {Object|null} - {metadata, members, inviteCodes} or null if the group does not exist
+     */
+    getGroup(groupId) {
+        return this.groups.get(groupId) || null;
+    }
+    
+    /**
+     * Remove every stored event and group, keeping the relay key
+     */
+    clear() {
+        super.clear();
+        this.groups.clear();
+        this._scheduleSave();
+    }
+    
+    /**
+     * Apply NIP-29 rules to an event from a client
+     * @private
+     */
+    async _acceptEvent(event, connection) {
+        const kind = event.kind;
+        
+        // Group state is only ever signed by the relay itself
+        if (kind >= NostrEvents.KIND_GROUP_METADATA && kind <= NostrEvents.KIND_GROUP_ROLES_LIST) {
+            if (event.pubkey !== this.relayPubkey) {
+                return { ok: true, store: false, message: 'info: group state is maintained by this relay' };
+            }
+            return { ok: true, message: '' };
+        }
+        
+        const groupId = this._getTagValue(event, 'h');
+        if (!groupId) {
+            return { ok: true, message: '' };
+        }
+        
+        if (kind === NostrEvents.KIND_GROUP_CREATE) {
+            return this._createGroup(event, groupId);
+        }
+        
+        const group = this.groups.get(groupId);
+        if (!group) {
+            // Companion events such as the hypertuna relay listing are not group content
+            if (kind >= 30000) {
+                return { ok: true, message: '' };
+            }
+            return { ok: false, message: 'invalid: group not found' };
+        }
+        
+        if (LocalGroupRelay.ADMIN_KINDS.includes(kind)) {
+            if (!this._isAdmin(group, event.pubkey)) {
+                return { ok: false, message: 'restricted: only group admins can do this' };
+            }
+            return this._moderate(event, groupId, group);
+        }
+        
+        if (kind === NostrEvents.KIND_GROUP_JOIN_REQUEST) {
+            return this._join(event, groupId, group);
+        }
+        
+        if (kind === NostrEvents.KIND_GROUP_LEAVE_REQUEST) {
+            if (!group.members.has(event.pubkey)) {
+                return { ok: true, store: false, message: 'duplicate: not a member' };
+            }
+            if (this._isAdmin(group, event.pubkey) && this._countAdmins(group) === 1) {
+                return { ok: false, message: 'restricted: a group needs at least one admin' };
+            }
+            group.members.delete(event.pubkey);
+            return this._groupChanged(groupId);
+        }
+        
+        if (kind < 30000 && !group.members.has(event.pubkey)) {
+            return { ok: false, message: 'restricted: only members can post to this group' };
+        }
+        
+        return { ok: true, message: '' };
+    }
+    
+    /**
+     * Handle a create-group event (kind 9007)
+     * @private
+     */
+    async _createGroup(event, groupId) {
+        if (this.groups.has(groupId)) {
+            return { ok: false, message: 'duplicate: group already exists' };
+        }
+        
+        const group = {
+            metadata: {
+                name: '',
+                about: '',
+                isPublic: true,
+                isOpen: true,
+                hypertunaId: null,
+                identifiers: []
+            },
+            members: new Map([[event.pubkey, ['admin']]]),
+            inviteCodes: new Set()
+        };
+        this._applyMetadata(group.metadata, event);
+        this.groups.set(groupId, group);
+        
+        console.log(`Local relay created group ${groupId} for ${event.pubkey.substring(0, 8)}...`);
+        return this._groupChanged(groupId);
+    }
+    
+    /**
+     * Handle an admin moderation event
+     * @private
+     */
+    async _moderate(event, groupId, group) {
+        switch (event.kind) {
+            case NostrEvents.KIND_GROUP_PUT_USER: {
+                const tag = event.tags.find(tag => tag[0] === 'p' && tag[1]);
+                if (!tag) {
+                    return { ok: false, message: 'invalid: missing p tag' };
+                }
+                const roles = tag.slice(2).filter(Boolean);
+                if (tag[1] === event.pubkey && !roles.includes('admin') && this._countAdmins(group) === 1) {
+                    return { ok: false, message: 'restricted: a group needs at least one admin' };
+                }
+                group.members.set(tag[1], roles.length > 0 ? roles : ['member']);
+                break;
+            }
+            
+            case NostrEvents.KIND_GROUP_REMOVE_USER: {
+                const pubkey = this._getTagValue(event, 'p');
+                if (!pubkey) {
+                    return { ok: false, message: 'invalid: missing p tag' };
+                }
+                if (this._isAdmin(group, pubkey) && this._countAdmins(group) === 1) {
+                    return { ok: false, message: 'restricted: a group needs at least one admin' };
+                }
+                group.members.delete(pubkey);
+                break;
+            }
+            
+            case NostrEvents.KIND_GROUP_EDIT_METADATA:
+                this._applyMetadata(group.metadata, event);
+                break;
+            
+            case NostrEvents.KIND_GROUP_DELETE_EVENT: {
+                const ids = event.tags.filter(tag => tag[0] === 'e' && tag[1]).map(tag => tag[1]);
+                if (ids.length === 0) {
+                    return { ok: false, message: 'invalid: missing e tag' };
+                }
+                this._deleteEvents(stored => ids.includes(stored.id) && this._getTagValue(stored, 'h') === groupId);
+                return { ok: true, message: '' };
+            }
+            
+            case NostrEvents.KIND_GROUP_DELETE:
+                this._deleteGroup(groupId);
+                return { ok: true, store: false, message: '' };
+            
+            case NostrEvents.KIND_GROUP_INVITE_CREATE: {
+                const code = this._getTagValue(event, 'code');
+                if (!code) {
+                    return { ok: false, message: 'invalid: missing code tag' };
+                }
+                group.inviteCodes.add(code);
+                this._scheduleSave();
+                return { ok: true, message: '' };
+            }
+        }
+        
+        return this._groupChanged(groupId);
+    }
+    
+    /**
+     * Handle a join request (kind 9021)
+     * @private
+     */
+    async _join(event, groupId, group) {
+        if (group.members.has(event.pubkey)) {
+            return { ok: true, store: false, message: 'duplicate: already a member' };
+        }
+        
+        const code = this._getTagValue(event, 'code');
+        if (!group.metadata.isOpen && !(code && group.inviteCodes.has(code))) {
+            return { ok: false, message: 'restricted: an invite code is required to join this group' };
+        }
+        
+        group.members.set(event.pubkey, ['member']);
+        return this._groupChanged(groupId);
+    }
+    
+    /**
+     * Remove a group and every event that belongs to it
+     * @private
+     */
+    _deleteGroup(groupId) {
+        this.groups.delete(groupId);
+        
+        this._deleteEvents(event => {
+            const isState = event.kind >= NostrEvents.KIND_GROUP_METADATA && event.kind <= NostrEvents.KIND_GROUP_ROLES_LIST;
+            return this._getTagValue(event, isState ? 'd' : 'h') === groupId;
+        });
+        console.log(`Local relay deleted group ${groupId}`);
+    }
+    
+    /**
+     * Remove stored events that match a predicate
+     * @private
+     */
+    _deleteEvents(predicate) {
+        Array.from(this.events.values()).forEach(event => {
+            if (!predicate(event)) return;
+            
+            this.events.delete(event.id);
+            const address = InMemoryRelay.getAddress(event);
+            if (address && this.addresses.get(address) === event.id) {
+                this.addresses.delete(address);
+            }
+        });
+        
+        this._scheduleSave();
+    }
+    
+    /**
+     * Publish new group state after a change and accept the event that caused it
+     * @private
+     */
+    async _groupChanged(groupId) {
+        const stateEvents = await this._createStateEvents(groupId);
+        
+        // Deliver after the triggering event's OK so clients see the cause first
+        setTimeout(() => stateEvents.forEach(event => this.publish(event)), 0);
+        
+        return { ok: true, message: '' };
+    }
+    
+    /**
+     * Sign the metadata, admin and member lists for a group
+     * @private
+     */
+    async _createStateEvents(groupId) {
+        const group = this.groups.get(groupId);
+        const metadata = group.metadata;
+        
+        // Each update must sort after the last one, even within the same second
+        const createdAt = Math.max(Math.floor(Date.now() / 1000), this.lastStateTime + 1);
+        this.lastStateTime = createdAt;
+        
+        const metadataTags = [
+            ['d', groupId],
+            ['name', metadata.name],
+            ['about', metadata.about],
+            [metadata.isPublic ? 'public' : 'private'],
+            [metadata.isOpen ? 'open' : 'closed']
+        ];
+        if (metadata.hypertunaId) {
+            metadataTags.push(['hypertuna', metadata.hypertunaId]);
+        }
+        metadata.identifiers.forEach(value => metadataTags.push(['i', value]));
+        
+        const adminTags = [['d', groupId]];
+        const memberTags = [['d', groupId]];
+        group.members.forEach((roles, pubkey) => {
+            memberTags.push(['p', pubkey, ...roles]);
+            if (roles.includes('admin')) {
+                adminTags.push(['p', pubkey, ...roles]);
+            }
+        });
+        
+        return Promise.all([
+            this._signStateEvent(NostrEvents.KIND_GROUP_METADATA, `Group metadata for: ${metadata.name}`, metadataTags, createdAt),
+            this._signStateEvent(NostrEvents.KIND_GROUP_ADMIN_LIST, `Admins for: ${metadata.name}`, adminTags, createdAt),
+            this._signStateEvent(NostrEvents.KIND_GROUP_MEMBER_LIST, `Members of: ${metadata.name}`, memberTags, createdAt)
+        ]);
+    }
+    
+    /**
+     * Sign an event with the relay key
+     * @private
+     */
+    async _signStateEvent(kind, content, tags, createdAt) {
+        return NostrUtils.signEvent({
+            kind,
+            content,
+            tags,
+            created_at: createdAt,
+            pubkey: this.relayPubkey
+        }, this.relayPrivkey);
+    }
+    
+    /**
+     * Copy metadata tags from a create or edit event
+     * @private
+     */
+    _applyMetadata(metadata, event) {
+        event.tags.forEach(tag => {
+            switch (tag[0]) {
+                case 'name':
+                    metadata.name = tag[1] || '';
+                    break;
+                case 'about':
+                    metadata.about = tag[1] || '';
+                    break;
+                case 'public':
+                case 'private':
+                    metadata.isPublic = tag[0] === 'public';
+                    break;
+                case 'open':
+                case 'closed':
+                    metadata.isOpen = tag[0] === 'open';
+                    break;
+                case 'hypertuna':
+                    metadata.hypertunaId = tag[1] || null;
+                    break;
+                case 'i':
+                    if (tag[1] && !metadata.identifiers.includes(tag[1])) {
+                        metadata.identifiers.push(tag[1]);
+                    }
+                    break;
+            }
+        });
+    }
+    
+    /**
+     * @private
+     */
+    _isAdmin(group, pubkey) {
+        const roles = group.members.get(pubkey);
+        return Boolean(roles && roles.includes('admin'));
+    }
+    
+    /**
+     * @private
+     */
+    _countAdmins(group) {
+        let count = 0;
+        group.members.forEach(roles => {
+            if (roles.includes('admin')) count++;
+        });
+        return count;
+    }
+    
+    /**
+     * @private
+     */
+    _getTagValue(event, tagName) {
+        const tag = event.tags.find(tag => tag[0] === tagName);
+        return tag ? tag[1] : null;
+    }
+    
+    /**
+     * Save whenever stored events change
+     * @private
+     */
+    _storeEvent(event) {
+        const stored = super._storeEvent(event);
+        if (stored) {
+            this._scheduleSave();
+        }
+        return stored;
+    }
+    
+    /**
+     * Restore the relay's key, events and groups, creating a key on first run
+     * @private
+     */
+    _load() {
+        let data = null;
+        if (this.storage) {
+            try {
+                data = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+            } catch (e) {
+                console.warn('Could not read local relay data, starting empty:', e);
+            }
+        }
+        
+        if (data && data.relayPrivkey) {
+            this.relayPrivkey = data.relayPrivkey;
+        } else {
+            this.relayPrivkey = NostrUtils.generatePrivateKey();
+        }
+        this.relayPubkey = NostrUtils.getPublicKey(this.relayPrivkey);
+        
+        if (data) {
+            Object.entries(data.groups || {}).forEach(([groupId, saved]) => {
+                this.groups.set(groupId, {
+                    metadata: saved.metadata,
+                    members: new Map(Object.entries(saved.members || {})),
+                    inviteCodes: new Set(saved.inviteCodes || [])
+                });
+            });
+            
+            (data.events || []).forEach(event => {
+                super._storeEvent(event);
+                if (event.pubkey === this.relayPubkey) {
+                    this.lastStateTime = Math.max(this.lastStateTime, event.created_at);
+                }
+            });
+            
+            console.log(`Local relay loaded ${this.events.size} events and ${this.groups.size} groups`);
+        }
+        
+        this._scheduleSave();
+    }
+    
+    /**
+     * Save on the next tick so a burst of changes is written once
+     * @private
+     */
+    _scheduleSave() {
+        if (!this.storage || this.saveScheduled) return;
+        
+        this.saveScheduled = true;
+        setTimeout(() => {
+            this.saveScheduled = false;
+            this._save();
+        }, 0);
+    }
+    
+    /**
+     * Write the relay's key, events and groups to storage
+     * @private
+     */
+    _save() {
+        const groups = {};
+        this.groups.forEach((group, groupId) => {
+            groups[groupId] = {
+                metadata: group.metadata,
+                members: Object.fromEntries(group.members),
+                inviteCodes: Array.from(group.inviteCodes)
+            };
+        });
+        
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                relayPrivkey: this.relayPrivkey,
+                events: Array.from(this.events.values()),
+                groups
+            }));
+        } catch (e) {
+            console.error('Could not save local relay data:', e);
+        }
+    }
+}
+
+export default LocalGroupRelay;
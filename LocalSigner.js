@@ -0,0 +1,76 @@
+/**
+ * LocalSigner.js
+ * Default signer: signs and encrypts with a private key held by the app
+ *
+ * A signer is any object with:
+ *   getPublicKey() - resolves with the user's hex public key
+ *   signEvent(event) - resolves with the event signed; event has kind, content, tags and created_at
+ *   nip04Encrypt(pubkey, text) / nip04Decrypt(pubkey, ciphertext) - legacy NIP-04 encryption
+ *   nip44Encrypt(pubkey, text) / nip44Decrypt(pubkey, payload) - NIP-44 v2 encryption
+ * Every method returns a promise, since extension and remote signers answer asynchronously
+ */
+
+import { NostrUtils } from './NostrUtils.js';
+
+class LocalSigner {
+    /**
+     * @param {string} privateKey - Hex private key
+     */
+    constructor(privateKey) {
+        this.privateKey = privateKey;
+        this.pubkey = NostrUtils.getPublicKey(privateKey);
+    }
+    
+    /**
+     * @returns {Promise<string>} - Hex public key
+     */
+    async getPublicKey() {
+        return this.pubkey;
+    }
+    
+    /**
+     * @param {Object} event - Unsigned event
+     * @returns {Promise<Object>} - Signed event
+     */
+    async signEvent(event) {
+        return NostrUtils.signEvent({ ...event, pubkey: this.pubkey }, this.privateKey);
+    }
+    
+    /**
+     * @param {string} pubkey - Recipient's public key
+     * @param {string} text - Plain text
+     * @returns {Promise<string>} - NIP-04 ciphertext
+     */
+    async nip04Encrypt(pubkey, text) {
+        return NostrUtils.encrypt(this.privateKey, pubkey, text, { version: 'nip04' });
+    }
+    
+    /**
+     * @param {string} pubkey - Sender's public key
+     * @param {string} ciphertext - NIP-04 ciphertext
+     * @returns {Promise<string>} - Plain text
+     */
+    async nip04Decrypt(pubkey, ciphertext) {
+        return NostrUtils.decrypt(this.privateKey, pubkey, ciphertext);
+    }
+    
+    /**
+     * @param {string} pubkey - Recipient's public key
+     * @param {string} text - Plain text
+     * @returns {Promise<string>} - NIP-44 payload
+     */
+    async nip44Encrypt(pubkey, text) {
+        return NostrUtils.encrypt(this.privateKey, pubkey, text);
+    }
+    
+    /**
+     * @param {string} pubkey - Sender's public key
+     * @param {string} payload - NIP-44 payload
+     * @returns {Promise<string>} - Plain text
+     */
+    async nip44Decrypt(pubkey, payload) {
+        return NostrUtils.nip44Decrypt(payload, NostrUtils.getConversationKey(this.privateKey, pubkey));
+    }
+}
+
+export default LocalSigner;
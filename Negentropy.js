@@ -0,0 +1,376 @@
+/**
+ * Negentropy.js
+ * Range-based set reconciliation (negentropy protocol v1), the message format used by NIP-77
+ * Both sides hold a set of (created_at, id) items; exchanging fingerprints of ranges narrows
+ * down which IDs only one side has, without sending the IDs both sides share
+ */
+
+import { nobleSecp256k1 } from './crypto-libraries.js';
+import { NostrUtils } from './NostrUtils.js';
+
+const PROTOCOL_VERSION = 0x61;
+const ID_SIZE = 32;
+const FINGERPRINT_SIZE = 16;
+const BUCKETS = 16; // Ranges a mismatched range is split into
+
+// Range modes
+const MODE_SKIP = 0;
+const MODE_FINGERPRINT = 1;
+const MODE_ID_LIST = 2;
+
+/**
+ * Reads a message front to back
+ */
+class MessageReader {
+    /**
+     * @param {Uint8Array} bytes - Message bytes
+     */
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+    
+    /**
+     * @returns {boolean} - Whether the whole message has been read
+     */
+    isDone() {
+        return this.offset >= this.bytes.length;
+    }
+    
+    /**
+     * @param {number} length - Bytes to read
+     * @returns {Uint8Array}
+     */
+    read(length) {
+        if (this.offset + length > this.bytes.length) {
+            throw new Error('Negentropy message ended unexpectedly');
+        }
+        const bytes = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+    
+    /**
+     * Read a base-128 varint, most significant group first
+     * @returns {number}
+     */
+    readVarint() {
+        let value = 0;
+        for (;;) {
+            const byte = this.read(1)[0];
+            value = value * 128 + (byte & 0x7f);
+            if ((byte & 0x80) === 0) return value;
+        }
+    }
+}
+
+class Negentropy {
+    /**
+     * @param {Array} items - This side's set, as events or {created_at, id} objects
+     */
+    constructor(items) {
+        this.items = items
+            .map(item => ({ timestamp: item.created_at, id: NostrUtils.hexToBytes(item.id) }))
+            .sort(Negentropy._compareItems);
+        this.isInitiator = false;
+        this.lastTimestampIn = 0;
+        this.lastTimestampOut = 0;
+    }
+    
+    /**
+     * Build the first message, sent by the side that wants to learn the differences
+     * @returns {Promise<string>} - Hex-encoded message
+     */
+    async initiate() {
+        this.isInitiator = true;
+        this.lastTimestampOut = 0;
+        
+        const output = [[PROTOCOL_VERSION]];
+        output.push(await this._splitRange(0, this.items.length, { timestamp: Infinity, id: new Uint8Array(0) }));
+        return NostrUtils.bytesToHex(Negentropy._concat(output));
+    }
+    
+    /**
+     * Process a message from the other side
+     * The initiator learns IDs only it has (have) and only the other side has (need)
+     * @param {string} message - Hex-encoded message
+     * @returns {Promise<Object>} - {message, have, need}; message is the hex reply,
+     *                              or null once the initiator has nothing left to ask
+     */
+    async reconcile(message) {
+        const reader = new MessageReader(NostrUtils.hexToBytes(message));
+        const have = [];
+        const need = [];
+        
+        this.lastTimestampIn = 0;
+        this.lastTimestampOut = 0;
+        
+        const output = [[PROTOCOL_VERSION]];
+        if (reader.read(1)[0] !== PROTOCOL_VERSION) {
+            if (this.isInitiator) {
+                throw new Error('Unsupported negentropy protocol version');
+            }
+            // A bare version byte tells the initiator which version we speak
+            return { message: NostrUtils.bytesToHex(Negentropy._concat(output)), have, need };
+        }
+        
+        let prevBound = { timestamp: 0, id: new Uint8Array(0) };
+        let prevIndex = 0;
+        let skip = false;
+        
+        while (!reader.isDone()) {
+            const out = [];
+            
+            // Ranges that need no reply are folded into the next range we do reply about
+            const flushSkip = () => {
+                if (skip) {
+                    skip = false;
+                    out.push(this._encodeBound(prevBound), Negentropy._encodeVarint(MODE_SKIP));
+                }
+            };
+            
+            const currBound = this._decodeBound(reader);
+            const mode = reader.readVarint();
+            
+            const lower = prevIndex;
+            const upper = this._findLowerBound(prevIndex, this.items.length, currBound);
+            
+            if (mode === MODE_SKIP) {
+                skip = true;
+            } else if (mode === MODE_FINGERPRINT) {
+                const theirs = reader.read(FINGERPRINT_SIZE);
+                const ours = await this._fingerprint(lower, upper);
+                
+                if (Negentropy._compareBytes(theirs, ours) !== 0) {
+                    flushSkip();
+                    out.push(await this._splitRange(lower, upper, currBound));
+                } else {
+                    skip = true;
+                }
+            } else if (mode === MODE_ID_LIST) {
+                const count = reader.readVarint();
+                const theirIds = new Set();
+                for (let i = 0; i < count; i++) {
+                    theirIds.add(NostrUtils.bytesToHex(reader.read(ID_SIZE)));
+                }
+                
+                if (this.isInitiator) {
+                    skip = true;
+                    for (let i = lower; i < upper; i++) {
+                        const id = NostrUtils.bytesToHex(this.items[i].id);
+                        if (theirIds.has(id)) {
+                            theirIds.delete(id);
+                        } else {
+                            have.push(id);
+                        }
+                    }
+                    need.push(...theirIds);
+                } else {
+                    flushSkip();
+                    out.push(this._encodeBound(currBound), Negentropy._encodeVarint(MODE_ID_LIST),
+                        Negentropy._encodeVarint(upper - lower));
+                    for (let i = lower; i < upper; i++) {
+                        out.push(this.items[i].id);
+                    }
+                }
+            } else {
+                throw new Error(`Unknown negentropy range mode ${mode}`);
+            }
+            
+            output.push(...out);
+            prevIndex = upper;
+            prevBound = currBound;
+        }
+        
+        const reply = Negentropy._concat(output);
+        return {
+            message: this.isInitiator && reply.length === 1 ? null : NostrUtils.bytesToHex(reply),
+            have,
+            need
+        };
+    }
+    
+    /**
+     * Describe items [lower, upper) as one ID list, or as fingerprints of BUCKETS sub-ranges
+     * @private
+     */
+    async _splitRange(lower, upper, upperBound) {
+        const count = upper - lower;
+        const out = [];
+        
+        if (count < BUCKETS * 2) {
+            out.push(this._encodeBound(upperBound), Negentropy._encodeVarint(MODE_ID_LIST), Negentropy._encodeVarint(count));
+            for (let i = lower; i < upper; i++) {
+                out.push(this.items[i].id);
+            }
+            return Negentropy._concat(out);
+        }
+        
+        const perBucket = Math.floor(count / BUCKETS);
+        const withExtra = count % BUCKETS;
+        let current = lower;
+        
+        for (let i = 0; i < BUCKETS; i++) {
+            const size = perBucket + (i < withExtra ? 1 : 0);
+            const fingerprint = await this._fingerprint(current, current + size);
+            current += size;
+            
+            const bound = current === upper
+                ? upperBound
+                : Negentropy._minimalBound(this.items[current - 1], this.items[current]);
+            out.push(this._encodeBound(bound), Negentropy._encodeVarint(MODE_FINGERPRINT), fingerprint);
+        }
+        return Negentropy._concat(out);
+    }
+    
+    /**
+     * Fingerprint of items [lower, upper): the first 16 bytes of
+     * sha256(sum of IDs as little-endian 256-bit numbers || varint(count))
+     * @private
+     */
+    async _fingerprint(lower, upper) {
+        const sum = new Uint8Array(ID_SIZE);
+        for (let i = lower; i < upper; i++) {
+            const id = this.items[i].id;
+            let carry = 0;
+            for (let j = 0; j < ID_SIZE; j++) {
+                const total = sum[j] + id[j] + carry;
+                sum[j] = total & 0xff;
+                carry = total >> 8;
+            }
+        }
+        
+        const input = Negentropy._concat([sum, Negentropy._encodeVarint(upper - lower)]);
+        const hash = await Negentropy._sha256(input);
+        return hash.subarray(0, FINGERPRINT_SIZE);
+    }
+    
+    /**
+     * Index of the first item in [begin, end) that is not below the bound
+     * @private
+     */
+    _findLowerBound(begin, end, bound) {
+        let low = begin;
+        let high = end;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (Negentropy._compareItems(this.items[middle], bound) < 0) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+    
+    /**
+     * Timestamps are sent as the difference from the previous bound in the same message
+     * @private
+     */
+    _encodeBound(bound) {
+        let timestamp;
+        if (bound.timestamp === Infinity) {
+            this.lastTimestampOut = Infinity;
+            timestamp = Negentropy._encodeVarint(0);
+        } else {
+            timestamp = Negentropy._encodeVarint(bound.timestamp - this.lastTimestampOut + 1);
+            this.lastTimestampOut = bound.timestamp;
+        }
+        return Negentropy._concat([timestamp, Negentropy._encodeVarint(bound.id.length), bound.id]);
+    }
+    
+    /**
+     * @private
+     */
+    _decodeBound(reader) {
+        const encoded = reader.readVarint();
+        let timestamp = encoded === 0 ? Infinity : encoded - 1;
+        if (this.lastTimestampIn === Infinity || timestamp === Infinity) {
+            timestamp = Infinity;
+        } else {
+            timestamp += this.lastTimestampIn;
+        }
+        this.lastTimestampIn = timestamp;
+        
+        const idLength = reader.readVarint();
+        if (idLength > ID_SIZE) {
+            throw new Error('Negentropy bound ID is too long');
+        }
+        return { timestamp, id: reader.read(idLength) };
+    }
+    
+    /**
+     * Shortest bound that sorts after prev and not after curr
+     * @private
+     */
+    static _minimalBound(prev, curr) {
+        if (curr.timestamp !== prev.timestamp) {
+            return { timestamp: curr.timestamp, id: new Uint8Array(0) };
+        }
+        
+        let shared = 0;
+        while (shared < ID_SIZE && curr.id[shared] === prev.id[shared]) {
+            shared++;
+        }
+        return { timestamp: curr.timestamp, id: curr.id.slice(0, shared + 1) };
+    }
+    
+    /**
+     * Order by timestamp, then ID bytes; a bound's ID prefix sorts before IDs it starts
+     * @private
+     */
+    static _compareItems(a, b) {
+        if (a.timestamp !== b.timestamp) {
+            return a.timestamp < b.timestamp ? -1 : 1;
+        }
+        return Negentropy._compareBytes(a.id, b.id);
+    }
+    
+    /**
+     * @private
+     */
+    static _compareBytes(a, b) {
+        const length = Math.min(a.length, b.length);
+        for (let i = 0; i < length; i++) {
+            if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+        }
+        return a.length - b.length;
+    }
+    
+    /**
+     * @private
+     */
+    static _encodeVarint(value) {
+        const bytes = [value % 128];
+        value = Math.floor(value / 128);
+        while (value > 0) {
+            bytes.unshift((value % 128) | 0x80);
+            value = Math.floor(value / 128);
+        }
+        return new Uint8Array(bytes);
+    }
+    
+    /**
+     * @private
+     */
+    static _concat(parts) {
+        const length = parts.reduce((total, part) => total + part.length, 0);
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach(part => {
+            bytes.set(part, offset);
+            offset += part.length;
+        });
+        return bytes;
+    }
+    
+    /**
+     * @private
+     */
+    static async _sha256(bytes) {
+        const secp = nobleSecp256k1 || window.nobleSecp256k1;
+        return new Uint8Array(await secp.utils.sha256(bytes));
+    }
+}
+
+export default Negentropy;
@@ -0,0 +1,96 @@
+/**
+ * Nip07Signer.js
+ * Signer backed by a NIP-07 browser extension (window.nostr), so the key never enters the app
+ * See LocalSigner for the signer interface
+ */
+
+class Nip07Signer {
+    /**
+     * @param {Object} extension - The extension's window.nostr object (default: window.nostr)
+     */
+    constructor(extension = typeof window !== 'undefined' ? window.nostr : null) {
+        this.extension = extension || null;
+        this.pubkey = null; // Cached after the first request, so the user is only asked once
+    }
+    
+    /**
+     * Check whether a NIP-07 extension is installed
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        return typeof window !== 'undefined' && !!window.nostr;
+    }
+    
+    /**
+     * @returns {Promise<string>} - Hex public key
+     */
+    async getPublicKey() {
+        if (!this.pubkey) {
+            this.pubkey = await this._extension().getPublicKey();
+        }
+        return this.pubkey;
+    }
+    
+    /**
+     * @param {Object} event - Unsigned event
+     * @returns {Promise<Object>} - Signed event
+     */
+    async signEvent(event) {
+        const pubkey = await this.getPublicKey();
+        return this._extension().signEvent({ ...event, pubkey });
+    }
+    
+    /**
+     * @param {string} pubkey - Recipient's public key
+     * @param {string} text - Plain text
+     * @returns {Promise<string>} - NIP-04 ciphertext
+     */
+    async nip04Encrypt(pubkey, text) {
+        return this._extension('nip04').encrypt(pubkey, text);
+    }
+    
+    /**
+     * @param {string} pubkey - Sender's public key
+     * @param {string} ciphertext - NIP-04 ciphertext
+     * @returns {Promise<string>} - Plain text
+     */
+    async nip04Decrypt(pubkey, ciphertext) {
+        return this._extension('nip04').decrypt(pubkey, ciphertext);
+    }
+    
+    /**
+     * @param {string} pubkey - Recipient's public key
+     * @param {string} text - Plain text
+     * @returns {Promise<string>} - NIP-44 payload
+     */
+    async nip44Encrypt(pubkey, text) {
+        return this._extension('nip44').encrypt(pubkey, text);
+    }
+    
+    /**
+     * @param {string} pubkey - Sender's public key
+     * @param {string} payload - NIP-44 payload
+     * @returns {Promise<string>} - Plain text
+     */
+    async nip44Decrypt(pubkey, payload) {
+        return this._extension('nip44').decrypt(pubkey, payload);
+    }
+    
+    /**
+     * The extension, or one of its optional APIs (nip04, nip44)
+     * @private
+     */
+    _extension(api) {
+        if (!this.extension) {
+            throw new Error('No NIP-07 extension found');
+        }
+        if (!api) return this.extension;
+        
+        if (!this.extension[api]) {
+            throw new Error(`The NIP-07 extension does not support ${api}`);
+        }
+        return this.extension[api];
+    }
+}
+
+export default Nip07Signer;
@@ -0,0 +1,302 @@
+/**
+ * Nip46Signer.js
+ * NIP-46 remote signer ("bunker"): requests travel as encrypted kind 24133 events over relays
+ * to a signer app holding the user's key, so the key never enters this app
+ * See LocalSigner for the signer interface
+ */
+
+import WebSocketRelayManager from './WebSocketRelayManager.js';
+import NostrEvents from './NostrEvents.js';
+import LocalSigner from './LocalSigner.js';
+import { NostrUtils } from './NostrUtils.js';
+
+class Nip46Signer {
+    /**
+     * @param {string} bunkerUri - bunker://<remote signer pubkey>?relay=wss://...&secret=...
+     * @param {Object} options - Signer settings
+     * @param {string} options.clientSecretKey - Key this app talks to the signer with; reuse it to resume a session (default: a new key)
+     * @param {WebSocketRelayManager} options.relayManager - Manager for the signer's relays (default: a new one)
+     * @param {Object} options.transport - Transport for the default manager
+     * @param {number} options.timeout - How long to wait for each answer in ms; the user may have to approve (default 60000)
+     * @param {Function} options.onAuthUrl - Called with a URL the user must open to approve a request
+     */
+    constructor(bunkerUri, options = {}) {
+        const { remotePubkey, relays, secret } = Nip46Signer.parseBunkerUri(bunkerUri);
+        this.remotePubkey = remotePubkey; // The signer's pubkey, which need not be the user's
+        this.relays = relays;
+        this.secret = secret; // One-time connection secret from the bunker URI
+        
+        this.clientSecretKey = options.clientSecretKey || NostrUtils.generatePrivateKey();
+        this.clientSigner = new LocalSigner(this.clientSecretKey);
+        this.relayManager = options.relayManager || new WebSocketRelayManager({ transport: options.transport });
+        this.timeout = options.timeout || 60000;
+        this.onAuthUrl = options.onAuthUrl || null;
+        
+        this.pending = new Map(); // Map of request ID -> {resolve, reject, timer, method}
+        this.subscriptionId = null;
+        this.connection = null; // Promise for the connect handshake
+        this.pubkey = null; // The user's pubkey, once asked for
+    }
+    
+    /**
+     * Read a bunker:// URI
+     * @param {string} uri - bunker://<remote signer pubkey>?relay=...&secret=...
+     * @returns {Object} - {remotePubkey, relays, secret}
+     */
+    static parseBunkerUri(uri) {
+        const match = /^bunker:\/\/([0-9a-f]{64})\/?(?:\?(.*))?$/i.exec((uri || '').trim());
+        if (!match) {
+            throw new Error('Invalid bunker URI: expected bunker://<pubkey>?relay=...');
+        }
+        
+        const params = new URLSearchParams(match[2] || '');
+        const relays = [...new Set(params.getAll('relay')
+            .map(url => url.trim().replace(/\/+$/, ''))
+            .filter(url => /^wss?:\/\//.test(url)))];
+        if (relays.length === 0) {
+            throw new Error('Invalid bunker URI: no relay given');
+        }
+        
+        return { remotePubkey: match[1].toLowerCase(), relays, secret: params.get('secret') || null };
+    }
+    
+    /**
+     * Check whether an auth_url from a signer may be shown to the user
+     * @param {string} url - URL the signer sent
+     * @returns {boolean} - True for https URLs only
+     */
+    static isApprovalUrl(url) {
+        try {
+            return new URL(url).protocol === 'https:';
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    /**
+     * Bunker URI for resuming this session later; the one-time secret is left out
+     * @returns {string}
+     */
+    getBunkerUri() {
+        const query = this.relays.map(url => `relay=${encodeURIComponent(url)}`).join('&');
+        return `bunker://${this.remotePubkey}?${query}`;
+    }
+    
+    /**
+     * Connect to the signer's relays and introduce this app to the signer
+     * Every other method connects first, so calling this is optional
+     * @returns {Promise}
+     */
+    async connect() {
+        if (!this.connection) {
+            this.connection = this._connect().catch(e => {
+                this.connection = null;
+                throw e;
+            });
+        }
+        return this.connection;
+    }
+    
+    /**
+     * @returns {Promise<string>} - The user's hex public key
+     */
+    async getPublicKey() {
+        if (!this.pubkey) {
+            await this.connect();
+            this.pubkey = await this._request('get_public_key', []);
+        }
+        return this.pubkey;
+    }
+    
+    /**
+     * @param {Object} event - Unsigned event
+     * @returns {Promise<Object>} - Signed event
+     */
+    async signEvent(event) {
+        const pubkey = await this.getPublicKey();
+        const unsigned = {
+            kind: event.kind,
+            content: event.content,
+            tags: event.tags,
+            created_at: event.created_at,
+            pubkey
+        };
+        return JSON.parse(await this._request('sign_event', [JSON.stringify(unsigned)]));
+    }
+    
+    /**
+     * @param {string} pubkey - Recipient's public key
+     * @param {string} text - Plain text
+     * @returns {Promise<string>} - NIP-04 ciphertext
+     */
+    async nip04Encrypt(pubkey, text) {
+        await this.connect();
+        return this._request('nip04_encrypt', [pubkey, text]);
+    }
+    
+    /**
+     * @param {string} pubkey - Sender's public key
+     * @param {string} ciphertext - NIP-04 ciphertext
+     * @returns {Promise<string>} - Plain text
+     */
+    async nip04Decrypt(pubkey, ciphertext) {
+        await this.connect();
+        return this._request('nip04_decrypt', [pubkey, ciphertext]);
+    }
+    
+    /**
+     * @param {string} pubkey - Recipient's public key
+     * @param {string} text - Plain text
+     * @returns {Promise<string>} - NIP-44 payload
+     */
+    async nip44Encrypt(pubkey, text) {
+        await this.connect();
+        return this._request('nip44_encrypt', [pubkey, text]);
+    }
+    
+    /**
+     * @param {string} pubkey - Sender's public key
+     * @param {string} payload - NIP-44 payload
+     * @returns {Promise<string>} - Plain text
+     */
+    async nip44Decrypt(pubkey, payload) {
+        await this.connect();
+        return this._request('nip44_decrypt', [pubkey, payload]);
+    }
+    
+    /**
+     * Stop listening for answers and leave the signer's relays
+     */
+    close() {
+        this.pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(new Error('Remote signer closed'));
+        });
+        this.pending.clear();
+        
+        if (this.subscriptionId) {
+            this.relayManager.unsubscribe(this.subscriptionId);
+            this.subscriptionId = null;
+        }
+        this.relays.forEach(url => this.relayManager.removeRelay(url));
+        this.connection = null;
+    }
+    
+    /**
+     * @private
+     */
+    async _connect() {
+        await Promise.allSettled(this.relays.map(url => this.relayManager.addRelay(url)));
+        if (!this.relays.some(url => this.relayManager.getRelayStatus(url) === 'open')) {
+            throw new Error('Could not reach the remote signer\'s relays');
+        }
+        
+        // Answers are ephemeral events, so listen before asking anything
+        const clientPubkey = await this.clientSigner.getPublicKey();
+        this.subscriptionId = `nip46-${clientPubkey.substring(0, 8)}`;
+        await new Promise(resolve => {
+            const timer = setTimeout(resolve, 5000);
+            this.relayManager.subscribe(this.subscriptionId, [{
+                kinds: [NostrEvents.KIND_NOSTR_CONNECT],
+                '#p': [clientPubkey],
+                since: Math.floor(Date.now() / 1000) - 10
+            }], (event) => {
+                this._handleResponse(event).catch(e => {
+                    console.warn('Could not read remote signer answer:', e.message);
+                });
+            }, {
+                onEose: () => {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+        });
+        
+        const params = this.secret ? [this.remotePubkey, this.secret] : [this.remotePubkey];
+        const result = await this._request('connect', params);
+        if (result !== 'ack' && result !== this.secret) {
+            throw new Error('Remote signer refused the connection');
+        }
+        
+        // The secret is only good for the first connection
+        this.secret = null;
+        console.log(`Connected to remote signer ${this.remotePubkey.substring(0, 8)}...`);
+    }
+    
+    /**
+     * Send a JSON-RPC request to the signer and wait for its answer
+     * @private
+     */
+    async _request(method, params) {
+        const id = NostrUtils.generateRandomId();
+        const content = await this.clientSigner.nip44Encrypt(this.remotePubkey, JSON.stringify({ id, method, params }));
+        const event = await NostrEvents.createEvent(
+            NostrEvents.KIND_NOSTR_CONNECT,
+            content,
+            [['p', this.remotePubkey]],
+            this.clientSigner
+        );
+        
+        const answer = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`Remote signer did not answer ${method}`));
+            }, this.timeout);
+            this.pending.set(id, { resolve, reject, timer, method });
+        });
+        
+        try {
+            await this.relayManager.publish(event, { relays: this.relays });
+        } catch (e) {
+            const request = this.pending.get(id);
+            if (request) {
+                clearTimeout(request.timer);
+                this.pending.delete(id);
+            }
+            throw new Error(`Could not send ${method} to the remote signer: ${e.message}`);
+        }
+        
+        return answer;
+    }
+    
+    /**
+     * @private
+     */
+    async _handleResponse(event) {
+        if (event.pubkey !== this.remotePubkey) return;
+        
+        // Signers that predate NIP-44 answer with NIP-04, which decrypt detects
+        const message = JSON.parse(NostrUtils.decrypt(this.clientSecretKey, this.remotePubkey, event.content));
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        
+        // The real answer follows once the user approves at the URL
+        if (message.result === 'auth_url') {
+            console.log(`Remote signer wants approval for ${request.method}`);
+            
+            // Only web pages are offered to the user, never other schemes
+            if (!Nip46Signer.isApprovalUrl(message.error)) {
+                clearTimeout(request.timer);
+                this.pending.delete(message.id);
+                request.reject(new Error(`Remote signer asked for approval of ${request.method} at an address that is not https`));
+                return;
+            }
+            
+            if (this.onAuthUrl) {
+                this.onAuthUrl(message.error);
+            }
+            return;
+        }
+        
+        clearTimeout(request.timer);
+        this.pending.delete(message.id);
+        
+        if (message.error) {
+            request.reject(new Error(`Remote signer refused ${request.method}: ${message.error}`));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+}
+
+export default Nip46Signer;
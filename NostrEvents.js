@@ -5,6 +5,7 @@
  */
 
 import { NostrUtils } from './NostrUtils.js';
+import LocalSigner from './LocalSigner.js';
 
 class NostrEvents {
     /**
@@ -18,6 +19,7 @@ class NostrEvents {
      * - 9000: Group Put User (add a user to a group or update their role)
      * - 9001: Group Remove User (remove a user from a group)
      * - 9002: Group Edit Metadata (edit group metadata)
+     * - 9005: Group Delete Event (remove an event from a group)
      * - 9007: Group Create (create a new group)
      * - 9008: Group Delete (delete a group)
      * - 9009: Group Invite Create (create an invite code)
@@ -30,6 +32,15 @@ class NostrEvents {
      * - 39002: Group Member List (maintained by relay)
      * - 39003: Group Roles List (maintained by relay)
      * 
+     * NIP-65 Events
+     * - 10002: Relay List Metadata (relays a user reads from and writes to)
+     * 
+     * NIP-42 Events
+     * - 22242: Client Authentication (sent to relays, never published)
+     * 
+     * NIP-46 Events
+     * - 24133: Nostr Connect (encrypted requests to and answers from a remote signer)
+     * 
      * Custom Hypertuna Events
      * - 30166: Hypertuna Relay Event
      */
@@ -43,6 +54,7 @@ class NostrEvents {
     static KIND_GROUP_PUT_USER = 9000;
     static KIND_GROUP_REMOVE_USER = 9001;
     static KIND_GROUP_EDIT_METADATA = 9002;
+    static KIND_GROUP_DELETE_EVENT = 9005;
     static KIND_GROUP_CREATE = 9007;
     static KIND_GROUP_DELETE = 9008;
     static KIND_GROUP_INVITE_CREATE = 9009;
@@ -55,6 +67,15 @@ class NostrEvents {
     static KIND_GROUP_MEMBER_LIST = 39002;
     static KIND_GROUP_ROLES_LIST = 39003;
     
+    // NIP-65 event kinds
+    static KIND_RELAY_LIST = 10002;
+    
+    // NIP-42 event kinds
+    static KIND_CLIENT_AUTH = 22242;
+    
+    // NIP-46 event kinds
+    static KIND_NOSTR_CONNECT = 24133;
+    
     // Hypertuna custom events
     static KIND_HYPERTUNA_RELAY = 30166;
     
@@ -63,13 +84,21 @@ class NostrEvents {
      * @param {number} kind - Event kind
      * @param {string} content - Event content
      * @param {Array} tags - Event tags
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer (see LocalSigner), or a hex private key
      * @returns {Promise<Object>} - Signed event
      */
-    static async createEvent(kind, content, tags, privateKey) {
+    static async createEvent(kind, content, tags, signer) {
         console.log(`Creating event kind ${kind} with ${tags ? tags.length : 0} tags`);
         
-        const pubkey = NostrUtils.getPublicKey(privateKey);
+        if (!signer) {
+            throw new Error('No signer available');
+        }
+        const local = typeof signer === 'string' || signer instanceof LocalSigner;
+        if (typeof signer === 'string') {
+            signer = new LocalSigner(signer);
+        }
+        
+        const pubkey = await signer.getPublicKey();
         
         const event = {
             kind,
@@ -87,7 +116,18 @@ class NostrEvents {
             content_length: content.length
         });
         
-        const signedEvent = await NostrUtils.signEvent(event, privateKey);
+        const signedEvent = await signer.signEvent(event);
+        
+        // Extensions and remote signers are outside the app, so check they signed what we asked for
+        if (!local) {
+            const unchanged = signedEvent && signedEvent.pubkey === pubkey &&
+                signedEvent.kind === kind &&
+                signedEvent.content === event.content &&
+                JSON.stringify(signedEvent.tags) === JSON.stringify(event.tags);
+            if (!unchanged || !(await NostrUtils.verifySignature(signedEvent))) {
+                throw new Error('Signer returned an invalid event');
+            }
+        }
         
         console.log(`Event signed with ID: ${signedEvent.id.substring(0, 8)}...`);
         
@@ -97,10 +137,10 @@ class NostrEvents {
     /**
      * Create a profile metadata event (kind 0)
      * @param {Object} profile - Profile data {name, about, picture, etc}
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer or hex private key
      * @returns {Promise<Object>} - Signed event
      */
-    static async createProfileEvent(profile, privateKey) {
+    static async createProfileEvent(profile, signer) {
         console.log('Creating profile event with data:', {
             name: profile.name,
             about: profile.about ? profile.about.substring(0, 30) + '...' : undefined,
@@ -111,24 +151,48 @@ class NostrEvents {
             this.KIND_METADATA,
             JSON.stringify(profile),
             [],
-            privateKey
+            signer
         );
     }
     
     
+    /**
+     * Create a relay list event (kind 10002)
+     * @param {Array} relays - Relay URLs, or {url, read, write} objects for read-only or write-only relays
+     * @param {Object|string} signer - Signer or hex private key
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async createRelayListEvent(relays, signer) {
+        const tags = relays.map(relay => {
+            if (typeof relay === 'string') return ['r', relay];
+            
+            // Relays used both ways carry no marker
+            if (relay.read && !relay.write) return ['r', relay.url, 'read'];
+            if (relay.write && !relay.read) return ['r', relay.url, 'write'];
+            return ['r', relay.url];
+        });
+        
+        return this.createEvent(
+            this.KIND_RELAY_LIST,
+            '',
+            tags,
+            signer
+        );
+    }
+    
     /**
      * Create a text note (kind 1)
      * @param {string} content - Message content
      * @param {Array} tags - Event tags
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer or hex private key
      * @returns {Promise<Object>} - Signed event
      */
-    static async createTextNote(content, tags, privateKey) {
+    static async createTextNote(content, tags, signer) {
         return this.createEvent(
             this.KIND_TEXT_NOTE,
             content,
             tags,
-            privateKey
+            signer
         );
     }
     
@@ -137,10 +201,10 @@ class NostrEvents {
      * @param {string} groupId - Group ID
      * @param {string} content - Message content
      * @param {Array} previousEvents - Optional array of previous event IDs for threading
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer or hex private key
      * @returns {Promise<Object>} - Signed event
      */
-    static async createGroupMessage(groupId, content, previousEvents, privateKey) {
+    static async createGroupMessage(groupId, content, previousEvents, signer) {
         console.log(`Creating group message for group ${groupId.substring(0, 8)}...`);
         console.log(`Message content length: ${content.length}`);
         
@@ -158,7 +222,7 @@ class NostrEvents {
             });
         }
         
-        return this.createTextNote(content, tags, privateKey);
+        return this.createTextNote(content, tags, signer);
     }
     
     /**
@@ -167,10 +231,11 @@ class NostrEvents {
      * @param {string} about - Group description
      * @param {boolean} isPublic - Whether group is public
      * @param {boolean} isOpen - Whether group is open (anyone can join)
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer or hex private key
+     * @param {string} relayUrl - Relay hosting the group, named in the Hypertuna relay event (optional)
      * @returns {Promise<Object>} - Collection of events for group creation
      */
-    static async createGroupCreationEvent(name, about, isPublic, isOpen, privateKey) {
+    static async createGroupCreationEvent(name, about, isPublic, isOpen, signer, relayUrl = null) {
         const groupId = NostrUtils.generateRandomId();
         const hypertunaId = NostrUtils.generateRandomId();
         
@@ -204,7 +269,7 @@ class NostrEvents {
             this.KIND_GROUP_CREATE,
             `Created group: ${name}`,
             groupTags,
-            privateKey
+            signer
         );
         
         // Create the kind 39000 group metadata event (with 'd' tag instead of 'h')
@@ -232,7 +297,7 @@ class NostrEvents {
             this.KIND_GROUP_METADATA,
             `Group metadata for: ${name}`,
             metadataTags,
-            privateKey
+            signer
         );
         
         // Create the kind 30166 Hypertuna relay event
@@ -242,12 +307,15 @@ class NostrEvents {
             ['h', groupId],
             ['i', 'hypertuna:relay']
         ];
+        if (relayUrl) {
+            hypertunaRelayTags.push(['relay', relayUrl]);
+        }
         
         const hypertunaEvent = await this.createEvent(
             this.KIND_HYPERTUNA_RELAY,
             `Hypertuna relay for group: ${name}`,
             hypertunaRelayTags,
-            privateKey
+            signer
         );
         
         return {
@@ -264,10 +332,10 @@ class NostrEvents {
      * @param {string} groupId - Group ID
      * @param {string} hypertunaId - Hypertuna ID for the group
      * @param {Object} metadata - Group metadata
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer or hex private key
      * @returns {Promise<Object>} - Metadata edit event and updated metadata event
      */
-    static async createGroupMetadataEditEvents(groupId, hypertunaId, metadata, privateKey) {
+    static async createGroupMetadataEditEvents(groupId, hypertunaId, metadata, signer) {
         console.log(`Creating group metadata edit events for group ${groupId}`);
         console.log(`Using hypertuna ID: ${hypertunaId}`);
         console.log(`Updated metadata:`, metadata);
@@ -299,7 +367,7 @@ class NostrEvents {
             this.KIND_GROUP_EDIT_METADATA,
             'Updating group metadata',
             editTags,
-            privateKey
+            signer
         );
         
         // Create updated kind 39000 group metadata event
@@ -335,7 +403,7 @@ class NostrEvents {
             this.KIND_GROUP_METADATA,
             `Updated metadata for group: ${metadata.name || 'Unnamed Group'}`,
             metadataTags,
-            privateKey
+            signer
         );
         
         return {
@@ -348,10 +416,10 @@ class NostrEvents {
      * Create a join request event (kind 9021)
      * @param {string} groupId - Group ID
      * @param {string} inviteCode - Optional invite code for closed groups
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer or hex private key
      * @returns {Promise<Object>} - Signed event
      */
-    static async createGroupJoinRequest(groupId, inviteCode, privateKey) {
+    static async createGroupJoinRequest(groupId, inviteCode, signer) {
         const tags = [
             ['h', groupId]
         ];
@@ -364,22 +432,22 @@ class NostrEvents {
             this.KIND_GROUP_JOIN_REQUEST,
             'Request to join the group',
             tags,
-            privateKey
+            signer
         );
     }
     
     /**
      * Create a leave request event (kind 9022)
      * @param {string} groupId - Group ID
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer or hex private key
      * @returns {Promise<Object>} - Signed event
      */
-    static async createGroupLeaveRequest(groupId, privateKey) {
+    static async createGroupLeaveRequest(groupId, signer) {
         return this.createEvent(
             this.KIND_GROUP_LEAVE_REQUEST,
             'Request to leave the group',
             [['h', groupId]],
-            privateKey
+            signer
         );
     }
     
@@ -388,10 +456,10 @@ class NostrEvents {
      * @param {string} groupId - Group ID
      * @param {string} pubkey - Public key of user to add/update
      * @param {Array} roles - Array of roles for the user
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer or hex private key
      * @returns {Promise<Object>} - Signed event
      */
-    static async createPutUserEvent(groupId, pubkey, roles, privateKey) {
+    static async createPutUserEvent(groupId, pubkey, roles, signer) {
         const tags = [
             ['h', groupId],
             ['p', pubkey, ...(roles || ['member'])]
@@ -401,7 +469,7 @@ class NostrEvents {
             this.KIND_GROUP_PUT_USER,
             `Adding user with roles: ${(roles || ['member']).join(', ')}`,
             tags,
-            privateKey
+            signer
         );
     }
     
@@ -409,10 +477,10 @@ class NostrEvents {
      * Create a remove user event (kind 9001)
      * @param {string} groupId - Group ID
      * @param {string} pubkey - Public key of user to remove
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer or hex private key
      * @returns {Promise<Object>} - Signed event
      */
-    static async createRemoveUserEvent(groupId, pubkey, privateKey) {
+    static async createRemoveUserEvent(groupId, pubkey, signer) {
         const tags = [
             ['h', groupId],
             ['p', pubkey]
@@ -422,22 +490,23 @@ class NostrEvents {
             this.KIND_GROUP_REMOVE_USER,
             'Removing user from group',
             tags,
-            privateKey
+            signer
         );
     }
     
     /**
      * Create a group invite event (kind 9009)
      * @param {string} groupId - Group ID
-     * @param {string} privateKey - Private key for signing
+     * @param {string} inviteCode - Code that lets its holder join the group
+     * @param {Object|string} signer - Signer or hex private key
      * @returns {Promise<Object>} - Signed event
      */
-    static async createGroupInviteEvent(groupId, privateKey) {
+    static async createGroupInviteEvent(groupId, inviteCode, signer) {
         return this.createEvent(
             this.KIND_GROUP_INVITE_CREATE,
             'Creating invite code',
-            [['h', groupId]],
-            privateKey
+            [['h', groupId], ['code', inviteCode]],
+            signer
         );
     }
     
@@ -445,11 +514,11 @@ class NostrEvents {
      * Create a group metadata edit event (kind 9002)
      * @param {string} groupId - Group ID
      * @param {Object} metadata - Group metadata
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer or hex private key
      * @returns {Promise<Object>} - Signed event
      * @deprecated Use createGroupMetadataEditEvents instead
      */
-    static async createGroupMetadataEditEvent(groupId, metadata, privateKey) {
+    static async createGroupMetadataEditEvent(groupId, metadata, signer) {
         const tags = [
             ['h', groupId]
         ];
@@ -474,22 +543,41 @@ class NostrEvents {
             this.KIND_GROUP_EDIT_METADATA,
             'Updating group metadata',
             tags,
-            privateKey
+            signer
+        );
+    }
+    
+    /**
+     * Create a relay authentication event (kind 22242)
+     * @param {string} relayUrl - URL of the relay that sent the challenge
+     * @param {string} challenge - Challenge string from the relay's AUTH message
+     * @param {Object|string} signer - Signer or hex private key
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async createAuthEvent(relayUrl, challenge, signer) {
+        return this.createEvent(
+            this.KIND_CLIENT_AUTH,
+            '',
+            [
+                ['relay', relayUrl],
+                ['challenge', challenge]
+            ],
+            signer
         );
     }
     
     /**
      * Create a group delete event (kind 9008)
      * @param {string} groupId - Group ID
-     * @param {string} privateKey - Private key for signing
+     * @param {Object|string} signer - Signer or hex private key
      * @returns {Promise<Object>} - Signed event
      */
-    static async createGroupDeleteEvent(groupId, privateKey) {
+    static async createGroupDeleteEvent(groupId, signer) {
         return this.createEvent(
             this.KIND_GROUP_DELETE,
             'Deleting group',
             [['h', groupId]],
-            privateKey
+            signer
         );
     }
     
@@ -566,6 +654,43 @@ class NostrEvents {
             }));
     }
     
+    /**
+     * Parse a relay list event
+     * @param {Object} event - Relay list event (kind 10002)
+     * @returns {Object} - {read, write} arrays of relay URLs
+     */
+    static parseRelayList(event) {
+        const relays = { read: [], write: [] };
+        if (!event || event.kind !== this.KIND_RELAY_LIST) {
+            return relays;
+        }
+        
+        event.tags.forEach(tag => {
+            if (tag[0] !== 'r' || typeof tag[1] !== 'string') return;
+            
+            const url = tag[1].trim().replace(/\/+$/, '');
+            if (!/^wss?:\/\/[^\s]+$/i.test(url)) return;
+            
+            if (tag[2] !== 'write' && !relays.read.includes(url)) relays.read.push(url);
+            if (tag[2] !== 'read' && !relays.write.includes(url)) relays.write.push(url);
+        });
+        
+        return relays;
+    }
+    
+    /**
+     * Get the relay a Hypertuna relay event names as hosting its group
+     * @param {Object} event - Hypertuna relay event (kind 30166)
+     * @returns {string|null} - ws:// or wss:// relay URL, or null if the event names none
+     */
+    static parseHypertunaRelayUrl(event) {
+        if (!event || event.kind !== this.KIND_HYPERTUNA_RELAY) {
+            return null;
+        }
+        
+        return NostrUtils.normalizeRelayUrl(this._getTagValue(event, 'relay'));
+    }
+    
     /**
      * Helper method to get a tag value
      * @private
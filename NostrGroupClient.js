@@ -7,25 +7,49 @@
 
 import WebSocketRelayManager from './WebSocketRelayManager.js';
 import NostrEvents from './NostrEvents.js';
+import LocalSigner from './LocalSigner.js';
 import { NostrUtils } from './NostrUtils.js';
+import SubscriptionPlanner from './SubscriptionPlanner.js';
+import Outbox from './Outbox.js';
 
 class NostrGroupClient {
-    constructor(debugMode = true) {
-        this.relayManager = new WebSocketRelayManager();
+    /**
+     * @param {boolean} debugMode - Log every received event
+     * @param {Object} options - Options passed to WebSocketRelayManager, e.g. {transport}
+     * @param {Object} options.planner - Options passed to SubscriptionPlanner
+     * @param {EventStore} options.eventStore - Store that keeps received events across restarts, in a
+     *                                           database per user named 'hypertuna-events:<pubkey>'
+     * @param {Object} options.outbox - Options passed to Outbox, which is saved per user under 'nostr_outbox:<pubkey>'
+     * @param {number} options.maxAuthorRelays - Most of an author's NIP-65 write relays to query (default 3)
+     */
+    constructor(debugMode = true, options = {}) {
+        this.relayManager = new WebSocketRelayManager(options);
+        this.subscriptionPlanner = new SubscriptionPlanner(this.relayManager, options.planner);
+        this.eventStore = options.eventStore || null;
+        this.hydrated = null; // Pubkey of the user whose state has been rebuilt from the event store
+        this.outbox = new Outbox(this.relayManager, { ...options.outbox, storageKey: null }); // Loaded once the user is known
         this.user = null;
+        this.signer = null; // Signs the user's events, see LocalSigner
         this.groups = new Map(); // Map of groupId -> group metadata
         this.groupMembers = new Map(); // Map of groupId -> member list
         this.groupAdmins = new Map(); // Map of groupId -> admin list
         this.groupMessages = new Map(); // Map of groupId -> messages
+        this.groupMessageIds = new Map(); // Map of groupId -> Set of message IDs already stored
+        this.groupHistory = new Map(); // Map of groupId -> {liveSince, cursor, fullyLoaded, loading} for paging back
+        this.groupStats = new Map(); // Map of groupId -> {days, fetchedAt, promise} for getGroupStats
         this.groupInvites = new Map(); // Map of groupId -> invite codes
         this.eventListeners = new Map(); // Map of event type -> array of callbacks
         this.cachedProfiles = new Map(); // Map of pubkey -> profile metadata
+        this.relayLists = new Map(); // Map of pubkey -> {read, write, created_at} from NIP-65 relay lists
+        this.relayListChecked = new Set(); // Set of pubkeys whose relay list has been looked up
+        this.maxAuthorRelays = options.maxAuthorRelays || 3; // Most write relays asked per author
         this.follows = new Set(); // Set of pubkeys the user follows (kind 3)
         this.relevantPubkeys = new Set(); // Set of pubkeys relevant to the user
-        this.activeSubscriptions = new Set(); // Keep track of active subscription IDs
+        this.activeSubscriptions = new Set(); // Keep track of active logical subscription IDs
         this.eventCallbacks = []; // Array of callbacks for received events
         this.hypertunaGroups = new Map(); // Map of hypertunaId -> groupId
         this.groupHypertunaIds = new Map(); // Map of groupId -> hypertunaId
+        this.groupRelays = new Map(); // Map of groupId -> relay URL named by the group's Hypertuna relay event
         this.debugMode = debugMode;
 
         // Setup default event handlers
@@ -47,7 +71,7 @@ class NostrGroupClient {
     
     /**
      * Initialize the client
-     * @param {Object} user - User object with privateKey and pubkey
+     * @param {Object} user - User object with pubkey, and a signer or privateKey
      * @param {Array} relayUrls - Array of relay URLs to connect to
      * @returns {Promise} - Resolves when initialized
      */
@@ -58,6 +82,27 @@ class NostrGroupClient {
         // Add user's pubkey to relevant pubkeys
         this.relevantPubkeys.add(user.pubkey);
         
+        // Sign events and answer NIP-42 AUTH challenges with the user's signer
+        this.setSigner(user.signer || (user.privateKey ? new LocalSigner(user.privateKey) : null));
+        
+        // Start from what we stored last time, before any relay answers; each user has their own
+        // database so another account's events never stand in for ours, e.g. as a `since`
+        if (this.eventStore && this.hydrated !== user.pubkey) {
+            await this.eventStore.useDatabase(`hypertuna-events:${user.pubkey}`);
+            this._hydrateFromStore();
+            this.hydrated = user.pubkey;
+        }
+        
+        // Each user has their own outbox, so another account's events are never retried as ours
+        this.outbox.setStorageKey(`nostr_outbox:${user.pubkey}`);
+        
+        // Messages still in the outbox were never seen by a relay, so put them back ourselves
+        this.outbox.getUnsent().forEach(({ event }) => {
+            if (event.kind === NostrEvents.KIND_TEXT_NOTE && event.pubkey === user.pubkey) {
+                this._processGroupMessageEvent(event, false);
+            }
+        });
+        
         // Connect to relays
         const connPromises = relayUrls.map(url => this.relayManager.addRelay(url));
         await Promise.allSettled(connPromises);
@@ -76,6 +121,35 @@ class NostrGroupClient {
         return this;
     }
     
+    /**
+     * Forget the user's signer and the events they have not got out yet, when they log out
+     */
+    logout() {
+        this.outbox.clear();
+        this.setSigner(null);
+    }
+    
+    /**
+     * Swap the user's signing key, e.g. when the app locks
+     * Without a key the client keeps receiving events but cannot sign or answer AUTH
+     * @param {string|null} privateKey - Hex private key, or null
+     */
+    setPrivateKey(privateKey) {
+        if (!this.user) return;
+        
+        this.user.privateKey = privateKey || null;
+        this.setSigner(this.user.privateKey ? new LocalSigner(this.user.privateKey) : null);
+    }
+    
+    /**
+     * Sign with a NIP-07 extension or NIP-46 remote signer instead of a key held by the app
+     * @param {Object|null} signer - Signer (see LocalSigner), or null
+     */
+    setSigner(signer) {
+        this.signer = signer || null;
+        this.relayManager.setSigner(this.signer);
+    }
+    
     /**
      * Set up event handlers
      * @private
@@ -84,6 +158,20 @@ class NostrGroupClient {
         // Handle relay connections
         this.relayManager.onConnect((relayUrl) => {
             this.emit('relay:connect', { relayUrl });
+            
+            // Temporary relays only serve the author queries that opened them
+            if (this.relayManager.isTemporaryRelay(relayUrl)) return;
+            
+            // Catch up on messages posted to our groups while we were away from this relay;
+            // without negentropy the content subscription's since-based REQ already does this
+            this.groupMessages.forEach((messages, groupId) => {
+                if (!this.relayManager.canReconcile(relayUrl)) return;
+                if (messages.length > 0 && this.subscriptionPlanner.has(`group-content-${groupId.substring(0, 8)}`)) {
+                    this.syncGroupMessages(groupId, [relayUrl]).catch(e => {
+                        console.error(`Error syncing group ${groupId} with ${relayUrl}:`, e);
+                    });
+                }
+            });
         });
         
         // Handle relay disconnections
@@ -91,8 +179,50 @@ class NostrGroupClient {
             this.emit('relay:disconnect', { relayUrl });
         });
         
-        // Handle all events
+        // Handle relays that could not be reconnected
+        this.relayManager.onRelayDead((relayUrl) => {
+            this.emit('relay:dead', { relayUrl });
+        });
+        
+        // Handle relay authentication changes
+        this.relayManager.onAuth((relayUrl, status) => {
+            this.emit('relay:auth', { relayUrl, status });
+        });
+        
+        // Handle fetched relay information documents
+        this.relayManager.onRelayInfo((relayUrl, info) => {
+            this.emit('relay:info', { relayUrl, info });
+        });
+        
+        // Handle subscription lifecycle changes
+        this.relayManager.onSubscriptionState((change) => {
+            this.emit('subscription:state', change);
+            
+            if (change.state === 'closed' && change.reason) {
+                this._handleSubscriptionClosed(change.relayUrl, change.subscriptionId, change.reason);
+            }
+        });
+        
+        // Handle publish progress of our own events
+        this.outbox.onChange((eventId, state) => {
+            this.emit('publish:state', { eventId, state });
+        });
+        
+        // Handle copies of known events arriving from other relays
+        this.relayManager.onEventSeen((eventId, relayUrl, relays) => {
+            if (this.eventStore) {
+                this.eventStore.markSeen(eventId, relayUrl);
+            }
+            this.emit('event:seen', { eventId, relayUrl, relays });
+        });
+        
+        // Handle all events, delivered once per event ID
         this.relayManager.onEvent((event, relayUrl) => {
+            // Keep everything relays send us so the next start can begin from it
+            if (this.eventStore) {
+                this.eventStore.add(event, relayUrl);
+            }
+            
             // Skip processing events from irrelevant pubkeys
             if (this._shouldProcessEvent(event)) {
                 this._processEvent(event, relayUrl);
@@ -193,6 +323,32 @@ class NostrGroupClient {
         }
     }
     
+    /**
+     * React to a relay closing one of our subscriptions
+     * auth-required closures are replayed by the relay manager once AUTH succeeds
+     * @param {string} relayUrl - Relay that closed the subscription
+     * @param {string} subscriptionId - Wire subscription ID
+     * @param {string} reason - Reason from the CLOSED message
+     * @private
+     */
+    _handleSubscriptionClosed(relayUrl, subscriptionId, reason) {
+        // Only manage long-lived subscriptions this client owns
+        if (!this.subscriptionPlanner.hasWireSubscription(subscriptionId)) return;
+        
+        console.warn(`Subscription ${subscriptionId} closed by ${relayUrl}: ${reason}`);
+        
+        if (reason.startsWith('error:') && reason.includes('too many filters')) {
+            this.subscriptionPlanner.splitOnRelay(relayUrl, subscriptionId);
+        } else if (reason.startsWith('rate-limited:')) {
+            // Try again on the same relay after backing off
+            setTimeout(() => {
+                if (this.subscriptionPlanner.hasWireSubscription(subscriptionId)) {
+                    this.relayManager.resubscribe(relayUrl, subscriptionId);
+                }
+            }, 10000);
+        }
+    }
+    
     /**
      * Fetch the user's follows (kind 3 contact list)
      * @private
@@ -200,36 +356,79 @@ class NostrGroupClient {
     async fetchUserFollows() {
         if (!this.user || !this.user.pubkey) return;
         
-        // Create a temporary subscription for the user's contact list
-        return new Promise((resolve) => {
-            const subId = `contacts-${this.user.pubkey.substring(0, 8)}`;
-            
-            // Set a timeout for this operation
-            const timeoutId = setTimeout(() => {
-                this.relayManager.unsubscribe(subId);
-                resolve(); // Resolve anyway if timeout occurs
-            }, 5000);
-            
-            // Subscribe to the user's contacts
-            this.relayManager.subscribe(subId, [
-                { kinds: [3], authors: [this.user.pubkey], limit: 1 }
-            ], (event) => {
-                if (event.kind === 3 && event.pubkey === this.user.pubkey) {
-                    // Extract all followed pubkeys from p tags
-                    event.tags.forEach(tag => {
-                        if (tag[0] === 'p' && tag[1]) {
-                            this.follows.add(tag[1]);
-                            this.relevantPubkeys.add(tag[1]);
-                        }
-                    });
-                    
-                    // Clean up
-                    clearTimeout(timeoutId);
-                    this.relayManager.unsubscribe(subId);
-                    resolve();
+        // Query the user's contact list and use the newest version
+        const events = await this._queryAuthorEvents(this.user.pubkey, [
+            { kinds: [3], authors: [this.user.pubkey], limit: 1 }
+        ]);
+        
+        const contactList = events.find(event => event.kind === 3 && event.pubkey === this.user.pubkey);
+        if (!contactList) return;
+        
+        // Extract all followed pubkeys from p tags
+        contactList.tags.forEach(tag => {
+            if (tag[0] === 'p' && tag[1]) {
+                this.follows.add(tag[1]);
+                this.relevantPubkeys.add(tag[1]);
+            }
+        });
+    }
+    
+    /**
+     * Rebuild profiles, follows, groups, members and recent messages from the event store
+     * so the UI has data before relays answer
+     * @private
+     */
+    _hydrateFromStore() {
+        const store = this.eventStore;
+        
+        // The store returns newest first; apply oldest first so the newest version wins
+        const oldestFirst = (filters) => store.query(filters).reverse();
+        
+        oldestFirst([{ kinds: [NostrEvents.KIND_METADATA] }])
+            .forEach(event => this._processProfileEvent(event));
+        oldestFirst([{ kinds: [NostrEvents.KIND_RELAY_LIST] }])
+            .forEach(event => this._processRelayListEvent(event));
+        
+        const contactList = store.query([{ kinds: [3], authors: [this.user.pubkey], limit: 1 }])[0];
+        if (contactList) {
+            contactList.tags.forEach(tag => {
+                if (tag[0] === 'p' && tag[1]) {
+                    this.follows.add(tag[1]);
+                    this.relevantPubkeys.add(tag[1]);
                 }
             });
+        }
+        
+        oldestFirst([{ kinds: [NostrEvents.KIND_HYPERTUNA_RELAY] }])
+            .forEach(event => this._processHypertunaRelayEvent(event));
+        oldestFirst([{ kinds: [NostrEvents.KIND_GROUP_METADATA] }])
+            .forEach(event => this._processGroupMetadataEvent(event));
+        
+        // Messages go before membership so content subscriptions start after the newest stored message.
+        // Only recent messages are loaded; older ones come back through loadOlderMessages
+        this.groups.forEach((group, groupId) => {
+            oldestFirst([{ kinds: [NostrEvents.KIND_TEXT_NOTE], '#h': [groupId], limit: 200 }])
+                .forEach(event => this._processGroupMessageEvent(event, false));
         });
+        
+        oldestFirst([{ kinds: [NostrEvents.KIND_GROUP_ADMIN_LIST, NostrEvents.KIND_GROUP_MEMBER_LIST] }])
+            .forEach(event => this._processGroupMembershipEvent(event));
+        
+        console.log(`Hydrated from event store: ${this.groups.size} groups, ${this.cachedProfiles.size} profiles`);
+    }
+    
+    /**
+     * Planner options so each relay only sends events newer than the newest stored one it sent us
+     * A relay that hasn't sent us a matching event, e.g. one added since, is asked for everything
+     * @returns {Object} - Options for SubscriptionPlanner.add
+     * @private
+     */
+    _storedSince() {
+        if (!this.eventStore) return {};
+        
+        return {
+            since: (relayUrl, filter) => this.eventStore.getLatestTimestamp([filter], relayUrl)
+        };
     }
     
     /**
@@ -289,17 +488,20 @@ class NostrGroupClient {
         if (!this.user || !this.user.pubkey) return;
         
         // Clean up any existing subscriptions
-        this.activeSubscriptions.forEach(subId => {
-            this.relayManager.unsubscribe(subId);
-        });
+        this.subscriptionPlanner.clear();
         this.activeSubscriptions.clear();
         
         // Subscribe to user's own profile data
-        const profileSubId = this.relayManager.subscribe('user-profile', [
-            { kinds: [0], authors: [this.user.pubkey] }
+        const profileSubId = this.subscriptionPlanner.add('user-profile', [
+            { kinds: [0], authors: [this.user.pubkey] },
+            { kinds: [NostrEvents.KIND_RELAY_LIST], authors: [this.user.pubkey] }
         ], (event) => {
-            this._processProfileEvent(event);
-        });
+            if (event.kind === NostrEvents.KIND_RELAY_LIST) {
+                this._processRelayListEvent(event);
+            } else {
+                this._processProfileEvent(event);
+            }
+        }, this._storedSince());
         this.activeSubscriptions.add(profileSubId);
         
         // Subscribe to Hypertuna group metadata (kind 39000 with identifier tag)
@@ -308,7 +510,7 @@ class NostrGroupClient {
         const authorsToFollow = [this.user.pubkey, ...followsArray];
         
         // Updated to use 'i' tag with 'hypertuna:relay' value
-        const hypertunaGroupSubId = this.relayManager.subscribe('hypertuna-groups', [
+        const hypertunaGroupSubId = this.subscriptionPlanner.add('hypertuna-groups', [
             { 
                 kinds: [NostrEvents.KIND_GROUP_METADATA],
                 "#i": ["hypertuna:relay"]
@@ -340,12 +542,12 @@ class NostrGroupClient {
                 // Subscribe to membership events for this group
                 this._subscribeToGroupMembership(groupId);
             }
-        });
+        }, this._storedSince());
         this.activeSubscriptions.add(hypertunaGroupSubId);
         
         // Subscribe to Hypertuna relay events (kind 30166)
         // Using the 'i' tag filter instead of 'hypertuna'
-        const hypertunaRelaySubId = this.relayManager.subscribe('hypertuna-relays', [
+        const hypertunaRelaySubId = this.subscriptionPlanner.add('hypertuna-relays', [
             { kinds: [NostrEvents.KIND_HYPERTUNA_RELAY], "#i": ["hypertuna:relay"] }
         ], (event) => {
             console.log("Received hypertuna relay event:", {
@@ -355,11 +557,11 @@ class NostrGroupClient {
             });
             
             this._processHypertunaRelayEvent(event);
-        });
+        }, this._storedSince());
         this.activeSubscriptions.add(hypertunaRelaySubId);
         
         // Subscribe to group membership changes affecting user
-        const membershipSubId = this.relayManager.subscribe('user-groups', [
+        const membershipSubId = this.subscriptionPlanner.add('user-groups', [
             { 
                 kinds: [
                     NostrEvents.KIND_GROUP_MEMBER_LIST,
@@ -383,8 +585,16 @@ class NostrGroupClient {
                 // Subscribe to this group's events
                 this._subscribeToGroupContent(groupId);
             }
-        });
+        }, this._storedSince());
         this.activeSubscriptions.add(membershipSubId);
+        
+        // Groups already known from the event store keep their subscriptions
+        this.groups.forEach((group, groupId) => {
+            this._subscribeToGroupMembership(groupId);
+            if (this.isGroupMember(groupId, this.user.pubkey)) {
+                this._subscribeToGroupContent(groupId);
+            }
+        });
     }
     
     /**
@@ -402,8 +612,8 @@ class NostrGroupClient {
             return;
         }
         
-        // Subscribe to group member and admin lists
-        const actualSubId = this.relayManager.subscribe(subId, [
+        // Subscribe to group member and admin lists; the planner merges these across groups
+        const actualSubId = this.subscriptionPlanner.add(subId, [
             { 
                 kinds: [
                     NostrEvents.KIND_GROUP_MEMBER_LIST,
@@ -425,7 +635,7 @@ class NostrGroupClient {
             } else if (event.kind === NostrEvents.KIND_GROUP_ADMIN_LIST) {
                 this._processGroupAdminListEvent(event);
             }
-        });
+        }, this._storedSince());
         
         this.activeSubscriptions.add(actualSubId);
     }
@@ -440,11 +650,6 @@ class NostrGroupClient {
         
         const subId = `group-content-${groupId.substring(0, 8)}`;
         
-        // Check if we're already subscribed
-        if (this.activeSubscriptions.has(subId)) {
-            return;
-        }
-        
         // Get relevant pubkeys for this group
         const members = this.getGroupMembers(groupId);
         const memberPubkeys = members.map(m => m.pubkey);
@@ -455,14 +660,26 @@ class NostrGroupClient {
         });
         
         // Filter to only include pubkeys we're following or group members
-        const relevantAuthors = [...memberPubkeys, this.user.pubkey];
+        const relevantAuthors = [...new Set([...memberPubkeys, this.user.pubkey])];
+        
+        // The live subscription only carries new messages; history is paged in with loadOlderMessages
+        const isNew = !this.groupHistory.has(groupId);
+        const history = this._getGroupHistory(groupId);
+        if (isNew && this.getGroupMessages(groupId).length === 0) {
+            this.loadOlderMessages(groupId).catch(e => {
+                console.error(`Error loading history for group ${groupId}:`, e);
+            });
+        }
         
         // Subscribe to group messages from relevant authors
-        const actualSubId = this.relayManager.subscribe(subId, [
+        // Calling this again after membership changes replaces the author list;
+        // the planner only re-sends the REQ if the merged filters changed
+        const actualSubId = this.subscriptionPlanner.add(subId, [
             { 
                 kinds: [NostrEvents.KIND_TEXT_NOTE],
                 "#h": [groupId],
-                authors: relevantAuthors
+                authors: relevantAuthors,
+                since: history.liveSince
             }
         ], (event) => {
             this._processGroupMessageEvent(event);
@@ -503,6 +720,10 @@ class NostrGroupClient {
             case NostrEvents.KIND_HYPERTUNA_RELAY:
                 this._processHypertunaRelayEvent(event);
                 break;
+                
+            case NostrEvents.KIND_RELAY_LIST:
+                this._processRelayListEvent(event);
+                break;
         }
         
         // Emit event for any listeners
@@ -510,6 +731,104 @@ class NostrGroupClient {
         this.emit(`event:kind:${event.kind}`, { event, relayUrl });
     }
     
+    /**
+     * Process a relay list event (kind 10002), keeping the newest per author
+     * @param {Object} event - Relay list event
+     * @private
+     */
+    _processRelayListEvent(event) {
+        this.relayListChecked.add(event.pubkey);
+        
+        const existing = this.relayLists.get(event.pubkey);
+        if (existing && existing.created_at >= event.created_at) return;
+        
+        const { read, write } = NostrEvents.parseRelayList(event);
+        this.relayLists.set(event.pubkey, { read, write, created_at: event.created_at });
+        console.log(`Relay list for ${event.pubkey.substring(0, 8)}...: ${read.length} read, ${write.length} write`);
+        
+        this.emit('relaylist:update', { pubkey: event.pubkey, read, write });
+    }
+    
+    /**
+     * Query an author's events on our relays and on the author's NIP-65 write relays
+     * An author's relay list that isn't known yet is fetched along with the events, and their
+     * write relays are then only asked when our relays don't have what we're looking for
+     * @param {string} pubkey - Author public key
+     * @param {Array} filters - Filters for the author's events
+     * @returns {Promise<Array>} - Matching events, newest first
+     * @private
+     */
+    async _queryAuthorEvents(pubkey, filters) {
+        const known = this.relayListChecked.has(pubkey);
+        const writeRelays = known ? await this.relayManager.useRelays(this.getWriteRelays(pubkey)) : [];
+        const queried = Array.from(new Set([...this.relayManager.getRelays(), ...writeRelays]));
+        
+        const { events } = await this.relayManager.query(
+            known ? filters : [...filters, { kinds: [NostrEvents.KIND_RELAY_LIST], authors: [pubkey], limit: 1 }],
+            // Without write relays the manager picks the healthiest of our relays
+            { timeout: 5000, relays: writeRelays.length > 0 ? queried : undefined }
+        );
+        
+        if (!known) {
+            events.filter(event => event.kind === NostrEvents.KIND_RELAY_LIST && event.pubkey === pubkey)
+                .forEach(event => this._processRelayListEvent(event));
+            this.relayListChecked.add(pubkey);
+        }
+        
+        let found = events.filter(event => NostrUtils.matchFilters(event, filters));
+        
+        if (found.length === 0 && !known) {
+            const extra = (await this.relayManager.useRelays(this.getWriteRelays(pubkey)))
+                .filter(url => !queried.includes(url));
+            if (extra.length > 0) {
+                console.log(`Asking ${extra.length} write relay(s) of ${pubkey.substring(0, 8)}...`);
+                const result = await this.relayManager.query(filters, { timeout: 5000, relays: extra });
+                found = result.events.filter(event => NostrUtils.matchFilters(event, filters));
+            }
+        }
+        
+        return found.sort((a, b) => b.created_at - a.created_at);
+    }
+    
+    /**
+     * Get an author's NIP-65 relay list
+     * @param {string} pubkey - Public key
+     * @returns {Object|null} - {read, write, created_at}, or null if not known
+     */
+    getRelayList(pubkey) {
+        return this.relayLists.get(pubkey) || null;
+    }
+    
+    /**
+     * Get the relays an author publishes to, per their NIP-65 relay list
+     * @param {string} pubkey - Public key
+     * @returns {Array} - Up to maxAuthorRelays relay URLs
+     */
+    getWriteRelays(pubkey) {
+        const relayList = this.relayLists.get(pubkey);
+        return relayList ? relayList.write.slice(0, this.maxAuthorRelays) : [];
+    }
+    
+    /**
+     * Publish the user's relay list (kind 10002) so others know where to find their events
+     * @param {Array} relayUrls - Relays the user reads from and writes to (default: the configured relays)
+     * @returns {Promise<Object>} - Relay list event
+     */
+    async publishRelayList(relayUrls = this.relayManager.getRelays()) {
+        if (!this.user || !this.signer) {
+            throw new Error('User not logged in');
+        }
+        
+        const event = await NostrEvents.createRelayListEvent(relayUrls, this.signer);
+        this._processRelayListEvent(event);
+        if (this.eventStore) {
+            this.eventStore.add(event);
+        }
+        
+        await this.relayManager.publish(event);
+        return event;
+    }
+    
     /**
      * Process a profile metadata event with enhanced logging
      * @param {Object} event - Profile event (kind 0)
@@ -647,6 +966,12 @@ class NostrGroupClient {
         this.hypertunaGroups.set(hypertunaId, groupId);
         this.groupHypertunaIds.set(groupId, hypertunaId);
         
+        // Only the relay the event names hosts the group; any relay may carry the event itself
+        const relayUrl = NostrEvents.parseHypertunaRelayUrl(event);
+        if (relayUrl && !this.groupRelays.has(groupId)) {
+            this.groupRelays.set(groupId, relayUrl);
+        }
+        
         // Emit event
         this.emit('hypertuna:relay', {
             hypertunaId,
@@ -733,9 +1058,10 @@ class NostrGroupClient {
     /**
      * Process a group message event
      * @param {Object} event - Message event (kind 1 with h tag)
+     * @param {boolean} notify - Emit 'group:message' (history pages emit one 'group:history' instead)
      * @private
      */
-    _processGroupMessageEvent(event) {
+    _processGroupMessageEvent(event, notify = true) {
         // Check if it's a group message (has h tag)
         const groupId = event.tags.find(tag => tag[0] === 'h')?.[1];
         if (!groupId) return;
@@ -743,16 +1069,25 @@ class NostrGroupClient {
         // Add to group messages
         if (!this.groupMessages.has(groupId)) {
             this.groupMessages.set(groupId, []);
+            this.groupMessageIds.set(groupId, new Set());
         }
         
         const messages = this.groupMessages.get(groupId);
+        const messageIds = this.groupMessageIds.get(groupId);
         
         // Check if we already have this message
-        if (!messages.some(m => m.id === event.id)) {
-            messages.push(event);
-            messages.sort((a, b) => a.created_at - b.created_at);
-            
-            // Emit event
+        if (messageIds.has(event.id)) return;
+        messageIds.add(event.id);
+        
+        // Keep messages ordered oldest first; new messages usually belong at the end
+        let index = messages.length;
+        while (index > 0 && messages[index - 1].created_at > event.created_at) {
+            index--;
+        }
+        messages.splice(index, 0, event);
+        
+        // Emit event
+        if (notify) {
             this.emit('group:message', { 
                 groupId, 
                 message: event 
@@ -808,7 +1143,7 @@ class NostrGroupClient {
         
         // Unsubscribe from each found subscription
         subscriptionsToRemove.forEach(subId => {
-            this.relayManager.unsubscribe(subId);
+            this.subscriptionPlanner.remove(subId);
             this.activeSubscriptions.delete(subId);
         });
     }
@@ -826,59 +1161,46 @@ class NostrGroupClient {
             return cachedProfile;
         }
         
-        // Create a temporary subscription for this profile
-        const subId = `profile-${pubkey.substring(0, 8)}`;
+        console.log(`Querying profile: ${pubkey.substring(0, 8)}...`);
         
-        console.log(`Creating subscription for profile: ${pubkey.substring(0, 8)}...`);
+        const events = await this._queryAuthorEvents(pubkey, [
+            { kinds: [0], authors: [pubkey], limit: 1 }
+        ]);
         
-        return new Promise((resolve) => {
-            let timeoutId;
+        // Events come back newest first
+        for (const event of events) {
+            if (event.kind !== 0 || event.pubkey !== pubkey) continue;
             
-            const handleProfileEvent = (event) => {
-                if (event.kind === 0 && event.pubkey === pubkey) {
-                    console.log(`Received profile event for ${pubkey.substring(0, 8)}:`, {
-                        id: event.id.substring(0, 8) + '...',
-                        created_at: event.created_at,
-                        content_length: event.content.length
-                    });
-                    
-                    try {
-                        const profile = JSON.parse(event.content);
-                        console.log(`Parsed profile data for ${pubkey.substring(0, 8)}:`, profile);
-                        
-                        this.cachedProfiles.set(pubkey, {
-                            ...profile,
-                            pubkey,
-                            updated_at: event.created_at
-                        });
-                        
-                        // Clean up
-                        clearTimeout(timeoutId);
-                        this.relayManager.unsubscribe(subId);
-                        
-                        resolve(profile);
-                    } catch (e) {
-                        console.error('Error parsing profile:', e);
-                    }
-                }
-            };
-            
-            this.relayManager.subscribe(subId, [
-                { kinds: [0], authors: [pubkey] }
-            ], handleProfileEvent);
+            console.log(`Received profile event for ${pubkey.substring(0, 8)}:`, {
+                id: event.id.substring(0, 8) + '...',
+                created_at: event.created_at,
+                content_length: event.content.length
+            });
             
-            // Set a timeout to resolve with default profile if no profile found
-            timeoutId = setTimeout(() => {
-                this.relayManager.unsubscribe(subId);
-                const defaultProfile = { 
-                    name: `User_${NostrUtils.truncatePubkey(pubkey)}`,
-                    pubkey
-                };
-                console.log(`Profile fetch timeout for ${pubkey.substring(0, 8)}, using default:`, defaultProfile);
-                this.cachedProfiles.set(pubkey, defaultProfile);
-                resolve(defaultProfile);
-            }, 5000);
-        });
+            try {
+                const profile = JSON.parse(event.content);
+                console.log(`Parsed profile data for ${pubkey.substring(0, 8)}:`, profile);
+                
+                this.cachedProfiles.set(pubkey, {
+                    ...profile,
+                    pubkey,
+                    updated_at: event.created_at
+                });
+                
+                return profile;
+            } catch (e) {
+                console.error('Error parsing profile:', e);
+            }
+        }
+        
+        // Resolve with a default profile if no profile was found
+        const defaultProfile = { 
+            name: `User_${NostrUtils.truncatePubkey(pubkey)}`,
+            pubkey
+        };
+        console.log(`No profile found for ${pubkey.substring(0, 8)}, using default:`, defaultProfile);
+        this.cachedProfiles.set(pubkey, defaultProfile);
+        return defaultProfile;
     }
     
     /**
@@ -946,6 +1268,26 @@ class NostrGroupClient {
         return this.groups.get(groupId) || null;
     }
     
+    /**
+     * Get the Hypertuna relay hosting a group: the connected relay whose NIP-11 pubkey signed
+     * the group's metadata, else the relay named by the group's Hypertuna relay event
+     * @param {string} groupId - Group ID
+     * @returns {string|null} - Relay URL or null if not known
+     */
+    getGroupRelay(groupId) {
+        const group = this.groups.get(groupId);
+        const signer = group && group.event ? group.event.pubkey : null;
+        if (signer) {
+            const signedBy = this.relayManager.getRelays().find(url => {
+                const info = this.relayManager.getRelayInfo(url);
+                return info && info.pubkey === signer;
+            });
+            if (signedBy) return signedBy;
+        }
+        
+        return this.groupRelays.get(groupId) || null;
+    }
+    
     /**
      * Get members of a group
      * @param {string} groupId - Group ID
@@ -1012,6 +1354,388 @@ class NostrGroupClient {
         return this.groupMessages.get(groupId) || [];
     }
     
+    /**
+     * Load a page of messages older than those already held for a group
+     * Pages are requested from every relay with `until`, merged and deduplicated
+     * @param {string} groupId - Group ID
+     * @param {Object} options - Paging options
+     * @param {number} options.before - Load messages created at or before this timestamp (default: the oldest held message)
+     * @param {number} options.limit - Messages to request per relay (default 50)
+     * @returns {Promise<Object>} - {events, fullyLoaded} with the newly added messages, oldest first
+     */
+    async loadOlderMessages(groupId, options = {}) {
+        const history = this._getGroupHistory(groupId);
+        
+        // Share one request between concurrent callers, e.g. repeated scroll events
+        if (history.loading) {
+            return history.loading;
+        }
+        if (history.fullyLoaded && options.before === undefined) {
+            return { events: [], fullyLoaded: true };
+        }
+        
+        history.loading = this._fetchOlderMessages(groupId, history, options)
+            .finally(() => {
+                history.loading = null;
+            });
+        return history.loading;
+    }
+    
+    /**
+     * Whether every message before the live subscription has been loaded
+     * @param {string} groupId - Group ID
+     * @returns {boolean}
+     */
+    isGroupHistoryLoaded(groupId) {
+        const history = this.groupHistory.get(groupId);
+        return Boolean(history && history.fullyLoaded);
+    }
+    
+    /**
+     * Get or create the paging state for a group
+     * @private
+     */
+    _getGroupHistory(groupId) {
+        if (!this.groupHistory.has(groupId)) {
+            // Continue from the newest message we already hold, e.g. from the event store
+            const messages = this.getGroupMessages(groupId);
+            this.groupHistory.set(groupId, {
+                liveSince: messages.length > 0
+                    ? messages[messages.length - 1].created_at
+                    : Math.floor(Date.now() / 1000),
+                cursor: null, // `until` for the next page
+                fullyLoaded: false,
+                loading: null
+            });
+        }
+        return this.groupHistory.get(groupId);
+    }
+    
+    /**
+     * Query one page of history and add it to the group's messages
+     * @private
+     */
+    async _fetchOlderMessages(groupId, history, options) {
+        const limit = options.limit || 50;
+        const messages = this.getGroupMessages(groupId);
+        
+        let until = options.before;
+        if (until === undefined) {
+            until = history.cursor !== null
+                ? history.cursor
+                : (messages.length > 0 ? messages[0].created_at : history.liveSince);
+        }
+        
+        console.log(`Loading up to ${limit} messages for group ${groupId} until ${until}`);
+        
+        // Relays also deliver these to the live event handlers, so compare against what we had before
+        const knownIds = new Set(this.groupMessageIds.get(groupId) || []);
+        
+        // Ask each relay separately so we know which of them may have more
+        const filter = {
+            kinds: [NostrEvents.KIND_TEXT_NOTE],
+            "#h": [groupId],
+            until,
+            limit
+        };
+        const relays = this.relayManager.getRelays()
+            .filter(url => this.relayManager.getRelayStatus(url) === 'open');
+        // A relay that refused the REQ with CLOSED sent no page, so it says nothing about older messages
+        const pages = (await Promise.all(relays.map(url => this.relayManager.query([filter], { relays: [url] }))))
+            .filter(page => page.answered.length > 0 && page.closed.length === 0);
+        
+        // Without any relay answering we learned nothing; try the same page next time
+        if (pages.length === 0) {
+            return { events: [], fullyLoaded: false };
+        }
+        
+        const merged = new Map();
+        pages.forEach(page => page.events.forEach(event => merged.set(event.id, event)));
+        
+        const added = Array.from(merged.values())
+            .filter(event => !knownIds.has(event.id))
+            .sort((a, b) => a.created_at - b.created_at);
+        added.forEach(event => this._processGroupMessageEvent(event, false));
+        
+        // A relay that sent less than a full page has nothing older
+        const fullPages = pages.filter(page => page.events.length >= limit);
+        if (fullPages.length === 0) {
+            history.fullyLoaded = true;
+        } else {
+            // Continue from the newest of the full pages' oldest events so nothing a relay holds is skipped.
+            // `until` is inclusive; if a whole page shares one second, step past it to avoid looping
+            const next = Math.max(...fullPages.map(page => page.events[page.events.length - 1].created_at));
+            history.cursor = next < until ? next : until - 1;
+        }
+        
+        console.log(`Loaded ${added.length} older messages for group ${groupId}${history.fullyLoaded ? ' (fully loaded)' : ''}`);
+        
+        this.emit('group:history', {
+            groupId,
+            messages: added,
+            fullyLoaded: history.fullyLoaded
+        });
+        
+        return { events: added, fullyLoaded: history.fullyLoaded };
+    }
+    
+    /**
+     * Fetch exactly the group messages relays have and we don't, within the time span we hold
+     * Uses NIP-77 negentropy with relays that support it; other relays are asked for
+     * everything since the newest message we hold, which misses backdated messages
+     * @param {string} groupId - Group ID
+     * @param {Array} relayUrls - Relays to sync with (default: all relays)
+     * @returns {Promise<Object>} - {events, methods}: the added messages, oldest first,
+     *                              and 'negentropy' or 'since' per relay
+     */
+    async syncGroupMessages(groupId, relayUrls = this.relayManager.getRelays()) {
+        // Compare against everything we hold, including stored messages not loaded into the view
+        const local = new Map();
+        if (this.eventStore) {
+            this.eventStore.query([{ kinds: [NostrEvents.KIND_TEXT_NOTE], '#h': [groupId] }])
+                .forEach(event => local.set(event.id, event));
+        }
+        this.getGroupMessages(groupId).forEach(event => local.set(event.id, event));
+        
+        const methods = {};
+        if (local.size === 0) {
+            return { events: [], methods };
+        }
+        
+        // Older messages than we hold are history, which loadOlderMessages pages in
+        const timestamps = Array.from(local.values()).map(event => event.created_at);
+        const since = Math.min(...timestamps);
+        const filter = { kinds: [NostrEvents.KIND_TEXT_NOTE], '#h': [groupId], since };
+        
+        // Fetched events also reach the global event handler, so snapshot what we had first
+        const knownIds = new Set(this.groupMessageIds.get(groupId) || []);
+        const fetched = new Map();
+        
+        await Promise.all(relayUrls.map(async url => {
+            let need = null;
+            if (this.relayManager.canReconcile(url)) {
+                try {
+                    ({ need } = await this.relayManager.reconcile(url, filter, Array.from(local.values())));
+                } catch (e) {
+                    console.warn(`Negentropy sync of group ${groupId} with ${url} failed:`, e.message);
+                }
+            }
+            
+            if (need === null) {
+                methods[url] = 'since';
+                const { events } = await this.relayManager.query([{ ...filter, since: Math.max(...timestamps) }], { relays: [url] });
+                events.forEach(event => fetched.set(event.id, event));
+                return;
+            }
+            methods[url] = 'negentropy';
+            
+            for (let i = 0; i < need.length; i += 100) {
+                const { events } = await this.relayManager.query([{ ids: need.slice(i, i + 100) }], { relays: [url] });
+                events.forEach(event => fetched.set(event.id, event));
+            }
+        }));
+        
+        const added = Array.from(fetched.values())
+            .filter(event => !knownIds.has(event.id) && NostrUtils.matchFilter(event, filter))
+            .sort((a, b) => a.created_at - b.created_at);
+        added.forEach(event => this._processGroupMessageEvent(event, false));
+        
+        if (added.length > 0) {
+            console.log(`Synced ${added.length} missing messages for group ${groupId}`);
+            this.emit('group:history', {
+                groupId,
+                messages: added,
+                fullyLoaded: this.isGroupHistoryLoaded(groupId)
+            });
+        }
+        
+        return { events: added, methods };
+    }
+    
+    /**
+     * Get activity statistics for a group, counted by relays with NIP-45 where they can
+     * Results are cached for a minute since group cards ask for them on every refresh
+     * @param {string} groupId - Group ID
+     * @param {Object} options - Stats options
+     * @param {number} options.days - How many days back to look, including today (default 7)
+     * @param {number} options.maxAge - Reuse stats fetched within this many ms (default 60000)
+     * @returns {Promise<Object>} - {groupId, memberCount, messageCount, messagesPerDay: [{date, count}],
+     *                              activePosters, joinRequests, approximate}
+     */
+    async getGroupStats(groupId, options = {}) {
+        const days = options.days || 7;
+        const maxAge = options.maxAge !== undefined ? options.maxAge : 60000;
+        
+        const cached = this.groupStats.get(groupId);
+        if (cached && cached.days === days && Date.now() - cached.fetchedAt < maxAge) {
+            return cached.promise;
+        }
+        
+        const promise = this._fetchGroupStats(groupId, days);
+        this.groupStats.set(groupId, { days, fetchedAt: Date.now(), promise });
+        promise.catch(() => this.groupStats.delete(groupId));
+        return promise;
+    }
+    
+    /**
+     * @private
+     */
+    async _fetchGroupStats(groupId, days) {
+        // Days are local calendar days, oldest first
+        const dayStarts = [];
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        for (let i = days - 1; i >= 0; i--) {
+            const day = new Date(today);
+            day.setDate(today.getDate() - i);
+            dayStarts.push(day);
+        }
+        const since = Math.floor(dayStarts[0].getTime() / 1000);
+        
+        const dayOf = createdAt => dayStarts.findLastIndex(day => createdAt >= day.getTime() / 1000);
+        
+        // Relays with NIP-45 count each day; a relay that can't answer every day sends the
+        // week's messages once instead and they are bucketed here
+        const relays = this.relayManager.getRelays().filter(url => this.relayManager.getRelayStatus(url) === 'open');
+        const countRelays = relays.filter(url => this.relayManager.canCount(url));
+        const messageFilter = { kinds: [NostrEvents.KIND_TEXT_NOTE], '#h': [groupId] };
+        const [perDay, joinRequests] = await Promise.all([
+            Promise.all(dayStarts.map((day, index) => {
+                if (countRelays.length === 0) {
+                    return { count: 0, approximate: false, results: [] };
+                }
+                const filter = { ...messageFilter, since: day.getTime() / 1000 };
+                if (index + 1 < dayStarts.length) {
+                    filter.until = dayStarts[index + 1].getTime() / 1000 - 1;
+                }
+                return this.relayManager.count([filter], { relays: countRelays, fallback: false });
+            })),
+            this.relayManager.count([{ kinds: [NostrEvents.KIND_GROUP_JOIN_REQUEST], '#h': [groupId], since }])
+        ]);
+        
+        const counted = relays.filter(url =>
+            perDay.every(result => result.results.some(answer => answer.url === url)));
+        const queryRelays = relays.filter(url => !counted.includes(url));
+        const queried = dayStarts.map(() => 0);
+        let events = [];
+        let answered = [];
+        if (queryRelays.length > 0) {
+            ({ events, answered } = await this.relayManager.query([{ ...messageFilter, since }], { relays: queryRelays }));
+            events.forEach(event => {
+                const index = dayOf(event.created_at);
+                if (index >= 0) queried[index]++;
+            });
+        }
+        
+        // COUNT can't tell authors apart, so posters come from the messages we hold or just fetched
+        const posters = new Set([...this.getGroupMessages(groupId), ...events]
+            .filter(message => message.created_at >= since)
+            .map(message => message.pubkey));
+        
+        // Counts from different relays can't be deduplicated, so each day takes the highest
+        const messagesPerDay = perDay.map((result, index) => {
+            const day = dayStarts[index];
+            const month = String(day.getMonth() + 1).padStart(2, '0');
+            const date = String(day.getDate()).padStart(2, '0');
+            return { date: `${day.getFullYear()}-${month}-${date}`, count: Math.max(result.count, queried[index]) };
+        });
+        
+        return {
+            groupId,
+            memberCount: this.getGroupMembers(groupId).length,
+            messageCount: messagesPerDay.reduce((total, day) => total + day.count, 0),
+            messagesPerDay,
+            activePosters: posters.size,
+            joinRequests: joinRequests.count,
+            approximate: counted.length + answered.length > 1 ||
+                perDay.some(result => result.approximate) ||
+                joinRequests.approximate
+        };
+    }
+    
+    /**
+     * Get a shareable NIP-19 naddr pointing at a group's metadata (kind 39000, d = group ID),
+     * with hints for the relays the metadata was seen on
+     * @param {string} groupId - Group ID
+     * @returns {string|null} - naddr1..., or null if the group's metadata isn't known
+     */
+    getGroupPointer(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group || !group.event) return null;
+        
+        const seenOn = this.relayManager.getSeenOn(group.event.id);
+        const relays = (seenOn.length > 0 ? seenOn : this.relayManager.getRelays()).slice(0, 2);
+        
+        return NostrUtils.naddrEncode({
+            identifier: groupId,
+            pubkey: group.event.pubkey,
+            kind: NostrEvents.KIND_GROUP_METADATA,
+            relays
+        });
+    }
+    
+    /**
+     * Look up the group a shared naddr points at
+     * Relays named in the pointer are asked too, and kept if only they have the group and the user agrees
+     * @param {string} pointer - naddr1..., optionally with a nostr: prefix
+     * @param {Object} options - Lookup options
+     * @param {Function} options.confirmRelays - Called with the relays only the pointer named;
+     *   resolves to true to add them to the relay list, otherwise they stay temporary
+     * @returns {Promise<string>} - Group ID
+     */
+    async openGroupPointer(pointer, options = {}) {
+        const { type, data } = NostrUtils.decodeNip19(pointer);
+        if (type !== 'naddr' || data.kind !== NostrEvents.KIND_GROUP_METADATA) {
+            throw new Error('Not a group link');
+        }
+        
+        const groupId = data.identifier;
+        if (this.groups.has(groupId)) {
+            return groupId;
+        }
+        
+        // Only ws:// and wss:// hints are connected to; anything else in a shared link is dropped
+        const hints = data.relays.map(url => NostrUtils.normalizeRelayUrl(url)).filter(Boolean);
+        const hinted = await this.relayManager.useRelays(hints);
+        const relays = Array.from(new Set([...this.relayManager.getRelays(), ...hinted]));
+        const { events } = await this.relayManager.query([
+            { kinds: [NostrEvents.KIND_GROUP_METADATA], authors: [data.pubkey], '#d': [groupId] }
+        ], { relays });
+        
+        const event = events.find(e => e.pubkey === data.pubkey && NostrEvents._getTagValue(e, 'd') === groupId);
+        if (!event) {
+            throw new Error('Group not found on any relay');
+        }
+        
+        // Keep the group's relays so its messages and members keep arriving, if the user agrees
+        const seenOn = this.relayManager.getSeenOn(event.id);
+        if (!seenOn.some(url => !this.relayManager.isTemporaryRelay(url)) &&
+            options.confirmRelays && await options.confirmRelays(seenOn)) {
+            await Promise.allSettled(seenOn.map(url => this.relayManager.addRelay(url)));
+        }
+        
+        this._processGroupMetadataEvent(event);
+        return groupId;
+    }
+    
+    /**
+     * Get the relays an event has been received from
+     * @param {string} eventId - Event ID
+     * @returns {Array} - Array of relay URLs
+     */
+    getEventRelays(eventId) {
+        return this.relayManager.getSeenOn(eventId);
+    }
+    
+    /**
+     * Get connected relays that advertise NIP-29 group support in their NIP-11 document
+     * @returns {Array} - Array of relay URLs
+     */
+    getNip29Relays() {
+        return this.relayManager.getRelaysSupportingNip(29)
+            .filter(url => this.relayManager.getRelayStatus(url) === 'open');
+    }
+    
     /**
      * Create a new group
      * @param {Object} groupData - Group data
@@ -1022,7 +1746,7 @@ class NostrGroupClient {
      * @returns {Promise<Object>} - Collection of created events
      */
     async createGroup(groupData) {
-        if (!this.user || !this.user.privateKey) {
+        if (!this.user || !this.signer) {
             throw new Error('User not logged in');
         }
         
@@ -1041,13 +1765,17 @@ class NostrGroupClient {
         
         console.log('Creating group with normalized data:', normalizedData);
         
+        // The group is hosted on a connected NIP-29 relay when there is one
+        const groupRelay = this.getNip29Relays()[0] || null;
+        
         // Create all three events for the group creation
         const eventsCollection = await NostrEvents.createGroupCreationEvent(
             normalizedData.name,
             normalizedData.about,
             normalizedData.isPublic,
             normalizedData.isOpen,
-            this.user.privateKey
+            this.signer,
+            groupRelay
         );
         
         const { 
@@ -1064,6 +1792,9 @@ class NostrGroupClient {
         // Store the Hypertuna mapping
         this.hypertunaGroups.set(hypertunaId, groupId);
         this.groupHypertunaIds.set(groupId, hypertunaId);
+        if (groupRelay) {
+            this.groupRelays.set(groupId, groupRelay);
+        }
         
         // IMPORTANT: Process the metadata event directly before publishing
         this._processGroupMetadataEvent(metadataEvent);
@@ -1110,7 +1841,7 @@ class NostrGroupClient {
                     ['d', groupId],
                     ['p', this.user.pubkey, 'admin']
                 ],
-                this.user.privateKey
+                this.signer
             );
             
             // Create member list event
@@ -1121,7 +1852,7 @@ class NostrGroupClient {
                     ['d', groupId],
                     ['p', this.user.pubkey, 'member']
                 ],
-                this.user.privateKey
+                this.signer
             );
             
             // Publish both events
@@ -1149,14 +1880,14 @@ class NostrGroupClient {
      * @returns {Promise<Object>} - Join request event
      */
     async joinGroup(groupId, inviteCode = null) {
-        if (!this.user || !this.user.privateKey) {
+        if (!this.user || !this.signer) {
             throw new Error('User not logged in');
         }
         
         const event = await NostrEvents.createGroupJoinRequest(
             groupId,
             inviteCode,
-            this.user.privateKey
+            this.signer
         );
         
         // Publish the event
@@ -1174,13 +1905,13 @@ class NostrGroupClient {
      * @returns {Promise<Object>} - Leave request event
      */
     async leaveGroup(groupId) {
-        if (!this.user || !this.user.privateKey) {
+        if (!this.user || !this.signer) {
             throw new Error('User not logged in');
         }
         
         const event = await NostrEvents.createGroupLeaveRequest(
             groupId,
-            this.user.privateKey
+            this.signer
         );
         
         // Publish the event
@@ -1199,7 +1930,7 @@ class NostrGroupClient {
      * @returns {Promise<Object>} - Message event
      */
     async sendGroupMessage(groupId, content) {
-        if (!this.user || !this.user.privateKey) {
+        if (!this.user || !this.signer) {
             throw new Error('User not logged in');
         }
         
@@ -1220,22 +1951,69 @@ class NostrGroupClient {
             groupId,
             content,
             previousRefs,
-            this.user.privateKey
+            this.signer
         );
         
-        // Publish the event
-        await this.relayManager.publish(event);
+        // Show the message right away; the outbox keeps trying relays until the group's
+        // Hypertuna relay accepts it, or any relay while that is not known
+        this._processGroupMessageEvent(event);
+        const groupRelay = this.getGroupRelay(groupId);
+        await this.outbox.send(event, this.relayManager.getRelays(), {
+            required: groupRelay ? [groupRelay] : []
+        });
         
         return event;
     }
     
+    /**
+     * Get the publish state of an event sent through the outbox
+     * @param {string} eventId - Event ID
+     * @returns {string|null} - 'pending', 'failed', 'sent', or null once every relay has answered
+     */
+    getPublishState(eventId) {
+        return this.outbox.getState(eventId);
+    }
+    
+    /**
+     * Try publishing an unsent event again now
+     * @param {string} eventId - Event ID
+     * @returns {Promise<string|null>} - The publish state after the attempt
+     */
+    async retryPublish(eventId) {
+        return this.outbox.retry(eventId);
+    }
+    
+    /**
+     * Give up on an event that no relay has accepted and remove it from its group
+     * @param {string} eventId - Event ID
+     * @returns {boolean} - Whether the event was discarded
+     */
+    discardPublish(eventId) {
+        const entry = this.outbox.get(eventId);
+        if (!entry || this.outbox.getState(eventId) === 'sent') return false;
+        
+        const groupId = entry.event.tags.find(tag => tag[0] === 'h')?.[1];
+        const messages = groupId && this.groupMessages.get(groupId);
+        if (messages) {
+            const index = messages.findIndex(message => message.id === eventId);
+            if (index !== -1) {
+                messages.splice(index, 1);
+                this.groupMessageIds.get(groupId).delete(eventId);
+            }
+        }
+        
+        // Listeners re-render on the state change, so the message must already be gone
+        this.outbox.discard(eventId);
+        return true;
+    }
+    
     /**
      * Create an invite code for a group
      * @param {string} groupId - Group ID
-     * @returns {Promise<Object>} - Invite creation event
+     * @returns {Promise<Object>} - Invite creation event; the code is in its 'code' tag
      */
     async createGroupInvite(groupId) {
-        if (!this.user || !this.user.privateKey) {
+        if (!this.user || !this.signer) {
             throw new Error('User not logged in');
         }
         
@@ -1244,14 +2022,22 @@ class NostrGroupClient {
             throw new Error('You must be an admin to create invite codes');
         }
         
+        const inviteCode = NostrUtils.generateInviteCode();
         const event = await NostrEvents.createGroupInviteEvent(
             groupId,
-            this.user.privateKey
+            inviteCode,
+            this.signer
         );
         
         // Publish the event
         await this.relayManager.publish(event);
         
+        // Remember the codes we have handed out
+        if (!this.groupInvites.has(groupId)) {
+            this.groupInvites.set(groupId, []);
+        }
+        this.groupInvites.get(groupId).push(inviteCode);
+        
         return event;
     }
     
@@ -1263,7 +2049,7 @@ class NostrGroupClient {
      * @returns {Promise<Object>} - Put user event
      */
     async addGroupMember(groupId, pubkey, roles = ['member']) {
-        if (!this.user || !this.user.privateKey) {
+        if (!this.user || !this.signer) {
             throw new Error('User not logged in');
         }
         
@@ -1276,7 +2062,7 @@ class NostrGroupClient {
             groupId,
             pubkey,
             roles,
-            this.user.privateKey
+            this.signer
         );
         
         // Add this pubkey to relevant pubkeys
@@ -1295,7 +2081,7 @@ class NostrGroupClient {
      * @returns {Promise<Object>} - Remove user event
      */
     async removeGroupMember(groupId, pubkey) {
-        if (!this.user || !this.user.privateKey) {
+        if (!this.user || !this.signer) {
             throw new Error('User not logged in');
         }
         
@@ -1307,7 +2093,7 @@ class NostrGroupClient {
         const event = await NostrEvents.createRemoveUserEvent(
             groupId,
             pubkey,
-            this.user.privateKey
+            this.signer
         );
         
         // Publish the event
@@ -1323,7 +2109,7 @@ class NostrGroupClient {
      * @returns {Promise<Object>} - Collection of edit metadata events
      */
     async updateGroupMetadata(groupId, metadata) {
-        if (!this.user || !this.user.privateKey) {
+        if (!this.user || !this.signer) {
             throw new Error('User not logged in');
         }
         
@@ -1340,7 +2126,7 @@ class NostrGroupClient {
             const event = await NostrEvents.createGroupMetadataEditEvent(
                 groupId,
                 metadata,
-                this.user.privateKey
+                this.signer
             );
             
             // Publish the event
@@ -1356,7 +2142,7 @@ class NostrGroupClient {
             groupId,
             hypertunaId,
             metadata,
-            this.user.privateKey
+            this.signer
         );
         
         const { editEvent, updatedMetadataEvent } = events;
@@ -1381,7 +2167,7 @@ class NostrGroupClient {
      * @returns {Promise<Object>} - Delete group event
      */
     async deleteGroup(groupId) {
-        if (!this.user || !this.user.privateKey) {
+        if (!this.user || !this.signer) {
             throw new Error('User not logged in');
         }
         
@@ -1392,7 +2178,7 @@ class NostrGroupClient {
         
         const event = await NostrEvents.createGroupDeleteEvent(
             groupId,
-            this.user.privateKey
+            this.signer
         );
         
         // Publish the event
@@ -1410,13 +2196,13 @@ class NostrGroupClient {
      * @returns {Promise<Object>} - Profile event
      */
     async updateProfile(profile) {
-        if (!this.user || !this.user.privateKey) {
+        if (!this.user || !this.signer) {
             throw new Error('User not logged in');
         }
         
         const event = await NostrEvents.createProfileEvent(
             profile,
-            this.user.privateKey
+            this.signer
         );
         
         // Publish the event
@@ -8,11 +8,23 @@
 
 import NostrGroupClient from './NostrGroupClient.js';
 import { NostrUtils } from './NostrUtils.js';
+import InMemoryTransport from './InMemoryTransport.js';
+import WebSocketTransport from './WebSocketTransport.js';
+import LocalGroupRelay from './LocalGroupRelay.js';
+import EventStore from './EventStore.js';
 
 class NostrIntegration {
     constructor(app) {
         this.app = app; // Reference to the existing App object
-        this.client = new NostrGroupClient();
+        
+        // Serves the local group relay from memory; every other URL goes over WebSockets
+        this.transport = new InMemoryTransport({ fallback: new WebSocketTransport() });
+        this.localRelay = null; // LocalGroupRelay, created on first use
+        
+        this.client = new NostrGroupClient(true, {
+            transport: this.transport,
+            eventStore: new EventStore()
+        });
         this.relayUrls = [
             // Default relays - can be configured by the user
             'wss://relay.damus.io',
@@ -26,7 +38,7 @@ class NostrIntegration {
     
     /**
      * Initialize the nostr integration
-     * @param {Object} user - User object with privateKey and pubkey
+     * @param {Object} user - User object with pubkey, and a signer or privateKey
      * @returns {Promise} - Resolves when initialized
      */
     async init(user) {
@@ -42,6 +54,21 @@ class NostrIntegration {
         return this;
     }
     
+    /**
+     * Give the client the user's key again, or take it away while the app is locked
+     * @param {string|null} privateKey - Hex private key, or null to lock
+     */
+    setPrivateKey(privateKey) {
+        this.client.setPrivateKey(privateKey);
+    }
+    
+    /**
+     * Drop the user's signer and unsent events when they log out
+     */
+    logout() {
+        this.client.logout();
+    }
+    
     /**
      * Set up event listeners for the client
      * @private
@@ -62,6 +89,21 @@ class NostrIntegration {
             this._updateRelayStatus();
         });
         
+        this.client.on('relay:dead', ({ relayUrl }) => {
+            console.warn(`Gave up reconnecting to relay: ${relayUrl}`);
+            this._updateRelayStatus();
+        });
+        
+        this.client.on('relay:auth', ({ relayUrl, status }) => {
+            console.log(`Relay ${relayUrl} auth status: ${status}`);
+            this._updateRelayStatus();
+        });
+        
+        this.client.on('relay:info', ({ relayUrl, info }) => {
+            console.log(`Relay ${relayUrl} info: ${info.name || 'unnamed'}`);
+            this._updateRelayStatus();
+        });
+        
         // Group events - with throttling to prevent excessive updates
         this.client.on('group:metadata', ({ groupId, group }) => {
             console.log(`Updated group metadata for: ${groupId}`);
@@ -90,6 +132,35 @@ class NostrIntegration {
             }
         });
         
+        this.client.on('group:history', ({ groupId, messages }) => {
+            console.log(`Loaded ${messages.length} older messages in group: ${groupId}`);
+            
+            // Re-render without moving what the user is looking at
+            if (this.app.currentPage === 'group-detail' && this.app.currentGroupId === groupId) {
+                this.app.loadGroupMessages({ keepPosition: true });
+            }
+        });
+        
+        // Show propagation on messages already on screen
+        this.client.on('event:seen', ({ eventId, relays }) => {
+            if (this.app.currentPage !== 'group-detail') return;
+            
+            const label = document.querySelector(`.message[data-event-id="${eventId}"] .message-relays`);
+            if (label) {
+                label.textContent = this.formatSeenOn(relays);
+                label.title = relays.join('\n');
+            }
+        });
+        
+        // Show sending progress on messages already on screen
+        this.client.on('publish:state', ({ eventId, state }) => {
+            if (this.app.currentPage !== 'group-detail') return;
+            
+            if (document.querySelector(`.message[data-event-id="${eventId}"]`)) {
+                this.app.loadGroupMessages();
+            }
+        });
+        
         // Profile updates
         this.client.on('profile:update', ({ pubkey, profile }) => {
             console.log(`Updated profile for: ${pubkey}`);
@@ -141,20 +212,87 @@ class NostrIntegration {
         
         if (connectedRelays.length > 0) {
             relayStatus.className = 'alert alert-success';
+            const relayLines = connectedRelays.map(url => {
+                const info = this.client.relayManager.getRelayInfo(url);
+                const authStatus = this.client.relayManager.getRelayAuthStatus(url);
+                const safeUrl = this._escapeHtml(url);
+                let line = info && info.name ? `${this._escapeHtml(info.name)} (${safeUrl})` : safeUrl;
+                if (this.client.relayManager.supportsNip(url, 29)) {
+                    line += ' [NIP-29]';
+                }
+                if (authStatus === 'authenticated') {
+                    line += ' (authenticated)';
+                }
+                return line + this._formatRelayStats(this.client.relayManager.getRelayStats(url));
+            });
             relayStatus.innerHTML = `Connected to ${connectedRelays.length} relay(s):<br>
-                ${connectedRelays.join('<br>')}`;
+                ${relayLines.join('<br>')}`;
+            
+            const deadRelays = this.client.relayManager.getRelays().filter(url => 
+                this.client.relayManager.getRelayStatus(url) === 'dead'
+            );
+            if (deadRelays.length > 0) {
+                relayStatus.innerHTML += `<br>Unreachable:<br>${deadRelays.map(url => this._escapeHtml(url)).join('<br>')}`;
+            }
         } else {
             relayStatus.className = 'alert alert-error';
             relayStatus.textContent = 'Not connected to any relays';
         }
     }
     
+    /**
+     * Summarize a relay's health metrics for the status panel
+     * @param {Object} stats - Stats from WebSocketRelayManager.getRelayStats
+     * @returns {string} - Short HTML-safe summary
+     * @private
+     */
+    _formatRelayStats(stats) {
+        if (!stats) return '';
+        
+        const parts = [`score ${stats.score.toFixed(2)}`];
+        const latency = stats.eoseLatency !== null ? stats.eoseLatency : stats.connectLatency;
+        if (latency !== null) {
+            parts.push(`${latency}ms`);
+        }
+        if (stats.okRate !== null) {
+            parts.push(`${Math.round(stats.okRate * 100)}% OK`);
+        }
+        parts.push(`${Math.round(stats.uptimeRatio * 100)}% up`);
+        if (stats.notices > 0) {
+            parts.push(`${stats.notices} notice(s)`);
+        }
+        if (stats.invalidEvents > 0) {
+            parts.push(`${stats.invalidEvents} invalid event(s)`);
+        }
+        
+        let summary = ` &middot; ${parts.join(' &middot; ')}`;
+        if (stats.lastError) {
+            summary += `<br><small>Last error: ${this._escapeHtml(stats.lastError.message)}</small>`;
+        }
+        return summary;
+    }
+    
+    /**
+     * Escape relay-provided text before inserting it as HTML
+     * @param {string} text - Untrusted text
+     * @returns {string} - Escaped text
+     * @private
+     */
+    _escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+    
     /**
      * Add or update relay URLs for connection
      * @param {Array} urls - Array of relay URLs
+     * @param {Object} options - Update options
+     * @param {boolean} options.publish - Also publish the URLs as the user's NIP-65 relay list (default false).
+     *                                    Only for a list the user chose, since it replaces the one other clients use
      * @returns {Promise} - Resolves when connected
      */
-    async updateRelays(urls) {
+    async updateRelays(urls, options = {}) {
         // Store the new relay URLs
         this.relayUrls = urls;
         
@@ -170,6 +308,15 @@ class NostrIntegration {
         const promiseArray = urls.map(url => this.client.relayManager.addRelay(url));
         await Promise.allSettled(promiseArray);
         
+        // Tell others which relays to find the user's events on (NIP-65)
+        if (options.publish && this.client.user) {
+            try {
+                await this.client.publishRelayList(urls);
+            } catch (e) {
+                console.warn('Could not publish relay list:', e.message);
+            }
+        }
+        
         this._updateRelayStatus();
     }
     
@@ -182,11 +329,37 @@ class NostrIntegration {
             throw new Error('User not logged in');
         }
         
+        // Leave the local relay if we were using it
+        this.client.relayManager.removeRelay(LocalGroupRelay.DEFAULT_URL);
+        
         // Re-init client with current user
         await this.client.init(this.app.currentUser, this.relayUrls);
         this._updateRelayStatus();
     }
     
+    /**
+     * Connect to the local NIP-29 relay instead of network relays
+     * Its events and groups persist in localStorage, so the app works offline
+     * @returns {Promise} - Resolves when connected
+     */
+    async connectLocalRelay() {
+        if (!this.app.currentUser) {
+            throw new Error('User not logged in');
+        }
+        
+        if (!this.localRelay) {
+            this.localRelay = this.transport.addRelay(LocalGroupRelay.DEFAULT_URL, new LocalGroupRelay());
+        }
+        
+        // Disconnect from network relays
+        this.client.relayManager.getRelays()
+            .filter(url => url !== LocalGroupRelay.DEFAULT_URL)
+            .forEach(url => this.client.relayManager.removeRelay(url));
+        
+        await this.client.init(this.app.currentUser, [LocalGroupRelay.DEFAULT_URL]);
+        this._updateRelayStatus();
+    }
+    
     /**
      * Get all available groups
      * @returns {Array} - Array of groups
@@ -251,6 +424,99 @@ class NostrIntegration {
         return this.client.getGroupMessages(groupId);
     }
     
+    /**
+     * Load a page of older messages for a group
+     * @param {string} groupId - Group ID
+     * @param {Object} options - {before, limit}
+     * @returns {Promise<Object>} - {events, fullyLoaded}
+     */
+    async loadOlderMessages(groupId, options = {}) {
+        return await this.client.loadOlderMessages(groupId, options);
+    }
+    
+    /**
+     * Check whether a group's full message history has been loaded
+     * @param {string} groupId - Group ID
+     * @returns {boolean}
+     */
+    isGroupHistoryLoaded(groupId) {
+        return this.client.isGroupHistoryLoaded(groupId);
+    }
+    
+    /**
+     * Get activity statistics for a group
+     * @param {string} groupId - Group ID
+     * @param {Object} options - {days, maxAge}
+     * @returns {Promise<Object>} - See NostrGroupClient.getGroupStats
+     */
+    async getGroupStats(groupId, options = {}) {
+        return await this.client.getGroupStats(groupId, options);
+    }
+    
+    /**
+     * Get a shareable naddr for a group
+     * @param {string} groupId - Group ID
+     * @returns {string|null} - See NostrGroupClient.getGroupPointer
+     */
+    getGroupPointer(groupId) {
+        return this.client.getGroupPointer(groupId);
+    }
+    
+    /**
+     * Look up the group a shared naddr points at
+     * @param {string} pointer - naddr
+     * @param {Object} options - See NostrGroupClient.openGroupPointer
+     * @returns {Promise<string>} - Group ID
+     */
+    async openGroupPointer(pointer, options = {}) {
+        return await this.client.openGroupPointer(pointer, options);
+    }
+    
+    /**
+     * Get the relays an event has been received from
+     * @param {string} eventId - Event ID
+     * @returns {Array} - Array of relay URLs
+     */
+    getEventRelays(eventId) {
+        return this.client.getEventRelays(eventId);
+    }
+    
+    /**
+     * Get the publish state of one of our own events
+     * @param {string} eventId - Event ID
+     * @returns {string|null} - 'pending', 'failed', 'sent', or null once every relay has answered
+     */
+    getPublishState(eventId) {
+        return this.client.getPublishState(eventId);
+    }
+    
+    /**
+     * Try publishing an unsent event again now
+     * @param {string} eventId - Event ID
+     * @returns {Promise<string|null>} - The publish state after the attempt
+     */
+    async retryPublish(eventId) {
+        return await this.client.retryPublish(eventId);
+    }
+    
+    /**
+     * Give up on an unsent event
+     * @param {string} eventId - Event ID
+     * @returns {boolean} - Whether the event was discarded
+     */
+    discardPublish(eventId) {
+        return this.client.discardPublish(eventId);
+    }
+    
+    /**
+     * Describe how far an event has propagated
+     * @param {Array} relays - Relay URLs the event was seen on
+     * @returns {string} - Label such as "seen on 2 relays"
+     */
+    formatSeenOn(relays) {
+        return `seen on ${relays.length} relay${relays.length === 1 ? '' : 's'}`;
+    }
+    
     /**
      * Create a new group
      * @param {string} name - Group name
@@ -400,43 +666,14 @@ class NostrIntegration {
             // Create the profile event
             const event = await this.client.updateProfile(profile);
             
-            // Retry publishing if needed
-            let attempts = 0;
-            const maxAttempts = 3;
-            let lastError = null;
+            // publishEvent retries as long as relays give retryable reasons
+            const result = await this.publishEvent(event);
+            console.log("Profile update published:", result);
             
-            while (attempts < maxAttempts) {
-                try {
-                    // Publish with retry logic
-                    const result = await this.publishEvent(event);
-                    console.log("Profile update published:", result);
-                    
-                    // Wait a bit to ensure all relays receive the update
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    
-                    return event;
-                } catch (error) {
-                    attempts++;
-                    lastError = error;
-                    console.warn(`Profile update attempt ${attempts} failed:`, error);
-                    
-                    if (attempts >= maxAttempts) {
-                        break;
-                    }
-                    
-                    // Exponential backoff for retries
-                    const waitTime = Math.pow(2, attempts) * 1000; // 2s, 4s, 8s...
-                    console.log(`Retrying in ${waitTime}ms...`);
-                    await new Promise(resolve => setTimeout(resolve, waitTime));
-                }
-            }
+            // Wait a bit to ensure all relays receive the update
+            await new Promise(resolve => setTimeout(resolve, 1000));
             
-            // If all retries failed, throw an error
-            if (lastError) {
-                throw lastError;
-            } else {
-                throw new Error("Failed to update profile after multiple attempts");
-            }
+            return event;
         } catch (error) {
             console.error("Error updating profile:", error);
             throw error;
@@ -444,27 +681,29 @@ class NostrIntegration {
     }
 
     /**
-     * Improved publishEvent method with retry logic
+     * Publish an event, retrying while relays give retryable reasons
+     * Relays that already accepted the event answer "duplicate:" on a retry, which counts as accepted
+     * @param {Object} event - Signed event
+     * @param {Object} options - Publish options passed to the relay manager, e.g. {policy}
+     * @returns {Promise<Object>} - Publish result, see WebSocketRelayManager.publish
      */
-    async publishEvent(event) {
-        // Implement retry logic for more reliable event publishing
-        let attempts = 0;
+    async publishEvent(event, options = {}) {
         const maxAttempts = 3;
         
-        while (attempts < maxAttempts) {
+        for (let attempts = 1; ; attempts++) {
             try {
-                const result = await this.client.relayManager.publish(event);
-                return result;
+                return await this.client.relayManager.publish(event, options);
             } catch (error) {
-                attempts++;
-                console.warn(`Publish attempt ${attempts} failed:`, error);
+                // Invalid events and final relay answers such as "blocked:" won't change on a retry
+                const retryable = error.result && error.result.results.some(r => r.retryable);
+                console.warn(`Publish attempt ${attempts} failed${retryable ? '' : ', not retrying'}:`, error.message);
                 
-                if (attempts >= maxAttempts) {
+                if (!retryable || attempts >= maxAttempts) {
                     throw error;
                 }
                 
                 // Exponential backoff for retries
-                const waitTime = Math.pow(2, attempts) * 500; // 1s, 2s, 4s...
+                const waitTime = Math.pow(2, attempts) * 500; // 1s, 2s...
                 await new Promise(resolve => setTimeout(resolve, waitTime));
             }
         }
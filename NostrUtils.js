@@ -5,7 +5,36 @@
  */
 
 // Import from local module if available, otherwise try window object
-import { nobleSecp256k1, browserifyCipher } from './crypto-libraries.js';
+import { nobleSecp256k1, browserifyCipher, nobleCrypto, scureBip } from './crypto-libraries.js';
+import VerificationPool from './VerificationPool.js';
+
+// Shared worker pool for hashing and verification, created on first use
+let verificationPool = null;
+
+// Bech32 (BIP-173) as used by NIP-19
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32_MAX_LENGTH = 5000; // TLV entities with relay hints go well past BIP-173's 90 characters
+
+// NIP-44 v2 payload limits
+const NIP44_VERSION = 2;
+const NIP44_MIN_PLAINTEXT = 1;
+const NIP44_MAX_PLAINTEXT = 65535;
+const NIP44_SALT = new TextEncoder().encode('nip44-v2');
+
+// NIP-06 derivation path prefix; 1237 is nostr's SLIP-44 coin type
+const NIP06_PATH = "m/44'/1237'";
+
+// NIP-49 encrypted private keys (ncryptsec)
+const NCRYPTSEC_VERSION = 0x02;
+const NCRYPTSEC_LENGTH = 91; // version, log_n, 16-byte salt, 24-byte nonce, key security, 48-byte ciphertext
+const NCRYPTSEC_KEY_SECURITY = [0x00, 0x01, 0x02]; // Known insecure, not known insecure, unknown
+
+// NIP-19 TLV types
+const TLV_SPECIAL = 0; // Pubkey, event ID or d identifier, depending on the entity
+const TLV_RELAY = 1;
+const TLV_AUTHOR = 2;
+const TLV_KIND = 3;
 
 export class NostrUtils {
     /**
@@ -43,6 +72,85 @@ export class NostrUtils {
         return this.bytesToHex(secp.utils.randomPrivateKey());
     }
     
+    /**
+     * Generate a BIP-39 seed phrase the user can write down and recover keys from (NIP-06)
+     * @param {number} words - 12 or 24 (default 12)
+     * @returns {string} - Space-separated English words
+     */
+    static generateMnemonic(words = 12) {
+        if (words !== 12 && words !== 24) {
+            throw new Error('Seed phrases have 12 or 24 words');
+        }
+        return this._bip().generateMnemonic(this._bip().englishWordlist, words === 24 ? 256 : 128);
+    }
+    
+    /**
+     * Check a seed phrase's words and checksum
+     * @param {string} mnemonic - Seed phrase
+     * @returns {boolean}
+     */
+    static validateMnemonic(mnemonic) {
+        return this._bip().validateMnemonic(this._normalizeMnemonic(mnemonic), this._bip().englishWordlist);
+    }
+    
+    /**
+     * Derive a private key from a seed phrase at m/44'/1237'/<account>'/0/0 (NIP-06)
+     * @param {string} mnemonic - Seed phrase
+     * @param {number} account - Account index, for several keys from one phrase (default 0)
+     * @param {string} passphrase - Optional BIP-39 passphrase (default none)
+     * @returns {string} - Hex private key
+     */
+    static privateKeyFromMnemonic(mnemonic, account = 0, passphrase = '') {
+        return this.mnemonicAccounts(mnemonic, 1, passphrase, account)[0].privateKey;
+    }
+    
+    /**
+     * Derive consecutive accounts from a seed phrase, e.g. to let the user pick one
+     * @param {string} mnemonic - Seed phrase
+     * @param {number} count - Accounts to derive
+     * @param {string} passphrase - Optional BIP-39 passphrase (default none)
+     * @param {number} first - First account index (default 0)
+     * @returns {Array} - Array of {account, privateKey, pubkey}
+     */
+    static mnemonicAccounts(mnemonic, count, passphrase = '', first = 0) {
+        if (!this.validateMnemonic(mnemonic)) {
+            throw new Error('Invalid seed phrase');
+        }
+        if (!Number.isInteger(first) || first < 0 || first + count > 0x80000000) {
+            throw new Error(`Invalid account index: ${first}`);
+        }
+        
+        // The seed is the slow part (PBKDF2), so derive every account from one root
+        const seed = this._bip().mnemonicToSeedSync(this._normalizeMnemonic(mnemonic), passphrase);
+        const root = this._bip().HDKey.fromMasterSeed(seed);
+        
+        const accounts = [];
+        for (let account = first; account < first + count; account++) {
+            const privateKey = this.bytesToHex(root.derive(`${NIP06_PATH}/${account}'/0/0`).privateKey);
+            accounts.push({ account, privateKey, pubkey: this.getPublicKey(privateKey) });
+        }
+        return accounts;
+    }
+    
+    /**
+     * @private
+     */
+    static _bip() {
+        const bip = scureBip || window.scureBip;
+        if (!bip) {
+            throw new Error('BIP-39 libraries not available');
+        }
+        return bip;
+    }
+    
+    /**
+     * Lowercase the words and collapse the whitespace between them, as typed phrases vary
+     * @private
+     */
+    static _normalizeMnemonic(mnemonic) {
+        return (mnemonic || '').trim().toLowerCase().split(/\s+/).join(' ');
+    }
+    
     /**
      * Get public key from private key
      * @param {string} privateKey - Hex-encoded private key
@@ -58,19 +166,41 @@ export class NostrUtils {
     }
     
     /**
-     * Sign an event with a private key
-     * @param {Object} event - Unsigned event
-     * @param {string} privateKey - Private key
-     * @returns {Promise<Object>} - Signed event
+     * Get the worker pool used for hashing and verification
+     * @returns {VerificationPool}
      */
-    static async signEvent(event, privateKey) {
-        // Access nobleSecp256k1 from either the import or window global
+    static getVerificationPool() {
+        if (!verificationPool) {
+            verificationPool = new VerificationPool({
+                fallback: {
+                    hash: event => this.getEventHashInThread(event),
+                    verify: event => this.verifySignatureInThread(event)
+                }
+            });
+        }
+        return verificationPool;
+    }
+    
+    /**
+     * Compute an event's ID from its serialized fields, off the UI thread when possible
+     * @param {Object} event - Event with pubkey, created_at, kind, tags and content
+     * @returns {Promise<string>} - Hex event ID
+     */
+    static async getEventHash(event) {
+        return this.getVerificationPool().hash(event);
+    }
+    
+    /**
+     * Compute an event's ID on the calling thread
+     * @param {Object} event - Event with pubkey, created_at, kind, tags and content
+     * @returns {Promise<string>} - Hex event ID
+     */
+    static async getEventHashInThread(event) {
         const secp = nobleSecp256k1 || window.nobleSecp256k1;
         if (!secp) {
             throw new Error('Noble Secp256k1 library not available');
         }
         
-        // Prepare the event for signing
         const eventData = JSON.stringify([
             0,
             event.pubkey,
@@ -80,12 +210,28 @@ export class NostrUtils {
             event.content
         ]);
         
-        // Generate the event ID
-        event.id = this.bytesToHex(
+        return this.bytesToHex(
             await secp.utils.sha256(
                 new TextEncoder().encode(eventData)
             )
         );
+    }
+    
+    /**
+     * Sign an event with a private key
+     * @param {Object} event - Unsigned event
+     * @param {string} privateKey - Private key
+     * @returns {Promise<Object>} - Signed event
+     */
+    static async signEvent(event, privateKey) {
+        // Access nobleSecp256k1 from either the import or window global
+        const secp = nobleSecp256k1 || window.nobleSecp256k1;
+        if (!secp) {
+            throw new Error('Noble Secp256k1 library not available');
+        }
+        
+        // Generate the event ID
+        event.id = await this.getEventHash(event);
         
         // Sign the event
         event.sig = await secp.schnorr.sign(event.id, privateKey);
@@ -94,11 +240,29 @@ export class NostrUtils {
     }
     
     /**
-     * Verify an event signature
+     * Verify an event signature, off the UI thread when possible
      * @param {Object} event - Signed event
      * @returns {Promise<boolean>} - Whether the signature is valid
      */
     static async verifySignature(event) {
+        return this.getVerificationPool().verify(event);
+    }
+    
+    /**
+     * Verify the signatures of many events at once
+     * @param {Array} events - Signed events
+     * @returns {Promise<Array<boolean>>} - Whether each signature is valid, in order
+     */
+    static async verifySignatures(events) {
+        return this.getVerificationPool().verifyBatch(events);
+    }
+    
+    /**
+     * Verify an event signature on the calling thread
+     * @param {Object} event - Signed event
+     * @returns {Promise<boolean>} - Whether the signature is valid
+     */
+    static async verifySignatureInThread(event) {
         try {
             // Access nobleSecp256k1 from either the import or window global
             const secp = nobleSecp256k1 || window.nobleSecp256k1;
@@ -107,20 +271,7 @@ export class NostrUtils {
             }
             
             // Recreate the event ID
-            const eventData = JSON.stringify([
-                0,
-                event.pubkey,
-                event.created_at,
-                event.kind,
-                event.tags,
-                event.content
-            ]);
-            
-            const id = this.bytesToHex(
-                await secp.utils.sha256(
-                    new TextEncoder().encode(eventData)
-                )
-            );
+            const id = await this.getEventHashInThread(event);
             
             // Check if the ID matches
             if (id !== event.id) {
@@ -140,13 +291,216 @@ export class NostrUtils {
     }
     
     /**
-     * Encrypt message for DMs (kind 4)
+     * Encrypt a message for another pubkey
+     * NIP-44 v2 is authenticated, so a tampered payload fails to decrypt. Use version 'nip04'
+     * only for peers that still expect legacy kind 4 DMs
      * @param {string} privkey - Sender's private key
      * @param {string} pubkey - Recipient's public key
      * @param {string} text - Plain text message
-     * @returns {string} - Encrypted message with IV
+     * @param {Object} options - Encryption options
+     * @param {number|string} options.version - 2 for NIP-44 v2 or 'nip04' (default 2)
+     * @returns {string} - Encrypted payload
+     */
+    static encrypt(privkey, pubkey, text, options = {}) {
+        const version = options.version !== undefined ? options.version : NIP44_VERSION;
+        
+        if (version === 'nip04') {
+            return this._nip04Encrypt(privkey, pubkey, text);
+        }
+        if (version !== NIP44_VERSION) {
+            throw new Error(`Unsupported encryption version: ${version}`);
+        }
+        return this.nip44Encrypt(text, this.getConversationKey(privkey, pubkey));
+    }
+    
+    /**
+     * Decrypt a message, detecting whether it is NIP-44 or legacy NIP-04
+     * @param {string} privkey - Recipient's private key
+     * @param {string} pubkey - Sender's public key
+     * @param {string} ciphertext - Encrypted payload
+     * @returns {string} - Decrypted message
      */
-    static encrypt(privkey, pubkey, text) {
+    static decrypt(privkey, pubkey, ciphertext) {
+        // NIP-04 payloads carry their IV after "?iv=", which never appears in base64
+        if (ciphertext.includes('?iv=')) {
+            return this._nip04Decrypt(privkey, pubkey, ciphertext);
+        }
+        return this.nip44Decrypt(ciphertext, this.getConversationKey(privkey, pubkey));
+    }
+    
+    /**
+     * Derive the NIP-44 conversation key two pubkeys share; it is the same in both directions
+     * @param {string} privkey - Own private key
+     * @param {string} pubkey - Other side's public key
+     * @returns {Uint8Array} - 32-byte conversation key
+     */
+    static getConversationKey(privkey, pubkey) {
+        const secp = nobleSecp256k1 || window.nobleSecp256k1;
+        const noble = nobleCrypto || window.nobleCrypto;
+        if (!secp || !noble) {
+            throw new Error('Encryption libraries not available');
+        }
+        
+        const sharedX = secp.getSharedSecret(privkey, '02' + pubkey, true).substring(2);
+        return noble.hkdfExtract(noble.sha256, this.hexToBytes(sharedX), NIP44_SALT);
+    }
+    
+    /**
+     * Encrypt with NIP-44 v2: padded plaintext, ChaCha20, then HMAC-SHA256 over nonce and ciphertext
+     * @param {string} text - Plain text, 1 to 65535 bytes as UTF-8
+     * @param {Uint8Array} conversationKey - See getConversationKey
+     * @param {Uint8Array} nonce - 32 random bytes; only set for test vectors
+     * @returns {string} - Base64 payload
+     */
+    static nip44Encrypt(text, conversationKey, nonce = window.crypto.getRandomValues(new Uint8Array(32))) {
+        const noble = nobleCrypto || window.nobleCrypto;
+        const { chachaKey, chachaNonce, hmacKey } = this._nip44MessageKeys(conversationKey, nonce);
+        
+        const ciphertext = noble.chacha20(chachaKey, chachaNonce, this._nip44Pad(text));
+        const mac = noble.hmac(noble.sha256, hmacKey, this._concatBytes([nonce, ciphertext]));
+        
+        return this._bytesToBase64(this._concatBytes([[NIP44_VERSION], nonce, ciphertext, mac]));
+    }
+    
+    /**
+     * Decrypt a NIP-44 v2 payload, checking its MAC before decrypting
+     * @param {string} payload - Base64 payload
+     * @param {Uint8Array} conversationKey - See getConversationKey
+     * @returns {string} - Plain text
+     */
+    static nip44Decrypt(payload, conversationKey) {
+        const noble = nobleCrypto || window.nobleCrypto;
+        
+        if (payload[0] === '#') {
+            throw new Error('Unsupported NIP-44 version');
+        }
+        if (payload.length < 132 || payload.length > 87472) {
+            throw new Error('Invalid NIP-44 payload length');
+        }
+        
+        let data;
+        try {
+            data = this._base64ToBytes(payload);
+        } catch (e) {
+            throw new Error('Invalid NIP-44 payload encoding');
+        }
+        if (data.length < 99 || data.length > 65603) {
+            throw new Error('Invalid NIP-44 payload length');
+        }
+        if (data[0] !== NIP44_VERSION) {
+            throw new Error(`Unsupported NIP-44 version: ${data[0]}`);
+        }
+        
+        const nonce = data.subarray(1, 33);
+        const ciphertext = data.subarray(33, data.length - 32);
+        const mac = data.subarray(data.length - 32);
+        const { chachaKey, chachaNonce, hmacKey } = this._nip44MessageKeys(conversationKey, nonce);
+        
+        const expected = noble.hmac(noble.sha256, hmacKey, this._concatBytes([nonce, ciphertext]));
+        if (!noble.equalBytes(expected, mac)) {
+            throw new Error('Invalid NIP-44 MAC');
+        }
+        
+        return this._nip44Unpad(noble.chacha20(chachaKey, chachaNonce, ciphertext));
+    }
+    
+    /**
+     * Length NIP-44 pads a plaintext to: 32 bytes at least, then steps of an eighth of the next power of two
+     * @param {number} length - Plaintext length in bytes
+     * @returns {number} - Padded length
+     */
+    static nip44PaddedLength(length) {
+        if (length <= 32) return 32;
+        
+        const nextPower = 1 << (Math.floor(Math.log2(length - 1)) + 1);
+        const chunk = nextPower <= 256 ? 32 : nextPower / 8;
+        return chunk * (Math.floor((length - 1) / chunk) + 1);
+    }
+    
+    /**
+     * Per-message ChaCha20 key and nonce and HMAC key, expanded from the conversation key and nonce
+     * @private
+     */
+    static _nip44MessageKeys(conversationKey, nonce) {
+        const noble = nobleCrypto || window.nobleCrypto;
+        if (!noble) {
+            throw new Error('Encryption libraries not available');
+        }
+        if (conversationKey.length !== 32 || nonce.length !== 32) {
+            throw new Error('NIP-44 conversation key and nonce must be 32 bytes');
+        }
+        
+        const keys = noble.hkdfExpand(noble.sha256, conversationKey, nonce, 76);
+        return {
+            chachaKey: keys.subarray(0, 32),
+            chachaNonce: keys.subarray(32, 44),
+            hmacKey: keys.subarray(44, 76)
+        };
+    }
+    
+    /**
+     * Prefix the plaintext with its length and zero-pad it, hiding the exact message size
+     * @private
+     */
+    static _nip44Pad(text) {
+        const bytes = new TextEncoder().encode(text);
+        if (bytes.length < NIP44_MIN_PLAINTEXT || bytes.length > NIP44_MAX_PLAINTEXT) {
+            throw new Error('NIP-44 plaintext must be 1 to 65535 bytes');
+        }
+        
+        const padded = new Uint8Array(2 + this.nip44PaddedLength(bytes.length));
+        new DataView(padded.buffer).setUint16(0, bytes.length);
+        padded.set(bytes, 2);
+        return padded;
+    }
+    
+    /**
+     * @private
+     */
+    static _nip44Unpad(padded) {
+        const length = new DataView(padded.buffer, padded.byteOffset, padded.length).getUint16(0);
+        if (length < NIP44_MIN_PLAINTEXT || padded.length !== 2 + this.nip44PaddedLength(length)) {
+            throw new Error('Invalid NIP-44 padding');
+        }
+        return new TextDecoder().decode(padded.subarray(2, 2 + length));
+    }
+    
+    /**
+     * @private
+     */
+    static _concatBytes(parts) {
+        const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            bytes.set(part, offset);
+            offset += part.length;
+        });
+        return bytes;
+    }
+    
+    /**
+     * @private
+     */
+    static _bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+    
+    /**
+     * @private
+     */
+    static _base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+    
+    /**
+     * Encrypt with legacy NIP-04 (AES-256-CBC, unauthenticated)
+     * @private
+     */
+    static _nip04Encrypt(privkey, pubkey, text) {
         // Access libraries from either the import or window globals
         const secp = nobleSecp256k1 || window.nobleSecp256k1;
         const cipher = browserifyCipher || window.browserifyCipher;
@@ -166,13 +520,10 @@ export class NostrUtils {
     }
     
     /**
-     * Decrypt message for DMs (kind 4)
-     * @param {string} privkey - Recipient's private key
-     * @param {string} pubkey - Sender's public key
-     * @param {string} ciphertext - Encrypted message with IV
-     * @returns {string} - Decrypted message
+     * Decrypt legacy NIP-04
+     * @private
      */
-    static decrypt(privkey, pubkey, ciphertext) {
+    static _nip04Decrypt(privkey, pubkey, ciphertext) {
         // Access libraries from either the import or window globals
         const secp = nobleSecp256k1 || window.nobleSecp256k1;
         const cipher = browserifyCipher || window.browserifyCipher;
@@ -219,15 +570,507 @@ export class NostrUtils {
     }
     
     /**
-     * Truncate pubkey for display
+     * Truncate pubkey for display, as an npub when it is a valid hex key
      * @param {string} pubkey - Public key
      * @returns {string} - Truncated public key
      */
     static truncatePubkey(pubkey) {
         if (!pubkey) return '';
+        if (/^[0-9a-f]{64}$/i.test(pubkey)) {
+            const npub = this.npubEncode(pubkey);
+            return npub.substring(0, 10) + '...' + npub.substring(npub.length - 4);
+        }
         return pubkey.substring(0, 6) + '...' + pubkey.substring(pubkey.length - 4);
     }
     
+    /**
+     * Encode a public key as an npub (NIP-19)
+     * @param {string} pubkey - Hex public key
+     * @returns {string} - npub1...
+     */
+    static npubEncode(pubkey) {
+        return this._bech32Encode('npub', this._hexKeyToBytes(pubkey, 'public key'));
+    }
+    
+    /**
+     * Encode a private key as an nsec (NIP-19)
+     * @param {string} privateKey - Hex private key
+     * @returns {string} - nsec1...
+     */
+    static nsecEncode(privateKey) {
+        return this._bech32Encode('nsec', this._hexKeyToBytes(privateKey, 'private key'));
+    }
+    
+    /**
+     * Encode an event ID as a note (NIP-19)
+     * @param {string} id - Hex event ID
+     * @returns {string} - note1...
+     */
+    static noteEncode(id) {
+        return this._bech32Encode('note', this._hexKeyToBytes(id, 'event ID'));
+    }
+    
+    /**
+     * Encode a profile pointer with relay hints (NIP-19)
+     * @param {Object} profile - {pubkey, relays}
+     * @returns {string} - nprofile1...
+     */
+    static nprofileEncode({ pubkey, relays = [] }) {
+        return this._bech32Encode('nprofile', this._encodeTlv([
+            [TLV_SPECIAL, this._hexKeyToBytes(pubkey, 'public key')],
+            ...this._relayTlvs(relays)
+        ]));
+    }
+    
+    /**
+     * Encode an event pointer with relay hints (NIP-19)
+     * @param {Object} event - {id, relays, author, kind}; author and kind are optional
+     * @returns {string} - nevent1...
+     */
+    static neventEncode({ id, relays = [], author, kind }) {
+        const entries = [[TLV_SPECIAL, this._hexKeyToBytes(id, 'event ID')], ...this._relayTlvs(relays)];
+        if (author) entries.push([TLV_AUTHOR, this._hexKeyToBytes(author, 'public key')]);
+        if (kind !== undefined) entries.push([TLV_KIND, this._kindToBytes(kind)]);
+        
+        return this._bech32Encode('nevent', this._encodeTlv(entries));
+    }
+    
+    /**
+     * Encode a pointer to an addressable event, such as a group's kind 39000 metadata (NIP-19)
+     * @param {Object} address - {identifier, pubkey, kind, relays}; identifier is the d tag
+     * @returns {string} - naddr1...
+     */
+    static naddrEncode({ identifier, pubkey, kind, relays = [] }) {
+        return this._bech32Encode('naddr', this._encodeTlv([
+            [TLV_SPECIAL, new TextEncoder().encode(identifier)],
+            ...this._relayTlvs(relays),
+            [TLV_AUTHOR, this._hexKeyToBytes(pubkey, 'public key')],
+            [TLV_KIND, this._kindToBytes(kind)]
+        ]));
+    }
+    
+    /**
+     * Decode a NIP-19 entity, with or without a nostr: prefix
+     * @param {string} entity - npub, nsec, note, nprofile, nevent or naddr
+     * @returns {Object} - {type, data}; data is a hex string for npub, nsec and note,
+     *                     {pubkey, relays} for nprofile, {id, relays, author, kind} for nevent
+     *                     and {identifier, pubkey, kind, relays} for naddr
+     */
+    static decodeNip19(entity) {
+        const { prefix, bytes } = this._bech32Decode(entity.trim().replace(/^nostr:/i, ''));
+        
+        switch (prefix) {
+            case 'npub':
+            case 'nsec':
+            case 'note':
+                if (bytes.length !== 32) {
+                    throw new Error(`Invalid ${prefix}: expected 32 bytes`);
+                }
+                return { type: prefix, data: this.bytesToHex(bytes) };
+                
+            case 'nprofile': {
+                const tlv = this._decodeTlv(bytes);
+                return {
+                    type: prefix,
+                    data: {
+                        pubkey: this._tlvHex(tlv, TLV_SPECIAL, prefix),
+                        relays: this._tlvRelays(tlv)
+                    }
+                };
+            }
+                
+            case 'nevent': {
+                const tlv = this._decodeTlv(bytes);
+                return {
+                    type: prefix,
+                    data: {
+                        id: this._tlvHex(tlv, TLV_SPECIAL, prefix),
+                        relays: this._tlvRelays(tlv),
+                        author: tlv[TLV_AUTHOR] ? this._tlvHex(tlv, TLV_AUTHOR, prefix) : undefined,
+                        kind: tlv[TLV_KIND] ? this._tlvKind(tlv, prefix) : undefined
+                    }
+                };
+            }
+                
+            case 'naddr': {
+                const tlv = this._decodeTlv(bytes);
+                if (!tlv[TLV_SPECIAL]) {
+                    throw new Error('Invalid naddr: missing identifier');
+                }
+                return {
+                    type: prefix,
+                    data: {
+                        identifier: new TextDecoder().decode(tlv[TLV_SPECIAL][0]),
+                        pubkey: this._tlvHex(tlv, TLV_AUTHOR, prefix),
+                        kind: this._tlvKind(tlv, prefix),
+                        relays: this._tlvRelays(tlv)
+                    }
+                };
+            }
+                
+            default:
+                throw new Error(`Unsupported NIP-19 prefix: ${prefix}`);
+        }
+    }
+    
+    /**
+     * Read a public key typed or pasted by the user
+     * @param {string} input - Hex, npub or nprofile, optionally with a nostr: prefix
+     * @returns {string} - Hex public key
+     */
+    static toPublicKeyHex(input) {
+        const value = (input || '').trim();
+        if (/^[0-9a-f]{64}$/i.test(value)) {
+            return value.toLowerCase();
+        }
+        
+        let decoded;
+        try {
+            decoded = this.decodeNip19(value);
+        } catch (e) {
+            throw new Error('Invalid public key: enter an npub or a 64-character hex key');
+        }
+        if (decoded.type === 'npub') return decoded.data;
+        if (decoded.type === 'nprofile') return decoded.data.pubkey;
+        throw new Error(`Invalid public key: expected an npub, got an ${decoded.type}`);
+    }
+    
+    /**
+     * Read a private key typed or pasted by the user
+     * @param {string} input - Hex or nsec
+     * @returns {string} - Hex private key
+     */
+    static toPrivateKeyHex(input) {
+        const value = (input || '').trim();
+        if (/^[0-9a-f]{64}$/i.test(value)) {
+            return value.toLowerCase();
+        }
+        
+        let decoded;
+        try {
+            decoded = this.decodeNip19(value);
+        } catch (e) {
+            throw new Error('Invalid private key: enter an nsec or a 64-character hex key');
+        }
+        if (decoded.type !== 'nsec') {
+            throw new Error(`Invalid private key: expected an nsec, got an ${decoded.type}`);
+        }
+        return decoded.data;
+    }
+    
+    /**
+     * Encrypt a private key under a passphrase as a NIP-49 ncryptsec
+     * The passphrase is stretched with scrypt, so this takes a noticeable moment at the default log_n
+     * @param {string} privateKey - Hex private key
+     * @param {string} passphrase - Passphrase, NFKC-normalized before use
+     * @param {Object} options - Encryption options
+     * @param {number} options.logN - scrypt cost as a power of two (default 16)
+     * @param {number} options.keySecurity - 0x00 if the key was ever handled insecurely,
+     *                                       0x01 if not, 0x02 if unknown (default 0x02)
+     * @returns {Promise<string>} - ncryptsec string
+     */
+    static async encryptPrivateKey(privateKey, passphrase, options = {}) {
+        const logN = options.logN !== undefined ? options.logN : 16;
+        const keySecurity = options.keySecurity !== undefined ? options.keySecurity : 0x02;
+        if (!NCRYPTSEC_KEY_SECURITY.includes(keySecurity)) {
+            throw new Error(`Invalid key security byte: ${keySecurity}`);
+        }
+        
+        const keyBytes = this._hexKeyToBytes(privateKey, 'private key');
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const nonce = window.crypto.getRandomValues(new Uint8Array(24));
+        const key = await this._ncryptsecKey(passphrase, salt, logN);
+        
+        const noble = nobleCrypto || window.nobleCrypto;
+        const ciphertext = noble.xchacha20poly1305(key, nonce, new Uint8Array([keySecurity])).encrypt(keyBytes);
+        
+        return this._bech32Encode('ncryptsec', this._concatBytes([
+            [NCRYPTSEC_VERSION, logN], salt, nonce, [keySecurity], ciphertext
+        ]));
+    }
+    
+    /**
+     * Decrypt a NIP-49 ncryptsec with its passphrase
+     * @param {string} ncryptsec - ncryptsec string
+     * @param {string} passphrase - Passphrase it was encrypted with
+     * @returns {Promise<string>} - Hex private key
+     */
+    static async decryptPrivateKey(ncryptsec, passphrase) {
+        const { prefix, bytes } = this._bech32Decode((ncryptsec || '').trim());
+        if (prefix !== 'ncryptsec') {
+            throw new Error(`Expected an ncryptsec, got ${prefix}`);
+        }
+        if (bytes.length !== NCRYPTSEC_LENGTH || bytes[0] !== NCRYPTSEC_VERSION) {
+            throw new Error('Unsupported ncryptsec version');
+        }
+        
+        const logN = bytes[1];
+        const salt = bytes.subarray(2, 18);
+        const nonce = bytes.subarray(18, 42);
+        const keySecurity = bytes.subarray(42, 43);
+        const ciphertext = bytes.subarray(43);
+        const key = await this._ncryptsecKey(passphrase, salt, logN);
+        
+        const noble = nobleCrypto || window.nobleCrypto;
+        try {
+            return this.bytesToHex(noble.xchacha20poly1305(key, nonce, keySecurity).decrypt(ciphertext));
+        } catch (e) {
+            throw new Error('Wrong passphrase or corrupted ncryptsec');
+        }
+    }
+    
+    /**
+     * Check whether a string looks like an ncryptsec, without decrypting it
+     * @param {string} value - String to check
+     * @returns {boolean}
+     */
+    static isNcryptsec(value) {
+        return typeof value === 'string' && /^ncryptsec1[02-9ac-hj-np-z]+$/i.test(value.trim());
+    }
+    
+    /**
+     * Symmetric key for an ncryptsec: scrypt(passphrase, salt, N=2^logN, r=8, p=1)
+     * @private
+     */
+    static async _ncryptsecKey(passphrase, salt, logN) {
+        const noble = nobleCrypto || window.nobleCrypto;
+        if (!noble) {
+            throw new Error('Encryption libraries not available');
+        }
+        if (!passphrase) {
+            throw new Error('A passphrase is required');
+        }
+        // Above log_n 20 scrypt needs more than the 1 GiB the library allows
+        if (logN < 1 || logN > 20) {
+            throw new Error(`Unsupported scrypt cost: log_n ${logN}`);
+        }
+        
+        // NFKC makes the same passphrase typed on different systems produce the same key
+        const password = new TextEncoder().encode(passphrase.normalize('NFKC'));
+        return noble.scryptAsync(password, salt, { N: Math.pow(2, logN), r: 8, p: 1, dkLen: 32 });
+    }
+    
+    /**
+     * @private
+     */
+    static _hexKeyToBytes(hex, what) {
+        if (typeof hex !== 'string' || !/^[0-9a-f]{64}$/i.test(hex)) {
+            throw new Error(`Invalid ${what}: expected 64 hex characters`);
+        }
+        return this.hexToBytes(hex.toLowerCase());
+    }
+    
+    /**
+     * Kinds are 32-bit big-endian in TLV
+     * @private
+     */
+    static _kindToBytes(kind) {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, kind);
+        return bytes;
+    }
+    
+    /**
+     * @private
+     */
+    static _relayTlvs(relays) {
+        return relays.map(relay => [TLV_RELAY, new TextEncoder().encode(relay)]);
+    }
+    
+    /**
+     * Serialize [type, value] entries as type byte, length byte, value
+     * @private
+     */
+    static _encodeTlv(entries) {
+        const bytes = [];
+        entries.forEach(([type, value]) => {
+            if (value.length > 255) {
+                throw new Error('NIP-19 TLV value is too long');
+            }
+            bytes.push(type, value.length, ...value);
+        });
+        return new Uint8Array(bytes);
+    }
+    
+    /**
+     * Parse TLV bytes into a map of type -> array of values; unknown types are kept and ignored
+     * @private
+     */
+    static _decodeTlv(bytes) {
+        const tlv = {};
+        let offset = 0;
+        while (offset < bytes.length) {
+            const type = bytes[offset];
+            const length = bytes[offset + 1];
+            if (length === undefined || offset + 2 + length > bytes.length) {
+                throw new Error('Invalid NIP-19 TLV data');
+            }
+            (tlv[type] = tlv[type] || []).push(bytes.subarray(offset + 2, offset + 2 + length));
+            offset += 2 + length;
+        }
+        return tlv;
+    }
+    
+    /**
+     * @private
+     */
+    static _tlvHex(tlv, type, prefix) {
+        const value = tlv[type] && tlv[type][0];
+        if (!value || value.length !== 32) {
+            throw new Error(`Invalid ${prefix}: missing or malformed ${type === TLV_AUTHOR ? 'author' : 'key'}`);
+        }
+        return this.bytesToHex(value);
+    }
+    
+    /**
+     * @private
+     */
+    static _tlvKind(tlv, prefix) {
+        const value = tlv[TLV_KIND] && tlv[TLV_KIND][0];
+        if (!value || value.length !== 4) {
+            throw new Error(`Invalid ${prefix}: missing or malformed kind`);
+        }
+        return new DataView(value.buffer, value.byteOffset, 4).getUint32(0);
+    }
+    
+    /**
+     * @private
+     */
+    static _tlvRelays(tlv) {
+        return (tlv[TLV_RELAY] || []).map(value => new TextDecoder().decode(value));
+    }
+    
+    /**
+     * @private
+     */
+    static _bech32Encode(prefix, bytes) {
+        const words = this._convertBits(bytes, 8, 5, true);
+        const checksum = this._bech32Checksum(prefix, words);
+        return prefix + '1' + [...words, ...checksum].map(word => BECH32_ALPHABET[word]).join('');
+    }
+    
+    /**
+     * @private
+     */
+    static _bech32Decode(value) {
+        if (value.length > BECH32_MAX_LENGTH) {
+            throw new Error('Bech32 string is too long');
+        }
+        if (value !== value.toLowerCase() && value !== value.toUpperCase()) {
+            throw new Error('Bech32 string mixes upper and lower case');
+        }
+        
+        const lower = value.toLowerCase();
+        const separator = lower.lastIndexOf('1');
+        if (separator < 1 || lower.length - separator - 1 < 6) {
+            throw new Error('Invalid bech32 string');
+        }
+        
+        const prefix = lower.substring(0, separator);
+        const words = [];
+        for (const char of lower.substring(separator + 1)) {
+            const word = BECH32_ALPHABET.indexOf(char);
+            if (word === -1) {
+                throw new Error(`Invalid bech32 character: ${char}`);
+            }
+            words.push(word);
+        }
+        
+        if (this._bech32Polymod([...this._bech32ExpandPrefix(prefix), ...words]) !== 1) {
+            throw new Error('Invalid bech32 checksum');
+        }
+        
+        return { prefix, bytes: new Uint8Array(this._convertBits(words.slice(0, -6), 5, 8, false)) };
+    }
+    
+    /**
+     * @private
+     */
+    static _bech32Checksum(prefix, words) {
+        const polymod = this._bech32Polymod([...this._bech32ExpandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+        const checksum = [];
+        for (let i = 0; i < 6; i++) {
+            checksum.push((polymod >> (5 * (5 - i))) & 31);
+        }
+        return checksum;
+    }
+    
+    /**
+     * @private
+     */
+    static _bech32Polymod(values) {
+        let checksum = 1;
+        values.forEach(value => {
+            const top = checksum >> 25;
+            checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+            BECH32_GENERATORS.forEach((generator, i) => {
+                if ((top >> i) & 1) {
+                    checksum ^= generator;
+                }
+            });
+        });
+        return checksum;
+    }
+    
+    /**
+     * @private
+     */
+    static _bech32ExpandPrefix(prefix) {
+        const high = [...prefix].map(char => char.charCodeAt(0) >> 5);
+        const low = [...prefix].map(char => char.charCodeAt(0) & 31);
+        return [...high, 0, ...low];
+    }
+    
+    /**
+     * Regroup bits, e.g. bytes into 5-bit bech32 words and back
+     * @private
+     */
+    static _convertBits(data, fromBits, toBits, pad) {
+        let accumulator = 0;
+        let bits = 0;
+        const result = [];
+        const maxValue = (1 << toBits) - 1;
+        
+        for (const value of data) {
+            accumulator = (accumulator << fromBits) | value;
+            bits += fromBits;
+            while (bits >= toBits) {
+                bits -= toBits;
+                result.push((accumulator >> bits) & maxValue);
+            }
+            accumulator &= (1 << bits) - 1;
+        }
+        
+        if (pad) {
+            if (bits > 0) {
+                result.push((accumulator << (toBits - bits)) & maxValue);
+            }
+        } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) {
+            throw new Error('Invalid bech32 padding');
+        }
+        return result;
+    }
+    
+    /**
+     * Normalize a relay URL from untrusted input such as a shared link or an event tag
+     * @param {string} value - Relay URL
+     * @returns {string|null} - The URL without trailing slashes, or null unless it is a valid ws:// or wss:// URL
+     */
+    static normalizeRelayUrl(value) {
+        if (typeof value !== 'string') return null;
+        
+        const url = value.trim().replace(/\/+$/, '');
+        if (!/^wss?:\/\/[^\s]+$/i.test(url)) return null;
+        
+        try {
+            new URL(url);
+        } catch (e) {
+            return null;
+        }
+        
+        return url;
+    }
+    
     /**
      * Generate a random ID (for group IDs, etc.)
      * @returns {string} - Random ID
@@ -288,4 +1131,51 @@ export class NostrUtils {
         
         return refs;
     }
+    
+    /**
+     * Check whether an event matches a NIP-01 filter
+     * @param {Object} event - Event to test
+     * @param {Object} filter - Filter with ids, authors, kinds, #<tag>, since and until
+     * @returns {boolean} - Whether every condition in the filter matches
+     */
+    static matchFilter(event, filter) {
+        if (filter.ids && !filter.ids.some(id => event.id.startsWith(id))) {
+            return false;
+        }
+        if (filter.authors && !filter.authors.some(author => event.pubkey.startsWith(author))) {
+            return false;
+        }
+        if (filter.kinds && !filter.kinds.includes(event.kind)) {
+            return false;
+        }
+        if (filter.since !== undefined && event.created_at < filter.since) {
+            return false;
+        }
+        if (filter.until !== undefined && event.created_at > filter.until) {
+            return false;
+        }
+        
+        // Tag filters like {"#h": [...]} match if any tag of that name has a listed value
+        for (const key of Object.keys(filter)) {
+            if (key[0] !== '#' || key.length !== 2) continue;
+            
+            const values = filter[key];
+            const tagName = key[1];
+            if (!event.tags.some(tag => tag[0] === tagName && values.includes(tag[1]))) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Check whether an event matches any of several filters
+     * @param {Object} event - Event to test
+     * @param {Array} filters - Array of filter objects
+     * @returns {boolean} - Whether at least one filter matches
+     */
+    static matchFilters(event, filters) {
+        return filters.some(filter => this.matchFilter(event, filter));
+    }
 }
@@ -0,0 +1,386 @@
+/**
+ * Outbox.js
+ * Durable queue of signed events waiting to be accepted by relays
+ * Each event is retried per relay until the relay answers OK or the event gets too old,
+ * and the queue is saved so nothing is lost on reload
+ */
+
+class Outbox {
+    /**
+     * @param {WebSocketRelayManager} relayManager - Manager used to publish
+     * @param {Object} options - Outbox settings
+     * @param {Object} options.storage - Storage with getItem/setItem/removeItem (default: localStorage when available)
+     * @param {string|null} options.storageKey - Key the outbox is saved under (default 'nostr_outbox');
+     *                                            null to keep it in memory until setStorageKey()
+     * @param {number} options.maxAge - Stop retrying events older than this, in ms (default 24 hours)
+     * @param {number} options.retryDelay - Delay before the first retry in ms, doubled per attempt (default 5000)
+     * @param {number} options.maxRetryDelay - Longest delay between retries in ms (default 5 minutes)
+     */
+    constructor(relayManager, options = {}) {
+        this.relayManager = relayManager;
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey !== undefined ? options.storageKey : 'nostr_outbox';
+        this.maxAge = options.maxAge || 24 * 60 * 60 * 1000;
+        this.retryDelay = options.retryDelay || 5000;
+        this.maxRetryDelay = options.maxRetryDelay || 5 * 60 * 1000;
+        
+        this.entries = new Map(); // Map of event ID -> {event, createdAt, required, relays: {url: {status, attempts, error, nextAttempt}}}
+        this.inFlight = new Set(); // Set of 'eventId|url' being published right now
+        this.changeCallbacks = [];
+        this.retryTimer = null;
+        
+        this._load();
+        
+        // A relay coming back is the best moment to retry what it missed
+        this.relayManager.onConnect((relayUrl) => {
+            this._attemptRelay(relayUrl);
+        });
+    }
+    
+    /**
+     * Add a signed event and publish it to the given relays
+     * @param {Object} event - Signed nostr event
+     * @param {Array} relayUrls - Relays that should get the event (default: all of the manager's relays)
+     * @param {Object} options - Send options
+     * @param {Array} options.required - Relays that must accept the event before it counts as sent,
+     *                                   such as a group's Hypertuna relay (default: any relay will do)
+     * @returns {Promise<string>} - The event's state after the first attempt: 'sent', 'pending' or 'failed'
+     */
+    async send(event, relayUrls = this.relayManager.getRelays(), options = {}) {
+        if (!this.entries.has(event.id)) {
+            const required = options.required || [];
+            const relays = {};
+            [...new Set([...relayUrls, ...required])].forEach(url => {
+                relays[url] = { status: 'pending', attempts: 0, error: null, nextAttempt: 0 };
+            });
+            this.entries.set(event.id, { event, createdAt: Date.now(), required, relays });
+            this._save();
+            this._notify(event.id);
+        }
+        
+        await this._attemptEvent(event.id);
+        
+        // Events leave the outbox once every relay has accepted them
+        return this.getState(event.id) || 'sent';
+    }
+    
+    /**
+     * Retry an event now on every relay that has not accepted it, including ones that refused it
+     * @param {string} eventId - Event ID
+     * @returns {Promise<string|null>} - The event's state after the attempt
+     */
+    async retry(eventId) {
+        const entry = this.entries.get(eventId);
+        if (!entry) return null;
+        
+        // A manual retry gets a fresh max age, and relays added since the event was queued
+        entry.createdAt = Date.now();
+        this.relayManager.getRelays().forEach(url => {
+            if (!entry.relays[url]) {
+                entry.relays[url] = { status: 'pending', attempts: 0, error: null, nextAttempt: 0 };
+            }
+        });
+        Object.values(entry.relays).forEach(relay => {
+            if (relay.status !== 'sent') {
+                relay.status = 'pending';
+                relay.nextAttempt = 0;
+            }
+        });
+        this._save();
+        this._notify(eventId);
+        
+        await this._attemptEvent(eventId);
+        return this.getState(eventId);
+    }
+    
+    /**
+     * Stop trying to publish an event
+     * @param {string} eventId - Event ID
+     * @returns {boolean} - Whether the event was in the outbox
+     */
+    discard(eventId) {
+        if (!this.entries.delete(eventId)) return false;
+        
+        this._save();
+        this._notify(eventId);
+        this._scheduleRetry();
+        return true;
+    }
+    
+    /**
+     * Switch to the queue saved under another key, e.g. when another user logs in
+     * The previous queue is no longer retried but stays saved under its own key
+     * @param {string} storageKey - Key to load and save the outbox under
+     */
+    setStorageKey(storageKey) {
+        if (storageKey === this.storageKey) return;
+        
+        this.entries.clear();
+        this._scheduleRetry();
+        this.storageKey = storageKey;
+        this._load();
+    }
+    
+    /**
+     * Drop every queued event, and the saved queue with them, e.g. when the user logs out
+     */
+    clear() {
+        const eventIds = Array.from(this.entries.keys());
+        this.entries.clear();
+        this._scheduleRetry();
+        eventIds.forEach(eventId => this._notify(eventId, null));
+        
+        if (!this.storage || !this.storageKey) return;
+        try {
+            this.storage.removeItem(this.storageKey);
+        } catch (e) {
+            console.warn('Could not remove saved outbox:', e);
+        }
+    }
+    
+    /**
+     * Get an event's publish state
+     * 'sent' once any relay accepted it, or every required relay if it has some, 'pending' while retries remain,
+     * 'failed' when that can no longer happen; null if not in the outbox
+     * @param {string} eventId - Event ID
+     * @returns {string|null}
+     */
+    getState(eventId) {
+        const entry = this.entries.get(eventId);
+        if (!entry) return null;
+        
+        const required = (entry.required || []).map(url => entry.relays[url]);
+        if (required.length > 0) {
+            if (required.every(relay => relay.status === 'sent')) return 'sent';
+            if (required.some(relay => relay.status === 'failed')) return 'failed';
+            return 'pending';
+        }
+        
+        const relays = Object.values(entry.relays);
+        if (relays.some(relay => relay.status === 'sent')) return 'sent';
+        if (relays.some(relay => relay.status === 'pending')) return 'pending';
+        return 'failed';
+    }
+    
+    /**
+     * Get an outbox entry
+     * @param {string} eventId - Event ID
+     * @returns {Object|null} - {event, createdAt, relays}
+     */
+    get(eventId) {
+        return this.entries.get(eventId) || null;
+    }
+    
+    /**
+     * Get the events that do not count as sent yet
+     * @returns {Array} - Array of {event, state, relays}
+     */
+    getUnsent() {
+        const unsent = [];
+        this.entries.forEach((entry, eventId) => {
+            const state = this.getState(eventId);
+            if (state !== 'sent') {
+                unsent.push({ event: entry.event, state, relays: entry.relays });
+            }
+        });
+        return unsent;
+    }
+    
+    /**
+     * Add a callback for publish state changes
+     * @param {Function} callback - Called with (eventId, state)
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.changeCallbacks.push(callback);
+        }
+    }
+    
+    /**
+     * Publish an event to each of its relays that is due
+     * @private
+     */
+    async _attemptEvent(eventId) {
+        const entry = this.entries.get(eventId);
+        if (!entry) return;
+        
+        const now = Date.now();
+        const due = Object.keys(entry.relays).filter(url => {
+            const relay = entry.relays[url];
+            return relay.status === 'pending' && relay.nextAttempt <= now;
+        });
+        
+        await Promise.all(due.map(url => this._publishTo(eventId, url)));
+        this._scheduleRetry();
+    }
+    
+    /**
+     * Publish every pending event to a relay, ignoring backoff
+     * @private
+     */
+    _attemptRelay(relayUrl) {
+        this.entries.forEach((entry, eventId) => {
+            const relay = entry.relays[relayUrl];
+            if (relay && relay.status === 'pending') {
+                this._publishTo(eventId, relayUrl).then(() => this._scheduleRetry());
+            }
+        });
+    }
+    
+    /**
+     * Publish one event to one relay and record the outcome
+     * @private
+     */
+    async _publishTo(eventId, url) {
+        const key = `${eventId}|${url}`;
+        const entry = this.entries.get(eventId);
+        if (!entry || this.inFlight.has(key)) return;
+        
+        let failure = null; // {message, retryable}
+        if (!this.relayManager.getRelays().includes(url)) {
+            // Relays that were removed from the manager are retried in case they come back
+            failure = { message: 'error: relay is not connected', retryable: true };
+        } else {
+            this.inFlight.add(key);
+            try {
+                // Each relay is tried on its own, so the manager's publish policy does not apply;
+                // the entry's required relays decide when the event counts as sent
+                await this.relayManager.publish(entry.event, {
+                    relays: [url],
+                    policy: { quorum: 1, required: [] }
+                });
+            } catch (e) {
+                // Without a relay answer (e.g. an invalid event) there is nothing to retry
+                const result = e.result && e.result.results.find(r => r.url === url);
+                failure = result
+                    ? { message: result.message, retryable: result.retryable }
+                    : { message: e.message, retryable: false };
+            } finally {
+                this.inFlight.delete(key);
+            }
+            
+            // The event may have been discarded while we waited
+            if (this.entries.get(eventId) !== entry) return;
+        }
+        
+        if (failure === null) {
+            entry.relays[url].status = 'sent';
+            entry.relays[url].error = null;
+            console.log(`Outbox: ${url} accepted event ${eventId.substring(0, 8)}...`);
+        } else {
+            this._recordFailure(entry, url, failure);
+        }
+        
+        // Forget events every relay has answered for
+        const state = this.getState(eventId);
+        const finished = Object.values(entry.relays).every(relay => relay.status !== 'pending');
+        if (finished && state === 'sent') {
+            this.entries.delete(eventId);
+        }
+        
+        this._save();
+        this._notify(eventId, state);
+    }
+    
+    /**
+     * Mark a relay attempt as failed and decide whether to try again
+     * @private
+     */
+    _recordFailure(entry, url, failure) {
+        const relay = entry.relays[url];
+        relay.attempts++;
+        relay.error = failure.message;
+        
+        const expired = Date.now() - entry.createdAt >= this.maxAge;
+        
+        if (!failure.retryable || expired) {
+            relay.status = 'failed';
+            console.warn(`Outbox: giving up on ${url} for event ${entry.event.id.substring(0, 8)}...: ${failure.message}`);
+        } else {
+            const delay = Math.min(this.retryDelay * Math.pow(2, relay.attempts - 1), this.maxRetryDelay);
+            relay.nextAttempt = Date.now() + delay;
+        }
+    }
+    
+    /**
+     * Set a timer for the next relay attempt that is due
+     * @private
+     */
+    _scheduleRetry() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        
+        let next = Infinity;
+        this.entries.forEach(entry => {
+            Object.values(entry.relays).forEach(relay => {
+                if (relay.status === 'pending') {
+                    next = Math.min(next, relay.nextAttempt);
+                }
+            });
+        });
+        if (next === Infinity) return;
+        
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.entries.forEach((entry, eventId) => this._attemptEvent(eventId));
+        }, Math.max(0, next - Date.now()));
+    }
+    
+    /**
+     * @private
+     */
+    _notify(eventId, state = this.getState(eventId)) {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(eventId, state);
+            } catch (e) {
+                console.error('Error in outbox callback:', e);
+            }
+        });
+    }
+    
+    /**
+     * Read saved entries; attempts start over since the relays may be back
+     * @private
+     */
+    _load() {
+        if (!this.storage || !this.storageKey) return;
+        
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            saved.forEach(entry => {
+                Object.values(entry.relays).forEach(relay => {
+                    relay.nextAttempt = 0;
+                });
+                this.entries.set(entry.event.id, entry);
+            });
+            
+            if (this.entries.size > 0) {
+                console.log(`Outbox loaded ${this.entries.size} unsent events`);
+            }
+        } catch (e) {
+            console.warn('Could not read outbox, starting empty:', e);
+        }
+        
+        this._scheduleRetry();
+    }
+    
+    /**
+     * @private
+     */
+    _save() {
+        if (!this.storage || !this.storageKey) return;
+        
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(Array.from(this.entries.values())));
+        } catch (e) {
+            console.warn('Could not save outbox:', e);
+        }
+    }
+}
+
+export default Outbox;
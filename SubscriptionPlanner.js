@@ -0,0 +1,433 @@
+/**
+ * SubscriptionPlanner.js
+ * Turns many logical subscriptions into few wire subscriptions
+ * Filters that differ only in their ID, author or tag lists are merged, oversize lists are
+ * split into chunks, and incoming events are routed back to the logical subscriptions they match
+ */
+
+import { NostrUtils } from './NostrUtils.js';
+
+class SubscriptionPlanner {
+    /**
+     * @param {WebSocketRelayManager} relayManager - Manager that sends the wire subscriptions
+     * @param {Object} options - Planner settings
+     * @param {number} options.maxFilters - Most filters per wire subscription (default 10, lowered to relays' max_filters)
+     * @param {number} options.maxItems - Most values in one ids/authors/tag list before it is chunked (default 100)
+     * @param {number} options.maxDelivered - Event IDs remembered per logical subscription to drop duplicates (default 5000)
+     */
+    constructor(relayManager, options = {}) {
+        this.relayManager = relayManager;
+        this.maxFilters = options.maxFilters || 10;
+        this.maxItems = options.maxItems || 100;
+        this.maxDelivered = options.maxDelivered || 5000;
+        
+        this.logical = new Map(); // Map of logical ID -> {filters, callback, since, delivered: Set of event IDs}
+        this.wires = new Map(); // Map of wire ID -> {key, filters, logicalIds: Set, sources: Array, splitRelays: Set, splitIds: Array}
+        this.wireIds = new Map(); // Map of merge signature -> wire ID prefix, so wires keep their IDs across plans
+        this.wireCounter = 0;
+        this.replanScheduled = false;
+        
+        // A relay's NIP-11 max_filters can lower how many filters fit in one wire subscription
+        this.relayManager.onRelayInfo(() => {
+            if (this.logical.size > 0) {
+                this._scheduleReplan();
+            }
+        });
+    }
+    
+    /**
+     * Add or replace a logical subscription
+     * @param {string} id - Logical subscription ID
+     * @param {Array} filters - Array of filter objects
+     * @param {Function} callback - Called with (event, relayUrl, id) for matching events
+     * @param {Object} options - Subscription settings
+     * @param {Function} options.since - Called with (relayUrl, filter) when a REQ is sent; a timestamp it
+     *                                   returns is where that relay can start for that filter
+     * @returns {string} - The logical subscription ID
+     */
+    add(id, filters, callback, options = {}) {
+        const existing = this.logical.get(id);
+        this.logical.set(id, {
+            filters,
+            callback,
+            since: options.since || null,
+            delivered: existing ? existing.delivered : new Set()
+        });
+        
+        this._scheduleReplan();
+        return id;
+    }
+    
+    /**
+     * Remove a logical subscription
+     * @param {string} id - Logical subscription ID
+     */
+    remove(id) {
+        if (this.logical.delete(id)) {
+            this._scheduleReplan();
+        }
+    }
+    
+    /**
+     * Remove every logical subscription and close their wire subscriptions now
+     */
+    clear() {
+        this.logical.clear();
+        this.replan();
+    }
+    
+    /**
+     * Check whether a logical subscription exists
+     * @param {string} id - Logical subscription ID
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.logical.has(id);
+    }
+    
+    /**
+     * Check whether a relay manager subscription was opened by this planner
+     * @param {string} wireId - Subscription ID used with the relay manager
+     * @returns {boolean}
+     */
+    hasWireSubscription(wireId) {
+        if (this.wires.has(wireId)) return true;
+        
+        for (const wire of this.wires.values()) {
+            if (wire.splitIds.includes(wireId)) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Get the wire subscriptions currently serving a logical subscription
+     * @param {string} id - Logical subscription ID
+     * @returns {Array} - Wire subscription IDs
+     */
+    getWireSubscriptions(id) {
+        const wireIds = [];
+        this.wires.forEach((wire, wireId) => {
+            if (wire.logicalIds.has(id)) {
+                wireIds.push(wireId);
+            }
+        });
+        return wireIds;
+    }
+    
+    /**
+     * Describe the current plan
+     * @returns {Array} - Array of {wireId, filters, logicalIds}
+     */
+    getPlan() {
+        return Array.from(this.wires.entries()).map(([wireId, wire]) => ({
+            wireId,
+            filters: wire.filters,
+            logicalIds: Array.from(wire.logicalIds)
+        }));
+    }
+    
+    /**
+     * Work out the wire subscriptions for the current logical ones and apply the difference
+     * Wires whose filters did not change are left alone
+     */
+    replan() {
+        this.replanScheduled = false;
+        
+        const planned = this._plan();
+        
+        // Close wires that are no longer needed
+        this.wires.forEach((wire, wireId) => {
+            if (!planned.has(wireId)) {
+                this._closeWire(wireId, wire);
+                this.wires.delete(wireId);
+            }
+        });
+        
+        // Open new wires and update changed ones in place
+        planned.forEach((next, wireId) => {
+            const wire = this.wires.get(wireId);
+            if (wire && wire.key === next.key) {
+                wire.logicalIds = next.logicalIds;
+                wire.sources = next.sources;
+                return;
+            }
+            
+            if (wire) {
+                this._closeSplits(wire);
+            }
+            this.wires.set(wireId, {
+                ...next,
+                splitRelays: new Set(),
+                splitIds: []
+            });
+            
+            // Subscribing with an existing ID replaces that subscription's REQ
+            this.relayManager.subscribe(wireId, next.filters, (event, relayUrl) => {
+                this._route(wireId, event, relayUrl);
+            }, { since: relayUrl => this._wireSince(wireId, relayUrl) });
+        });
+        
+        console.log(`Subscription plan: ${this.logical.size} logical subscription(s) on ${this.wires.size} wire subscription(s)`);
+    }
+    
+    /**
+     * Re-issue a wire subscription as one subscription per filter on a relay
+     * that refused it with "too many filters"
+     * @param {string} relayUrl - Relay that refused the subscription
+     * @param {string} wireId - Wire subscription ID
+     * @returns {boolean} - Whether the subscription was split
+     */
+    splitOnRelay(relayUrl, wireId) {
+        const wire = this.wires.get(wireId);
+        if (!wire || wire.filters.length < 2 || wire.splitRelays.has(relayUrl)) {
+            return false;
+        }
+        wire.splitRelays.add(relayUrl);
+        
+        console.log(`Splitting ${wireId} into ${wire.filters.length} subscriptions on ${wire.splitRelays.size} relay(s)`);
+        
+        wire.splitIds = wire.filters.map((filter, index) => {
+            const splitId = `${wireId}.${index}`;
+            this.relayManager.subscribe(splitId, [filter], (event, relayUrl) => {
+                this._route(wireId, event, relayUrl);
+            }, { relays: [...wire.splitRelays], since: relayUrl => this._wireSince(wireId, relayUrl) });
+            return splitId;
+        });
+        return true;
+    }
+    
+    /**
+     * Queue a replan so a burst of changes produces one plan
+     * @private
+     */
+    _scheduleReplan() {
+        if (this.replanScheduled) return;
+        
+        this.replanScheduled = true;
+        setTimeout(() => {
+            if (this.replanScheduled) {
+                this.replan();
+            }
+        }, 0);
+    }
+    
+    /**
+     * Build the wire subscriptions for the current logical ones
+     * @returns {Map} - Map of wire ID -> {key, filters, logicalIds, sources}
+     * @private
+     */
+    _plan() {
+        // Merge compatible filters, remembering which logical subscriptions and filters feed each merge
+        const merged = new Map(); // Map of signature -> {filter, logicalIds, sources: Array of {filter, since}}
+        this.logical.forEach((subscription, id) => {
+            subscription.filters.forEach((filter, index) => {
+                const signature = this._signature(filter, `${id}:${index}`);
+                const source = { filter, since: subscription.since };
+                const entry = merged.get(signature);
+                if (entry) {
+                    entry.filter = this._mergeFilters(entry.filter, filter);
+                    entry.logicalIds.add(id);
+                    entry.sources.push(source);
+                } else {
+                    merged.set(signature, { filter: { ...filter }, logicalIds: new Set([id]), sources: [source] });
+                }
+            });
+        });
+        
+        const maxFilters = this._getMaxFilters();
+        const planned = new Map();
+        
+        merged.forEach((entry, signature) => {
+            if (!this.wireIds.has(signature)) {
+                this.wireIds.set(signature, `plan-${++this.wireCounter}`);
+            }
+            const prefix = this.wireIds.get(signature);
+            
+            const chunks = this._chunkFilter(entry.filter);
+            for (let i = 0; i < chunks.length; i += maxFilters) {
+                const filters = chunks.slice(i, i + maxFilters);
+                const wireId = i === 0 ? prefix : `${prefix}-${i / maxFilters}`;
+                planned.set(wireId, {
+                    key: JSON.stringify(filters),
+                    filters,
+                    logicalIds: entry.logicalIds,
+                    sources: entry.sources
+                });
+            }
+        });
+        
+        // Forget prefixes for merges that no longer exist
+        this.wireIds.forEach((prefix, signature) => {
+            if (!merged.has(signature)) {
+                this.wireIds.delete(signature);
+            }
+        });
+        
+        return planned;
+    }
+    
+    /**
+     * Describe what a filter asks for apart from its mergeable lists
+     * Filters with the same signature can be merged by joining those lists
+     * @param {Object} filter - Filter object
+     * @param {string} uniqueKey - Used for filters that must not be merged
+     * @returns {string} - Signature
+     * @private
+     */
+    _signature(filter, uniqueKey) {
+        // A limit applies to the whole filter, so merging would change its meaning
+        if (filter.limit !== undefined) {
+            return `unique:${uniqueKey}`;
+        }
+        
+        const fields = Object.keys(filter)
+            .filter(key => key !== 'since')
+            .sort()
+            .map(key => {
+                if (this._isMergeable(key)) return key;
+                if (key === 'kinds') return `kinds=${[...filter.kinds].sort((a, b) => a - b).join(',')}`;
+                return `${key}=${JSON.stringify(filter[key])}`;
+            });
+        return fields.join('|');
+    }
+    
+    /**
+     * Join two filters with the same signature
+     * @private
+     */
+    _mergeFilters(a, b) {
+        const result = { ...a };
+        
+        Object.keys(b).forEach(key => {
+            if (this._isMergeable(key)) {
+                result[key] = Array.from(new Set([...a[key], ...b[key]]));
+            }
+        });
+        
+        // The merged filter must reach as far back as either one did
+        if (a.since === undefined || b.since === undefined) {
+            delete result.since;
+        } else {
+            result.since = Math.min(a.since, b.since);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Where a relay can start for a wire subscription: the earliest point any merged filter
+     * needs from that relay, or null if one of them needs everything it has
+     * @private
+     */
+    _wireSince(wireId, relayUrl) {
+        const wire = this.wires.get(wireId);
+        if (!wire || !wire.sources.some(source => source.since)) return null;
+        
+        let since = null;
+        for (const source of wire.sources) {
+            const stored = source.since ? source.since(relayUrl, source.filter) : null;
+            const start = Math.max(source.filter.since || 0, stored || 0);
+            if (!start) return null;
+            since = since === null ? start : Math.min(since, start);
+        }
+        return since;
+    }
+    
+    /**
+     * Split a filter's oversize ID, author and tag lists into several filters
+     * @private
+     */
+    _chunkFilter(filter) {
+        let filters = [filter];
+        
+        Object.keys(filter).forEach(key => {
+            if (!this._isMergeable(key)) return;
+            
+            filters = filters.flatMap(current => {
+                const values = current[key];
+                if (values.length <= this.maxItems) return [current];
+                
+                const chunks = [];
+                for (let i = 0; i < values.length; i += this.maxItems) {
+                    chunks.push({ ...current, [key]: values.slice(i, i + this.maxItems) });
+                }
+                return chunks;
+            });
+        });
+        
+        return filters;
+    }
+    
+    /**
+     * Whether a filter field is a list that can be joined across filters
+     * @private
+     */
+    _isMergeable(key) {
+        return key === 'ids' || key === 'authors' || (key[0] === '#' && key.length === 2);
+    }
+    
+    /**
+     * Lowest max_filters among the connected relays, capped by the planner setting
+     * @private
+     */
+    _getMaxFilters() {
+        let maxFilters = this.maxFilters;
+        
+        this.relayManager.getRelays().forEach(url => {
+            const info = this.relayManager.getRelayInfo(url);
+            const limit = info && info.limitation && info.limitation.max_filters;
+            if (limit && limit > 0) {
+                maxFilters = Math.min(maxFilters, limit);
+            }
+        });
+        
+        return maxFilters;
+    }
+    
+    /**
+     * Hand an event from a wire subscription to the logical subscriptions it matches
+     * @private
+     */
+    _route(wireId, event, relayUrl) {
+        const wire = this.wires.get(wireId);
+        if (!wire) return;
+        
+        wire.logicalIds.forEach(id => {
+            const subscription = this.logical.get(id);
+            if (!subscription || subscription.delivered.has(event.id)) return;
+            if (!NostrUtils.matchFilters(event, subscription.filters)) return;
+            
+            subscription.delivered.add(event.id);
+            if (subscription.delivered.size > this.maxDelivered) {
+                // Sets iterate in insertion order, so this drops the oldest ID
+                subscription.delivered.delete(subscription.delivered.values().next().value);
+            }
+            
+            try {
+                subscription.callback(event, relayUrl, id);
+            } catch (e) {
+                console.error(`Error in subscription callback for ${id}:`, e);
+            }
+        });
+    }
+    
+    /**
+     * Close a wire subscription and any per-filter subscriptions split from it
+     * @private
+     */
+    _closeWire(wireId, wire) {
+        this._closeSplits(wire);
+        this.relayManager.unsubscribe(wireId);
+    }
+    
+    /**
+     * @private
+     */
+    _closeSplits(wire) {
+        wire.splitIds.forEach(splitId => this.relayManager.unsubscribe(splitId));
+        wire.splitIds = [];
+        wire.splitRelays = new Set();
+    }
+}
+
+export default SubscriptionPlanner;
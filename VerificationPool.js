@@ -0,0 +1,236 @@
+/**
+ * VerificationPool.js
+ * Runs event hashing and signature verification on web workers
+ * Falls back to running on the calling thread where workers are unavailable
+ */
+
+class VerificationPool {
+    /**
+     * @param {Object} options - Pool settings
+     * @param {Object} options.fallback - In-thread implementations used without workers
+     * @param {Function} options.fallback.hash - async (event) => hex ID
+     * @param {Function} options.fallback.verify - async (event) => boolean
+     * @param {number} options.size - Number of workers (default: cores - 1, between 1 and 4)
+     * @param {number} options.batchSize - Events sent to a worker per message (default 64)
+     * @param {URL|string} options.workerUrl - Worker script location
+     */
+    constructor(options = {}) {
+        this.fallback = options.fallback || null;
+        this.size = options.size || VerificationPool._defaultSize();
+        this.batchSize = options.batchSize || 64;
+        this.workerUrl = options.workerUrl || new URL('./verification-worker.js', import.meta.url);
+        
+        this.workers = []; // Array of {worker, pending: Map of job ID -> job}
+        this.nextWorker = 0;
+        this.jobCounter = 0;
+        this.useWorkers = null; // Decided on first use
+        
+        // Requests made in the same tick are sent together
+        this.queued = { hash: [], verify: [] }; // Arrays of {event, resolve, reject}
+        this.flushScheduled = false;
+    }
+    
+    /**
+     * Verify an event's ID and signature
+     * @param {Object} event - Signed event
+     * @returns {Promise<boolean>} - Whether the event is valid
+     */
+    verify(event) {
+        return this._enqueue('verify', event);
+    }
+    
+    /**
+     * Verify many events at once
+     * @param {Array} events - Signed events
+     * @returns {Promise<Array<boolean>>} - Validity of each event, in order
+     */
+    verifyBatch(events) {
+        return Promise.all(events.map(event => this._enqueue('verify', event)));
+    }
+    
+    /**
+     * Compute an event's ID
+     * @param {Object} event - Event with pubkey, created_at, kind, tags and content
+     * @returns {Promise<string>} - Hex event ID
+     */
+    hash(event) {
+        return this._enqueue('hash', event);
+    }
+    
+    /**
+     * Compute the IDs of many events at once
+     * @param {Array} events - Events to hash
+     * @returns {Promise<Array<string>>} - IDs of each event, in order
+     */
+    hashBatch(events) {
+        return Promise.all(events.map(event => this._enqueue('hash', event)));
+    }
+    
+    /**
+     * Stop all workers; later requests start new ones
+     */
+    terminate() {
+        this.workers.forEach(({ worker, pending }) => {
+            worker.terminate();
+            pending.forEach(job => this._runInThread(job.type, job.items));
+        });
+        this.workers = [];
+        this.useWorkers = null;
+    }
+    
+    /**
+     * Queue a request for the next flush
+     * @private
+     */
+    _enqueue(type, event) {
+        return new Promise((resolve, reject) => {
+            this.queued[type].push({ event, resolve, reject });
+            
+            if (!this.flushScheduled) {
+                this.flushScheduled = true;
+                setTimeout(() => this._flush(), 0);
+            }
+        });
+    }
+    
+    /**
+     * Send queued requests to workers in batches
+     * @private
+     */
+    _flush() {
+        this.flushScheduled = false;
+        
+        ['verify', 'hash'].forEach(type => {
+            const items = this.queued[type];
+            this.queued[type] = [];
+            
+            for (let i = 0; i < items.length; i += this.batchSize) {
+                this._dispatch(type, items.slice(i, i + this.batchSize));
+            }
+        });
+    }
+    
+    /**
+     * Hand a batch to the next worker, or run it here without workers
+     * @private
+     */
+    _dispatch(type, items) {
+        if (this.useWorkers === null) {
+            this.useWorkers = this._startWorkers();
+        }
+        if (!this.useWorkers) {
+            this._runInThread(type, items);
+            return;
+        }
+        
+        const entry = this.workers[this.nextWorker];
+        this.nextWorker = (this.nextWorker + 1) % this.workers.length;
+        
+        const id = ++this.jobCounter;
+        entry.pending.set(id, { type, items });
+        entry.worker.postMessage({ id, type, events: items.map(item => item.event) });
+    }
+    
+    /**
+     * Start the worker pool
+     * @returns {boolean} - Whether workers are available
+     * @private
+     */
+    _startWorkers() {
+        if (typeof Worker === 'undefined') {
+            console.log('Web workers unavailable, verifying events on the main thread');
+            return false;
+        }
+        
+        try {
+            for (let i = 0; i < this.size; i++) {
+                const entry = {
+                    worker: new Worker(this.workerUrl, { type: 'module' }),
+                    pending: new Map()
+                };
+                
+                entry.worker.onmessage = (message) => this._handleWorkerMessage(entry, message.data);
+                entry.worker.onerror = (error) => this._handleWorkerError(entry, error);
+                
+                this.workers.push(entry);
+            }
+            console.log(`Started ${this.size} verification worker(s)`);
+            return true;
+        } catch (e) {
+            console.warn('Could not start verification workers, using the main thread:', e);
+            this.workers.forEach(({ worker }) => worker.terminate());
+            this.workers = [];
+            return false;
+        }
+    }
+    
+    /**
+     * Resolve a finished batch
+     * @private
+     */
+    _handleWorkerMessage(entry, data) {
+        const job = entry.pending.get(data.id);
+        if (!job) return;
+        entry.pending.delete(data.id);
+        
+        if (data.error) {
+            console.warn('Verification worker error, retrying batch on the main thread:', data.error);
+            this._runInThread(job.type, job.items);
+            return;
+        }
+        
+        job.items.forEach((item, index) => item.resolve(data.results[index]));
+    }
+    
+    /**
+     * Give up on workers after a crash and finish their work here
+     * @private
+     */
+    _handleWorkerError(entry, error) {
+        console.error('Verification worker failed, falling back to the main thread:', error);
+        
+        const pending = [];
+        this.workers.forEach(({ worker, pending: jobs }) => {
+            worker.terminate();
+            jobs.forEach(job => pending.push(job));
+        });
+        this.workers = [];
+        this.useWorkers = false;
+        
+        pending.forEach(job => this._runInThread(job.type, job.items));
+    }
+    
+    /**
+     * Process a batch on the calling thread
+     * @private
+     */
+    async _runInThread(type, items) {
+        if (!this.fallback) {
+            const error = new Error('No in-thread fallback configured for VerificationPool');
+            items.forEach(item => item.reject(error));
+            return;
+        }
+        
+        const handler = type === 'hash' ? this.fallback.hash : this.fallback.verify;
+        for (const item of items) {
+            try {
+                item.resolve(await handler(item.event));
+            } catch (e) {
+                item.reject(e);
+            }
+        }
+    }
+    
+    /**
+     * Pick a worker count that leaves a core for the UI
+     * @private
+     */
+    static _defaultSize() {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency
+            ? navigator.hardwareConcurrency
+            : 2;
+        return Math.max(1, Math.min(4, cores - 1));
+    }
+}
+
+export default VerificationPool;
@@ -3,148 +3,469 @@
  * Handles connections to nostr relays and their lifecycle
  */
 
+import NostrEvents from './NostrEvents.js';
+import LocalSigner from './LocalSigner.js';
+import { NostrUtils } from './NostrUtils.js';
+import WebSocketTransport from './WebSocketTransport.js';
+import Negentropy from './Negentropy.js';
+
+// Socket readyState values shared by every transport
+const SOCKET_OPEN = 1;
+const SOCKET_CLOSED = 3;
+
 class WebSocketRelayManager {
-    constructor() {
-        this.relays = new Map(); // Map of relay URL -> {conn: WebSocket, status: 'connecting'|'open'|'closed', subscriptions: Map}
+    // Send priorities for per-relay queues, lowest first
+    static PRIORITY_CONTROL = 0; // AUTH and CLOSE
+    static PRIORITY_PUBLISH = 1;
+    static PRIORITY_SUBSCRIBE = 2; // New subscriptions
+    static PRIORITY_BACKFILL = 3; // Subscriptions replayed after reconnecting
+    
+    // Machine-readable prefixes of NIP-01 OK and CLOSED messages
+    static REASON_PREFIXES = ['duplicate', 'pow', 'blocked', 'rate-limited', 'invalid', 'restricted', 'auth-required', 'error'];
+    static RETRYABLE_PREFIXES = ['rate-limited', 'auth-required', 'error']; // Worth sending the same event again later
+
+    /**
+     * @param {Object} options - Optional manager settings
+     * @param {Object} options.transport - Opens relay connections, see WebSocketTransport (default: real WebSockets)
+     * @param {Object} options.reconnect - Reconnection policy overrides
+     * @param {number} options.reconnect.baseDelay - Delay before the first retry in ms (default 1000)
+     * @param {number} options.reconnect.maxDelay - Upper bound for the backoff delay in ms (default 60000)
+     * @param {number} options.reconnect.maxAttempts - Retries before a relay is marked dead (default 10)
+     * @param {number} options.reconnect.jitter - Fraction of the delay to randomize, 0-1 (default 0.3)
+     * @param {number} options.relayInfoTimeout - Timeout for NIP-11 document requests in ms (default 5000)
+     * @param {number} options.relayInfoWait - How long a new connection waits for the NIP-11 document
+     *                                         before subscribing in ms (default 2000)
+     * @param {number} options.minRelayScore - Health score below which relays are skipped for queries
+     *                                         when healthier relays are available, 0-1 (default 0.5)
+     * @param {Object} options.rateLimit - Default token bucket for each relay's send queue
+     * @param {number} options.rateLimit.rate - Messages per second (default 20)
+     * @param {number} options.rateLimit.burst - Messages that may be sent back to back (default 10)
+     * @param {number} options.maxSeenEvents - Event IDs remembered for deduplication (default 10000)
+     * @param {boolean} options.verifyEvents - Check the ID and signature of every inbound event (default true)
+     * @param {number} options.maxInvalidEvents - Disconnect a relay after this many invalid events,
+     *                                            0 to never disconnect (default 0)
+     * @param {Object} options.publishPolicy - When a publish counts as successful, see publish() (default {quorum: 1})
+     * @param {number} options.publishTimeout - How long a publish waits for each relay's OK in ms (default 10000)
+     * @param {number} options.authPublishTimeout - How long a publish held back for AUTH waits in ms, long enough
+     *                                              for the user to approve the AUTH on a remote signer (default 70000)
+     * @param {Object} options.relayPool - Limits for temporary relays, see useRelays()
+     * @param {number} options.relayPool.maxTemporary - Most temporary relays connected at once (default 8)
+     * @param {number} options.relayPool.idleTimeout - Close a temporary relay after this long unused in ms (default 60000)
+     * @param {number} options.relayPool.connectTimeout - How long useRelays() waits for a connection in ms (default 3000)
+     */
+    constructor(options = {}) {
+        this.transport = options.transport || new WebSocketTransport();
+        this.relays = new Map(); // Map of relay URL -> {conn: socket, status: 'connecting'|'open'|'closed'|'dead', subscriptions: Map}
         this.globalSubscriptions = new Map(); // Map of subscriptionId -> {filters, callbacks}
         this.eventCallbacks = []; // Array of callbacks for received events
         this.connectCallbacks = []; // Callbacks for relay connections
         this.disconnectCallbacks = []; // Callbacks for relay disconnections
+        this.deadCallbacks = []; // Callbacks for relays that exhausted their reconnection attempts
+        this.authCallbacks = []; // Callbacks for relay authentication state changes
+        this.subscriptionStateCallbacks = []; // Callbacks for per-relay subscription state changes
+        this.relayInfoCallbacks = []; // Callbacks for fetched NIP-11 relay information documents
+        this.relayInfo = new Map(); // Map of relay URL -> NIP-11 relay information document
+        this.relayInfoRequests = new Map(); // Map of relay URL -> in-flight NIP-11 request
+        this.relayInfoTimeout = options.relayInfoTimeout || 5000;
+        this.relayInfoWait = options.relayInfoWait !== undefined ? options.relayInfoWait : 2000;
+        this.authSigner = null; // Signer used to answer NIP-42 AUTH challenges, see LocalSigner
+        this.queryCounter = 0; // Counter for one-shot query subscription IDs
+        this.countRequests = new Map(); // Map of 'relayUrl|countId' -> callback for the relay's COUNT answer
+        this.countUnsupported = new Set(); // Relays that refused or ignored NIP-45 COUNT
+        this.negentropyRequests = new Map(); // Map of 'relayUrl|subscriptionId' -> {resolve, reject} for the next NEG-MSG
+        this.negentropyUnsupported = new Set(); // Relays that refused or ignored NIP-77
+        this.minRelayScore = options.minRelayScore !== undefined ? options.minRelayScore : 0.5;
+        this.seenEvents = new Map(); // Map of event ID -> {relays: Set, deliveries: Set}, oldest first
+        this.maxSeenEvents = options.maxSeenEvents || 10000;
+        this.seenCallbacks = []; // Callbacks for duplicate copies of an event arriving from another relay
+        this.subscriptionGeneration = 0; // Distinguishes a re-created subscription from its predecessor
+        this.verifyEvents = options.verifyEvents !== false;
+        this.maxInvalidEvents = options.maxInvalidEvents || 0;
+        this.verifiedEvents = new Map(); // Map of event ID -> signature already verified, oldest first
+        this.publishPolicy = { quorum: 1, required: [], ...(options.publishPolicy || {}) };
+        this.publishTimeout = options.publishTimeout || 10000;
+        this.authPublishTimeout = options.authPublishTimeout || 70000;
+        
+        // Temporary relays are opened for requests that name them and closed again once idle
+        this.relayPool = {
+            maxTemporary: 8,
+            idleTimeout: 60000,
+            connectTimeout: 3000,
+            ...(options.relayPool || {})
+        };
+        
+        // Reconnection policy, applied per relay
+        this.reconnectPolicy = {
+            baseDelay: 1000,
+            maxDelay: 60000,
+            maxAttempts: 10,
+            jitter: 0.3,
+            ...(options.reconnect || {})
+        };
         
-        // Add rate limiting
-        this.requestQueue = [];
-        this.processingQueue = false;
-        this.lastRequestTime = 0;
-        this.minTimeBetweenRequests = 50; // 50ms between requests to avoid "too fast" errors
+        // Each relay gets its own send queue so a strict relay only slows itself down
+        this.rateLimit = {
+            rate: 20,
+            burst: 10,
+            ...(options.rateLimit || {})
+        };
+        this.rateLimitCooldown = 30000; // How long a rate-limited relay stays slowed before recovering
     }
 
     /**
      * Add a relay to the connection pool
+     * A relay previously marked dead is given a fresh set of reconnection attempts
      * @param {string} url - The relay URL (e.g., wss://relay.damus.io)
+     * @param {Object} options - Optional relay settings
+     * @param {boolean} options.temporary - Only send the relay requests that name it, don't reconnect
+     *                                      and close it once idle (default false)
      * @returns {Promise} - Resolves when connected
      */
-    addRelay(url) {
-        // Normalize URL
-        if (!url.startsWith('wss://') && !url.startsWith('ws://')) {
-            url = 'wss://' + url;
-        }
+    addRelay(url, options = {}) {
+        url = this._normalizeUrl(url);
 
         // Check if already connected
-        if (this.relays.has(url)) {
+        const existing = this.relays.get(url);
+        if (existing) {
+            // Adding a temporary relay for good makes it a regular member of the pool
+            if (existing.temporary && !options.temporary) {
+                console.log(`Keeping temporary relay: ${url}`);
+                existing.temporary = false;
+                clearTimeout(existing.idleTimer);
+                if (existing.status === 'open') {
+                    this._replaySubscriptions(url, existing, WebSocketRelayManager.PRIORITY_SUBSCRIBE);
+                }
+            }
+            if (existing.status === 'dead') {
+                existing.reconnect.attempts = 0;
+                return this._connectRelay(url, existing);
+            }
             return Promise.resolve();
         }
 
+        const relayData = {
+            conn: null,
+            status: 'connecting',
+            subscriptions: new Map(),
+            pendingMessages: [],
+            auth: {
+                challenge: null,
+                status: 'none', // 'none'|'challenged'|'pending'|'authenticated'|'failed'
+                eventId: null
+            },
+            authPending: [], // Requests rejected with auth-required, replayed after AUTH succeeds
+            reconnect: {
+                attempts: 0,
+                timer: null
+            },
+            lastSeen: new Map(), // Map of subscriptionId -> newest created_at received, for replay
+            deferredSubscriptions: new Set(), // Subscriptions waiting for a free max_subscriptions slot
+            stats: this._createRelayStats(),
+            queue: this._createSendQueue(),
+            inbound: Promise.resolve(), // Keeps inbound messages in order while events are verified
+            removed: false,
+            temporary: !!options.temporary,
+            lastUsed: Date.now(), // When a temporary relay was last asked for by useRelays
+            idleTimer: null
+        };
+        
+        this.relays.set(url, relayData);
+        if (relayData.temporary) {
+            this._scheduleIdleClose(url, relayData);
+        }
+        
+        // Fetch the NIP-11 document while the socket is opening
+        this.fetchRelayInfo(url);
+        
+        return this._connectRelay(url, relayData);
+    }
+
+    /**
+     * Open a connection for a relay entry, reusing it across reconnections
+     * @param {string} url - The relay URL
+     * @param {Object} relayData - The relay's entry in the pool
+     * @returns {Promise} - Resolves when connected, rejects if the socket fails or closes first
+     * @private
+     */
+    _connectRelay(url, relayData) {
         return new Promise((resolve, reject) => {
+            let settled = false;
+            const settle = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                callback(value);
+            };
+            
             try {
-                const ws = new WebSocket(url);
-                const relayData = {
-                    conn: ws,
-                    status: 'connecting',
-                    subscriptions: new Map(),
-                    pendingMessages: []
-                };
+                relayData.stats.connectStartedAt = Date.now();
                 
-                this.relays.set(url, relayData);
+                const ws = this.transport.connect(url);
+                relayData.conn = ws;
+                relayData.status = 'connecting';
 
                 ws.onopen = () => {
+                    if (relayData.conn !== ws) return;
+                    
                     console.log(`Connected to relay: ${url}`);
                     relayData.status = 'open';
+                    relayData.reconnect.attempts = 0;
+                    
+                    const stats = relayData.stats;
+                    stats.connects++;
+                    stats.connectedSince = Date.now();
+                    this._recordLatency(stats, 'connectLatency', stats.connectedSince - stats.connectStartedAt);
+                    
+                    // A new connection means a new AUTH challenge
+                    relayData.auth = { challenge: null, status: 'none', eventId: null };
                     
                     // Send any pending messages with rate limiting
                     if (relayData.pendingMessages.length > 0) {
                         relayData.pendingMessages.forEach(msg => {
-                            this._queueRequest(() => {
-                                if (ws.readyState === WebSocket.OPEN) {
+                            this._queueRequest(url, () => {
+                                if (ws.readyState === SOCKET_OPEN) {
                                     ws.send(msg);
                                 }
-                            });
+                            }, WebSocketRelayManager.PRIORITY_PUBLISH);
                         });
                         relayData.pendingMessages = [];
                     }
                     
-                    // Apply global subscriptions to this relay
-                    this.globalSubscriptions.forEach((subData, subId) => {
-                        this._subscribeOnRelay(url, subId, subData.filters);
+                    // Wait briefly for the NIP-11 document so its limits apply to our REQs
+                    this._waitForRelayInfo(url).then(() => {
+                        if (relayData.conn !== ws || relayData.status !== 'open') return;
+                        
+                        this._replaySubscriptions(url, relayData, WebSocketRelayManager.PRIORITY_BACKFILL);
+                        
+                        // Notify connect listeners
+                        this.connectCallbacks.forEach(callback => callback(url));
+                        
+                        settle(resolve);
                     });
-                    
-                    // Notify connect listeners
-                    this.connectCallbacks.forEach(callback => callback(url));
-                    
-                    resolve();
                 };
 
                 ws.onclose = () => {
+                    // Sockets can close without an error event, before or just after opening
+                    if (!settled && relayData.conn === ws && relayData.status === 'connecting') {
+                        relayData.stats.connectFailures++;
+                        this._recordError(url, 'connection closed');
+                    }
+                    settle(reject, new Error(`Connection to ${url} closed`));
+                    
+                    if (relayData.conn !== ws || relayData.removed) return;
+                    
                     console.log(`Disconnected from relay: ${url}`);
                     relayData.status = 'closed';
+                    relayData.deferredSubscriptions.clear();
+                    
+                    if (relayData.stats.connectedSince) {
+                        relayData.stats.uptime += Date.now() - relayData.stats.connectedSince;
+                        relayData.stats.connectedSince = null;
+                    }
+                    
+                    // Publishes waiting for AUTH on this connection are retried by the Outbox;
+                    // subscriptions are replayed when the relay reconnects
+                    this._failAuthPending(url, 'error: relay is not connected');
+                    relayData.authPending = [];
+                    
+                    // Subscriptions die with the connection
+                    relayData.subscriptions.forEach((subState, subId) => {
+                        if (subState.state !== 'closed') {
+                            this._setSubscriptionState(url, subId, 'closed', 'connection closed');
+                        }
+                    });
                     
                     // Notify disconnect listeners
                     this.disconnectCallbacks.forEach(callback => callback(url));
                     
-                    // Attempt reconnection after delay
-                    setTimeout(() => {
-                        this.addRelay(url).catch(console.error);
-                    }, 5000);
+                    // Temporary relays are opened again when next needed
+                    if (relayData.temporary) {
+                        this.removeRelay(url);
+                        return;
+                    }
+                    
+                    this._scheduleReconnect(url, relayData);
                 };
 
                 ws.onerror = (error) => {
+                    if (relayData.conn !== ws) return;
+                    
                     console.error(`Error with relay ${url}:`, error);
                     // If still connecting, reject the promise
                     if (relayData.status === 'connecting') {
-                        reject(error);
+                        relayData.stats.connectFailures++;
+                        this._recordError(url, 'connection failed');
+                        settle(reject, error);
                     }
                 };
 
                 ws.onmessage = (event) => {
+                    if (relayData.conn !== ws) return;
+                    
+                    let data;
                     try {
-                        const data = JSON.parse(event.data);
-                        this._handleRelayMessage(url, data);
+                        data = JSON.parse(event.data);
                     } catch (e) {
                         console.error(`Error parsing message from ${url}:`, e);
+                        return;
                     }
+                    
+                    // Start verifying right away, but handle messages in arrival order
+                    // so an EOSE never overtakes the events before it
+                    const verification = Array.isArray(data) && data[0] === 'EVENT' && this.verifyEvents
+                        ? this._verifyInboundEvent(data[2])
+                        : null;
+                    
+                    relayData.inbound = relayData.inbound.then(async () => {
+                        if (verification) {
+                            const reason = await verification;
+                            if (reason) {
+                                this._rejectInboundEvent(url, data[2], reason);
+                                return;
+                            }
+                        }
+                        if (relayData.conn === ws) {
+                            this._handleRelayMessage(url, data);
+                        }
+                    }).catch(e => {
+                        console.error(`Error handling message from ${url}:`, e);
+                    });
                 };
             } catch (e) {
                 console.error(`Error connecting to ${url}:`, e);
-                reject(e);
+                relayData.stats.connectFailures++;
+                this._recordError(url, e.message || 'connection failed');
+                this._scheduleReconnect(url, relayData);
+                settle(reject, e);
             }
         });
     }
 
     /**
-     * Process the request queue with rate limiting
+     * Schedule the next reconnection attempt using exponential backoff with jitter
+     * Marks the relay dead once the retry limit is reached
+     * @param {string} url - The relay URL
+     * @param {Object} relayData - The relay's entry in the pool
      * @private
      */
-    _processQueue() {
-        if (this.requestQueue.length === 0) {
-            this.processingQueue = false;
+    _scheduleReconnect(url, relayData) {
+        if (relayData.removed || relayData.reconnect.timer) return;
+        
+        const policy = this.reconnectPolicy;
+        if (relayData.reconnect.attempts >= policy.maxAttempts) {
+            console.warn(`Giving up on relay ${url} after ${relayData.reconnect.attempts} reconnection attempts`);
+            relayData.status = 'dead';
+            this.deadCallbacks.forEach(callback => callback(url));
             return;
         }
+        
+        const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, relayData.reconnect.attempts));
+        const delay = Math.round(backoff * (1 - policy.jitter * Math.random()));
+        relayData.reconnect.attempts++;
+        
+        console.log(`Reconnecting to ${url} in ${delay}ms (attempt ${relayData.reconnect.attempts}/${policy.maxAttempts})`);
+        
+        relayData.reconnect.timer = setTimeout(() => {
+            relayData.reconnect.timer = null;
+            if (relayData.removed || this.relays.get(url) !== relayData) return;
+            
+            this._connectRelay(url, relayData).catch(e => {
+                console.warn(`Reconnection to ${url} failed:`, e && e.message ? e.message : e);
+            });
+        }, delay);
+    }
+
+    /**
+     * Send a relay the global subscriptions meant for it, resuming each from the last
+     * event seen so nothing published during an outage is missed
+     * @param {string} url - The relay URL
+     * @param {Object} relayData - The relay's entry in the pool
+     * @param {number} priority - Send priority
+     * @private
+     */
+    _replaySubscriptions(url, relayData, priority) {
+        this.globalSubscriptions.forEach((subData, subId) => {
+            if (subData.relays ? subData.relays.includes(url) : !relayData.temporary) {
+                const filters = this._filtersSince(subData.filters, relayData.lastSeen.get(subId));
+                this._subscribeOnRelay(url, subId, filters, priority);
+            }
+        });
+    }
+
+    /**
+     * Raise each filter's since to the given timestamp
+     * @param {Array} filters - Array of filter objects
+     * @param {number} since - Unix timestamp, or undefined to leave filters unchanged
+     * @returns {Array} - Filters to send
+     * @private
+     */
+    _filtersSince(filters, since) {
+        if (!since) return filters;
+        
+        return filters.map(filter => ({
+            ...filter,
+            since: Math.max(filter.since || 0, since)
+        }));
+    }
+
+    /**
+     * Create the token bucket send queue kept for each relay
+     * @private
+     */
+    _createSendQueue() {
+        return {
+            items: [], // {request, priority}, ordered by priority then arrival
+            tokens: this.rateLimit.burst,
+            lastRefill: Date.now(),
+            rate: this.rateLimit.rate,
+            burst: this.rateLimit.burst,
+            slowdown: 1, // Divides the rate while the relay is rate limiting us
+            slowdownUntil: 0,
+            timer: null
+        };
+    }
 
-        this.processingQueue = true;
+    /**
+     * Send as many queued requests as the relay's token bucket allows
+     * @param {string} url - The relay URL
+     * @private
+     */
+    _processQueue(url) {
+        const relay = this.relays.get(url);
+        if (!relay) return;
+        
+        const queue = relay.queue;
+        queue.timer = null;
+        
         const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
         
-        // If we need to wait, schedule the next request
-        if (timeSinceLastRequest < this.minTimeBetweenRequests) {
-            setTimeout(() => this._processQueue(), 
-                this.minTimeBetweenRequests - timeSinceLastRequest);
-            return;
+        // Recover gradually once the relay stops complaining
+        while (queue.slowdown > 1 && now >= queue.slowdownUntil) {
+            queue.slowdown = Math.max(1, queue.slowdown / 2);
+            queue.slowdownUntil += this.rateLimitCooldown;
+            if (queue.slowdown === 1) {
+                console.log(`Relay ${url} send rate restored`);
+            }
         }
-
-        // Process the next request
-        const request = this.requestQueue.shift();
-        this.lastRequestTime = Date.now();
         
-        try {
-            request();
-        } catch (e) {
-            console.error('Error processing request:', e);
+        const rate = queue.rate / queue.slowdown;
+        queue.tokens = Math.min(queue.burst, queue.tokens + (now - queue.lastRefill) * rate / 1000);
+        queue.lastRefill = now;
+        
+        while (queue.items.length > 0 && queue.tokens >= 1) {
+            const { request } = queue.items.shift();
+            queue.tokens -= 1;
+            
+            try {
+                request();
+            } catch (e) {
+                console.error(`Error processing request for ${url}:`, e);
+            }
         }
-
-        // Continue processing queue if there are more items
-        if (this.requestQueue.length > 0) {
-            setTimeout(() => this._processQueue(), this.minTimeBetweenRequests);
-        } else {
-            this.processingQueue = false;
+        
+        // Wake up when the next token is available
+        if (queue.items.length > 0) {
+            const wait = Math.ceil((1 - queue.tokens) * 1000 / rate);
+            queue.timer = setTimeout(() => this._processQueue(url), Math.max(wait, 1));
         }
     }
 
@@ -180,171 +501,1363 @@ _validateEvent(event) {
 
     /**
      * Queue a request to be sent to a relay with rate limiting
+     * @param {string} url - The relay URL
      * @param {Function} request - Function to execute
+     * @param {number} priority - One of the PRIORITY_* constants (default PRIORITY_SUBSCRIBE)
      * @private
      */
-    _queueRequest(request) {
-        this.requestQueue.push(request);
+    _queueRequest(url, request, priority = WebSocketRelayManager.PRIORITY_SUBSCRIBE) {
+        const relay = this.relays.get(url);
+        if (!relay) return;
+        
+        const queue = relay.queue;
+        const index = queue.items.findIndex(item => item.priority > priority);
+        if (index === -1) {
+            queue.items.push({ request, priority });
+        } else {
+            queue.items.splice(index, 0, { request, priority });
+        }
         
-        if (!this.processingQueue) {
-            this._processQueue();
+        if (!queue.timer) {
+            this._processQueue(url);
         }
     }
 
     /**
-     * Remove a relay from the connection pool
+     * Change the send rate for a relay
      * @param {string} url - The relay URL
+     * @param {Object} limit - New limits
+     * @param {number} limit.rate - Messages per second
+     * @param {number} limit.burst - Messages that may be sent back to back
      */
-    removeRelay(url) {
-        if (!this.relays.has(url)) {
-            return;
+    setRelayRateLimit(url, limit = {}) {
+        const relay = this.relays.get(url);
+        if (!relay) return;
+        
+        if (limit.rate > 0) {
+            relay.queue.rate = limit.rate;
+        }
+        if (limit.burst > 0) {
+            relay.queue.burst = limit.burst;
+            relay.queue.tokens = Math.min(relay.queue.tokens, limit.burst);
         }
+    }
 
+    /**
+     * Halve a relay's send rate after it reports rate limiting
+     * @param {string} url - The relay URL
+     * @private
+     */
+    _slowDownRelay(url) {
         const relay = this.relays.get(url);
-        if (relay.conn && relay.conn.readyState !== WebSocket.CLOSED) {
-            relay.conn.close();
-        }
+        if (!relay) return;
         
-        this.relays.delete(url);
+        const queue = relay.queue;
+        queue.slowdown = Math.min(queue.slowdown * 2, 32);
+        queue.slowdownUntil = Date.now() + this.rateLimitCooldown;
+        // Start the slower rate from empty, without refilling for the time before the slowdown
+        queue.tokens = 0;
+        queue.lastRefill = Date.now();
+        
+        console.warn(`Relay ${url} is rate limiting us, sending at ${queue.rate / queue.slowdown}/s`);
     }
 
     /**
-     * Get all connected relays
-     * @returns {Array} - Array of relay URLs
+     * Set the private key used to answer NIP-42 AUTH challenges
+     * @param {string|null} privateKey - Hex-encoded private key, or null to disable auth
      */
-    getRelays() {
-        return Array.from(this.relays.keys());
+    setAuthKey(privateKey) {
+        this.setSigner(privateKey ? new LocalSigner(privateKey) : null);
     }
 
     /**
-     * Get relay connection status
+     * Set the signer used to answer NIP-42 AUTH challenges
+     * Relays that already sent a challenge are authenticated right away
+     * @param {Object|null} signer - Signer (see LocalSigner), or null to disable auth
+     */
+    setSigner(signer) {
+        this.authSigner = signer || null;
+        
+        if (!this.authSigner) return;
+        
+        this.relays.forEach((relay, url) => {
+            if (relay.auth.challenge && relay.auth.status !== 'authenticated') {
+                this.authenticate(url).catch(e => {
+                    console.error(`Error authenticating with ${url}:`, e);
+                });
+            }
+        });
+    }
+
+    /**
+     * Answer the relay's latest AUTH challenge with a signed kind 22242 event
      * @param {string} url - The relay URL
-     * @returns {string|null} - Status or null if relay not found
+     * @returns {Promise<boolean>} - Whether an AUTH message was sent
      */
-    getRelayStatus(url) {
+    async authenticate(url) {
+        const relay = this.relays.get(url);
+        if (!relay || !relay.auth.challenge) {
+            return false;
+        }
+        
+        if (!this.authSigner) {
+            console.warn(`Relay ${url} requested authentication but no signer is set`);
+            return false;
+        }
+        
+        // Only one AUTH per challenge
+        if (relay.auth.status === 'pending' || relay.auth.status === 'authenticated') {
+            return false;
+        }
+        
+        const challenge = relay.auth.challenge;
+        const conn = relay.conn;
+        relay.auth.status = 'pending';
+        
+        let authEvent;
+        try {
+            authEvent = await NostrEvents.createAuthEvent(url, challenge, this.authSigner);
+        } catch (e) {
+            // Extension and remote signers can be declined by the user
+            relay.auth.status = 'failed';
+            this._notifyAuth(url);
+            this._failAuthPending(url, `error: authentication declined: ${e.message}`);
+            throw e;
+        }
+        relay.auth.eventId = authEvent.id;
+        
+        const authMsg = JSON.stringify(['AUTH', authEvent]);
+        console.log(`Sending AUTH to ${url} for challenge ${challenge.substring(0, 8)}...`);
+        
+        this._queueRequest(url, () => {
+            if (relay.conn === conn && conn.readyState === SOCKET_OPEN) {
+                conn.send(authMsg);
+                return;
+            }
+            
+            // The challenge died with its connection; the next connection's challenge is answered instead
+            if (relay.auth.challenge === challenge) {
+                console.log(`Connection to ${url} closed before AUTH was sent, waiting for a new challenge`);
+                relay.auth = { challenge: null, status: 'none', eventId: null };
+                this._notifyAuth(url);
+            }
+        }, WebSocketRelayManager.PRIORITY_CONTROL);
+        
+        this._notifyAuth(url);
+        return true;
+    }
+
+    /**
+     * Get the NIP-42 authentication status of a relay
+     * @param {string} url - The relay URL
+     * @returns {string|null} - Auth status or null if relay not found
+     */
+    getRelayAuthStatus(url) {
         if (!this.relays.has(url)) {
             return null;
         }
-        return this.relays.get(url).status;
+        return this.relays.get(url).auth.status;
     }
 
     /**
-     * Generate a shorter subscription ID based on the original and index
-     * @param {string} subscriptionId - The original subscription ID
-     * @returns {string} - A shorter subscription ID
+     * Handle the OK response to our AUTH event
      * @private
      */
-    _shortenSubscriptionId(subscriptionId) {
-        // If already short enough, return as is
-        if (subscriptionId.length <= 8) {
-            return subscriptionId;
+    _handleAuthResult(relayUrl, success, message) {
+        const relay = this.relays.get(relayUrl);
+        if (!relay) return;
+        
+        if (success) {
+            console.log(`Authenticated with relay ${relayUrl}`);
+            relay.auth.status = 'authenticated';
+            this._notifyAuth(relayUrl);
+            this._replayAuthPending(relayUrl);
+        } else {
+            console.warn(`Authentication with ${relayUrl} failed: ${message}`);
+            relay.auth.status = 'failed';
+            this._notifyAuth(relayUrl);
+            this._failAuthPending(relayUrl, message || 'auth-required: authentication failed');
         }
+    }
+
+    /**
+     * Fail the publishes waiting for AUTH, so they don't sit until their timeout
+     * Subscriptions stay queued for a later successful AUTH
+     * @param {string} relayUrl - The relay URL
+     * @param {string} reason - Message each publish fails with
+     * @private
+     */
+    _failAuthPending(relayUrl, reason) {
+        const relay = this.relays.get(relayUrl);
+        if (!relay) return;
         
-        // Otherwise generate a short ID based on the first 8 characters
-        return subscriptionId.substring(0, 8);
+        const events = relay.authPending.filter(item => item.type === 'EVENT');
+        relay.authPending = relay.authPending.filter(item => item.type !== 'EVENT');
+        events.forEach(item => item.fail(reason));
     }
 
     /**
-     * Create a subscription for events matching the given filters
-     * @param {string} subscriptionId - A unique ID for this subscription
-     * @param {Array} filters - Array of filter objects
-     * @param {Function} callback - Function to call when events arrive
+     * Re-send subscriptions and events that were rejected with auth-required
+     * @private
      */
-    subscribe(subscriptionId, filters, callback) {
-        // Create a shorter subscription ID for the wire protocol
-        const shortSubId = this._shortenSubscriptionId(subscriptionId);
+    _replayAuthPending(relayUrl) {
+        const relay = this.relays.get(relayUrl);
+        if (!relay || relay.authPending.length === 0) return;
         
-        console.log(`Creating subscription: ${subscriptionId} (${shortSubId})`);
-        console.log(`Subscription filters:`, JSON.stringify(filters));
+        const pending = relay.authPending;
+        relay.authPending = [];
         
-        // Add to global subscriptions with the original ID as key
-        this.globalSubscriptions.set(subscriptionId, {
-            shortId: shortSubId,
-            filters,
-            callbacks: callback ? [callback] : []
+        console.log(`Replaying ${pending.length} auth-required request(s) on ${relayUrl}`);
+        
+        pending.forEach(item => {
+            if (item.type === 'REQ') {
+                const subData = this.globalSubscriptions.get(item.subscriptionId);
+                if (subData) {
+                    this._subscribeOnRelay(relayUrl, item.subscriptionId, subData.filters);
+                }
+            } else if (item.type === 'EVENT') {
+                this._queueRequest(relayUrl, () => {
+                    if (relay.status === 'open') {
+                        relay.conn.send(item.message);
+                    } else {
+                        relay.pendingMessages.push(item.message);
+                    }
+                }, WebSocketRelayManager.PRIORITY_PUBLISH);
+            }
         });
-    
-        // Apply to all connected relays
-        this.relays.forEach((relay, url) => {
-            if (relay.status === 'open') {
-                console.log(`Sending subscription to relay: ${url}`);
-                this._subscribeOnRelay(url, subscriptionId, filters);
+    }
+
+    /**
+     * Queue a request until the relay accepts our AUTH, authenticating if possible
+     * @private
+     */
+    _deferUntilAuthenticated(relayUrl, item) {
+        const relay = this.relays.get(relayUrl);
+        if (!relay) return;
+        
+        relay.authPending.push(item);
+        
+        // A relay may reject a previous AUTH and issue a fresh challenge later
+        if (relay.auth.status === 'failed') {
+            relay.auth.status = 'challenged';
+        }
+        
+        this.authenticate(relayUrl).catch(e => {
+            console.error(`Error authenticating with ${relayUrl}:`, e);
+        });
+    }
+
+    /**
+     * Notify auth listeners of a relay's auth status
+     * @private
+     */
+    _notifyAuth(relayUrl) {
+        const status = this.getRelayAuthStatus(relayUrl);
+        this.authCallbacks.forEach(callback => {
+            try {
+                callback(relayUrl, status);
+            } catch (e) {
+                console.error('Error in auth callback:', e);
             }
         });
-    
-        return subscriptionId;
     }
-    
+
+    /**
+     * Find the original subscription ID for a short wire subscription ID
+     * @param {string} shortSubId - Subscription ID as sent to relays
+     * @returns {string|null} - Original subscription ID
+     * @private
+     */
+    _findSubscriptionId(shortSubId) {
+        let originalSubId = null;
+        this.globalSubscriptions.forEach((subData, subId) => {
+            if (subData.shortId === shortSubId) {
+                originalSubId = subId;
+            }
+        });
+        return originalSubId;
+    }
+
+    /**
+     * Fetch and cache a relay's NIP-11 information document
+     * @param {string} url - The relay URL
+     * @param {Object} options - Fetch options
+     * @param {boolean} options.force - Ignore the cached document
+     * @returns {Promise<Object|null>} - The normalized document, or null if unavailable
+     */
+    fetchRelayInfo(url, options = {}) {
+        if (!options.force && this.relayInfo.has(url)) {
+            return Promise.resolve(this.relayInfo.get(url));
+        }
+        if (this.relayInfoRequests.has(url)) {
+            return this.relayInfoRequests.get(url);
+        }
+        if (typeof this.transport.fetchRelayInfo !== 'function') {
+            return Promise.resolve(null);
+        }
+        
+        const request = Promise.resolve()
+            .then(() => this.transport.fetchRelayInfo(url, { timeout: this.relayInfoTimeout }))
+            .then(doc => {
+                const info = this._normalizeRelayInfo(doc);
+                this.relayInfo.set(url, info);
+                
+                console.log(`NIP-11 document for ${url}:`, {
+                    name: info.name,
+                    supported_nips: info.supported_nips,
+                    limitation: info.limitation
+                });
+                
+                this.relayInfoCallbacks.forEach(callback => {
+                    try {
+                        callback(url, info);
+                    } catch (e) {
+                        console.error('Error in relay info callback:', e);
+                    }
+                });
+                
+                return info;
+            })
+            .catch(e => {
+                console.warn(`Could not fetch NIP-11 document for ${url}:`, e && e.message ? e.message : e);
+                return null;
+            })
+            .finally(() => {
+                this.relayInfoRequests.delete(url);
+            });
+        
+        this.relayInfoRequests.set(url, request);
+        return request;
+    }
+
+    /**
+     * Get a relay's cached NIP-11 information document
+     * @param {string} url - The relay URL
+     * @returns {Object|null} - The document or null if not fetched
+     */
+    getRelayInfo(url) {
+        return this.relayInfo.get(url) || null;
+    }
+
+    /**
+     * Check whether a relay advertises support for a NIP
+     * @param {string} url - The relay URL
+     * @param {number} nip - NIP number
+     * @returns {boolean|null} - Whether it is supported, or null if the relay's document is unknown
+     */
+    supportsNip(url, nip) {
+        const info = this.getRelayInfo(url);
+        if (!info) return null;
+        return info.supported_nips.includes(Number(nip));
+    }
+
+    /**
+     * Get the relays that advertise support for a NIP
+     * @param {number} nip - NIP number
+     * @returns {Array} - Array of relay URLs
+     */
+    getRelaysSupportingNip(nip) {
+        return this.getRelays().filter(url => this.supportsNip(url, nip) === true);
+    }
+
+    /**
+     * Normalize the fields of a NIP-11 document we rely on
+     * @private
+     */
+    _normalizeRelayInfo(doc) {
+        const info = doc && typeof doc === 'object' ? doc : {};
+        
+        return {
+            ...info,
+            name: typeof info.name === 'string' ? info.name : '',
+            description: typeof info.description === 'string' ? info.description : '',
+            pubkey: typeof info.pubkey === 'string' ? info.pubkey : null,
+            supported_nips: Array.isArray(info.supported_nips)
+                ? info.supported_nips.map(Number).filter(nip => !isNaN(nip))
+                : [],
+            limitation: info.limitation && typeof info.limitation === 'object' ? info.limitation : {}
+        };
+    }
+
+    /**
+     * Get a relay's advertised limitations
+     * @private
+     */
+    _getRelayLimits(url) {
+        const info = this.getRelayInfo(url);
+        return info ? info.limitation : {};
+    }
+
+    /**
+     * Resolve once the relay's NIP-11 document is known or the wait time has passed
+     * @private
+     */
+    _waitForRelayInfo(url) {
+        if (this.relayInfo.has(url) || this.relayInfoWait <= 0) {
+            return Promise.resolve();
+        }
+        
+        return Promise.race([
+            this.fetchRelayInfo(url),
+            new Promise(resolve => setTimeout(resolve, this.relayInfoWait))
+        ]);
+    }
+
+    /**
+     * Whether requests to this relay must wait for NIP-42 authentication
+     * @private
+     */
+    _mustAuthenticateFirst(url) {
+        const relay = this.relays.get(url);
+        return !!(relay && this.authSigner &&
+            this._getRelayLimits(url).auth_required &&
+            relay.auth.status !== 'authenticated');
+    }
+
+    /**
+     * Get health metrics for one relay or for every relay in the pool
+     * @param {string} url - Optional relay URL
+     * @returns {Object|null} - Stats for the relay, or a map of relay URL -> stats
+     */
+    getRelayStats(url) {
+        if (url) {
+            const relay = this.relays.get(url);
+            return relay ? this._snapshotStats(url, relay) : null;
+        }
+        
+        const all = {};
+        this.relays.forEach((relay, relayUrl) => {
+            all[relayUrl] = this._snapshotStats(relayUrl, relay);
+        });
+        return all;
+    }
+
+    /**
+     * Create the metrics record kept for each relay
+     * @private
+     */
+    _createRelayStats() {
+        return {
+            addedAt: Date.now(),
+            connectStartedAt: null,
+            connectedSince: null,
+            uptime: 0, // Milliseconds spent connected, excluding the current connection
+            connects: 0,
+            connectFailures: 0,
+            connectLatency: null, // Moving averages in ms
+            publishRtt: null,
+            eoseLatency: null,
+            okAccepted: 0,
+            okRejected: 0,
+            publishTimeouts: 0,
+            queriesAnswered: 0,
+            queriesTimedOut: 0,
+            eventsReceived: 0,
+            invalidEvents: 0,
+            eventsBySubscription: new Map(),
+            notices: 0,
+            lastError: null
+        };
+    }
+
+    /**
+     * Fold a latency sample into an exponential moving average
+     * @private
+     */
+    _recordLatency(stats, key, ms) {
+        if (typeof ms !== 'number' || ms < 0) return;
+        stats[key] = stats[key] === null ? ms : Math.round(stats[key] * 0.8 + ms * 0.2);
+    }
+
+    /**
+     * Remember the most recent error seen on a relay
+     * @private
+     */
+    _recordError(url, message) {
+        const relay = this.relays.get(url);
+        if (relay) {
+            relay.stats.lastError = { message: String(message), at: Date.now() };
+        }
+    }
+
+    /**
+     * Build a plain stats object for a relay, including its health score
+     * @private
+     */
+    _snapshotStats(url, relay) {
+        const stats = relay.stats;
+        const now = Date.now();
+        const connectedFor = stats.connectedSince ? now - stats.connectedSince : 0;
+        const tracked = now - stats.addedAt;
+        const okTotal = stats.okAccepted + stats.okRejected + stats.publishTimeouts;
+        const queryTotal = stats.queriesAnswered + stats.queriesTimedOut;
+        
+        const snapshot = {
+            url,
+            status: relay.status,
+            connects: stats.connects,
+            connectFailures: stats.connectFailures,
+            connectLatency: stats.connectLatency,
+            uptimeRatio: tracked > 0 ? Math.min(1, (stats.uptime + connectedFor) / tracked) : 0,
+            okAccepted: stats.okAccepted,
+            okRejected: stats.okRejected,
+            publishTimeouts: stats.publishTimeouts,
+            okRate: okTotal > 0 ? stats.okAccepted / okTotal : null,
+            publishRtt: stats.publishRtt,
+            eoseLatency: stats.eoseLatency,
+            queriesAnswered: stats.queriesAnswered,
+            queriesTimedOut: stats.queriesTimedOut,
+            queryAnswerRate: queryTotal > 0 ? stats.queriesAnswered / queryTotal : null,
+            eventsReceived: stats.eventsReceived,
+            invalidEvents: stats.invalidEvents,
+            eventsPerSubscription: Object.fromEntries(stats.eventsBySubscription),
+            notices: stats.notices,
+            lastError: stats.lastError ? { ...stats.lastError } : null
+        };
+        
+        snapshot.score = this._scoreRelay(snapshot);
+        return snapshot;
+    }
+
+    /**
+     * Score a relay's health between 0 and 1; metrics without samples count as healthy
+     * @private
+     */
+    _scoreRelay(snapshot) {
+        if (snapshot.status === 'dead') return 0;
+        
+        // Responses within half a second are full marks, slower ones decay
+        const latency = snapshot.eoseLatency !== null ? snapshot.eoseLatency : snapshot.connectLatency;
+        const latencyScore = latency !== null ? Math.min(1, 500 / Math.max(latency, 1)) : 1;
+        const okScore = snapshot.okRate !== null ? snapshot.okRate : 1;
+        const answerScore = snapshot.queryAnswerRate !== null ? snapshot.queryAnswerRate : 1;
+        
+        const score = 0.2 * snapshot.uptimeRatio + 0.2 * okScore + 0.3 * latencyScore + 0.3 * answerScore;
+        return Math.round(score * 100) / 100;
+    }
+
+    /**
+     * Order relays by health score, dropping unhealthy ones when healthier relays exist
+     * @private
+     */
+    _rankRelaysForQuery(urls) {
+        const scored = urls
+            .map(url => ({ url, score: this._snapshotStats(url, this.relays.get(url)).score }))
+            .sort((a, b) => b.score - a.score);
+        
+        const healthy = scored.filter(entry => entry.score >= this.minRelayScore);
+        if (healthy.length > 0 && healthy.length < scored.length) {
+            const skipped = scored.filter(entry => entry.score < this.minRelayScore).map(entry => entry.url);
+            console.log(`Skipping unhealthy relays for query: ${skipped.join(', ')}`);
+            return healthy.map(entry => entry.url);
+        }
+        return scored.map(entry => entry.url);
+    }
+
+    /**
+     * Remove a relay from the connection pool
+     * @param {string} url - The relay URL
+     */
+    removeRelay(url) {
+        if (!this.relays.has(url)) {
+            return;
+        }
+
+        const relay = this.relays.get(url);
+        relay.removed = true;
+        
+        // Cancel any pending reconnection
+        if (relay.reconnect.timer) {
+            clearTimeout(relay.reconnect.timer);
+            relay.reconnect.timer = null;
+        }
+        
+        clearTimeout(relay.idleTimer);
+        
+        // Drop anything still waiting to be sent
+        clearTimeout(relay.queue.timer);
+        relay.queue.items = [];
+        
+        if (relay.conn && relay.conn.readyState !== SOCKET_CLOSED) {
+            relay.conn.close();
+        }
+        
+        this.relays.delete(url);
+    }
+
+    /**
+     * Get all connected relays, apart from temporary ones
+     * @returns {Array} - Array of relay URLs
+     */
+    getRelays() {
+        return Array.from(this.relays.keys()).filter(url => !this.relays.get(url).temporary);
+    }
+
+    /**
+     * Get the temporary relays currently in the pool
+     * @returns {Array} - Array of relay URLs
+     */
+    getTemporaryRelays() {
+        return Array.from(this.relays.keys()).filter(url => this.relays.get(url).temporary);
+    }
+
+    /**
+     * Connect to relays for requests that name them in options.relays, such as an author's
+     * NIP-65 write relays. Relays not in the pool are added as temporary relays; when more than
+     * relayPool.maxTemporary would be open, the least recently used ones are closed first
+     * @param {Array} urls - Relay URLs
+     * @returns {Promise<Array>} - The given relays that are open, with normalized URLs
+     */
+    async useRelays(urls) {
+        const wanted = Array.from(new Set(urls.map(url => this._normalizeUrl(url))));
+        const connecting = [];
+        
+        wanted.forEach(url => {
+            const existing = this.relays.get(url);
+            if (existing) {
+                if (existing.temporary) {
+                    existing.lastUsed = Date.now();
+                    this._scheduleIdleClose(url, existing);
+                }
+                return;
+            }
+            
+            // Make room by closing temporary relays this request doesn't need
+            const temporary = this.getTemporaryRelays();
+            if (temporary.length >= this.relayPool.maxTemporary) {
+                const evictable = temporary
+                    .filter(tempUrl => !wanted.includes(tempUrl))
+                    .sort((a, b) => this.relays.get(a).lastUsed - this.relays.get(b).lastUsed);
+                if (evictable.length === 0) {
+                    console.warn(`Temporary relay limit reached, not connecting to ${url}`);
+                    return;
+                }
+                console.log(`Closing least recently used temporary relay: ${evictable[0]}`);
+                this.removeRelay(evictable[0]);
+            }
+            
+            console.log(`Adding temporary relay: ${url}`);
+            connecting.push(this.addRelay(url, { temporary: true }).catch(() => {}));
+        });
+        
+        if (connecting.length > 0) {
+            let timeoutId = null;
+            const timeout = new Promise(resolve => {
+                timeoutId = setTimeout(resolve, this.relayPool.connectTimeout);
+            });
+            await Promise.race([Promise.all(connecting), timeout]);
+            clearTimeout(timeoutId);
+        }
+        
+        return wanted.filter(url => {
+            const relay = this.relays.get(url);
+            if (!relay) return false;
+            
+            // Temporary relays that didn't connect in time aren't worth waiting for
+            if (relay.temporary && relay.status !== 'open') {
+                this.removeRelay(url);
+                return false;
+            }
+            return relay.status === 'open';
+        });
+    }
+
+    /**
+     * Check whether a relay is in the pool only temporarily
+     * @param {string} url - The relay URL
+     * @returns {boolean}
+     */
+    isTemporaryRelay(url) {
+        const relay = this.relays.get(url);
+        return !!(relay && relay.temporary);
+    }
+
+    /**
+     * Close a temporary relay once it has gone unused for relayPool.idleTimeout
+     * @private
+     */
+    _scheduleIdleClose(url, relayData) {
+        clearTimeout(relayData.idleTimer);
+        relayData.idleTimer = setTimeout(() => {
+            if (this.relays.get(url) === relayData && relayData.temporary) {
+                console.log(`Closing idle temporary relay: ${url}`);
+                this.removeRelay(url);
+            }
+        }, this.relayPool.idleTimeout);
+    }
+
+    /**
+     * Add the wss:// scheme to URLs without one
+     * @private
+     */
+    _normalizeUrl(url) {
+        if (!url.startsWith('wss://') && !url.startsWith('ws://')) {
+            return 'wss://' + url;
+        }
+        return url;
+    }
+
+    /**
+     * Get relay connection status
+     * @param {string} url - The relay URL
+     * @returns {string|null} - Status or null if relay not found
+     */
+    getRelayStatus(url) {
+        if (!this.relays.has(url)) {
+            return null;
+        }
+        return this.relays.get(url).status;
+    }
+
+    /**
+     * Generate a shorter subscription ID based on the original and index
+     * @param {string} subscriptionId - The original subscription ID
+     * @returns {string} - A shorter subscription ID
+     * @private
+     */
+    _shortenSubscriptionId(subscriptionId) {
+        // If already short enough, return as is
+        if (subscriptionId.length <= 8) {
+            return subscriptionId;
+        }
+        
+        // Otherwise generate a short ID based on the first 8 characters,
+        // swapping in a counter suffix if another subscription already uses it
+        let shortId = subscriptionId.substring(0, 8);
+        let suffix = 0;
+        while (this._isShortIdInUse(shortId, subscriptionId)) {
+            suffix++;
+            const tag = suffix.toString(36);
+            shortId = subscriptionId.substring(0, 8 - tag.length) + tag;
+        }
+        return shortId;
+    }
+
+    /**
+     * Check whether a short ID belongs to a different subscription
+     * @private
+     */
+    _isShortIdInUse(shortId, subscriptionId) {
+        for (const [subId, subData] of this.globalSubscriptions) {
+            if (subId !== subscriptionId && subData.shortId === shortId) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Create a subscription for events matching the given filters
+     * @param {string} subscriptionId - A unique ID for this subscription
+     * @param {Array} filters - Array of filter objects
+     * @param {Function} callback - Function to call when events arrive
+     * @param {Object} options - Optional subscription settings
+     * @param {Array} options.relays - Only subscribe on these relay URLs
+     * @param {Function} options.onEose - Called with (relayUrl, subscriptionId) on EOSE
+     * @param {Function} options.onClosed - Called with (relayUrl, subscriptionId, reason) on CLOSED
+     * @param {Function} options.since - Called with a relay URL each time the REQ is sent there; a timestamp
+     *                                   it returns raises the filters' since on that relay only
+     */
+    subscribe(subscriptionId, filters, callback, options = {}) {
+        // Create a shorter subscription ID for the wire protocol
+        const existing = this.globalSubscriptions.get(subscriptionId);
+        const shortSubId = existing ? existing.shortId : this._shortenSubscriptionId(subscriptionId);
+        
+        // The newest event seen only bounds a replay of the same filters; new filters
+        // may match older events the relay never sent us
+        if (existing && JSON.stringify(existing.filters) !== JSON.stringify(filters)) {
+            this.relays.forEach(relay => relay.lastSeen.delete(subscriptionId));
+        }
+        
+        console.log(`Creating subscription: ${subscriptionId} (${shortSubId})`);
+        console.log(`Subscription filters:`, JSON.stringify(filters));
+        
+        // Add to global subscriptions with the original ID as key
+        this.subscriptionGeneration++;
+        this.globalSubscriptions.set(subscriptionId, {
+            shortId: shortSubId,
+            generation: this.subscriptionGeneration,
+            filters,
+            callbacks: callback ? [callback] : [],
+            eoseCallbacks: options.onEose ? [options.onEose] : [],
+            closedCallbacks: options.onClosed ? [options.onClosed] : [],
+            relays: options.relays || null,
+            since: options.since || null
+        });
+    
+        // Apply to all connected relays; temporary ones only get subscriptions that name them
+        this.relays.forEach((relay, url) => {
+            if (options.relays ? !options.relays.includes(url) : relay.temporary) {
+                return;
+            }
+            if (relay.status === 'open') {
+                console.log(`Sending subscription to relay: ${url}`);
+                this._subscribeOnRelay(url, subscriptionId, filters);
+            }
+        });
+    
+        return subscriptionId;
+    }
+    
+    /**
+     * Internal method to subscribe on a specific relay
+     * @private
+     */
+    _subscribeOnRelay(relayUrl, subscriptionId, filters, priority = WebSocketRelayManager.PRIORITY_SUBSCRIBE) {
+        const relay = this.relays.get(relayUrl);
+        if (!relay || relay.status !== 'open') {
+            console.log(`Cannot subscribe to ${relayUrl}, relay not connected`);
+            return;
+        }
+    
+        // Get the short ID for this subscription
+        const subData = this.globalSubscriptions.get(subscriptionId);
+        const shortSubId = subData.shortId;
+        const limits = this._getRelayLimits(relayUrl);
+        
+        // Skip what this relay has already sent us
+        if (subData.since) {
+            filters = this._filtersSince(filters, subData.since(relayUrl));
+        }
+        
+        // Wait for a free slot if the relay caps concurrent subscriptions
+        if (limits.max_subscriptions &&
+            this._countOpenSubscriptions(relay, subscriptionId) >= limits.max_subscriptions) {
+            console.log(`Relay ${relayUrl} is at max_subscriptions (${limits.max_subscriptions}), deferring ${subscriptionId}`);
+            relay.deferredSubscriptions.add(subscriptionId);
+            return;
+        }
+        relay.deferredSubscriptions.delete(subscriptionId);
+        
+        // Clamp limits to what the relay will return anyway
+        if (limits.max_limit) {
+            filters = filters.map(filter => (
+                filter.limit && filter.limit > limits.max_limit
+                    ? { ...filter, limit: limits.max_limit }
+                    : filter
+            ));
+        }
+    
+        // Create a REQ message
+        const reqMsg = JSON.stringify(['REQ', shortSubId, ...filters]);
+        console.log(`REQ message to ${relayUrl}:`, reqMsg);
+        
+        // Track subscription on this relay using the original ID as key
+        relay.subscriptions.set(subscriptionId, {
+            shortId: shortSubId,
+            filters: filters,
+            state: 'pending',
+            reason: null
+        });
+        this._setSubscriptionState(relayUrl, subscriptionId, 'pending');
+        
+        // Refuse locally what the relay has told us it will refuse
+        if (limits.max_filters && filters.length > limits.max_filters) {
+            this._handleSubscriptionClosed(relayUrl, subscriptionId,
+                `error: too many filters (relay allows ${limits.max_filters})`);
+            return;
+        }
+        if (limits.max_message_length && reqMsg.length > limits.max_message_length) {
+            this._handleSubscriptionClosed(relayUrl, subscriptionId,
+                `error: REQ exceeds max_message_length (${limits.max_message_length})`);
+            return;
+        }
+        
+        // Relays that require auth get the REQ once we have authenticated
+        if (this._mustAuthenticateFirst(relayUrl)) {
+            this._deferUntilAuthenticated(relayUrl, { type: 'REQ', subscriptionId });
+            return;
+        }
+        
+        // Queue the subscription request
+        this._queueRequest(relayUrl, () => {
+            // Skip if unsubscribed while waiting in the queue
+            if (!this.globalSubscriptions.has(subscriptionId)) {
+                return;
+            }
+            
+            if (relay.status === 'open') {
+                this._setSubscriptionState(relayUrl, subscriptionId, 'live');
+                relay.conn.send(reqMsg);
+                console.log(`Subscription ${shortSubId} sent to ${relayUrl}`);
+            } else {
+                console.log(`Relay ${relayUrl} not open, queueing subscription`);
+                relay.pendingMessages.push(reqMsg);
+            }
+        }, priority);
+    }
+
+    /**
+     * Count subscriptions holding a slot on a relay
+     * @private
+     */
+    _countOpenSubscriptions(relay, excludeSubscriptionId) {
+        let count = 0;
+        relay.subscriptions.forEach((subState, subId) => {
+            if (subId !== excludeSubscriptionId && subState.state !== 'closed') {
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Send deferred subscriptions while the relay has free slots
+     * @private
+     */
+    _drainDeferredSubscriptions(relayUrl) {
+        const relay = this.relays.get(relayUrl);
+        if (!relay || relay.status !== 'open' || relay.deferredSubscriptions.size === 0) return;
+        
+        const limit = this._getRelayLimits(relayUrl).max_subscriptions;
+        for (const subId of [...relay.deferredSubscriptions]) {
+            if (limit && this._countOpenSubscriptions(relay) >= limit) break;
+            
+            relay.deferredSubscriptions.delete(subId);
+            const subData = this.globalSubscriptions.get(subId);
+            if (subData) {
+                this._subscribeOnRelay(relayUrl, subId, subData.filters);
+            }
+        }
+    }
+
+    /**
+     * Close a subscription
+     * @param {string} subscriptionId - The subscription ID to close
+     */
+    unsubscribe(subscriptionId) {
+        // Remove from global subscriptions
+        const subData = this.globalSubscriptions.get(subscriptionId);
+        if (!subData) return;
+        
+        const shortSubId = subData.shortId;
+        this.globalSubscriptions.delete(subscriptionId);
+
+        // Send CLOSE to all relays that still have this subscription open
+        this.relays.forEach((relay, url) => {
+            const subState = relay.subscriptions.get(subscriptionId);
+            if (!subState) return;
+            
+            if (relay.status === 'open' && subState.state !== 'closed') {
+                const closeMsg = JSON.stringify(['CLOSE', shortSubId]);
+                
+                this._queueRequest(url, () => {
+                    if (relay.status === 'open') {
+                        relay.conn.send(closeMsg);
+                    }
+                }, WebSocketRelayManager.PRIORITY_CONTROL);
+            }
+            
+            relay.subscriptions.delete(subscriptionId);
+            relay.lastSeen.delete(subscriptionId);
+            relay.stats.eventsBySubscription.delete(subscriptionId);
+        });
+        
+        // Freed slots can go to deferred subscriptions
+        this.relays.forEach((relay, url) => {
+            relay.deferredSubscriptions.delete(subscriptionId);
+            this._drainDeferredSubscriptions(url);
+        });
+    }
+
+    /**
+     * Send an existing subscription's REQ to a relay again
+     * @param {string} relayUrl - The relay URL
+     * @param {string} subscriptionId - The subscription ID
+     */
+    resubscribe(relayUrl, subscriptionId) {
+        const subData = this.globalSubscriptions.get(subscriptionId);
+        if (!subData) return;
+        
+        this._subscribeOnRelay(relayUrl, subscriptionId, subData.filters);
+    }
+
+    /**
+     * Get a subscription's filters and callbacks
+     * @param {string} subscriptionId - The subscription ID
+     * @returns {Object|null} - {filters, callbacks, relays} or null if not found
+     */
+    getSubscription(subscriptionId) {
+        const subData = this.globalSubscriptions.get(subscriptionId);
+        if (!subData) return null;
+        
+        return {
+            filters: subData.filters,
+            callbacks: [...subData.callbacks],
+            relays: subData.relays ? [...subData.relays] : null
+        };
+    }
+
+    /**
+     * Get the state of a subscription on every relay it was sent to
+     * @param {string} subscriptionId - The subscription ID
+     * @returns {Object} - Map of relay URL -> {state, reason}
+     */
+    getSubscriptionState(subscriptionId) {
+        const states = {};
+        this.relays.forEach((relay, url) => {
+            const subState = relay.subscriptions.get(subscriptionId);
+            if (subState) {
+                states[url] = { state: subState.state, reason: subState.reason };
+            }
+        });
+        return states;
+    }
+
+    /**
+     * Update a subscription's state on a relay and notify listeners
+     * States: 'pending' (queued), 'live' (REQ sent), 'eose' (stored events done), 'closed'
+     * @private
+     */
+    _setSubscriptionState(relayUrl, subscriptionId, state, reason = null) {
+        const relay = this.relays.get(relayUrl);
+        const subState = relay && relay.subscriptions.get(subscriptionId);
+        if (!subState) return;
+        
+        subState.state = state;
+        subState.reason = reason;
+        if (state === 'live') {
+            subState.sentAt = Date.now();
+        }
+        
+        this.subscriptionStateCallbacks.forEach(callback => {
+            try {
+                callback({ relayUrl, subscriptionId, state, reason });
+            } catch (e) {
+                console.error('Error in subscription state callback:', e);
+            }
+        });
+    }
+
+    /**
+     * Run a one-shot query that resolves once every targeted relay has sent EOSE
+     * @param {Array} filters - Array of filter objects
+     * @param {Object} options - Query options
+     * @param {number} options.timeout - Milliseconds to wait for each relay's EOSE (default 5000)
+     * @param {Array} options.relays - Relay URLs to query (default: healthiest open relays)
+     * @param {number} options.maxRelays - Only ask this many of the healthiest relays
+     * @returns {Promise<Object>} - {events, answered, timedOut, closed} with events deduplicated by ID
+     */
+    query(filters, options = {}) {
+        const timeout = options.timeout || 5000;
+        let targetRelays = (options.relays || this.getRelays())
+            .filter(url => this.getRelayStatus(url) === 'open');
+        
+        // Without an explicit relay list, prefer relays that have been answering well
+        if (!options.relays) {
+            targetRelays = this._rankRelaysForQuery(targetRelays);
+            if (options.maxRelays) {
+                targetRelays = targetRelays.slice(0, options.maxRelays);
+            }
+        }
+        
+        // Keep the ID within the wire length so it never gets shortened
+        this.queryCounter++;
+        const subscriptionId = `q${this.queryCounter.toString(36)}`;
+        
+        return new Promise((resolve) => {
+            const events = new Map();
+            const answered = new Set();
+            
+            if (targetRelays.length === 0) {
+                resolve({ events: [], answered: [], timedOut: [], closed: [] });
+                return;
+            }
+            
+            const closed = [];
+            let timeoutId = null;
+            const finish = () => {
+                clearTimeout(timeoutId);
+                this.unsubscribe(subscriptionId);
+                
+                const timedOut = targetRelays.filter(url => !answered.has(url));
+                targetRelays.forEach(url => {
+                    const relay = this.relays.get(url);
+                    if (!relay) return;
+                    if (answered.has(url)) {
+                        relay.stats.queriesAnswered++;
+                    } else {
+                        // A relay that never answered counts as taking the whole timeout
+                        relay.stats.queriesTimedOut++;
+                        this._recordLatency(relay.stats, 'eoseLatency', timeout);
+                    }
+                });
+                if (timedOut.length > 0) {
+                    console.log(`Query ${subscriptionId} timed out waiting for: ${timedOut.join(', ')}`);
+                }
+                
+                resolve({
+                    events: Array.from(events.values()).sort((a, b) => b.created_at - a.created_at),
+                    answered: Array.from(answered),
+                    timedOut,
+                    closed
+                });
+            };
+            
+            const markAnswered = (relayUrl) => {
+                answered.add(relayUrl);
+                if (targetRelays.every(url => answered.has(url))) {
+                    finish();
+                }
+            };
+            
+            timeoutId = setTimeout(finish, timeout);
+            
+            this.subscribe(subscriptionId, filters, (event) => {
+                if (!events.has(event.id)) {
+                    events.set(event.id, event);
+                }
+            }, {
+                relays: targetRelays,
+                onEose: markAnswered,
+                onClosed: (relayUrl, subId, reason) => {
+                    // The relay will be asked again once we authenticate
+                    if (reason.startsWith('auth-required:') && this.authSigner) {
+                        return;
+                    }
+                    closed.push({ relayUrl, reason });
+                    markAnswered(relayUrl);
+                }
+            });
+        });
+    }
+
+    /**
+     * Count events matching filters without downloading them, using NIP-45 COUNT
+     * Relays that don't support COUNT (per NIP-11 or because they refused it) are queried
+     * instead and their events counted here. Counts from different relays can't be
+     * deduplicated, so the total is the highest count any relay gave
+     * @param {Array} filters - Array of filter objects
+     * @param {Object} options - Count options
+     * @param {number} options.timeout - Milliseconds to wait for each relay (default 5000)
+     * @param {Array} options.relays - Relay URLs to ask (default: all open relays)
+     * @param {boolean} options.fallback - Query relays that can't count (default true); when false
+     *                                     they are left out of the results
+     * @returns {Promise<Object>} - {count, approximate, results} with {url, count, approximate, method}
+     *                              per relay, method being 'count' or 'query'
+     */
+    async count(filters, options = {}) {
+        const timeout = options.timeout || 5000;
+        const targetRelays = (options.relays || this.getRelays())
+            .filter(url => this.getRelayStatus(url) === 'open');
+        
+        this.queryCounter++;
+        const countId = `c${this.queryCounter.toString(36)}`;
+        
+        const countRelays = targetRelays.filter(url => this.canCount(url));
+        const counted = await Promise.all(countRelays.map(url => this._countOnRelay(url, countId, filters, timeout)));
+        const results = counted.filter(result => result !== null);
+        
+        // Everyone else sends the matching events and we count them
+        const fallbackRelays = targetRelays.filter(url => !results.some(result => result.url === url));
+        let fallbackCount = 0;
+        if (fallbackRelays.length > 0 && options.fallback !== false) {
+            const unlimited = filters.map(filter => {
+                const { limit, ...rest } = filter;
+                return rest;
+            });
+            const { events, answered } = await this.query(unlimited, { relays: fallbackRelays, timeout });
+            fallbackCount = events.length;
+            
+            answered.forEach(url => {
+                results.push({
+                    url,
+                    count: events.filter(event => this.getSeenOn(event.id).includes(url)).length,
+                    approximate: false,
+                    method: 'query'
+                });
+            });
+        }
+        
+        const count = Math.max(fallbackCount, ...results.map(result => result.count), 0);
+        return {
+            count,
+            approximate: results.length > 1 || results.some(result => result.approximate),
+            results
+        };
+    }
+
+    /**
+     * Check whether NIP-45 COUNT is worth trying with a relay
+     * Relays with an unknown NIP-11 document are tried until they refuse
+     * @param {string} url - The relay URL
+     * @returns {boolean}
+     */
+    canCount(url) {
+        return this.getRelayStatus(url) === 'open' &&
+            this.supportsNip(url, 45) !== false &&
+            !this.countUnsupported.has(url);
+    }
+
+    /**
+     * Check whether NIP-77 negentropy sync is worth trying with a relay
+     * Relays with an unknown NIP-11 document are tried until they refuse
+     * @param {string} url - The relay URL
+     * @returns {boolean}
+     */
+    canReconcile(url) {
+        return this.getRelayStatus(url) === 'open' &&
+            this.supportsNip(url, 77) !== false &&
+            !this.negentropyUnsupported.has(url);
+    }
+
     /**
-     * Internal method to subscribe on a specific relay
-     * @private
+     * Find out which events matching a filter a relay has that we don't, and the reverse,
+     * with NIP-77 negentropy set reconciliation
+     * @param {string} url - The relay URL
+     * @param {Object} filter - Filter selecting the events to compare
+     * @param {Array} events - Our events matching the filter (only id and created_at are used)
+     * @param {Object} options - Sync options
+     * @param {number} options.timeout - Milliseconds to wait for each relay message (default 10000)
+     * @returns {Promise<Object>} - {have, need}: IDs only we have, IDs only the relay has.
+     *                              Rejects when the relay doesn't support NIP-77 or reports an error
      */
-    _subscribeOnRelay(relayUrl, subscriptionId, filters) {
-        const relay = this.relays.get(relayUrl);
-        if (!relay || relay.status !== 'open') {
-            console.log(`Cannot subscribe to ${relayUrl}, relay not connected`);
-            return;
+    async reconcile(url, filter, events, options = {}) {
+        if (!this.canReconcile(url)) {
+            throw new Error(`Relay ${url} does not support negentropy`);
         }
-    
-        // Get the short ID for this subscription
-        const shortSubId = this.globalSubscriptions.get(subscriptionId).shortId;
-    
-        // Create a REQ message
-        const reqMsg = JSON.stringify(['REQ', shortSubId, ...filters]);
-        console.log(`REQ message to ${relayUrl}:`, reqMsg);
         
-        // Queue the subscription request
-        this._queueRequest(() => {
-            if (relay.status === 'open') {
-                relay.conn.send(reqMsg);
-                console.log(`Subscription ${shortSubId} sent to ${relayUrl}`);
+        const timeout = options.timeout || 10000;
+        const negentropy = new Negentropy(events);
+        
+        this.queryCounter++;
+        const subscriptionId = `n${this.queryCounter.toString(36)}`;
+        const have = [];
+        const need = [];
+        
+        try {
+            let message = await this._negentropyRequest(url, subscriptionId,
+                ['NEG-OPEN', subscriptionId, filter, await negentropy.initiate()], timeout);
+            
+            for (;;) {
+                const result = await negentropy.reconcile(message);
+                have.push(...result.have);
+                need.push(...result.need);
+                if (result.message === null) break;
                 
-                // Track subscription on this relay using the original ID as key
-                relay.subscriptions.set(subscriptionId, {
-                    shortId: shortSubId,
-                    filters: filters
-                });
-            } else {
-                console.log(`Relay ${relayUrl} not open, queueing subscription`);
-                relay.pendingMessages.push(reqMsg);
+                message = await this._negentropyRequest(url, subscriptionId,
+                    ['NEG-MSG', subscriptionId, result.message], timeout);
             }
-        });
+        } finally {
+            const relay = this.relays.get(url);
+            if (relay && relay.conn && relay.conn.readyState === SOCKET_OPEN) {
+                this._queueRequest(url, () => {
+                    relay.conn.send(JSON.stringify(['NEG-CLOSE', subscriptionId]));
+                }, WebSocketRelayManager.PRIORITY_CONTROL);
+            }
+        }
+        
+        console.log(`Negentropy with ${url}: we have ${have.length} they don't, they have ${need.length} we don't`);
+        return { have, need };
     }
 
     /**
-     * Close a subscription
-     * @param {string} subscriptionId - The subscription ID to close
+     * Send a negentropy message and wait for the relay's NEG-MSG
+     * @returns {Promise<string>} - The relay's hex-encoded message
+     * @private
      */
-    unsubscribe(subscriptionId) {
-        // Remove from global subscriptions
-        const subData = this.globalSubscriptions.get(subscriptionId);
-        if (!subData) return;
+    _negentropyRequest(url, subscriptionId, message, timeout) {
+        const relay = this.relays.get(url);
+        const key = `${url}|${subscriptionId}`;
         
-        const shortSubId = subData.shortId;
-        this.globalSubscriptions.delete(subscriptionId);
-
-        // Send CLOSE to all relays that have this subscription
-        this.relays.forEach((relay, url) => {
-            if (relay.status === 'open' && relay.subscriptions.has(subscriptionId)) {
-                const closeMsg = JSON.stringify(['CLOSE', shortSubId]);
+        return new Promise((resolve, reject) => {
+            let timeoutId = null;
+            
+            // error is null when the relay answered with NEG-MSG;
+            // refused is false when the relay never answered, which says nothing about NIP-77
+            const finish = (error, answer, refused = true) => {
+                if (!this.negentropyRequests.has(key)) return;
                 
-                this._queueRequest(() => {
-                    if (relay.status === 'open') {
-                        relay.conn.send(closeMsg);
+                clearTimeout(timeoutId);
+                this.negentropyRequests.delete(key);
+                
+                if (error) {
+                    // Only a refusal that isn't about this one request means NIP-77 is unsupported
+                    // NEG-ERR uses NIP-01 prefixes plus "closed:" for sessions the relay dropped
+                    const prefix = (/^([a-z-]+):/.exec(error) || [])[1];
+                    if (refused && !['blocked', 'closed', 'rate-limited', 'auth-required', 'error'].includes(prefix)) {
+                        console.log(`Relay ${url} did not answer negentropy (${error}), using since-based sync`);
+                        this.negentropyUnsupported.add(url);
                     }
-                });
+                    reject(new Error(`Negentropy with ${url} failed: ${error}`));
+                } else {
+                    resolve(answer);
+                }
+            };
+            this.negentropyRequests.set(key, finish);
+            timeoutId = setTimeout(() => finish('timed out', null, false), timeout);
+            
+            this._queueRequest(url, () => {
+                if (relay.conn && relay.conn.readyState === SOCKET_OPEN) {
+                    relay.conn.send(JSON.stringify(message));
+                } else {
+                    finish('error: relay is not connected', null, false);
+                }
+            }, WebSocketRelayManager.PRIORITY_SUBSCRIBE);
+        });
+    }
+
+    /**
+     * Ask one relay for a NIP-45 count
+     * @returns {Promise<Object|null>} - {url, count, approximate, method}, or null if the relay didn't answer
+     * @private
+     */
+    _countOnRelay(url, countId, filters, timeout) {
+        const relay = this.relays.get(url);
+        const key = `${url}|${countId}`;
+        
+        return new Promise((resolve) => {
+            let timeoutId = null;
+            
+            // answer is the relay's COUNT payload, or null with the reason it failed;
+            // refused is false when the relay never answered, which says nothing about NIP-45
+            const finish = (answer, reason, refused = true) => {
+                if (!this.countRequests.has(key)) return;
                 
-                relay.subscriptions.delete(subscriptionId);
-            }
+                clearTimeout(timeoutId);
+                this.countRequests.delete(key);
+                
+                if (answer && typeof answer.count === 'number') {
+                    resolve({ url, count: answer.count, approximate: answer.approximate === true, method: 'count' });
+                    return;
+                }
+                
+                // Only a refusal that isn't about auth or rate limits means COUNT is unsupported;
+                // otherwise just this call falls back to counting locally
+                const { prefix } = WebSocketRelayManager.parseReason(reason);
+                if (refused && prefix !== 'auth-required' && prefix !== 'rate-limited') {
+                    console.log(`Relay ${url} did not answer COUNT (${reason}), counting locally from now on`);
+                    this.countUnsupported.add(url);
+                }
+                resolve(null);
+            };
+            this.countRequests.set(key, finish);
+            timeoutId = setTimeout(() => finish(null, 'timed out', false), timeout);
+            
+            this._queueRequest(url, () => {
+                if (relay.conn && relay.conn.readyState === SOCKET_OPEN) {
+                    relay.conn.send(JSON.stringify(['COUNT', countId, ...filters]));
+                } else {
+                    finish(null, 'error: relay is not connected', false);
+                }
+            }, WebSocketRelayManager.PRIORITY_SUBSCRIBE);
         });
     }
 
     /**
      * Publish an event to all connected relays
+     * Relays that are not connected count as failures; the client's Outbox retries them
      * @param {Object} event - Signed nostr event object
-     * @returns {Promise} - Resolves when published to at least one relay
+     * @param {Object} options - Publish options
+     * @param {Array} options.relays - Only publish to these relay URLs (default: all relays)
+     * @param {Object} options.policy - Overrides for the manager's publishPolicy
+     * @param {number} options.policy.quorum - Relays that must accept the event (default 1)
+     * @param {Array} options.policy.required - Relay URLs that must accept the event (default none)
+     * @returns {Promise<Object>} - {success, count, relays, results}, where results holds
+     *                              {url, success, prefix, message, retryable} per relay.
+     *                              Rejects when the policy is not met, with the same object in error.result
      */
-    publish(event) {
+    publish(event, options = {}) {
         // Validate event has required fields
         const validation = this._validateEvent(event);
         if (!validation.valid) {
@@ -373,20 +1886,53 @@ _validateEvent(event) {
         const publishPromises = [];
     
         this.relays.forEach((relay, url) => {
+            if (options.relays ? !options.relays.includes(url) : relay.temporary) return;
+            
             console.log(`Attempting to publish to relay: ${url}`);
             
-            const publishPromise = new Promise((resolve, reject) => {
-                // Create a timeout for this publish
-                const timeout = setTimeout(() => {
-                    // Remove the one-time event listener if it times out
-                    if (okHandler) {
-                        relay.conn.removeEventListener('message', okHandler);
-                    }
-                    console.warn(`Publish to ${url} timed out for event ${event.id.substring(0, 8)}...`);
-                    reject(new Error(`Publish to ${url} timed out`));
-                }, 10000);
+            const publishPromise = new Promise((resolve) => {
+                // Don't send what the relay has told us it will refuse
+                const limits = this._getRelayLimits(url);
+                if (limits.max_message_length && eventMsg.length > limits.max_message_length) {
+                    console.warn(`Event exceeds max_message_length of ${url} (${limits.max_message_length})`);
+                    resolve(this._publishResult(url, false, 'invalid: event exceeds relay max_message_length'));
+                    return;
+                }
+                
+                // Create a timeout for this publish, restarted with more time while we authenticate
+                let timeout = null;
+                const startTimeout = (delay) => {
+                    clearTimeout(timeout);
+                    timeout = setTimeout(() => {
+                        // Remove the one-time event listener if it times out
+                        if (okHandler) {
+                            relay.conn.removeEventListener('message', okHandler);
+                        }
+                        console.warn(`Publish to ${url} timed out for event ${event.id.substring(0, 8)}...`);
+                        relay.stats.publishTimeouts++;
+                        this._recordError(url, 'publish timed out');
+                        resolve(this._publishResult(url, false, 'error: publish timed out'));
+                    }, delay);
+                };
+                startTimeout(this.publishTimeout);
+                
+                // Hold the event until we have authenticated; it fails right away if AUTH fails
+                const waitForAuth = () => {
+                    startTimeout(this.authPublishTimeout);
+                    this._deferUntilAuthenticated(url, {
+                        type: 'EVENT',
+                        message: eventMsg,
+                        fail: (reason) => {
+                            clearTimeout(timeout);
+                            relay.conn.removeEventListener('message', okHandler);
+                            console.warn(`Publish to ${url} failed while waiting for AUTH: ${reason}`);
+                            resolve(this._publishResult(url, false, reason));
+                        }
+                    });
+                };
                 
                 // Create a one-time event handler for the OK response
+                let sentAt = null;
                 const okHandler = (msgEvent) => {
                     try {
                         const data = JSON.parse(msgEvent.data);
@@ -395,18 +1941,32 @@ _validateEvent(event) {
                         if (Array.isArray(data) && data[0] === 'OK' && data[1] === event.id) {
                             console.log(`Received OK from ${url} for event ${event.id.substring(0, 8)}...`, data);
                             
+                            // Keep waiting if the relay wants us to authenticate first
+                            const okMessage = data.length > 3 ? String(data[3]) : '';
+                            if (data[2] !== true && okMessage.startsWith('auth-required:') && this.authSigner) {
+                                console.log(`Relay ${url} requires auth before accepting event ${event.id.substring(0, 8)}...`);
+                                waitForAuth();
+                                return;
+                            }
+                            
                             clearTimeout(timeout);
                             relay.conn.removeEventListener('message', okHandler);
                             
+                            if (sentAt) {
+                                this._recordLatency(relay.stats, 'publishRtt', Date.now() - sentAt);
+                            }
+                            
                             // Resolve with success or error based on relay response
-                            if (data.length > 2 && data[2] === true) {
+                            const result = this._publishResult(url, data[2] === true, okMessage);
+                            if (result.success) {
                                 console.log(`Success publish to ${url} for event ${event.id.substring(0, 8)}...`);
-                                resolve({ url, success: true });
+                                relay.stats.okAccepted++;
                             } else {
-                                const errorMsg = data.length > 3 ? data[3] : 'Unknown error';
-                                console.warn(`Failed publish to ${url}: ${errorMsg}`);
-                                resolve({ url, success: false, error: errorMsg });
+                                console.warn(`Failed publish to ${url}: ${okMessage || 'no reason given'}`);
+                                relay.stats.okRejected++;
+                                this._recordError(url, okMessage || 'event rejected');
                             }
+                            resolve(result);
                         }
                     } catch (e) {
                         console.warn(`Error parsing message from ${url}:`, e, msgEvent.data);
@@ -419,63 +1979,111 @@ _validateEvent(event) {
                         // Listen for the OK response
                         relay.conn.addEventListener('message', okHandler);
                         
+                        // Relays that require auth get the event once we have authenticated
+                        if (this._mustAuthenticateFirst(url)) {
+                            waitForAuth();
+                            return;
+                        }
+                        
                         // Queue the publish request
-                        this._queueRequest(() => {
+                        this._queueRequest(url, () => {
                             try {
-                                if (relay.conn.readyState === WebSocket.OPEN) {
+                                if (relay.conn.readyState === SOCKET_OPEN) {
                                     relay.conn.send(eventMsg);
+                                    sentAt = Date.now();
                                     console.log(`Event sent to ${url}`);
                                 } else {
                                     // If connection closed while in queue
-                                    console.log(`Relay ${url} disconnected, queueing event`);
-                                    relay.pendingMessages.push(eventMsg);
-                                    resolve({ url, success: true, queued: true });
+                                    console.log(`Relay ${url} disconnected before event was sent`);
+                                    clearTimeout(timeout);
+                                    relay.conn.removeEventListener('message', okHandler);
+                                    resolve(this._publishResult(url, false, 'error: relay is not connected'));
                                 }
                             } catch (err) {
                                 console.warn(`Error sending to ${url}:`, err);
-                                resolve({ url, success: false, error: err.message });
+                                clearTimeout(timeout);
+                                relay.conn.removeEventListener('message', okHandler);
+                                resolve(this._publishResult(url, false, `error: ${err.message}`));
                             }
-                        });
+                        }, WebSocketRelayManager.PRIORITY_PUBLISH);
                     } catch (err) {
                         console.warn(`Error setting up publish to ${url}:`, err);
-                        resolve({ url, success: false, error: err.message });
+                        clearTimeout(timeout);
+                        resolve(this._publishResult(url, false, `error: ${err.message}`));
                     }
                 } else {
-                    // Queue the message to be sent when connected
-                    console.log(`Relay ${url} not open, queueing message`);
-                    relay.pendingMessages.push(eventMsg);
-                    resolve({ url, success: true, queued: true });
+                    console.log(`Relay ${url} not open, not publishing`);
+                    clearTimeout(timeout);
+                    resolve(this._publishResult(url, false, 'error: relay is not connected'));
                 }
             });
     
             publishPromises.push(publishPromise);
         });
     
-        // Return a promise that resolves when published to at least one relay
-        return Promise.allSettled(publishPromises).then(results => {
-            const successful = results.filter(r => r.status === 'fulfilled' && (r.value.success || r.value.queued));
-            const queued = results.filter(r => r.status === 'fulfilled' && r.value.queued);
-            
-            if (successful.length > 0) {
-                console.log(`Event ${event.id.substring(0, 8)}... published to ${successful.length} relays`);
-                return { 
-                    success: true, 
-                    count: successful.length,
-                    relays: successful.map(r => r.value.url),
-                    queued: queued.length > 0
-                };
+        // Resolve once every relay has answered, if the publish policy is met
+        const policy = { ...this.publishPolicy, ...(options.policy || {}) };
+        return Promise.all(publishPromises).then(results => {
+            const accepted = results.filter(r => r.success);
+            const missing = (policy.required || []).filter(url => !accepted.some(r => r.url === url));
+            const result = {
+                success: accepted.length >= policy.quorum && missing.length === 0,
+                count: accepted.length,
+                relays: accepted.map(r => r.url),
+                results
+            };
+            
+            if (result.success) {
+                console.log(`Event ${event.id.substring(0, 8)}... published to ${accepted.length} relays`);
+                return result;
+            }
+            
+            // Log failed publish attempts for debugging
+            console.error('Publish policy not met, attempts:', results);
+            
+            let message;
+            if (missing.length > 0) {
+                message = `Not accepted by required relay${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}`;
+            } else if (accepted.length === 0) {
+                message = 'Failed to publish to any relays';
             } else {
-                // Log failed publish attempts for debugging
-                console.error('Failed to publish to any relays, attempts:', 
-                    results.map(r => ({
-                        status: r.status,
-                        value: r.status === 'fulfilled' ? r.value : r.reason
-                    }))
-                );
-                return Promise.reject(new Error('Failed to publish to any relays'));
+                message = `Accepted by ${accepted.length} relay${accepted.length === 1 ? '' : 's'}, ${policy.quorum} required`;
             }
+            const error = new Error(message);
+            error.result = result;
+            throw error;
         });
     }
+    
+    /**
+     * Split a relay's OK or CLOSED message into its machine-readable prefix and the rest
+     * @param {string} message - Message such as "rate-limited: slow down"
+     * @returns {Object} - {prefix, text}; prefix is null when the message has no known prefix
+     */
+    static parseReason(message) {
+        const match = /^([a-z-]+):\s*(.*)$/s.exec(String(message || ''));
+        if (match && WebSocketRelayManager.REASON_PREFIXES.includes(match[1])) {
+            return { prefix: match[1], text: match[2] };
+        }
+        return { prefix: null, text: String(message || '') };
+    }
+    
+    /**
+     * Describe one relay's answer to a publish
+     * A duplicate counts as accepted since the relay already has the event
+     * @private
+     */
+    _publishResult(url, accepted, message) {
+        const { prefix } = WebSocketRelayManager.parseReason(message);
+        const success = accepted || prefix === 'duplicate';
+        return {
+            url,
+            success,
+            prefix,
+            message: message || '',
+            retryable: !success && WebSocketRelayManager.RETRYABLE_PREFIXES.includes(prefix)
+        };
+    }
 
     /**
      * Add a callback for received events
@@ -524,6 +2132,163 @@ async testPublish() {
         }
     }
 
+    /**
+     * Add a callback for relay authentication state changes
+     * @param {Function} callback - Function to call with the relay URL and auth status
+     */
+    onAuth(callback) {
+        if (typeof callback === 'function') {
+            this.authCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Add a callback for subscription state changes on each relay
+     * @param {Function} callback - Function to call with {relayUrl, subscriptionId, state, reason}
+     */
+    onSubscriptionState(callback) {
+        if (typeof callback === 'function') {
+            this.subscriptionStateCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Add a callback for relays that exhausted their reconnection attempts
+     * @param {Function} callback - Function to call with the relay URL
+     */
+    onRelayDead(callback) {
+        if (typeof callback === 'function') {
+            this.deadCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Check an inbound event's shape, ID and signature
+     * @param {Object} event - Event received from a relay
+     * @returns {Promise<string|null>} - Why the event is invalid, or null if it is valid
+     * @private
+     */
+    async _verifyInboundEvent(event) {
+        const isHex = (value, length) => typeof value === 'string' && value.length === length && /^[0-9a-f]+$/.test(value);
+        
+        if (!event || typeof event !== 'object') return 'not an event';
+        if (!isHex(event.id, 64) || !isHex(event.pubkey, 64) || !isHex(event.sig, 128)) {
+            return 'malformed id, pubkey or sig';
+        }
+        if (typeof event.kind !== 'number' || typeof event.created_at !== 'number' ||
+            !Array.isArray(event.tags) || typeof event.content !== 'string') {
+            return 'malformed fields';
+        }
+        
+        try {
+            // Known signatures only need the ID checked against the content
+            if (this.verifiedEvents.get(event.id) === event.sig) {
+                return await NostrUtils.getEventHash(event) === event.id ? null : 'id does not match content';
+            }
+            if (!await NostrUtils.verifySignature(event)) {
+                return 'bad id or signature';
+            }
+        } catch (e) {
+            return `verification failed: ${e.message}`;
+        }
+        
+        this.verifiedEvents.set(event.id, event.sig);
+        if (this.verifiedEvents.size > this.maxSeenEvents) {
+            this.verifiedEvents.delete(this.verifiedEvents.keys().next().value);
+        }
+        return null;
+    }
+
+    /**
+     * Drop an invalid event, disconnecting the relay if it keeps sending them
+     * @private
+     */
+    _rejectInboundEvent(url, event, reason) {
+        const relay = this.relays.get(url);
+        if (!relay) return;
+        
+        const eventId = event && typeof event.id === 'string' ? event.id.substring(0, 8) + '...' : 'unknown';
+        console.warn(`Rejected event ${eventId} from ${url}: ${reason}`);
+        
+        relay.stats.invalidEvents++;
+        this._recordError(url, `invalid event: ${reason}`);
+        
+        // Events already on their way are still counted, but the relay is only disconnected once
+        if (this.maxInvalidEvents && relay.stats.invalidEvents >= this.maxInvalidEvents && !relay.removed &&
+            relay.conn && relay.conn.readyState === SOCKET_OPEN) {
+            console.warn(`Disconnecting ${url} after ${relay.stats.invalidEvents} invalid events`);
+            
+            // Exhaust the retry budget so the close handler marks the relay dead
+            relay.reconnect.attempts = this.reconnectPolicy.maxAttempts;
+            relay.conn.close();
+        }
+    }
+
+    /**
+     * Get the relays an event has been received from
+     * @param {string} eventId - Event ID
+     * @returns {Array} - Array of relay URLs, empty if the event is unknown
+     */
+    getSeenOn(eventId) {
+        const seen = this.seenEvents.get(eventId);
+        return seen ? Array.from(seen.relays) : [];
+    }
+
+    /**
+     * Record that a relay delivered an event for a subscription
+     * @returns {Object} - {firstSighting, newRelay, firstForSubscription}
+     * @private
+     */
+    _recordSighting(event, relayUrl, subscription) {
+        if (!event || typeof event.id !== 'string') {
+            return { firstSighting: true, newRelay: true, firstForSubscription: true };
+        }
+        
+        let seen = this.seenEvents.get(event.id);
+        const firstSighting = !seen;
+        
+        if (!seen) {
+            seen = { relays: new Set(), deliveries: new Set() };
+            this.seenEvents.set(event.id, seen);
+            
+            // Forget the oldest events once the cache is full
+            if (this.seenEvents.size > this.maxSeenEvents) {
+                this.seenEvents.delete(this.seenEvents.keys().next().value);
+            }
+        }
+        
+        const newRelay = !seen.relays.has(relayUrl);
+        seen.relays.add(relayUrl);
+        
+        let firstForSubscription = false;
+        if (subscription && !seen.deliveries.has(subscription.generation)) {
+            seen.deliveries.add(subscription.generation);
+            firstForSubscription = true;
+        }
+        
+        return { firstSighting, newRelay, firstForSubscription };
+    }
+
+    /**
+     * Add a callback for copies of an already received event arriving from another relay
+     * @param {Function} callback - Function to call with the event ID, relay URL and all relays seen on
+     */
+    onEventSeen(callback) {
+        if (typeof callback === 'function') {
+            this.seenCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Add a callback for fetched NIP-11 relay information documents
+     * @param {Function} callback - Function to call with the relay URL and document
+     */
+    onRelayInfo(callback) {
+        if (typeof callback === 'function') {
+            this.relayInfoCallbacks.push(callback);
+        }
+    }
+
     /**
      * Add a callback for relay disconnections
      * @param {Function} callback - Function to call with the relay URL
@@ -555,19 +2320,29 @@ async testPublish() {
             const event = message[2];
             
             // Find the original subscription ID from the short ID
-            let originalSubId = null;
-            this.globalSubscriptions.forEach((subData, subId) => {
-                if (subData.shortId === shortSubId) {
-                    originalSubId = subId;
-                }
-            });
+            const originalSubId = this._findSubscriptionId(shortSubId);
             
             // If we can't find the subscription, ignore the event
             if (!originalSubId) return;
             
-            // Notify global subscription callbacks
+            // Remember the newest event per subscription for replay after reconnecting
+            const relay = this.relays.get(relayUrl);
+            if (relay && event && typeof event.created_at === 'number' &&
+                event.created_at > (relay.lastSeen.get(originalSubId) || 0)) {
+                relay.lastSeen.set(originalSubId, event.created_at);
+            }
+            
+            if (relay) {
+                relay.stats.eventsReceived++;
+                relay.stats.eventsBySubscription.set(originalSubId,
+                    (relay.stats.eventsBySubscription.get(originalSubId) || 0) + 1);
+            }
+            
             const subscription = this.globalSubscriptions.get(originalSubId);
-            if (subscription) {
+            const sighting = this._recordSighting(event, relayUrl, subscription);
+            
+            // Notify global subscription callbacks, once per subscription
+            if (subscription && sighting.firstForSubscription) {
                 subscription.callbacks.forEach(callback => {
                     try {
                         callback(event, relayUrl, originalSubId);
@@ -577,6 +2352,21 @@ async testPublish() {
                 });
             }
             
+            // Later copies only update where the event has been seen
+            if (!sighting.firstSighting) {
+                if (!sighting.newRelay) return;
+                
+                const relays = this.getSeenOn(event.id);
+                this.seenCallbacks.forEach(callback => {
+                    try {
+                        callback(event.id, relayUrl, relays);
+                    } catch (e) {
+                        console.error('Error in event seen callback:', e);
+                    }
+                });
+                return;
+            }
+            
             // Notify global event listeners
             this.eventCallbacks.forEach(callback => {
                 try {
@@ -588,18 +2378,157 @@ async testPublish() {
         }
         else if (messageType === 'EOSE') {
             // ["EOSE", <subscription_id>]
-            // End of stored events, we could notify listeners if needed
-            // console.log(`End of stored events for subscription ${message[1]} from ${relayUrl}`);
+            const originalSubId = this._findSubscriptionId(message[1]);
+            if (!originalSubId) return;
+            
+            // Time from REQ to the end of stored events
+            const relay = this.relays.get(relayUrl);
+            const subState = relay && relay.subscriptions.get(originalSubId);
+            if (subState && subState.state === 'live' && subState.sentAt) {
+                this._recordLatency(relay.stats, 'eoseLatency', Date.now() - subState.sentAt);
+            }
+            
+            this._setSubscriptionState(relayUrl, originalSubId, 'eose');
+            
+            const subscription = this.globalSubscriptions.get(originalSubId);
+            subscription.eoseCallbacks.forEach(callback => {
+                try {
+                    callback(relayUrl, originalSubId);
+                } catch (e) {
+                    console.error('Error in EOSE callback:', e);
+                }
+            });
+        }
+        else if (messageType === 'COUNT') {
+            // ["COUNT", <count_id>, {"count": <integer>, "approximate": <boolean>}]
+            const finish = this.countRequests.get(`${relayUrl}|${message[1]}`);
+            if (finish) {
+                finish(message[2] || null, 'error: malformed COUNT response');
+            }
+        }
+        else if (messageType === 'NEG-MSG' || messageType === 'NEG-ERR') {
+            // ["NEG-MSG", <subscription_id>, <message>] or ["NEG-ERR", <subscription_id>, <reason>]
+            const finish = this.negentropyRequests.get(`${relayUrl}|${message[1]}`);
+            if (finish) {
+                if (messageType === 'NEG-MSG' && typeof message[2] === 'string') {
+                    finish(null, message[2]);
+                } else {
+                    finish(String(message[2] || 'error: malformed negentropy response'));
+                }
+            }
         }
         else if (messageType === 'NOTICE') {
             // ["NOTICE", <message>]
             console.log(`Notice from ${relayUrl}: ${message[1]}`);
+            
+            const relay = this.relays.get(relayUrl);
+            if (relay) {
+                relay.stats.notices++;
+            }
+            
+            // Relays without NIP-45 or NIP-77 tend to complain about the message type in a NOTICE
+            if (/\bCOUNT\b/.test(String(message[1] || ''))) {
+                this.countRequests.forEach((finish, key) => {
+                    if (key.startsWith(`${relayUrl}|`)) {
+                        finish(null, String(message[1]));
+                    }
+                });
+            }
+            if (/\bNEG-(OPEN|MSG)\b/.test(String(message[1] || ''))) {
+                this.negentropyRequests.forEach((finish, key) => {
+                    if (key.startsWith(`${relayUrl}|`)) {
+                        finish(`unsupported: ${message[1]}`);
+                    }
+                });
+            }
+            
+            // Relays without NIP-01 prefixes often complain in plain NOTICEs
+            if (/rate.?limit|too (fast|many requests)|slow down/i.test(String(message[1] || ''))) {
+                this._slowDownRelay(relayUrl);
+            }
         }
         else if (messageType === 'OK') {
             // ["OK", <event_id>, <success>, <message>]
-            // We handle these in the publish method
+            // Publish responses are handled in the publish method
+            const relay = this.relays.get(relayUrl);
+            if (relay && relay.auth.eventId && message[1] === relay.auth.eventId) {
+                this._handleAuthResult(relayUrl, message[2] === true, message[3] || '');
+            }
+            
+            if (message[2] !== true && String(message[3] || '').startsWith('rate-limited:')) {
+                this._slowDownRelay(relayUrl);
+            }
+        }
+        else if (messageType === 'AUTH') {
+            // ["AUTH", <challenge>]
+            const relay = this.relays.get(relayUrl);
+            if (!relay || typeof message[1] !== 'string') return;
+            
+            console.log(`AUTH challenge from ${relayUrl}`);
+            relay.auth.challenge = message[1];
+            relay.auth.status = 'challenged';
+            relay.auth.eventId = null;
+            this._notifyAuth(relayUrl);
+            
+            if (this.authSigner) {
+                this.authenticate(relayUrl).catch(e => {
+                    console.error(`Error authenticating with ${relayUrl}:`, e);
+                });
+            }
+        }
+        else if (messageType === 'CLOSED') {
+            // ["CLOSED", <subscription_id>, <message>]
+            const relay = this.relays.get(relayUrl);
+            const originalSubId = this._findSubscriptionId(message[1]);
+            const reason = String(message[2] || '');
+            
+            console.log(`Subscription ${message[1]} closed by ${relayUrl}: ${reason}`);
+            
+            // COUNT requests are refused with CLOSED too
+            const finishCount = this.countRequests.get(`${relayUrl}|${message[1]}`);
+            if (finishCount) {
+                finishCount(null, reason);
+                return;
+            }
+            
+            if (!relay || !originalSubId) return;
+            this._handleSubscriptionClosed(relayUrl, originalSubId, reason);
         }
     }
+
+    /**
+     * Mark a subscription closed on a relay and notify its listeners
+     * @param {string} relayUrl - The relay URL
+     * @param {string} subscriptionId - Original subscription ID
+     * @param {string} reason - Machine-readable reason from CLOSED
+     * @private
+     */
+    _handleSubscriptionClosed(relayUrl, subscriptionId, reason) {
+        this._setSubscriptionState(relayUrl, subscriptionId, 'closed', reason);
+        this._recordError(relayUrl, reason);
+        
+        if (reason.startsWith('rate-limited:')) {
+            this._slowDownRelay(relayUrl);
+        }
+        
+        // Resubscribe once we have authenticated
+        if (reason.startsWith('auth-required:') && this.authSigner) {
+            this._deferUntilAuthenticated(relayUrl, { type: 'REQ', subscriptionId });
+        }
+        
+        const subscription = this.globalSubscriptions.get(subscriptionId);
+        if (subscription) {
+            subscription.closedCallbacks.forEach(callback => {
+                try {
+                    callback(relayUrl, subscriptionId, reason);
+                } catch (e) {
+                    console.error('Error in CLOSED callback:', e);
+                }
+            });
+        }
+        
+        this._drainDeferredSubscriptions(relayUrl);
+    }
 }
 
 // Export the class
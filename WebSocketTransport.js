@@ -0,0 +1,53 @@
+/**
+ * WebSocketTransport.js
+ * Default transport for WebSocketRelayManager: real WebSockets and HTTP NIP-11 requests
+ *
+ * A transport is any object with:
+ *   connect(url) - returns a socket with send(), close(), readyState (WebSocket values),
+ *                  onopen/onclose/onerror/onmessage and add/removeEventListener('message')
+ *   fetchRelayInfo(url, options) - optional, resolves with the relay's NIP-11 document
+ */
+
+class WebSocketTransport {
+    /**
+     * Open a WebSocket to a relay
+     * @param {string} url - The relay URL
+     * @returns {WebSocket} - The socket
+     */
+    connect(url) {
+        return new WebSocket(url);
+    }
+    
+    /**
+     * Request a relay's NIP-11 information document over HTTP(S)
+     * @param {string} url - The relay URL
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Timeout in ms (default 5000)
+     * @returns {Promise<Object>} - The raw document
+     */
+    async fetchRelayInfo(url, options = {}) {
+        if (typeof fetch !== 'function') {
+            throw new Error('fetch is not available');
+        }
+        
+        // NIP-11 is served over HTTP(S) on the relay's own URL
+        const httpUrl = url.replace(/^ws(s?):\/\//, 'http$1://');
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeoutId = setTimeout(() => controller && controller.abort(), options.timeout || 5000);
+        
+        try {
+            const response = await fetch(httpUrl, {
+                headers: { Accept: 'application/nostr+json' },
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+export default WebSocketTransport;
@@ -6,15 +6,34 @@
 // Import the libraries directly
 import * as secp256k1 from 'noble-secp256k1';
 import * as cipher from 'browserify-cipher';
+import { chacha20, xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { equalBytes } from '@noble/ciphers/utils';
+import { extract as hkdfExtract, expand as hkdfExpand } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { sha256 } from '@noble/hashes/sha256';
+import { generateMnemonic, mnemonicToSeedSync, validateMnemonic } from '@scure/bip39';
+import { wordlist as englishWordlist } from '@scure/bip39/wordlists/english';
+import { HDKey } from '@scure/bip32';
+
+// Primitives for NIP-44 message encryption and NIP-49 key encryption
+const nobleCrypto = { chacha20, xchacha20poly1305, equalBytes, hkdfExtract, hkdfExpand, hmac, scryptAsync, sha256 };
+
+// BIP-39 seed phrases and BIP-32 derivation for NIP-06 keys
+const scureBip = { generateMnemonic, mnemonicToSeedSync, validateMnemonic, englishWordlist, HDKey };
 
 // Assign them to the window object for compatibility with existing code
 window.nobleSecp256k1 = secp256k1;
 window.browserifyCipher = cipher;
+window.nobleCrypto = nobleCrypto;
+window.scureBip = scureBip;
 
 // Export the libraries for module imports
-export { secp256k1 as nobleSecp256k1, cipher as browserifyCipher };
+export { secp256k1 as nobleSecp256k1, cipher as browserifyCipher, nobleCrypto, scureBip };
 
 // Log that libraries were loaded successfully
 console.log('Crypto libraries loaded successfully:');
 console.log('Noble Secp256k1 loaded:', !!window.nobleSecp256k1);
 console.log('Browserify Cipher loaded:', !!window.browserifyCipher);
+console.log('Noble ciphers and hashes loaded:', !!window.nobleCrypto);
+console.log('Scure BIP-39/BIP-32 loaded:', !!window.scureBip);
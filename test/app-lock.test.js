@@ -0,0 +1,102 @@
+/**
+ * Handing the private key to the client on unlock and taking it away on the idle lock,
+ * through NostrIntegration and the App methods AppIntegration wraps
+ */
+
+import test from 'brittle';
+import { until, quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import integrateNostrRelays from '../AppIntegration.js';
+
+const privateKey = NostrUtils.generatePrivateKey();
+const pubkey = NostrUtils.getPublicKey(privateKey);
+const url = 'ws://lock.test';
+
+/**
+ * The parts of index.html's App that AppIntegration wraps, with lock and unlock as there
+ */
+function createApp(user) {
+    const App = { currentUser: user, unlocked: [] };
+    ['connectRelay', 'loadGroups', 'loadGroupDetails', 'loadGroupMessages', 'loadGroupMembers', 'createGroup',
+        'joinGroup', 'leaveGroup', 'sendMessage', 'createInvite', 'addMember', 'updateMemberRole', 'removeMember',
+        'saveGroupSettings', 'deleteGroup', 'updateProfile'].forEach(name => {
+        App[name] = () => {};
+    });
+    App.onUserUnlocked = function(resumed) {
+        this.unlocked.push(resumed);
+    };
+    App.lock = function() {
+        if (!this.currentUser || !this.currentUser.privateKey || !this.currentUser.ncryptsec) return;
+        this.currentUser.privateKey = null;
+    };
+    return integrateNostrRelays(App);
+}
+
+/**
+ * Integrate an App for the user and start its client on an in-memory relay
+ */
+async function setup(t, user) {
+    quiet(t);
+    
+    const App = createApp(user);
+    App.nostr.transport.addRelay(url);
+    await App.nostr.client.init({ ...user }, [url]);
+    t.teardown(async () => {
+        // Let the replan init queued run before the relay goes away
+        await until(() => !App.nostr.client.subscriptionPlanner.replanScheduled);
+        App.nostr.client.relayManager.removeRelay(url);
+    });
+    return { App, client: App.nostr.client };
+}
+
+test('the idle lock takes the key from the client and unlocking gives it back', async (t) => {
+    const ncryptsec = await NostrUtils.encryptPrivateKey(privateKey, 'passphrase', { logN: 8 });
+    const { App, client } = await setup(t, { pubkey, privateKey, ncryptsec, name: 'Alice' });
+    t.ok(client.signer);
+    
+    App.lock();
+    t.is(App.currentUser.privateKey, null);
+    t.is(client.user.privateKey, null, 'the client forgets the key too');
+    t.is(client.signer, null);
+    t.is(client.relayManager.authSigner, null, 'relays can no longer be authenticated to');
+    await t.exception(client.publishRelayList([url]), /User not logged in/);
+    
+    // index.html decrypts the ncryptsec with the passphrase, then resumes the running client
+    App.currentUser.privateKey = await NostrUtils.decryptPrivateKey(ncryptsec, 'passphrase');
+    await App.onUserUnlocked(true);
+    t.alike(App.unlocked, [true]);
+    t.is(client.user.privateKey, privateKey);
+    t.is(await client.signer.getPublicKey(), pubkey);
+    t.is(client.relayManager.authSigner, client.signer);
+    t.is((await client.publishRelayList([url])).pubkey, pubkey, 'the unlocked key signs again');
+});
+
+test('a session without a stored ncryptsec is not locked', async (t) => {
+    // A legacy plaintext key waiting for its passphrase, which migrates it to an ncryptsec
+    const { App, client } = await setup(t, { pubkey, privateKey, name: 'Alice' });
+    
+    App.lock();
+    t.is(App.currentUser.privateKey, privateKey);
+    t.is(client.user.privateKey, privateKey);
+    t.ok(client.signer, 'without an ncryptsec there would be no way back in');
+    
+    // Once migrated, the stored ncryptsec is what unlocks it
+    App.currentUser.ncryptsec = await NostrUtils.encryptPrivateKey(privateKey, 'passphrase', { logN: 8 });
+    App.lock();
+    t.is(client.signer, null);
+    await t.exception(NostrUtils.decryptPrivateKey(App.currentUser.ncryptsec, 'wrong'), /Wrong passphrase/);
+    t.is(client.signer, null, 'a wrong passphrase leaves the client locked');
+});
+
+test('NostrIntegration.setPrivateKey before the client has a user does nothing', async (t) => {
+    quiet(t);
+    
+    const App = createApp(null);
+    App.nostr.setPrivateKey(privateKey);
+    t.is(App.nostr.client.signer, null);
+    t.is(App.nostr.client.user, null);
+    
+    App.lock();
+    t.is(App.nostr.client.signer, null);
+});
@@ -0,0 +1,214 @@
+/**
+ * NIP-45 COUNT in WebSocketRelayManager, its fallback to counting queried events,
+ * and the group stats NostrGroupClient builds on both
+ */
+
+import test from 'brittle';
+import { until, quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import InMemoryRelay from '../InMemoryRelay.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+import WebSocketRelayManager from '../WebSocketRelayManager.js';
+import NostrGroupClient from '../NostrGroupClient.js';
+
+const alice = NostrUtils.generatePrivateKey();
+const bob = NostrUtils.generatePrivateKey();
+const now = Math.floor(Date.now() / 1000);
+
+function message(privateKey, content, createdAt = now) {
+    return NostrUtils.signEvent({
+        kind: 1,
+        content,
+        tags: [['h', 'group-a']],
+        created_at: createdAt,
+        pubkey: NostrUtils.getPublicKey(privateKey)
+    }, privateKey);
+}
+
+/**
+ * Record the COUNT and REQ messages a relay receives
+ */
+function watch(relay) {
+    const seen = { counts: 0, reqs: [] };
+    const handleCount = relay._handleCount.bind(relay);
+    const handleReq = relay._handleReq.bind(relay);
+    relay._handleCount = (...args) => {
+        seen.counts++;
+        handleCount(...args);
+    };
+    relay._handleReq = (connection, subscriptionId, filters) => {
+        seen.reqs.push(filters);
+        handleReq(connection, subscriptionId, filters);
+    };
+    return seen;
+}
+
+/**
+ * Serve relays and create a manager connected to them, both shut down when the test ends
+ * @param {Object} relays - Map of relay URL -> InMemoryRelay
+ */
+async function setup(t, relays) {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    Object.entries(relays).forEach(([url, relay]) => transport.addRelay(url, relay));
+    const manager = new WebSocketRelayManager({ transport, relayInfoWait: 0 });
+    t.teardown(() => Object.keys(relays).forEach(url => manager.removeRelay(url)));
+    
+    for (const url of Object.keys(relays)) {
+        await manager.addRelay(url);
+        await until(() => manager.getRelayInfo(url));
+    }
+    return manager;
+}
+
+test('COUNT is answered by the relay and keeps its approximate flag', async (t) => {
+    const relay = new InMemoryRelay();
+    const seen = watch(relay);
+    const manager = await setup(t, { 'ws://count.test': relay });
+    relay.publish(await message(alice, 'one'));
+    relay.publish(await message(bob, 'two'));
+    
+    const exact = await manager.count([{ kinds: [1] }]);
+    t.is(exact.count, 2);
+    t.is(exact.approximate, false);
+    t.alike(exact.results, [{ url: 'ws://count.test', count: 2, approximate: false, method: 'count' }]);
+    t.is(seen.reqs.length, 0, 'no events were downloaded');
+    
+    relay._handleCount = (connection, countId) => connection.send(['COUNT', countId, { count: 1000, approximate: true }]);
+    const estimate = await manager.count([{ kinds: [1] }]);
+    t.is(estimate.count, 1000);
+    t.is(estimate.approximate, true);
+});
+
+test('a relay that refuses COUNT is queried instead, from then on', async (t) => {
+    const relay = new InMemoryRelay();
+    const seen = watch(relay);
+    relay._handleCount = (connection) => {
+        seen.counts++;
+        connection.send(['NOTICE', 'error: unsupported message type COUNT']);
+    };
+    const manager = await setup(t, { 'ws://refuses.test': relay });
+    relay.publish(await message(alice, 'one'));
+    
+    const first = await manager.count([{ kinds: [1], limit: 1 }]);
+    t.is(first.count, 1);
+    t.is(first.results[0].method, 'query');
+    t.absent(manager.canCount('ws://refuses.test'));
+    t.absent('limit' in seen.reqs[0][0], 'the fallback query drops the limit');
+    
+    await manager.count([{ kinds: [1] }]);
+    t.is(seen.counts, 1, 'COUNT is not asked again');
+    t.is(seen.reqs.length, 2);
+    
+    t.alike((await manager.count([{ kinds: [1] }], { fallback: false })).results, [], 'without fallback the relay is left out');
+});
+
+test('a relay that does not answer COUNT in time is only queried for that call', async (t) => {
+    const relay = new InMemoryRelay();
+    const seen = watch(relay);
+    relay._handleCount = () => {
+        seen.counts++;
+    };
+    const manager = await setup(t, { 'ws://slow.test': relay });
+    relay.publish(await message(alice, 'one'));
+    
+    const result = await manager.count([{ kinds: [1] }], { timeout: 50 });
+    t.is(result.count, 1);
+    t.is(result.results[0].method, 'query');
+    t.ok(manager.canCount('ws://slow.test'), 'a timeout does not turn COUNT off');
+    
+    await manager.count([{ kinds: [1] }], { timeout: 50 });
+    t.is(seen.counts, 2);
+});
+
+test('counts from several relays take the highest and are approximate', async (t) => {
+    const full = new InMemoryRelay();
+    const partial = new InMemoryRelay({ info: { supported_nips: [1, 11] } });
+    const manager = await setup(t, { 'ws://full.test': full, 'ws://partial.test': partial });
+    const events = [await message(alice, 'one'), await message(alice, 'two'), await message(bob, 'three')];
+    events.forEach(event => full.publish(event));
+    partial.publish(events[0]);
+    
+    const result = await manager.count([{ kinds: [1] }]);
+    t.is(result.count, 3);
+    t.is(result.approximate, true);
+    t.alike(result.results.map(answer => [answer.url, answer.count, answer.method]).sort(), [
+        ['ws://full.test', 3, 'count'],
+        ['ws://partial.test', 1, 'query']
+    ]);
+});
+
+/**
+ * Start a client on the given relays, removed again when the test ends
+ */
+async function startClient(t, transport, relayUrls) {
+    const privateKey = NostrUtils.generatePrivateKey();
+    const client = new NostrGroupClient(false, { transport });
+    await client.init({ pubkey: NostrUtils.getPublicKey(privateKey), privateKey, name: 'Carol' }, relayUrls);
+    t.teardown(() => relayUrls.forEach(url => client.relayManager.removeRelay(url)));
+    
+    for (const url of relayUrls) {
+        await until(() => client.relayManager.getRelayInfo(url));
+    }
+    return client;
+}
+
+/**
+ * The queries for a week of group messages among the REQs a relay received
+ */
+function weekQueries(seen) {
+    return seen.reqs.filter(filters => filters.some(filter => filter['#h'] && filter.since && filter.kinds.includes(1)));
+}
+
+/**
+ * Publish two messages today and one two days ago
+ */
+async function publishWeek(relay) {
+    const today = new Date();
+    today.setHours(12, 0, 0, 0);
+    const noon = Math.min(now, Math.floor(today.getTime() / 1000));
+    const twoDaysAgo = new Date(today);
+    twoDaysAgo.setDate(today.getDate() - 2);
+    
+    relay.publish(await message(alice, 'today', noon));
+    relay.publish(await message(bob, 'also today', noon));
+    relay.publish(await message(alice, 'earlier', Math.floor(twoDaysAgo.getTime() / 1000)));
+}
+
+test('group stats count each day with COUNT', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay('ws://count.test');
+    const seen = watch(relay);
+    await publishWeek(relay);
+    const client = await startClient(t, transport, ['ws://count.test']);
+    
+    const stats = await client.getGroupStats('group-a');
+    t.alike(stats.messagesPerDay.map(day => day.count), [0, 0, 0, 0, 1, 0, 2]);
+    t.is(stats.messageCount, 3);
+    t.is(stats.approximate, false);
+    t.is(seen.counts, 8, 'one COUNT per day and one for join requests');
+    t.is(weekQueries(seen).length, 0, 'no messages were downloaded');
+    t.is(stats.activePosters, 0, 'posters only come from messages we hold');
+});
+
+test('group stats query the week once where COUNT is unavailable and bucket it here', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay('ws://plain.test', new InMemoryRelay({ info: { supported_nips: [1, 11] } }));
+    const seen = watch(relay);
+    await publishWeek(relay);
+    const client = await startClient(t, transport, ['ws://plain.test']);
+    
+    const stats = await client.getGroupStats('group-a');
+    t.alike(stats.messagesPerDay.map(day => day.count), [0, 0, 0, 0, 1, 0, 2]);
+    t.is(stats.messageCount, 3);
+    t.is(stats.approximate, false);
+    t.is(stats.activePosters, 2, 'posters come from the fetched messages');
+    t.is(seen.counts, 0);
+    t.is(weekQueries(seen).length, 1, 'the week\'s messages were fetched once');
+});
@@ -0,0 +1,161 @@
+/**
+ * EventStore relay tracking, resuming NostrGroupClient subscriptions per relay from it,
+ * and the separate database each user's events are kept in
+ */
+
+import test from 'brittle';
+import { until, quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import EventStore from '../EventStore.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+import NostrGroupClient from '../NostrGroupClient.js';
+
+const admin = NostrUtils.generatePrivateKey();
+
+function groupMetadata(groupId, createdAt) {
+    return NostrUtils.signEvent({
+        kind: 39000,
+        content: '',
+        tags: [['d', groupId], ['name', groupId], ['i', 'hypertuna:relay']],
+        created_at: createdAt,
+        pubkey: NostrUtils.getPublicKey(admin)
+    }, admin);
+}
+
+test('the newest timestamp can be limited to events a relay sent', async (t) => {
+    quiet(t);
+    
+    const store = new EventStore({ indexedDB: null });
+    const older = await groupMetadata('older', 1000);
+    const newer = await groupMetadata('newer', 2000);
+    const filter = { kinds: [39000] };
+    
+    store.add(older, 'wss://a.example');
+    store.add(newer, 'wss://b.example');
+    t.is(store.getLatestTimestamp([filter]), 2000);
+    t.is(store.getLatestTimestamp([filter], 'wss://a.example'), 1000);
+    t.is(store.getLatestTimestamp([filter], 'wss://c.example'), null);
+    
+    // A copy from another relay is recorded even though the event is already stored
+    t.absent(store.add(newer, 'wss://a.example'));
+    t.alike(store.getSeenOn(newer.id).sort(), ['wss://a.example', 'wss://b.example']);
+    t.is(store.getLatestTimestamp([filter], 'wss://a.example'), 2000);
+    
+    store.remove(newer.id);
+    t.alike(store.getSeenOn(newer.id), []);
+});
+
+test('a relay without stored events is asked for everything, not from the newest stored event', async (t) => {
+    quiet(t);
+    
+    const known = 'ws://known.test';
+    const added = 'ws://added.test';
+    const transport = new InMemoryTransport();
+    transport.addRelay(known).publish(await groupMetadata('recent', 2000));
+    transport.addRelay(added).publish(await groupMetadata('older', 1000));
+    
+    // Last session only used the first relay
+    const privateKey = NostrUtils.generatePrivateKey();
+    const store = new EventStore({ indexedDB: null, dbName: `hypertuna-events:${NostrUtils.getPublicKey(privateKey)}` });
+    store.add(await groupMetadata('recent', 2000), known);
+    
+    const client = new NostrGroupClient(false, { transport, eventStore: store });
+    t.teardown(() => [known, added].forEach(url => client.relayManager.removeRelay(url)));
+    
+    // Record the REQs each relay gets
+    const sent = { [known]: [], [added]: [] };
+    Object.keys(sent).forEach(url => {
+        const relay = transport.getRelay(url);
+        const handleMessage = relay.handleMessage.bind(relay);
+        relay.handleMessage = (connection, data) => {
+            sent[url].push(JSON.parse(data));
+            return handleMessage(connection, data);
+        };
+    });
+    const metadataFilters = url => sent[url]
+        .filter(message => message[0] === 'REQ')
+        .flatMap(message => message.slice(2))
+        .filter(filter => filter.kinds && filter.kinds.includes(39000));
+    
+    await client.init({ pubkey: NostrUtils.getPublicKey(privateKey), privateKey, name: 'Tester' }, [known, added]);
+    await until(() => client.getGroupById('older'));
+    
+    t.is(client.getGroupById('older').name, 'older');
+    t.alike(metadataFilters(added).map(filter => filter.since), [undefined, undefined], 'the added relay is asked for everything');
+    
+    // The user has no stored metadata of their own, so only the hypertuna filter resumes
+    const knownFilters = metadataFilters(known);
+    t.is(knownFilters.find(filter => filter['#i']).since, 2000, 'the known relay resumes from what it sent');
+    t.is(knownFilters.find(filter => filter.authors).since, undefined);
+});
+
+/**
+ * IndexedDB that records which databases are opened and fails to open them,
+ * leaving the store in memory
+ */
+function unavailableIndexedDB() {
+    return {
+        opened: [],
+        open(name) {
+            this.opened.push(name);
+            const request = {};
+            setTimeout(() => {
+                request.error = new Error('no disk');
+                request.onerror();
+            }, 0);
+            return request;
+        }
+    };
+}
+
+test('switching databases drops the events of the previous one', async (t) => {
+    quiet(t);
+    
+    const indexedDB = unavailableIndexedDB();
+    const store = new EventStore({ indexedDB, dbName: 'first' });
+    await store.open();
+    store.add(await groupMetadata('first', 1000), 'wss://a.example');
+    
+    await store.useDatabase('first');
+    t.is(store.size(), 1, 'the same database is kept');
+    
+    await store.useDatabase('second');
+    t.is(store.size(), 0);
+    t.is(store.getLatestTimestamp([{ kinds: [39000] }], 'wss://a.example'), null);
+    t.alike(indexedDB.opened, ['first', 'second']);
+    t.absent(store.isPersistent());
+});
+
+test('each user gets their own database and watermarks', async (t) => {
+    quiet(t);
+    
+    const url = 'ws://shared.test';
+    const transport = new InMemoryTransport();
+    transport.addRelay(url).publish(await groupMetadata('public', 2000));
+    
+    const indexedDB = unavailableIndexedDB();
+    const store = new EventStore({ indexedDB });
+    const client = new NostrGroupClient(false, { transport, eventStore: store });
+    t.teardown(async () => {
+        await until(() => !client.subscriptionPlanner.replanScheduled);
+        client.relayManager.removeRelay(url);
+    });
+    
+    const login = async (privateKey) => {
+        const pubkey = NostrUtils.getPublicKey(privateKey);
+        await client.init({ pubkey, privateKey, name: 'User' }, [url]);
+        return pubkey;
+    };
+    
+    const alice = await login(NostrUtils.generatePrivateKey());
+    await client.publishRelayList([url]);
+    await until(() => store.getLatestTimestamp([{ kinds: [39000] }], url) === 2000);
+    t.is(store.query([{ authors: [alice] }]).length, 1);
+    
+    // The next user on this machine starts without Alice's events or how far she got
+    const bob = await login(NostrUtils.generatePrivateKey());
+    t.alike(indexedDB.opened, [`hypertuna-events:${alice}`, `hypertuna-events:${bob}`]);
+    t.is(client.hydrated, bob);
+    t.is(store.query([{ authors: [alice] }]).length, 0, 'nothing of Alice\'s carried over');
+});
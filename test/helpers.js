@@ -0,0 +1,35 @@
+/**
+ * Shared test setup: a browser-like global for the crypto modules, and helpers for async relay state
+ * Import it before any module under test
+ */
+
+// The crypto modules expect a browser-like global
+globalThis.window = globalThis;
+
+/**
+ * Resolve once a condition holds, for state that arrives over several relay round trips
+ * @param {Function} condition - Checked every 10 ms
+ * @param {number} timeout - Milliseconds before giving up (default 2000)
+ */
+export async function until(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Silence console.log for one test, for modules that log every step
+ * Warnings and errors still show, and the console is restored when the test ends
+ * @param {Object} t - brittle test
+ */
+export function quiet(t) {
+    const log = console.log;
+    console.log = () => {};
+    
+    // Restore it after the test's other teardowns, which may still log
+    t.teardown(() => {
+        console.log = log;
+    }, { order: Infinity });
+}
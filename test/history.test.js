@@ -0,0 +1,146 @@
+/**
+ * NostrGroupClient group history: paging older messages from several relays with `until`,
+ * merging them, and what a relay that refuses or isn't there leaves for the next page
+ */
+
+import test from 'brittle';
+import { until, quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+import NostrGroupClient from '../NostrGroupClient.js';
+
+const alice = NostrUtils.generatePrivateKey();
+const now = Math.floor(Date.now() / 1000);
+
+// Six messages, ten seconds apart, the newest first
+const messages = await Promise.all([1, 2, 3, 4, 5, 6].map(age => NostrUtils.signEvent({
+    kind: 1,
+    content: `message ${age}`,
+    tags: [['h', 'group-a']],
+    created_at: now - age * 10,
+    pubkey: NostrUtils.getPublicKey(alice)
+}, alice)));
+const ids = ages => ages.map(age => messages[age - 1].id);
+
+/**
+ * Record the history queries a relay receives
+ */
+function watch(relay) {
+    const seen = [];
+    const handleReq = relay._handleReq.bind(relay);
+    relay._handleReq = (connection, subscriptionId, filters) => {
+        if (filters.some(filter => filter['#h'] && filter.until !== undefined)) {
+            seen.push(filters[0].until);
+        }
+        handleReq(connection, subscriptionId, filters);
+    };
+    return seen;
+}
+
+/**
+ * Start a client on the given relays, removed again when the test ends
+ */
+async function startClient(t, transport, relayUrls) {
+    const privateKey = NostrUtils.generatePrivateKey();
+    const client = new NostrGroupClient(false, { transport });
+    await client.init({ pubkey: NostrUtils.getPublicKey(privateKey), privateKey, name: 'Bob' }, relayUrls);
+    t.teardown(async () => {
+        await until(() => [...client.groupHistory.values()].every(history => !history.loading));
+        relayUrls.forEach(url => client.relayManager.removeRelay(url));
+    });
+    return client;
+}
+
+test('older messages are paged from every relay, merged and deduplicated until none are left', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const first = transport.addRelay('ws://first.test');
+    const second = transport.addRelay('ws://second.test');
+    messages.slice(0, 4).forEach(event => first.publish(event));
+    messages.slice(2).forEach(event => second.publish(event));
+    const seen = watch(second);
+    const client = await startClient(t, transport, ['ws://first.test', 'ws://second.test']);
+    
+    const pages = [];
+    client.on('group:history', page => pages.push(page));
+    
+    const page = await client.loadOlderMessages('group-a', { limit: 3 });
+    t.alike(page.events.map(event => event.id), ids([5, 4, 3, 2, 1]), 'oldest first, message 3 once');
+    t.is(page.fullyLoaded, false);
+    t.alike(client.getGroupMessages('group-a').map(event => event.id), ids([5, 4, 3, 2, 1]));
+    
+    // The first relay ran out at message 4; the second still had a full page
+    let result = page;
+    while (!result.fullyLoaded) {
+        result = await client.loadOlderMessages('group-a', { limit: 3 });
+    }
+    t.alike(client.getGroupMessages('group-a').map(event => event.id), ids([6, 5, 4, 3, 2, 1]));
+    t.ok(client.isGroupHistoryLoaded('group-a'));
+    t.alike(seen.slice(1), [now - 30, now - 50], 'each page continues from the newest full page\'s oldest message');
+    t.alike(pages.flatMap(emitted => emitted.messages).map(event => event.id), ids([5, 4, 3, 2, 1, 6]));
+    t.is(pages[pages.length - 1].fullyLoaded, true);
+    
+    // Once loaded, relays are only asked again for an explicit `before`
+    t.alike(await client.loadOlderMessages('group-a'), { events: [], fullyLoaded: true });
+    t.is(seen.length, 3);
+    await client.loadOlderMessages('group-a', { before: now });
+    t.alike(seen.slice(3), [now]);
+});
+
+test('concurrent callers share one request', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay('ws://shared.test');
+    messages.forEach(event => relay.publish(event));
+    const seen = watch(relay);
+    const client = await startClient(t, transport, ['ws://shared.test']);
+    
+    const [one, two] = await Promise.all([
+        client.loadOlderMessages('group-a', { limit: 2 }),
+        client.loadOlderMessages('group-a', { limit: 2 })
+    ]);
+    t.is(one, two);
+    t.alike(one.events.map(event => event.id), ids([2, 1]));
+    t.is(seen.length, 1);
+    
+    // `until` is inclusive, so the next page starts at message 2 again and only adds message 3
+    t.alike((await client.loadOlderMessages('group-a', { limit: 2 })).events.map(event => event.id), ids([3]));
+    t.is(seen.length, 2);
+});
+
+test('a page no relay answered is asked for again, not taken as the end of history', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay('ws://refusing.test');
+    messages.forEach(event => relay.publish(event));
+    const seen = watch(relay);
+    const client = await startClient(t, transport, ['ws://refusing.test']);
+    
+    const handleReq = relay._handleReq;
+    relay._handleReq = (connection, subscriptionId, filters) => {
+        if (!filters[0]['#h']) {
+            handleReq(connection, subscriptionId, filters);
+            return;
+        }
+        seen.push('refused');
+        connection.send(['CLOSED', subscriptionId, 'rate-limited: slow down']);
+    };
+    t.alike(await client.loadOlderMessages('group-a', { limit: 2 }), { events: [], fullyLoaded: false });
+    t.absent(client.isGroupHistoryLoaded('group-a'));
+    t.alike(seen, ['refused']);
+    
+    // Without any open relay there is nobody to ask
+    relay._handleReq = handleReq;
+    client.relayManager.removeRelay('ws://refusing.test');
+    t.alike(await client.loadOlderMessages('group-a', { limit: 2 }), { events: [], fullyLoaded: false });
+    t.alike(seen, ['refused']);
+    
+    // Back online, the same page is asked for
+    await client.relayManager.addRelay('ws://refusing.test');
+    t.alike((await client.loadOlderMessages('group-a', { limit: 2 })).events.map(event => event.id), ids([2, 1]));
+    t.alike(seen, ['refused', client.groupHistory.get('group-a').liveSince]);
+});
@@ -0,0 +1,195 @@
+/**
+ * InMemoryRelay protocol handling, and a NostrGroupClient flow run offline over InMemoryTransport
+ */
+
+import test from 'brittle';
+import { until, quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import InMemoryRelay from '../InMemoryRelay.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+import NostrGroupClient from '../NostrGroupClient.js';
+
+const alice = NostrUtils.generatePrivateKey();
+const bob = NostrUtils.generatePrivateKey();
+const now = Math.floor(Date.now() / 1000);
+
+function sign(privateKey, fields) {
+    return NostrUtils.signEvent({
+        content: '',
+        tags: [],
+        created_at: now,
+        ...fields,
+        pubkey: NostrUtils.getPublicKey(privateKey)
+    }, privateKey);
+}
+
+// A client connection that records everything the relay sends back
+function connect(relay) {
+    const received = [];
+    const connection = relay.openConnection(data => received.push(JSON.parse(data)), () => {});
+    return {
+        received,
+        send: message => relay.handleMessage(connection, JSON.stringify(message))
+    };
+}
+
+function ids(events) {
+    return events.map(event => event.id).sort();
+}
+
+test('filters match ids, authors, kinds, tags, since, until and limit', async (t) => {
+    const relay = new InMemoryRelay();
+    const note = await sign(alice, { kind: 1, tags: [['h', 'group-a']], created_at: now - 30 });
+    const reply = await sign(bob, { kind: 1, tags: [['h', 'group-b'], ['e', note.id]], created_at: now - 20 });
+    const reaction = await sign(bob, { kind: 7, tags: [['e', note.id]], created_at: now - 10 });
+    [note, reply, reaction].forEach(event => relay.publish(event));
+    
+    t.alike(ids(relay.query([{ ids: [note.id.substring(0, 10)] }])), [note.id]);
+    t.alike(ids(relay.query([{ authors: [NostrUtils.getPublicKey(bob)] }])), ids([reply, reaction]));
+    t.alike(ids(relay.query([{ kinds: [7] }])), [reaction.id]);
+    t.alike(ids(relay.query([{ '#h': ['group-b', 'group-c'] }])), [reply.id]);
+    t.alike(ids(relay.query([{ '#e': [note.id], kinds: [1] }])), [reply.id]);
+    t.alike(ids(relay.query([{ since: now - 20 }])), ids([reply, reaction]));
+    t.alike(ids(relay.query([{ until: now - 20 }])), ids([note, reply]));
+    
+    // Limit keeps the newest; several filters are a union without duplicates
+    t.alike(relay.query([{ limit: 2 }]).map(event => event.id), [reaction.id, reply.id]);
+    t.alike(ids(relay.query([{ kinds: [1] }, { authors: [NostrUtils.getPublicKey(alice)] }])), ids([note, reply]));
+});
+
+test('replaceable and addressable events keep only the newest version', async (t) => {
+    const relay = new InMemoryRelay();
+    const oldProfile = await sign(alice, { kind: 0, content: '{"name":"old"}', created_at: now - 10 });
+    const newProfile = await sign(alice, { kind: 0, content: '{"name":"new"}', created_at: now });
+    
+    t.ok(relay.publish(newProfile));
+    t.absent(relay.publish(oldProfile), 'an older version is not stored');
+    t.alike(ids(relay.query([{ kinds: [0] }])), [newProfile.id]);
+    
+    const first = await sign(alice, { kind: 39000, tags: [['d', 'group-a']], created_at: now - 10 });
+    const second = await sign(alice, { kind: 39000, tags: [['d', 'group-a']], created_at: now });
+    const other = await sign(alice, { kind: 39000, tags: [['d', 'group-b']], created_at: now - 10 });
+    [first, second, other].forEach(event => relay.publish(event));
+    
+    t.alike(ids(relay.query([{ kinds: [39000] }])), ids([second, other]), 'one event per d tag');
+    t.is(InMemoryRelay.getAddress(second), `39000:${NostrUtils.getPublicKey(alice)}:group-a`);
+    t.is(InMemoryRelay.getAddress(await sign(alice, { kind: 1 })), null);
+});
+
+test('ephemeral events reach subscribers but are not stored', async (t) => {
+    const relay = new InMemoryRelay();
+    const client = connect(relay);
+    await client.send(['REQ', 'live', { kinds: [24133] }]);
+    
+    const ephemeral = await sign(alice, { kind: 24133, content: 'ping' });
+    await connect(relay).send(['EVENT', ephemeral]);
+    
+    t.alike(client.received, [['EOSE', 'live'], ['EVENT', 'live', ephemeral]]);
+    t.is(relay.events.size, 0);
+});
+
+test('REQ answers with stored events then EOSE, and live events until CLOSE', async (t) => {
+    const relay = new InMemoryRelay();
+    const stored = await sign(alice, { kind: 1, content: 'stored' });
+    relay.publish(stored);
+    
+    const client = connect(relay);
+    await client.send(['REQ', 'sub', { kinds: [1] }]);
+    t.alike(client.received, [['EVENT', 'sub', stored], ['EOSE', 'sub']]);
+    
+    const live = await sign(bob, { kind: 1, content: 'live' });
+    relay.publish(live);
+    t.alike(client.received.at(-1), ['EVENT', 'sub', live]);
+    
+    await client.send(['CLOSE', 'sub']);
+    relay.publish(await sign(bob, { kind: 1, content: 'after close' }));
+    t.is(client.received.length, 3);
+});
+
+test('EVENT is answered with OK', async (t) => {
+    const relay = new InMemoryRelay({ verifySignatures: true });
+    const client = connect(relay);
+    const event = await sign(alice, { kind: 1, content: 'hello' });
+    
+    await client.send(['EVENT', event]);
+    t.alike(client.received.at(-1), ['OK', event.id, true, '']);
+    
+    await client.send(['EVENT', event]);
+    t.alike(client.received.at(-1), ['OK', event.id, true, 'duplicate: already have this event']);
+    
+    const forged = { ...(await sign(alice, { kind: 1, content: 'original' })), content: 'forged' };
+    await client.send(['EVENT', forged]);
+    t.alike(client.received.at(-1), ['OK', forged.id, false, 'invalid: bad id or signature']);
+    
+    await client.send(['EVENT', { id: 'nope' }]);
+    t.is(client.received.at(-1)[2], false);
+});
+
+test('invalid or excess subscriptions are answered with CLOSED', async (t) => {
+    const relay = new InMemoryRelay({ info: { limitation: { max_subscriptions: 1, max_filters: 2 } } });
+    const client = connect(relay);
+    
+    await client.send(['REQ', 'bad']);
+    t.alike(client.received.at(-1), ['CLOSED', 'bad', 'error: invalid filters']);
+    
+    await client.send(['REQ', 'wide', {}, {}, {}]);
+    t.alike(client.received.at(-1), ['CLOSED', 'wide', 'error: too many filters (max 2)']);
+    
+    await client.send(['REQ', 'first', { kinds: [1] }]);
+    await client.send(['REQ', 'second', { kinds: [1] }]);
+    t.alike(client.received.at(-1), ['CLOSED', 'second', 'error: too many subscriptions (max 1)']);
+    
+    // Reusing an ID replaces the subscription rather than adding one
+    await client.send(['REQ', 'first', { kinds: [7] }]);
+    t.alike(client.received.at(-1), ['EOSE', 'first']);
+    
+    await client.send(['COUNT', 'count', { kinds: [7] }]);
+    t.alike(client.received.at(-1), ['COUNT', 'count', { count: 0 }]);
+    
+    await client.send(['NOPE']);
+    t.alike(client.received.at(-1), ['NOTICE', 'error: unsupported message type NOPE']);
+});
+
+test('a NostrGroupClient flow runs offline over InMemoryTransport', async (t) => {
+    const url = 'ws://in-memory.test';
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay(url);
+    
+    // The client logs every step
+    quiet(t);
+    
+    const start = async (privateKey, name) => {
+        const client = new NostrGroupClient(false, { transport });
+        await client.init({ pubkey: NostrUtils.getPublicKey(privateKey), privateKey, name }, [url]);
+        t.teardown(() => client.relayManager.removeRelay(url));
+        return client;
+    };
+    const aliceClient = await start(alice, 'Alice');
+    const bobClient = await start(bob, 'Bob');
+    
+    const { groupId } = await aliceClient.createGroup({ name: 'Offline', about: 'No network', isPublic: true, isOpen: true });
+    t.ok(aliceClient.isGroupAdmin(groupId, NostrUtils.getPublicKey(alice)));
+    t.is(relay.query([{ kinds: [9007], '#h': [groupId] }]).length, 1, 'the relay stored the group');
+    
+    const join = await bobClient.joinGroup(groupId);
+    await until(() => bobClient.getGroupById(groupId) && bobClient.isGroupMember(groupId, NostrUtils.getPublicKey(alice)));
+    t.is(bobClient.getGroupById(groupId).name, 'Offline');
+    t.is(aliceClient.getGroupRelay(groupId), null, 'a relay without NIP-29 support does not host the group');
+    t.is(bobClient.getGroupRelay(groupId), null);
+    t.is(relay.query([{ ids: [join.id] }]).length, 1, 'the relay stored the join request');
+    
+    const received = new Promise(resolve => bobClient.on('group:message', ({ groupId: id, message }) => {
+        if (id === groupId) resolve(message);
+    }));
+    const sent = await aliceClient.sendGroupMessage(groupId, 'Hello from memory');
+    const message = await received;
+    
+    t.is(message.id, sent.id);
+    t.is(message.content, 'Hello from memory');
+    t.is(aliceClient.getPublishState(sent.id), null, 'the outbox is done once the relay accepted it');
+    t.alike(bobClient.getGroupMessages(groupId).map(event => event.id), [sent.id]);
+    
+    // Let history queries finish before the relays go away
+    await until(() => aliceClient.isGroupHistoryLoaded(groupId) && bobClient.isGroupHistoryLoaded(groupId));
+});
@@ -0,0 +1,226 @@
+/**
+ * LocalGroupRelay NIP-29 rules over InMemoryTransport: admin-only moderation, joins,
+ * last-admin protection and the relay-signed 39000/39001/39002 group state
+ */
+
+import test from 'brittle';
+import { until, quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import NostrEvents from '../NostrEvents.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+import LocalGroupRelay from '../LocalGroupRelay.js';
+
+const url = LocalGroupRelay.DEFAULT_URL;
+const admin = NostrUtils.generatePrivateKey();
+const member = NostrUtils.generatePrivateKey();
+const stranger = NostrUtils.generatePrivateKey();
+const pubkey = privateKey => NostrUtils.getPublicKey(privateKey);
+
+/**
+ * Serve a fresh relay and open a client socket to it
+ * @returns {Promise<Object>} - {relay, send}, where send signs an event and resolves with the relay's OK
+ */
+async function open(t, options = {}) {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay(url, new LocalGroupRelay({ storage: null, ...options }));
+    t.teardown(() => transport.removeRelay(url));
+    
+    const socket = transport.connect(url);
+    const received = [];
+    socket.onmessage = ({ data }) => received.push(JSON.parse(data));
+    await new Promise(resolve => {
+        socket.onopen = resolve;
+    });
+    
+    const send = async (privateKey, kind, tags, content = '') => {
+        const event = await NostrUtils.signEvent({
+            kind,
+            tags,
+            content,
+            created_at: Math.floor(Date.now() / 1000),
+            pubkey: pubkey(privateKey)
+        }, privateKey);
+        socket.send(JSON.stringify(['EVENT', event]));
+        
+        // Identical events share an id, so callers vary the content to send one twice
+        await until(() => received.some(message => message[0] === 'OK' && message[1] === event.id));
+        const ok = received.find(message => message[0] === 'OK' && message[1] === event.id);
+        return { event, ok: ok[2], message: ok[3] };
+    };
+    
+    return { relay, send };
+}
+
+/**
+ * Create a group as the admin and wait for its first state events
+ */
+async function createGroup(relay, send, groupId, tags = []) {
+    const result = await send(admin, NostrEvents.KIND_GROUP_CREATE, [['h', groupId], ['name', groupId], ...tags]);
+    await until(() => state(relay, groupId, NostrEvents.KIND_GROUP_METADATA));
+    return result;
+}
+
+/**
+ * Get the relay's current state event of a kind for a group
+ */
+function state(relay, groupId, kind) {
+    return relay.query([{ kinds: [kind], '#d': [groupId] }])[0] || null;
+}
+
+/**
+ * Pubkeys tagged in a group's member list
+ */
+function members(relay, groupId) {
+    const list = state(relay, groupId, NostrEvents.KIND_GROUP_MEMBER_LIST);
+    return list ? list.tags.filter(tag => tag[0] === 'p').map(tag => tag[1]).sort() : [];
+}
+
+test('a new group is published as state signed by the relay key', async (t) => {
+    const { relay, send } = await open(t);
+    t.is(relay.info.pubkey, relay.relayPubkey, 'the NIP-11 document names the relay key');
+    t.ok(relay.info.supported_nips.includes(29));
+    
+    const created = await createGroup(relay, send, 'state', [['about', 'Relay state'], ['closed']]);
+    t.ok(created.ok);
+    
+    const metadata = state(relay, 'state', NostrEvents.KIND_GROUP_METADATA);
+    const admins = state(relay, 'state', NostrEvents.KIND_GROUP_ADMIN_LIST);
+    await until(() => state(relay, 'state', NostrEvents.KIND_GROUP_MEMBER_LIST));
+    for (const event of [metadata, admins, state(relay, 'state', NostrEvents.KIND_GROUP_MEMBER_LIST)]) {
+        t.is(event.pubkey, relay.relayPubkey);
+        t.ok(await NostrUtils.verifySignature(event), `kind ${event.kind} carries a valid relay signature`);
+    }
+    
+    const group = NostrEvents.parseGroupMetadata(metadata);
+    t.is(group.name, 'state');
+    t.is(group.about, 'Relay state');
+    t.is(group.isOpen, false);
+    t.alike(admins.tags.filter(tag => tag[0] === 'p'), [['p', pubkey(admin), 'admin']]);
+    
+    // Group state from anyone else is acknowledged but not stored
+    const forged = await send(admin, NostrEvents.KIND_GROUP_METADATA, [['d', 'state'], ['name', 'Forged']]);
+    t.ok(forged.ok);
+    t.is(forged.message, 'info: group state is maintained by this relay');
+    t.is(state(relay, 'state', NostrEvents.KIND_GROUP_METADATA).id, metadata.id);
+    
+    t.is((await send(admin, NostrEvents.KIND_GROUP_CREATE, [['h', 'state']])).message, 'duplicate: group already exists');
+});
+
+test('moderation events are only accepted from group admins', async (t) => {
+    const { relay, send } = await open(t);
+    await createGroup(relay, send, 'moderated');
+    const h = ['h', 'moderated'];
+    
+    const attempts = [
+        [NostrEvents.KIND_GROUP_PUT_USER, [h, ['p', pubkey(stranger), 'admin']]],
+        [NostrEvents.KIND_GROUP_REMOVE_USER, [h, ['p', pubkey(admin)]]],
+        [NostrEvents.KIND_GROUP_EDIT_METADATA, [h, ['name', 'Taken over']]],
+        [NostrEvents.KIND_GROUP_DELETE_EVENT, [h, ['e', 'a'.repeat(64)]]],
+        [NostrEvents.KIND_GROUP_DELETE, [h]],
+        [NostrEvents.KIND_GROUP_INVITE_CREATE, [h, ['code', 'mine']]]
+    ];
+    for (const [kind, tags] of attempts) {
+        const result = await send(stranger, kind, tags);
+        t.absent(result.ok, `kind ${kind} from a non-admin is refused`);
+        t.is(result.message, 'restricted: only group admins can do this');
+    }
+    t.is(NostrEvents.parseGroupMetadata(state(relay, 'moderated', NostrEvents.KIND_GROUP_METADATA)).name, 'moderated');
+    t.alike(members(relay, 'moderated'), [pubkey(admin)]);
+    
+    t.is((await send(stranger, NostrEvents.KIND_TEXT_NOTE, [h], 'hi')).message, 'restricted: only members can post to this group');
+    t.is((await send(admin, NostrEvents.KIND_TEXT_NOTE, [['h', 'missing']], 'hi')).message, 'invalid: group not found');
+});
+
+test('admins add, edit, delete events, remove and delete groups', async (t) => {
+    const { relay, send } = await open(t);
+    await createGroup(relay, send, 'admin');
+    const h = ['h', 'admin'];
+    
+    t.ok((await send(admin, NostrEvents.KIND_GROUP_PUT_USER, [h, ['p', pubkey(member)]])).ok);
+    await until(() => members(relay, 'admin').length === 2);
+    t.alike(members(relay, 'admin'), [pubkey(admin), pubkey(member)].sort());
+    t.is((await send(admin, NostrEvents.KIND_GROUP_PUT_USER, [h])).message, 'invalid: missing p tag');
+    
+    t.ok((await send(admin, NostrEvents.KIND_GROUP_EDIT_METADATA, [h, ['name', 'Renamed'], ['private']])).ok);
+    await until(() => NostrEvents.parseGroupMetadata(state(relay, 'admin', NostrEvents.KIND_GROUP_METADATA)).name === 'Renamed');
+    t.is(NostrEvents.parseGroupMetadata(state(relay, 'admin', NostrEvents.KIND_GROUP_METADATA)).isPublic, false);
+    
+    const { event: post } = await send(member, NostrEvents.KIND_TEXT_NOTE, [h], 'to be removed');
+    t.is(relay.query([{ ids: [post.id] }]).length, 1);
+    t.ok((await send(admin, NostrEvents.KIND_GROUP_DELETE_EVENT, [h, ['e', post.id]])).ok);
+    t.is(relay.query([{ ids: [post.id] }]).length, 0, 'the admin deleted the post');
+    t.is((await send(admin, NostrEvents.KIND_GROUP_DELETE_EVENT, [h])).message, 'invalid: missing e tag');
+    
+    t.ok((await send(admin, NostrEvents.KIND_GROUP_REMOVE_USER, [h, ['p', pubkey(member)]])).ok);
+    await until(() => members(relay, 'admin').length === 1);
+    t.is((await send(member, NostrEvents.KIND_TEXT_NOTE, [h], 'still here?')).message, 'restricted: only members can post to this group');
+    
+    t.ok((await send(admin, NostrEvents.KIND_GROUP_DELETE, [h])).ok);
+    t.is(relay.getGroup('admin'), null);
+    t.is(relay.query([{ '#h': ['admin'] }]).length, 0, 'the group\'s events are gone');
+    t.is(state(relay, 'admin', NostrEvents.KIND_GROUP_METADATA), null, 'and so is its state');
+});
+
+test('joining an open group, and a closed one with and without an invite code', async (t) => {
+    const { relay, send } = await open(t);
+    await createGroup(relay, send, 'open', [['open']]);
+    await createGroup(relay, send, 'closed', [['closed']]);
+    
+    t.ok((await send(member, NostrEvents.KIND_GROUP_JOIN_REQUEST, [['h', 'open']])).ok);
+    await until(() => members(relay, 'open').length === 2);
+    t.is((await send(member, NostrEvents.KIND_GROUP_JOIN_REQUEST, [['h', 'open']], 'again')).message, 'duplicate: already a member');
+    
+    const refused = await send(member, NostrEvents.KIND_GROUP_JOIN_REQUEST, [['h', 'closed']]);
+    t.absent(refused.ok);
+    t.is(refused.message, 'restricted: an invite code is required to join this group');
+    
+    t.ok((await send(admin, NostrEvents.KIND_GROUP_INVITE_CREATE, [['h', 'closed'], ['code', 'welcome']])).ok);
+    t.is((await send(admin, NostrEvents.KIND_GROUP_INVITE_CREATE, [['h', 'closed']])).message, 'invalid: missing code tag');
+    t.absent((await send(member, NostrEvents.KIND_GROUP_JOIN_REQUEST, [['h', 'closed'], ['code', 'wrong']])).ok);
+    
+    t.ok((await send(member, NostrEvents.KIND_GROUP_JOIN_REQUEST, [['h', 'closed'], ['code', 'welcome']])).ok);
+    await until(() => members(relay, 'closed').length === 2);
+    t.ok(members(relay, 'closed').includes(pubkey(member)));
+});
+
+test('the last admin cannot leave, be removed or give up the admin role', async (t) => {
+    const { relay, send } = await open(t);
+    await createGroup(relay, send, 'admins');
+    const h = ['h', 'admins'];
+    const lastAdmin = 'restricted: a group needs at least one admin';
+    
+    t.is((await send(admin, NostrEvents.KIND_GROUP_LEAVE_REQUEST, [h])).message, lastAdmin);
+    t.is((await send(admin, NostrEvents.KIND_GROUP_REMOVE_USER, [h, ['p', pubkey(admin)]])).message, lastAdmin);
+    t.is((await send(admin, NostrEvents.KIND_GROUP_PUT_USER, [h, ['p', pubkey(admin), 'member']])).message, lastAdmin);
+    t.alike(relay.getGroup('admins').members.get(pubkey(admin)), ['admin']);
+    
+    // With a second admin the first may go
+    t.ok((await send(admin, NostrEvents.KIND_GROUP_PUT_USER, [h, ['p', pubkey(member), 'admin']])).ok);
+    t.ok((await send(admin, NostrEvents.KIND_GROUP_LEAVE_REQUEST, [h], 'now')).ok);
+    await until(() => members(relay, 'admins').length === 1);
+    t.alike(members(relay, 'admins'), [pubkey(member)]);
+    t.is((await send(admin, NostrEvents.KIND_GROUP_LEAVE_REQUEST, [h], 'again')).message, 'duplicate: not a member');
+});
+
+test('groups, events and the relay key survive a restart', async (t) => {
+    const saved = new Map();
+    const storage = {
+        getItem: key => saved.get(key) ?? null,
+        setItem: (key, value) => saved.set(key, value)
+    };
+    
+    const { relay, send } = await open(t, { storage });
+    await createGroup(relay, send, 'kept', [['closed']]);
+    await send(admin, NostrEvents.KIND_GROUP_INVITE_CREATE, [['h', 'kept'], ['code', 'later']]);
+    await until(() => saved.has('nostr_local_relay_data'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    
+    const restarted = new LocalGroupRelay({ storage });
+    t.is(restarted.relayPubkey, relay.relayPubkey);
+    t.alike(restarted.getGroup('kept').members, relay.getGroup('kept').members);
+    t.ok(restarted.getGroup('kept').inviteCodes.has('later'));
+    t.is(state(restarted, 'kept', NostrEvents.KIND_GROUP_METADATA).id, state(relay, 'kept', NostrEvents.KIND_GROUP_METADATA).id);
+});
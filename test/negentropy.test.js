@@ -0,0 +1,133 @@
+/**
+ * NIP-77 negentropy reconciliation between two Negentropy instances,
+ * and against InMemoryRelay through WebSocketRelayManager
+ */
+
+import test from 'brittle';
+import { quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import Negentropy from '../Negentropy.js';
+import InMemoryRelay from '../InMemoryRelay.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+import WebSocketRelayManager from '../WebSocketRelayManager.js';
+
+// Items with random IDs; many share a timestamp so bounds need ID prefixes
+function items(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: NostrUtils.bytesToHex(crypto.getRandomValues(new Uint8Array(32))),
+        created_at: 1700000000 + Math.floor(i / 4)
+    }));
+}
+
+// Shared items plus some only each side has
+function sets(shared, onlyOurs, onlyTheirs) {
+    const all = items(shared + onlyOurs + onlyTheirs);
+    const ours = all.slice(0, shared + onlyOurs);
+    const theirs = [...all.slice(0, shared), ...all.slice(shared + onlyOurs)];
+    return {
+        ours,
+        theirs,
+        have: all.slice(shared, shared + onlyOurs).map(item => item.id).sort(),
+        need: all.slice(shared + onlyOurs).map(item => item.id).sort()
+    };
+}
+
+async function sync(ours, theirs) {
+    const initiator = new Negentropy(ours);
+    const responder = new Negentropy(theirs);
+    const have = [];
+    const need = [];
+    
+    let message = await initiator.initiate();
+    let rounds = 0;
+    while (message !== null) {
+        const reply = await responder.reconcile(message);
+        const result = await initiator.reconcile(reply.message);
+        have.push(...result.have);
+        need.push(...result.need);
+        message = result.message;
+        rounds++;
+    }
+    return { have: have.sort(), need: need.sort(), rounds };
+}
+
+test('reconcile overlapping sets through the fingerprint split', async (t) => {
+    const { ours, theirs, have, need } = sets(1000, 7, 11);
+    const result = await sync(ours, theirs);
+    
+    t.alike(result.have, have);
+    t.alike(result.need, need);
+    t.ok(result.rounds > 1, 'mismatched buckets are split over several rounds');
+});
+
+test('reconcile identical, one-sided and empty sets', async (t) => {
+    const { ours } = sets(80, 0, 0);
+    t.alike(await sync(ours, ours), { have: [], need: [], rounds: 1 });
+    
+    const all = items(50);
+    const fromEmpty = await sync([], all);
+    t.alike(fromEmpty.need, all.map(item => item.id).sort());
+    t.alike(fromEmpty.have, []);
+    
+    const toEmpty = await sync(all, []);
+    t.alike(toEmpty.have, all.map(item => item.id).sort());
+    t.alike(toEmpty.need, []);
+    
+    t.alike(await sync([], []), { have: [], need: [], rounds: 1 });
+});
+
+test('a message in another protocol version is answered with ours', async (t) => {
+    const responder = new Negentropy(items(3));
+    const reply = await responder.reconcile('62');
+    t.is(reply.message, '61');
+    
+    const initiator = new Negentropy(items(3));
+    await initiator.initiate();
+    await t.exception(initiator.reconcile('62'), /Unsupported negentropy protocol version/);
+    await t.exception(new Negentropy([]).reconcile('6100'), /ended unexpectedly/);
+});
+
+test('reconcile with InMemoryRelay over NEG-OPEN and NEG-MSG', async (t) => {
+    quiet(t);
+    
+    const url = 'ws://in-memory.test';
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay(url);
+    const manager = new WebSocketRelayManager({ transport });
+    t.teardown(() => manager.removeRelay(url));
+    
+    const { ours, theirs, have, need } = sets(120, 5, 9);
+    const event = (item, kind) => ({ ...item, pubkey: '0'.repeat(64), kind, tags: [], content: '', sig: '0'.repeat(128) });
+    theirs.forEach(item => relay.publish(event(item, 1)));
+    
+    // Events outside the filter are not part of the comparison
+    items(20).forEach(item => relay.publish(event(item, 7)));
+    
+    await manager.addRelay(url);
+    t.ok(manager.canReconcile(url));
+    
+    const result = await manager.reconcile(url, { kinds: [1], limit: 10 }, ours);
+    t.alike(result.have.sort(), have);
+    t.alike(result.need.sort(), need);
+});
+
+test('the relay answers NEG-ERR for bad filters and unknown sessions', async (t) => {
+    const relay = new InMemoryRelay();
+    const received = [];
+    const connection = relay.openConnection(data => received.push(JSON.parse(data)), () => {});
+    const send = message => relay.handleMessage(connection, JSON.stringify(message));
+    
+    await send(['NEG-OPEN', 'neg', [], await new Negentropy([]).initiate()]);
+    t.alike(received.at(-1), ['NEG-ERR', 'neg', 'error: invalid filter']);
+    
+    await send(['NEG-MSG', 'neg', '61']);
+    t.alike(received.at(-1), ['NEG-ERR', 'neg', 'closed: no such negentropy session']);
+    
+    await send(['NEG-OPEN', 'neg', {}, await new Negentropy([]).initiate()]);
+    t.is(received.at(-1)[0], 'NEG-MSG');
+    
+    await send(['NEG-CLOSE', 'neg']);
+    await send(['NEG-MSG', 'neg', '61']);
+    t.is(received.at(-1)[0], 'NEG-ERR');
+});
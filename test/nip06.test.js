@@ -0,0 +1,34 @@
+/**
+ * NIP-06 seed phrase key derivation checked against the test vectors in the NIP
+ */
+
+import test from 'brittle';
+import './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+
+test('derive the NIP-06 test vectors', (t) => {
+    t.is(NostrUtils.privateKeyFromMnemonic('leader monkey parrot ring guide accident before fence cannon height naive bean'),
+        '7f7ff03d123792d6ac594bfa67bf6d0c0ab55b6b1fdb6249303fe861f1ccba9a');
+    t.is(NostrUtils.privateKeyFromMnemonic('what bleak badge arrange retreat wolf trade produce cricket blur garlic valid proud rude strong choose busy staff weather area salt hollow arm fade'),
+        'c15d739894c81a2fcfd3a2df85a0d2c0dbc47a280d092799f144d73d7ae78add');
+});
+
+test('generate, validate and derive accounts', (t) => {
+    const mnemonic = NostrUtils.generateMnemonic();
+    t.is(mnemonic.split(' ').length, 12);
+    t.is(NostrUtils.generateMnemonic(24).split(' ').length, 24);
+    
+    // Typed phrases may differ in case and spacing
+    t.ok(NostrUtils.validateMnemonic(`  ${mnemonic.toUpperCase().replace(/ /g, '   ')} `));
+    t.absent(NostrUtils.validateMnemonic(mnemonic.split(' ').reverse().join(' ') + ' abandon'));
+    
+    const accounts = NostrUtils.mnemonicAccounts(mnemonic, 3);
+    t.alike(accounts.map(a => a.account), [0, 1, 2]);
+    t.is(accounts[2].privateKey, NostrUtils.privateKeyFromMnemonic(mnemonic, 2));
+    t.is(accounts[2].pubkey, NostrUtils.getPublicKey(accounts[2].privateKey));
+    t.is(new Set(accounts.map(a => a.privateKey)).size, 3);
+    
+    t.exception(() => NostrUtils.privateKeyFromMnemonic('not a seed phrase'), /Invalid seed phrase/);
+    t.exception(() => NostrUtils.generateMnemonic(15), /12 or 24/);
+});
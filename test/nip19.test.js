@@ -0,0 +1,131 @@
+/**
+ * NIP-19 bech32 entities checked against the examples in the NIP, plus round trips
+ * for the pointers the app shares, rejection of malformed input, and opening a shared group link
+ */
+
+import test from 'brittle';
+import { quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+import NostrGroupClient from '../NostrGroupClient.js';
+
+const npub = 'npub180cvv07tjdrrgpa0j7j7tmnyl2yr6yr7l8j4s3evf6u64th6gkwsyjh6w6';
+const pubkey = '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d';
+
+test('decode and encode the examples in the NIP', (t) => {
+    t.alike(NostrUtils.decodeNip19(npub), { type: 'npub', data: pubkey });
+    t.is(NostrUtils.npubEncode(pubkey), npub);
+    
+    const nsec = 'nsec1vl029mgpspedva04g90vltkh6fvh240zqtv9k0t9af8935ke9laqsnlfe5';
+    const privateKey = '67dea2ed018072d675f5415ecfaed7d2597555e202d85b3d65ea4e58d2d92ffa';
+    t.alike(NostrUtils.decodeNip19(nsec), { type: 'nsec', data: privateKey });
+    t.is(NostrUtils.nsecEncode(privateKey), nsec);
+    
+    const nprofile = 'nprofile1qqsrhuxx8l9ex335q7he0f09aej04zpazpl0ne2cgukyawd24mayt8gpp4mhxue69uhhytnc9e3k7mgpz4mhxue69uhkg6nzv9ejuumpv34kytnrdaksjlyr9p';
+    const profile = { pubkey, relays: ['wss://r.x.com', 'wss://djbas.sadkb.com'] };
+    t.alike(NostrUtils.decodeNip19(nprofile), { type: 'nprofile', data: profile });
+    t.is(NostrUtils.nprofileEncode(profile), nprofile);
+    
+    // Links and pasted keys may carry a nostr: prefix or be all upper case
+    t.is(NostrUtils.decodeNip19(`nostr:${npub}`).data, pubkey);
+    t.is(NostrUtils.decodeNip19(npub.toUpperCase()).data, pubkey);
+    t.is(NostrUtils.toPublicKeyHex(nprofile), pubkey);
+});
+
+test('naddr and nevent round trip', (t) => {
+    const address = { identifier: 'group-a', pubkey, kind: 39000, relays: ['wss://relay.example', 'wss://other.example'] };
+    const naddr = NostrUtils.naddrEncode(address);
+    t.ok(naddr.startsWith('naddr1'));
+    t.alike(NostrUtils.decodeNip19(naddr), { type: 'naddr', data: address });
+    
+    const id = NostrUtils.bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+    const pointer = { id, relays: ['wss://relay.example'], author: pubkey, kind: 9 };
+    t.alike(NostrUtils.decodeNip19(NostrUtils.neventEncode(pointer)), { type: 'nevent', data: pointer });
+    
+    // Author and kind are optional
+    t.alike(NostrUtils.decodeNip19(NostrUtils.neventEncode({ id })), {
+        type: 'nevent',
+        data: { id, relays: [], author: undefined, kind: undefined }
+    });
+});
+
+test('malformed entities are rejected', (t) => {
+    const flipped = npub.slice(0, -1) + (npub.at(-1) === 'q' ? 'p' : 'q');
+    t.exception(() => NostrUtils.decodeNip19(flipped), /checksum/);
+    t.exception(() => NostrUtils.decodeNip19(npub.substring(0, 20) + npub.substring(20).toUpperCase()), /mixes upper and lower case/);
+    t.exception(() => NostrUtils.decodeNip19('npub1b0'), /Invalid bech32 string/);
+    t.exception(() => NostrUtils.decodeNip19(NostrUtils.noteEncode(pubkey).replace('note', 'nfoo')), /checksum/);
+    
+    // A relay entry whose length runs past the end of the data
+    const tlv = NostrUtils._encodeTlv([[0, NostrUtils.hexToBytes(pubkey)], [1, new TextEncoder().encode('wss://r.x.com')]]);
+    const truncated = NostrUtils._bech32Encode('nprofile', tlv.subarray(0, tlv.length - 4));
+    t.exception(() => NostrUtils.decodeNip19(truncated), /Invalid NIP-19 TLV data/);
+    
+    // A well-formed TLV without the 32-byte key
+    const missingKey = NostrUtils._bech32Encode('nprofile', NostrUtils._encodeTlv([[1, new TextEncoder().encode('wss://r.x.com')]]));
+    t.exception(() => NostrUtils.decodeNip19(missingKey), /missing or malformed key/);
+    
+    const shortKey = NostrUtils._bech32Encode('npub', NostrUtils.hexToBytes(pubkey).subarray(0, 31));
+    t.exception(() => NostrUtils.decodeNip19(shortKey), /expected 32 bytes/);
+    t.exception(() => NostrUtils.toPrivateKeyHex(npub), /expected an nsec/);
+});
+
+test('relay hints are only taken as ws:// or wss:// URLs', (t) => {
+    t.is(NostrUtils.normalizeRelayUrl(' wss://relay.example/ '), 'wss://relay.example');
+    t.is(NostrUtils.normalizeRelayUrl('ws://127.0.0.1:7777'), 'ws://127.0.0.1:7777');
+    t.is(NostrUtils.normalizeRelayUrl('https://relay.example'), null);
+    t.is(NostrUtils.normalizeRelayUrl('javascript:alert(1)'), null);
+    t.is(NostrUtils.normalizeRelayUrl('wss://<img src=x onerror=alert(1)>'), null);
+    t.is(NostrUtils.normalizeRelayUrl('wss://'), null);
+    t.is(NostrUtils.normalizeRelayUrl(42), null);
+});
+
+test('a shared group link keeps its hinted relay only if the user agrees', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    transport.addRelay('ws://home.test');
+    const hintRelay = transport.addRelay('ws://hint.test');
+    
+    const admin = NostrUtils.generatePrivateKey();
+    const metadata = await NostrUtils.signEvent({
+        kind: 39000,
+        pubkey: NostrUtils.getPublicKey(admin),
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [['d', 'shared'], ['name', 'Shared']],
+        content: ''
+    }, admin);
+    hintRelay.publish(metadata);
+    
+    const pointer = NostrUtils.naddrEncode({
+        identifier: 'shared',
+        pubkey: metadata.pubkey,
+        kind: 39000,
+        relays: ['wss://<script>', 'https://hint.test', 'ws://hint.test']
+    });
+    
+    const start = async () => {
+        const privateKey = NostrUtils.generatePrivateKey();
+        const client = new NostrGroupClient(false, { transport });
+        await client.init({ pubkey: NostrUtils.getPublicKey(privateKey), privateKey, name: 'Reader' }, ['ws://home.test']);
+        t.teardown(() => ['ws://home.test', 'ws://hint.test'].forEach(url => client.relayManager.removeRelay(url)));
+        return client;
+    };
+    
+    const declined = await start();
+    const asked = [];
+    t.is(await declined.openGroupPointer(pointer, { confirmRelays: async urls => asked.push(urls) && false }), 'shared');
+    t.alike(asked, [['ws://hint.test']], 'only the valid hint is connected to and offered');
+    t.ok(declined.relayManager.isTemporaryRelay('ws://hint.test'), 'a declined hint stays temporary');
+    t.alike(declined.relayManager.getRelays(), ['ws://home.test'], 'the relay list is unchanged');
+    
+    const unasked = await start();
+    await unasked.openGroupPointer(pointer);
+    t.ok(unasked.relayManager.isTemporaryRelay('ws://hint.test'), 'without a prompt the hint stays temporary');
+    
+    const accepted = await start();
+    await accepted.openGroupPointer(pointer, { confirmRelays: async () => true });
+    t.absent(accepted.relayManager.isTemporaryRelay('ws://hint.test'), 'an accepted hint joins the relay list');
+    t.is(accepted.getGroupById('shared').name, 'Shared');
+});
@@ -0,0 +1,189 @@
+/**
+ * NIP-44 v2 encryption checked against vectors transcribed from the official NIP-44 test vector set
+ * (https://github.com/paulmillr/nip44, nip44.vectors.json); each list is named after its section there
+ */
+
+import test from 'brittle';
+import './helpers.js';
+import { createHash } from 'node:crypto';
+
+import { NostrUtils } from '../NostrUtils.js';
+
+const hex = (value) => NostrUtils.hexToBytes(value);
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+// v2.valid.get_conversation_key: sec1, pub2, conversation_key
+const conversationKeys = [
+    ['315e59ff51cb9209768cf7da80791ddcaae56ac9775eb25b6dee1234bc5d2268', 'c2f9d9948dc8c7c38321e4b85c8558872eafa0641cd269db76848a6073e69133', '3dfef0ce2a4d80a25e7a328accf73448ef67096f65f79588e358d9a0eb9013f1'],
+    ['a1e37752c9fdc1273be53f68c5f74be7c8905728e8de75800b94262f9497c86e', '03bb7947065dde12ba991ea045132581d0954f042c84e06d8c00066e23c1a800', '4d14f36e81b8452128da64fe6f1eae873baae2f444b02c950b90e43553f2178b'],
+    ['98a5902fd67518a0c900f0fb62158f278f94a21d6f9d33d30cd3091195500311', 'aae65c15f98e5e677b5050de82e3aba47a6fe49b3dab7863cf35d9478ba9f7d1', '9c00b769d5f54d02bf175b7284a1cbd28b6911b06cda6666b2243561ac96bad7'],
+    ['86ae5ac8034eb2542ce23ec2f84375655dab7f836836bbd3c54cefe9fdc9c19f', '59f90272378089d73f1339710c02e2be6db584e9cdbe86eed3578f0c67c23585', '19f934aafd3324e8415299b64df42049afaa051c71c98d0aa10e1081f2e3e2ba'],
+    ['2528c287fe822421bc0dc4c3615878eb98e8a8c31657616d08b29c00ce209e34', 'f66ea16104c01a1c532e03f166c5370a22a5505753005a566366097150c6df60', 'c833bbb292956c43366145326d53b955ffb5da4e4998a2d853611841903f5442'],
+    ['49808637b2d21129478041813aceb6f2c9d4929cd1303cdaf4fbdbd690905ff2', '74d2aab13e97827ea21baf253ad7e39b974bb2498cc747cdb168582a11847b65', '4bf304d3c8c4608864c0fe03890b90279328cd24a018ffa9eb8f8ccec06b505d'],
+    ['af67c382106242c5baabf856efdc0629cc1c5b4061f85b8ceaba52aa7e4b4082', 'bdaf0001d63e7ec994fad736eab178ee3c2d7cfc925ae29f37d19224486db57b', 'a3a575dd66d45e9379904047ebfb9a7873c471687d0535db00ef2daa24b391db'],
+    ['0e44e2d1db3c1717b05ffa0f08d102a09c554a1cbbf678ab158b259a44e682f1', '1ffa76c5cc7a836af6914b840483726207cb750889753d7499fb8b76aa8fe0de', 'a39970a667b7f861f100e3827f4adbf6f464e2697686fe1a81aeda817d6b8bdf'],
+    ['5fc0070dbd0666dbddc21d788db04050b86ed8b456b080794c2a0c8e33287bb6', '31990752f296dd22e146c9e6f152a269d84b241cc95bb3ff8ec341628a54caf0', '72c21075f4b2349ce01a3e604e02a9ab9f07e35dd07eff746de348b4f3c6365e'],
+    ['1b7de0d64d9b12ddbb52ef217a3a7c47c4362ce7ea837d760dad58ab313cba64', '24383541dd8083b93d144b431679d70ef4eec10c98fceef1eff08b1d81d4b065', 'dd152a76b44e63d1afd4dfff0785fa07b3e494a9e8401aba31ff925caeb8f5b1'],
+    ['df2f560e213ca5fb33b9ecde771c7c0cbd30f1cf43c2c24de54480069d9ab0af', 'eeea26e552fc8b5e377acaa03e47daa2d7b0c787fac1e0774c9504d9094c430e', '770519e803b80f411c34aef59c3ca018608842ebf53909c48d35250bd9323af6'],
+    ['cffff919fcc07b8003fdc63bc8a00c0f5dc81022c1c927c62c597352190d95b9', 'eb5c3cca1a968e26684e5b0eb733aecfc844f95a09ac4e126a9e58a4e4902f92', '46a14ee7e80e439ec75c66f04ad824b53a632b8409a29bbb7c192e43c00bb795'],
+    ['64ba5a685e443e881e9094647ddd32db14444bb21aa7986beeba3d1c4673ba0a', '50e6a4339fac1f3bf86f2401dd797af43ad45bbf58e0801a7877a3984c77c3c4', '968b9dbbfcede1664a4ca35a5d3379c064736e87aafbf0b5d114dff710b8a946'],
+    ['dd0c31ccce4ec8083f9b75dbf23cc2878e6d1b6baa17713841a2428f69dee91a', 'b483e84c1339812bed25be55cff959778dfc6edde97ccd9e3649f442472c091b', '09024503c7bde07eb7865505891c1ea672bf2d9e25e18dd7a7cea6c69bf44b5d'],
+    ['af71313b0d95c41e968a172b33ba5ebd19d06cdf8a7a98df80ecf7af4f6f0358', '2a5c25266695b461ee2af927a6c44a3c598b8095b0557e9bd7f787067435bc7c', 'fe5155b27c1c4b4e92a933edae23726a04802a7cc354a77ac273c85aa3c97a92'],
+    ['94b212f02a3cfb8ad147d52941d3f1dbe1753804458e6645af92c7b2ea791caa', 'f0cac333231367a04b652a77ab4f8d658b94e86b5a8a0c472c5c7b0d4c6a40cc', 'e292eaf873addfed0a457c6bd16c8effde33d6664265697f69f420ab16f6669b'],
+    ['aa61f9734e69ae88e5d4ced5aae881c96f0d7f16cca603d3bed9eec391136da6', '4303e5360a884c360221de8606b72dd316da49a37fe51e17ada4f35f671620a6', '8e7d44fd4767456df1fb61f134092a52fcd6836ebab3b00766e16732683ed848'],
+    ['5e914bdac54f3f8e2cba94ee898b33240019297b69e96e70c8a495943a72fc98', '5bd097924f606695c59f18ff8fd53c174adbafaaa71b3c0b4144a3e0a474b198', 'f5a0aecf2984bf923c8cd5e7bb8be262d1a8353cb93959434b943a07cf5644bc'],
+    ['8b275067add6312ddee064bcdbeb9d17e88aa1df36f430b2cea5cc0413d8278a', '65bbbfca819c90c7579f7a82b750a18c858db1afbec8f35b3c1e0e7b5588e9b8', '2c565e7027eb46038c2263563d7af681697107e975e9914b799d425effd248d6'],
+    ['1ac848de312285f85e0f7ec208aac20142a1f453402af9b34ec2ec7a1f9c96fc', '45f7318fe96034d23ee3ddc25b77f275cc1dd329664dd51b89f89c4963868e41', 'b56e970e5057a8fd929f8aad9248176b9af87819a708d9ddd56e41d1aec74088'],
+    ['295a1cf621de401783d29d0e89036aa1c62d13d9ad307161b4ceb535ba1b40e6', '840115ddc7f1034d3b21d8e2103f6cb5ab0b63cf613f4ea6e61ae3d016715cdd', 'b4ee9c0b9b9fef88975773394f0a6f981ca016076143a1bb575b9ff46e804753'],
+    ['a28eed0fe977893856ab9667e06ace39f03abbcdb845c329a1981be438ba565d', 'b0f38b950a5013eba5ab4237f9ed29204a59f3625c71b7e210fec565edfa288c', '9d3a802b45bc5aeeb3b303e8e18a92ddd353375710a31600d7f5fff8f3a7285b'],
+    ['7ab65af72a478c05f5c651bdc4876c74b63d20d04cdbf71741e46978797cd5a4', 'f1112159161b568a9cb8c9dd6430b526c4204bcc8ce07464b0845b04c041beda', '943884cddaca5a3fef355e9e7f08a3019b0b66aa63ec90278b0f9fdb64821e79'],
+    ['95c79a7b75ba40f2229e85756884c138916f9d103fc8f18acc0877a7cceac9fe', 'cad76bcbd31ca7bbda184d20cc42f725ed0bb105b13580c41330e03023f0ffb3', '81c0832a669eea13b4247c40be51ccfd15bb63fcd1bba5b4530ce0e2632f301b'],
+    ['baf55cc2febd4d980b4b393972dfc1acf49541e336b56d33d429bce44fa12ec9', '0c31cf87fe565766089b64b39460ebbfdedd4a2bc8379be73ad3c0718c912e18', '37e2344da9ecdf60ae2205d81e89d34b280b0a3f111171af7e4391ded93b8ea6'],
+    ['6eeec45acd2ed31693c5256026abf9f072f01c4abb61f51cf64e6956b6dc8907', 'e501b34ed11f13d816748c0369b0c728e540df3755bab59ed3327339e16ff828', 'afaa141b522ddb27bb880d768903a7f618bb8b6357728cae7fb03af639b946e6'],
+    ['261a076a9702af1647fb343c55b3f9a4f1096273002287df0015ba81ce5294df', 'b2777c863878893ae100fb740c8fab4bebd2bf7be78c761a75593670380a6112', '76f8d2853de0734e51189ced523c09427c3e46338b9522cd6f74ef5e5b475c74'],
+    ['ed3ec71ca406552ea41faec53e19f44b8f90575eda4b7e96380f9cc73c26d6f3', '86425951e61f94b62e20cae24184b42e8e17afcf55bafa58645efd0172624fae', 'f7ffc520a3a0e9e9b3c0967325c9bf12707f8e7a03f28b6cd69ae92cf33f7036'],
+    ['5a788fc43378d1303ac78639c59a58cb88b08b3859df33193e63a5a3801c722e', 'a8cba2f87657d229db69bee07850fd6f7a2ed070171a06d006ec3a8ac562cf70', '7d705a27feeedf78b5c07283362f8e361760d3e9f78adab83e3ae5ce7aeb6409'],
+    ['63bffa986e382b0ac8ccc1aa93d18a7aa445116478be6f2453bad1f2d3af2344', 'b895c70a83e782c1cf84af558d1038e6b211c6f84ede60408f519a293201031d', '3a3b8f00d4987fc6711d9be64d9c59cf9a709c6c6481c2cde404bcc7a28f174e'],
+    ['e4a8bcacbf445fd3721792b939ff58e691cdcba6a8ba67ac3467b45567a03e5c', 'b54053189e8c9252c6950059c783edb10675d06d20c7b342f73ec9fa6ed39c9d', '7b3933b4ef8189d347169c7955589fc1cfc01da5239591a08a183ff6694c44ad'],
+    ['fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364139', '0000000000000000000000000000000000000000000000000000000000000002', '8b6392dbf2ec6a2b2d5b1477fc2be84d63ef254b667cadd31bd3f444c44ae6ba'],
+    ['0000000000000000000000000000000000000000000000000000000000000001', '79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', '3b4610cb7189beb9cc29eb3716ecc6102f1247e8f3101a03a1787d8908aeb54e']
+];
+
+// v2.valid.get_message_keys, all under one conversation key
+const messageKeys = {
+    conversation_key: 'a1a3d60f3470a8612633924e91febf96dc5366ce130f658b1f0fc652c20b3b54',
+    keys: [
+        { nonce: 'e1e6f880560d6d149ed83dcc7e5861ee62a5ee051f7fde9975fe5d25d2a02d72', chacha_key: 'f145f3bed47cb70dbeaac07f3a3fe683e822b3715edb7c4fe310829014ce7d76', chacha_nonce: 'c4ad129bb01180c0933a160c', hmac_key: '027c1db445f05e2eee864a0975b0ddef5b7110583c8c192de3732571ca5838c4' },
+        { nonce: 'e1d6d28c46de60168b43d79dacc519698512ec35e8ccb12640fc8e9f26121101', chacha_key: 'e35b88f8d4a8f1606c5082f7a64b100e5d85fcdb2e62aeafbec03fb9e860ad92', chacha_nonce: '22925e920cee4a50a478be90', hmac_key: '46a7c55d4283cb0df1d5e29540be67abfe709e3b2e14b7bf9976e6df994ded30' },
+        { nonce: 'cfc13bef512ac9c15951ab00030dfaf2626fdca638dedb35f2993a9eeb85d650', chacha_key: '020783eb35fdf5b80ef8c75377f4e937efb26bcbad0e61b4190e39939860c4bf', chacha_nonce: 'd3594987af769a52904656ac', hmac_key: '237ec0ccb6ebd53d179fa8fd319e092acff599ef174c1fdafd499ef2b8dee745' },
+        { nonce: 'ea6eb84cac23c5c1607c334e8bdf66f7977a7e374052327ec28c6906cbe25967', chacha_key: 'ff68db24b34fa62c78ac5ffeeaf19533afaedf651fb6a08384e46787f6ce94be', chacha_nonce: '50bb859aa2dde938cc49ec7a', hmac_key: '06ff32e1f7b29753a727d7927b25c2dd175aca47751462d37a2039023ec6b5a6' }
+    ]
+};
+
+// v2.valid.encrypt_decrypt: sec1, sec2, conversation_key, nonce, plaintext, payload
+const encryptDecrypt = [
+    ['0000000000000000000000000000000000000000000000000000000000000001', '0000000000000000000000000000000000000000000000000000000000000002', 'c41c775356fd92eadc63ff5a0dc1da211b268cbea22316767095b2871ea1412d', '0000000000000000000000000000000000000000000000000000000000000001', 'a', 'AgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABee0G5VSK0/9YypIObAtDKfYEAjD35uVkHyB0F4DwrcNaCXlCWZKaArsGrY6M9wnuTMxWfp1RTN9Xga8no+kF5Vsb'],
+    ['0000000000000000000000000000000000000000000000000000000000000002', '0000000000000000000000000000000000000000000000000000000000000001', 'c41c775356fd92eadc63ff5a0dc1da211b268cbea22316767095b2871ea1412d', 'f00000000000000000000000000000f00000000000000000000000000000000f', '🍕🫃', 'AvAAAAAAAAAAAAAAAAAAAPAAAAAAAAAAAAAAAAAAAAAPSKSK6is9ngkX2+cSq85Th16oRTISAOfhStnixqZziKMDvB0QQzgFZdjLTPicCJaV8nDITO+QfaQ61+KbWQIOO2Yj'],
+    ['5c0c523f52a5b6fad39ed2403092df8cebc36318b39383bca6c00808626fab3a', '4b22aa260e4acb7021e32f38a6cdf4b673c6a277755bfce287e370c924dc936d', '3e2b52a63be47d34fe0a80e34e73d436d6963bc8f39827f327057a9986c20a45', 'b635236c42db20f021bb8d1cdff5ca75dd1a0cc72ea742ad750f33010b24f73b', '表ポあA鷗ŒéＢ逍Üßªąñ丂㐀𠀀', 'ArY1I2xC2yDwIbuNHN/1ynXdGgzHLqdCrXUPMwELJPc7s7JqlCMJBAIIjfkpHReBPXeoMCyuClwgbT419jUWU1PwaNl4FEQYKCDKVJz+97Mp3K+Q2YGa77B6gpxB/lr1QgoqpDf7wDVrDmOqGoiPjWDqy8KzLueKDcm9BVP8xeTJIxs='],
+    ['8f40e50a84a7462e2b8d24c28898ef1f23359fff50d8c509e6fb7ce06e142f9c', 'b9b0a1e9cc20100c5faa3bbe2777303d25950616c4c6a3fa2e3e046f936ec2ba', 'd5a2f879123145a4b291d767428870f5a8d9e5007193321795b40183d4ab8c2b', 'b20989adc3ddc41cd2c435952c0d59a91315d8c5218d5040573fc3749543acaf', 'ability🤝的 ȺȾ', 'ArIJia3D3cQc0sQ1lSwNWakTFdjFIY1QQFc/w3SVQ6yvbG2S0x4Yu86QGwPTy7mP3961I1XqB6SFFTzqDZZavhxoWMj7mEVGMQIsh2RLWI5EYQaQDIePSnXPlzf7CIt+voTD'],
+    ['875adb475056aec0b4809bd2db9aa00cff53a649e7b59d8edcbf4e6330b0995c', '9c05781112d5b0a2a7148a222e50e0bd891d6b60c5483f03456e982185944aae', '3b15c977e20bfe4b8482991274635edd94f366595b1a3d2993515705ca3cedb8', '8d4442713eb9d4791175cb040d98d6fc5be8864d6ec2f89cf0895a2b2b72d1b1', 'pepper👀їжак', 'Ao1EQnE+udR5EXXLBA2Y1vxb6IZNbsL4nPCJWisrctGxY3AduCS+jTUgAAnfvKafkmpy15+i9YMwCdccisRa8SvzW671T2JO4LFSPX31K4kYUKelSAdSPwe9NwO6LhOsnoJ+'],
+    ['d5633530f5bcfebceb5584cfbbf718a30df0751b729dd9a789b9f30c0587d74e', 'b74e6a341fb134127272b795a08b59250e5fa45a82a2eb4095e4ce9ed5f5e214', '75fe686d21a035f0c7cd70da64ba307936e5ca0b20710496a6b6b5f573377bdd', 'e4cd5f7ce4eea024bc71b17ad456a986a74ac426c2c62b0a15eb5c5c8f888b68', 'مُنَاقَشَةُ سُبُلِ اِسْتِخْدَامِ اللُّغَةِ فِي النُّظُمِ الْقَائِمَةِ وَفِيم يَخُصَّ التَّطْبِيقَاتُ الْحاسُوبِيَّةُ،', 'AuTNX3zk7qAkvHGxetRWqYanSsQmwsYrChXrXFyPiItoIBsWu1CB+sStla2M4VeANASHxM78i1CfHQQH1YbBy24Tng7emYW44ol6QkFD6D8Zq7QPl+8L1c47lx8RoODEQMvNCbOk5ffUV3/AhONHBXnffrI+0025c+uRGzfqpYki4lBqm9iYU+k3Tvjczq9wU0mkVDEaM34WiQi30MfkJdRbeeYaq6kNvGPunLb3xdjjs5DL720d61Flc5ZfoZm+CBhADy9D9XiVZYLKAlkijALJur9dATYKci6OBOoc2SJS2Clai5hOVzR0yVeyHRgRfH9aLSlWW5dXcUxTo7qqRjNf8W5+J4jF4gNQp5f5d0YA4vPAzjBwSP/5bGzNDslKfcAH']
+];
+
+// v2.valid.encrypt_decrypt_long_msg: the plaintext is a repeated pattern, so only hashes are listed
+const longMessages = [
+    { conversation_key: '8fc262099ce0d0bb9b89bac05bb9e04f9bc0090acc181fef6840ccee470371ed', nonce: '326bcb2c943cd6bb717588c9e5a7e738edf6ed14ec5f5344caa6ef56f0b9cff7', pattern: 'x', repeat: 65535, plaintext_sha256: '09ab7495d3e61a76f0deb12cb0306f0696cbb17ffc12131368c7a939f12f56d3', payload_sha256: '90714492225faba06310bff2f249ebdc2a5e609d65a629f1c87f2d4ffc55330a' },
+    { conversation_key: '56adbe3720339363ab9c3b8526ffce9fd77600927488bfc4b59f7a68ffe5eae0', nonce: 'ad68da81833c2a8ff609c3d2c0335fd44fe5954f85bb580c6a8d467aa9fc5dd0', pattern: '!', repeat: 65535, plaintext_sha256: '6af297793b72ae092c422e552c3bb3cbc310da274bd1cf9e31023a7fe4a2d75e', payload_sha256: '8013e45a109fad3362133132b460a2d5bce235fe71c8b8f4014793fb52a49844' }
+];
+
+// v2.invalid.decrypt
+const invalidPayloads = [
+    { conversation_key: 'ca2527a037347b91bea0c8a30fc8d9600ffd81ec00038671e3a0f0cb0fc9f642', payload: '#Atqupco0WyaOW2IGDKcshwxI9xO8HgD/P8Ddt46CbxDbrhdG8VmJZE0UICD06CUvEvdnr1cp1fiMtlM/GrE92xAc1EwsVCQEgWEu2gsHUVf4JAa3TpgkmFc3TWsax0v6n/Wq', note: 'unknown encryption version' },
+    { conversation_key: '36f04e558af246352dcf73b692fbd3646a2207bd8abd4b1cd26b234db84d9481', payload: 'AK1AjUvoYW3IS7C/BGRUoqEC7ayTfDUgnEPNeWTF/reBZFaha6EAIRueE9D1B1RuoiuFScC0Q94yjIuxZD3JStQtE8JMNacWFs9rlYP+ZydtHhRucp+lxfdvFlaGV/sQlqZz', note: 'unknown encryption version 0' },
+    { conversation_key: 'ca2527a037347b91bea0c8a30fc8d9600ffd81ec00038671e3a0f0cb0fc9f642', payload: 'Atфupco0WyaOW2IGDKcshwxI9xO8HgD/P8Ddt46CbxDbrhdG8VmJZE0UICD06CUvEvdnr1cp1fiMtlM/GrE92xAc1EwsVCQEgWEu2gsHUVf4JAa3TpgkmFc3TWsax0v6n/Wq', note: 'invalid base64' }
+];
+
+// v2.invalid.get_conversation_key
+const invalidKeys = [
+    { sec1: 'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff', pub2: 'c2f9d9948dc8c7c38321e4b85c8558872eafa0641cd269db76848a6073e69133', note: 'sec1 higher than curve.n' },
+    { sec1: '0000000000000000000000000000000000000000000000000000000000000000', pub2: 'c2f9d9948dc8c7c38321e4b85c8558872eafa0641cd269db76848a6073e69133', note: 'sec1 is 0' },
+    { sec1: 'fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141', pub2: 'c2f9d9948dc8c7c38321e4b85c8558872eafa0641cd269db76848a6073e69133', note: 'sec1 == curve.n' },
+    { sec1: '315e59ff51cb9209768cf7da80791ddcaae56ac9775eb25b6dee1234bc5d2268', pub2: 'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff', note: 'pub2 is invalid, no sqrt, all-ff' },
+    { sec1: '315e59ff51cb9209768cf7da80791ddcaae56ac9775eb25b6dee1234bc5d2268', pub2: '0000000000000000000000000000000000000000000000000000000000000000', note: 'pub2 is invalid, no sqrt, all-00' },
+    { sec1: '0000000000000000000000000000000000000000000000000000000000000002', pub2: '1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef', note: 'pub2 is not on the curve' }
+];
+
+test('conversation keys', (t) => {
+    conversationKeys.forEach(([sec1, pub2, conversationKey]) => {
+        t.is(NostrUtils.bytesToHex(NostrUtils.getConversationKey(sec1, pub2)), conversationKey, sec1);
+    });
+});
+
+test('message keys', (t) => {
+    const conversationKey = hex(messageKeys.conversation_key);
+    messageKeys.keys.forEach(({ nonce, chacha_key, chacha_nonce, hmac_key }) => {
+        const keys = NostrUtils._nip44MessageKeys(conversationKey, hex(nonce));
+        t.is(NostrUtils.bytesToHex(keys.chachaKey), chacha_key, nonce);
+        t.is(NostrUtils.bytesToHex(keys.chachaNonce), chacha_nonce);
+        t.is(NostrUtils.bytesToHex(keys.hmacKey), hmac_key);
+    });
+});
+
+test('encrypt and decrypt', (t) => {
+    encryptDecrypt.forEach(([sec1, sec2, conversationKey, nonce, plaintext, payload]) => {
+        t.is(NostrUtils.bytesToHex(NostrUtils.getConversationKey(sec1, NostrUtils.getPublicKey(sec2))), conversationKey);
+        t.is(NostrUtils.nip44Encrypt(plaintext, hex(conversationKey), hex(nonce)), payload, plaintext);
+        t.is(NostrUtils.nip44Decrypt(payload, hex(conversationKey)), plaintext);
+    });
+});
+
+test('encrypt and decrypt long messages', (t) => {
+    longMessages.forEach(({ conversation_key, nonce, pattern, repeat, plaintext_sha256, payload_sha256 }) => {
+        const plaintext = pattern.repeat(repeat);
+        t.is(sha256(plaintext), plaintext_sha256);
+        
+        const payload = NostrUtils.nip44Encrypt(plaintext, hex(conversation_key), hex(nonce));
+        t.is(sha256(payload), payload_sha256, `${pattern} x ${repeat}`);
+        t.is(NostrUtils.nip44Decrypt(payload, hex(conversation_key)), plaintext);
+    });
+});
+
+test('invalid payloads and keys are rejected', (t) => {
+    invalidPayloads.forEach(({ conversation_key, payload, note }) => {
+        t.exception(() => NostrUtils.nip44Decrypt(payload, hex(conversation_key)), note);
+    });
+    invalidKeys.forEach(({ sec1, pub2, note }) => {
+        t.exception(() => NostrUtils.getConversationKey(sec1, pub2), note);
+    });
+});
+
+test('encrypt and decrypt with a fixed nonce', (t) => {
+    const sec1 = '0000000000000000000000000000000000000000000000000000000000000001';
+    const sec2 = '0000000000000000000000000000000000000000000000000000000000000002';
+    const conversationKey = NostrUtils.getConversationKey(sec1, NostrUtils.getPublicKey(sec2));
+    t.is(NostrUtils.bytesToHex(conversationKey), 'c41c775356fd92eadc63ff5a0dc1da211b268cbea22316767095b2871ea1412d');
+    
+    // The key is the same in both directions
+    t.alike(NostrUtils.getConversationKey(sec2, NostrUtils.getPublicKey(sec1)), conversationKey);
+    
+    const payload = 'AgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABee0G5VSK0/9YypIObAtDKfYEAjD35uVkHyB0F4DwrcNaCXlCWZKaArsGrY6M9wnuTMxWfp1RTN9Xga8no+kF5Vsb';
+    const nonce = hex('0000000000000000000000000000000000000000000000000000000000000001');
+    t.is(NostrUtils.nip44Encrypt('a', conversationKey, nonce), payload);
+    t.is(NostrUtils.nip44Decrypt(payload, conversationKey), 'a');
+    t.is(NostrUtils.decrypt(sec2, NostrUtils.getPublicKey(sec1), payload), 'a');
+});
+
+test('padded lengths', (t) => {
+    const vectors = [
+        [16, 32], [32, 32], [33, 64], [37, 64], [45, 64], [49, 64], [64, 64], [65, 96],
+        [100, 128], [111, 128], [200, 224], [250, 256], [320, 320], [383, 384], [384, 384],
+        [400, 448], [500, 512], [512, 512], [515, 640], [700, 768], [800, 896], [900, 1024],
+        [1020, 1024], [65536, 65536]
+    ];
+    vectors.forEach(([length, padded]) => {
+        t.is(NostrUtils.nip44PaddedLength(length), padded, `${length} pads to ${padded}`);
+    });
+});
+
+test('rejects tampered and unsupported payloads', (t) => {
+    const sec1 = NostrUtils.generatePrivateKey();
+    const pub2 = NostrUtils.getPublicKey(NostrUtils.generatePrivateKey());
+    const payload = NostrUtils.encrypt(sec1, pub2, 'private invite');
+    
+    const tampered = NostrUtils._base64ToBytes(payload);
+    tampered[40] ^= 1;
+    t.exception(() => NostrUtils.decrypt(sec1, pub2, NostrUtils._bytesToBase64(tampered)), /MAC/);
+    t.exception(() => NostrUtils.decrypt(sec1, pub2, '#' + payload.substring(1)), /version/);
+    t.exception(() => NostrUtils.decrypt(sec1, pub2, payload.substring(0, 100)), /length/);
+    t.exception(() => NostrUtils.encrypt(sec1, pub2, ''), /1 to 65535 bytes/);
+});
+
+test('decrypt detects legacy NIP-04 payloads', (t) => {
+    const sec1 = NostrUtils.generatePrivateKey();
+    const pub2 = NostrUtils.getPublicKey(NostrUtils.generatePrivateKey());
+    
+    const legacy = NostrUtils.encrypt(sec1, pub2, 'hello', { version: 'nip04' });
+    t.ok(legacy.includes('?iv='));
+    t.is(NostrUtils.decrypt(sec1, pub2, legacy), 'hello');
+    t.is(NostrUtils.decrypt(sec1, pub2, NostrUtils.encrypt(sec1, pub2, 'hello')), 'hello');
+});
@@ -0,0 +1,27 @@
+/**
+ * NIP-49 private key encryption checked against the test vector in the NIP
+ */
+
+import test from 'brittle';
+import './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+
+test('decrypt the NIP-49 test vector', async (t) => {
+    const ncryptsec = 'ncryptsec1qgg9947rlpvqu76pj5ecreduf9jxhselq2nae2kghhvd5g7dgjtcxfqtd67p9m0w57lspw8gsq6yphnm8623nsl8xn9j4jdzz84zm3frztj3z7s35vpzmqf6ksu8r89qk5z2zxfmu5gv8th8wclt0h4p';
+    t.ok(NostrUtils.isNcryptsec(ncryptsec));
+    t.is(await NostrUtils.decryptPrivateKey(ncryptsec, 'nostr'), '3501454135014541350145413501453fefb02227e449e57cf4d3a3ce05378683');
+    await t.exception(NostrUtils.decryptPrivateKey(ncryptsec, 'nostr!'), /Wrong passphrase/);
+});
+
+test('encrypt and decrypt round trip', async (t) => {
+    const privateKey = NostrUtils.generatePrivateKey();
+    
+    // Differently composed forms of the same characters are one passphrase after NFKC
+    const ncryptsec = await NostrUtils.encryptPrivateKey(privateKey, 'ÅΩẛ̣', { logN: 8, keySecurity: 0x01 });
+    t.ok(ncryptsec.startsWith('ncryptsec1'));
+    t.is(await NostrUtils.decryptPrivateKey(ncryptsec, 'ÅΩṩ'), privateKey);
+    
+    await t.exception(NostrUtils.encryptPrivateKey(privateKey, 'pw', { keySecurity: 0x03 }), /key security/);
+    await t.exception(NostrUtils.decryptPrivateKey(NostrUtils.nsecEncode(privateKey), 'pw'), /ncryptsec/);
+});
@@ -0,0 +1,257 @@
+/**
+ * Outbox publish states, with and without relays that must accept an event,
+ * the group relay NostrGroupClient requires for group messages, and the outbox each user has
+ */
+
+import test from 'brittle';
+import { until, quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import Outbox from '../Outbox.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+import LocalGroupRelay from '../LocalGroupRelay.js';
+import NostrGroupClient from '../NostrGroupClient.js';
+
+/**
+ * Stands in for WebSocketRelayManager, answering each publish with the relay's scripted reply
+ */
+class ScriptedManager {
+    constructor(answers) {
+        this.answers = answers; // Map of relay URL -> {success, message, retryable}
+    }
+    
+    onConnect() {}
+    
+    getRelays() {
+        return Object.keys(this.answers);
+    }
+    
+    async publish(event, options) {
+        const url = options.relays[0];
+        const answer = this.answers[url];
+        if (answer.success) return { success: true, results: [{ url, ...answer }] };
+        
+        const error = new Error(answer.message);
+        error.result = { success: false, results: [{ url, ...answer }] };
+        throw error;
+    }
+}
+
+const event = { id: 'e'.repeat(64), kind: 1, tags: [['h', 'group-a']], content: 'hello' };
+const accept = { success: true, message: '' };
+const rateLimited = { success: false, message: 'rate-limited: slow down', retryable: true };
+const blocked = { success: false, message: 'blocked: not a member', retryable: false };
+
+test('any relay accepting the event is enough without required relays', async (t) => {
+    quiet(t);
+    
+    const outbox = new Outbox(new ScriptedManager({ 'wss://a.example': accept, 'wss://b.example': rateLimited }), { storage: null });
+    t.teardown(() => outbox.discard(event.id));
+    
+    t.is(await outbox.send(event), 'sent');
+    t.is(outbox.get(event.id).relays['wss://b.example'].status, 'pending', 'the other relay is still retried');
+});
+
+test('a required relay decides when the event is sent', async (t) => {
+    quiet(t);
+    
+    const answers = { 'wss://a.example': accept, 'wss://group.example': rateLimited };
+    const outbox = new Outbox(new ScriptedManager(answers), { storage: null });
+    t.teardown(() => outbox.discard(event.id));
+    
+    t.is(await outbox.send(event, ['wss://a.example'], { required: ['wss://group.example'] }), 'pending');
+    t.alike(Object.keys(outbox.get(event.id).relays), ['wss://a.example', 'wss://group.example']);
+    t.is(outbox.getUnsent().length, 1);
+    
+    answers['wss://group.example'] = accept;
+    t.is(await outbox.retry(event.id), null, 'the event leaves the outbox once every relay accepted it');
+});
+
+test('a required relay refusing the event fails it even if others accepted', async (t) => {
+    quiet(t);
+    
+    const outbox = new Outbox(new ScriptedManager({ 'wss://a.example': accept, 'wss://group.example': blocked }), { storage: null });
+    t.teardown(() => outbox.discard(event.id));
+    
+    t.is(await outbox.send(event, undefined, { required: ['wss://group.example'] }), 'failed');
+    t.is(outbox.get(event.id).relays['wss://group.example'].error, 'blocked: not a member');
+});
+
+/**
+ * localStorage stand-in
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+    
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+    
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+test('an outbox switches between saved queues and clears its own', async (t) => {
+    quiet(t);
+    
+    const storage = new MemoryStorage();
+    const manager = new ScriptedManager({ 'wss://group.example': rateLimited });
+    const outbox = new Outbox(manager, { storage, storageKey: 'outbox:first' });
+    t.teardown(() => outbox.clear());
+    
+    t.is(await outbox.send(event), 'pending');
+    t.is(JSON.parse(storage.getItem('outbox:first')).length, 1);
+    
+    outbox.setStorageKey('outbox:second');
+    t.is(outbox.getUnsent().length, 0, 'the other queue starts empty');
+    t.is(outbox.retryTimer, null, 'the first queue is no longer retried');
+    t.is(JSON.parse(storage.getItem('outbox:first')).length, 1, 'but stays saved');
+    
+    outbox.setStorageKey('outbox:first');
+    t.alike(outbox.getUnsent().map(unsent => unsent.event.id), [event.id]);
+    
+    const changes = [];
+    outbox.onChange((eventId, state) => changes.push([eventId, state]));
+    outbox.clear();
+    t.is(outbox.getUnsent().length, 0);
+    t.is(storage.getItem('outbox:first'), null);
+    t.alike(changes, [[event.id, null]]);
+    
+    // Without a key nothing is saved
+    const unsaved = new Outbox(manager, { storage, storageKey: null });
+    t.teardown(() => unsaved.clear());
+    await unsaved.send(event);
+    t.alike([...storage.items.keys()], []);
+});
+
+/**
+ * Start a client on the given relays, removed again when the test ends
+ */
+async function startClient(t, transport, relayUrls) {
+    const privateKey = NostrUtils.generatePrivateKey();
+    const client = new NostrGroupClient(false, { transport });
+    await client.init({ pubkey: NostrUtils.getPublicKey(privateKey), privateKey, name: 'Alice' }, relayUrls);
+    t.teardown(async () => {
+        // Let history queries finish before the relays go away
+        await until(() => [...client.groupHistory.values()].every(history => !history.loading));
+        relayUrls.forEach(url => client.relayManager.removeRelay(url));
+    });
+    return client;
+}
+
+test('a group message waits for the NIP-29 relay named in the Hypertuna relay event', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const publicRelay = transport.addRelay('ws://public.test');
+    const groupRelay = transport.addRelay(LocalGroupRelay.DEFAULT_URL, new LocalGroupRelay({ storage: null }));
+    const client = await startClient(t, transport, ['ws://public.test', LocalGroupRelay.DEFAULT_URL]);
+    
+    const { groupId, hypertunaEvent } = await client.createGroup({ name: 'Hosted', about: '', isPublic: true, isOpen: true });
+    t.alike(hypertunaEvent.tags.find(tag => tag[0] === 'relay'), ['relay', LocalGroupRelay.DEFAULT_URL]);
+    t.is(client.getGroupRelay(groupId), LocalGroupRelay.DEFAULT_URL);
+    
+    // The group relay now refuses the author while the public relay still takes the message
+    groupRelay.getGroup(groupId).members.delete(client.user.pubkey);
+    const message = await client.sendGroupMessage(groupId, 'Only the group relay counts');
+    
+    t.is(publicRelay.query([{ ids: [message.id] }]).length, 1, 'the public relay accepted the message');
+    t.is(client.getPublishState(message.id), 'failed');
+    t.is(client.outbox.get(message.id).relays[LocalGroupRelay.DEFAULT_URL].error, 'restricted: only members can post to this group');
+    
+    // A client on the public relay alone learns the group relay from the Hypertuna relay event
+    const reader = await startClient(t, transport, ['ws://public.test']);
+    await until(() => reader.getGroupRelay(groupId));
+    t.is(reader.getGroupRelay(groupId), LocalGroupRelay.DEFAULT_URL);
+});
+
+test('the relay whose NIP-11 pubkey signs the group metadata hosts the group', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const groupRelay = transport.addRelay(LocalGroupRelay.DEFAULT_URL, new LocalGroupRelay({ storage: null }));
+    const creator = await startClient(t, transport, [LocalGroupRelay.DEFAULT_URL]);
+    const { groupId } = await creator.createGroup({ name: 'Signed', about: '', isPublic: true, isOpen: true });
+    
+    const client = await startClient(t, transport, [LocalGroupRelay.DEFAULT_URL]);
+    await until(() => client.getGroupById(groupId) && client.getGroupById(groupId).event.pubkey === groupRelay.relayPubkey);
+    
+    // Forget what the Hypertuna relay event said, leaving only the relay-signed 39000
+    client.groupRelays.clear();
+    t.is(client.getGroupRelay(groupId), LocalGroupRelay.DEFAULT_URL);
+});
+
+test('a group message is sent once any relay accepts it while the group relay is unknown', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    transport.addRelay('ws://public.test');
+    transport.addRelay('ws://other.test');
+    const client = await startClient(t, transport, ['ws://public.test', 'ws://other.test']);
+    
+    const { groupId, hypertunaEvent } = await client.createGroup({ name: 'Unhosted', about: '', isPublic: true, isOpen: true });
+    t.absent(hypertunaEvent.tags.find(tag => tag[0] === 'relay'), 'no connected relay supports NIP-29');
+    t.is(client.getGroupRelay(groupId), null);
+    
+    const message = await client.sendGroupMessage(groupId, 'Any relay will do');
+    t.is(client.getPublishState(message.id), null, 'every relay accepted it');
+});
+
+test('each user has their own outbox, and logging out clears it', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    transport.addRelay('ws://public.test');
+    const storage = new MemoryStorage();
+    
+    // Alice left a message unsent for a relay that has since gone away
+    const alice = NostrUtils.generatePrivateKey();
+    const alicePubkey = NostrUtils.getPublicKey(alice);
+    const unsent = await NostrUtils.signEvent({
+        kind: 1,
+        content: 'never arrived',
+        tags: [['h', 'group-a']],
+        created_at: Math.floor(Date.now() / 1000),
+        pubkey: alicePubkey
+    }, alice);
+    storage.setItem(`nostr_outbox:${alicePubkey}`, JSON.stringify([{
+        event: unsent,
+        createdAt: Date.now(),
+        required: [],
+        relays: { 'ws://gone.test': { status: 'pending', attempts: 0, error: null, nextAttempt: 0 } }
+    }]));
+    
+    const login = async (privateKey) => {
+        const client = new NostrGroupClient(false, { transport, outbox: { storage } });
+        await client.init({ pubkey: NostrUtils.getPublicKey(privateKey), privateKey, name: 'User' }, ['ws://public.test']);
+        t.teardown(async () => {
+            await until(() => !client.subscriptionPlanner.replanScheduled);
+            client.logout();
+            client.relayManager.removeRelay('ws://public.test');
+        });
+        return client;
+    };
+    
+    const bob = await login(NostrUtils.generatePrivateKey());
+    t.is(bob.outbox.getUnsent().length, 0, 'Bob does not inherit Alice\'s unsent events');
+    t.alike(bob.getGroupMessages('group-a'), []);
+    t.ok(storage.getItem(`nostr_outbox:${alicePubkey}`));
+    
+    const client = await login(alice);
+    t.is(client.outbox.storageKey, `nostr_outbox:${alicePubkey}`);
+    t.alike(client.outbox.getUnsent().map(entry => entry.event.id), [unsent.id]);
+    t.alike(client.getGroupMessages('group-a').map(message => message.id), [unsent.id], 'her unsent message is shown again');
+    
+    client.logout();
+    t.is(storage.getItem(`nostr_outbox:${alicePubkey}`), null);
+    t.is(client.outbox.getUnsent().length, 0);
+    t.is(client.signer, null);
+    await t.exception(client.sendGroupMessage('group-a', 'after logout'), /User not logged in/);
+});
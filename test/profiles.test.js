@@ -0,0 +1,200 @@
+/**
+ * NostrGroupClient profile and follow loading over InMemoryTransport, including finding
+ * authors on their NIP-65 write relays and publishing the user's own relay list
+ */
+
+import test from 'brittle';
+import { until, quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import NostrEvents from '../NostrEvents.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+import NostrGroupClient from '../NostrGroupClient.js';
+
+const alice = NostrUtils.generatePrivateKey();
+const bob = NostrUtils.generatePrivateKey();
+const carol = NostrUtils.generatePrivateKey();
+const pubkey = privateKey => NostrUtils.getPublicKey(privateKey);
+const now = Math.floor(Date.now() / 1000);
+
+function sign(privateKey, fields) {
+    return NostrUtils.signEvent({
+        content: '',
+        tags: [],
+        created_at: now,
+        ...fields,
+        pubkey: pubkey(privateKey)
+    }, privateKey);
+}
+
+/**
+ * Start a client for Alice on the given relays, removed again when the test ends
+ */
+async function startClient(t, transport, relayUrls) {
+    const client = new NostrGroupClient(false, { transport });
+    await client.init({ pubkey: pubkey(alice), privateKey: alice, name: 'Alice' }, relayUrls);
+    t.teardown(async () => {
+        // Let history queries finish before the relays go away
+        await until(() => [...client.groupHistory.values()].every(history => !history.loading));
+        client.relayManager.getTemporaryRelays().forEach(url => client.relayManager.removeRelay(url));
+        relayUrls.forEach(url => client.relayManager.removeRelay(url));
+    });
+    return client;
+}
+
+test('a profile is the newest readable kind 0 from any relay, without waiting for a timeout', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const first = transport.addRelay('ws://first.test');
+    const second = transport.addRelay('ws://second.test');
+    first.publish(await sign(bob, { kind: 0, content: JSON.stringify({ name: 'Old Bob' }), created_at: now - 100 }));
+    second.publish(await sign(bob, { kind: 0, content: JSON.stringify({ name: 'Bob' }), created_at: now - 50 }));
+    const client = await startClient(t, transport, ['ws://first.test', 'ws://second.test']);
+    
+    const started = Date.now();
+    t.is((await client.fetchUserProfile(pubkey(bob))).name, 'Bob');
+    t.ok(Date.now() - started < 1000, 'the relays\' EOSE ended the query');
+    t.is(client.cachedProfiles.get(pubkey(bob)).updated_at, now - 50);
+    
+    // A newer profile that doesn't parse is skipped for the next newest
+    second.publish(await sign(carol, { kind: 0, content: JSON.stringify({ name: 'Carol' }), created_at: now - 100 }));
+    first.publish(await sign(carol, { kind: 0, content: '{not json', created_at: now - 10 }));
+    t.is((await client.fetchUserProfile(pubkey(carol))).name, 'Carol');
+});
+
+test('an unknown author gets a default profile as soon as the relays answer', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    transport.addRelay('ws://empty.test');
+    const client = await startClient(t, transport, ['ws://empty.test']);
+    
+    const started = Date.now();
+    const profile = await client.fetchUserProfile(pubkey(bob));
+    t.ok(Date.now() - started < 1000);
+    t.alike(profile, { name: `User_${NostrUtils.truncatePubkey(pubkey(bob))}`, pubkey: pubkey(bob) });
+});
+
+test('follows come from the newest contact list', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay('ws://contacts.test');
+    relay.publish(await sign(alice, { kind: 3, tags: [['p', pubkey(bob)]], created_at: now - 100 }));
+    relay.publish(await sign(alice, { kind: 3, tags: [['p', pubkey(carol)], ['e', 'not a follow']], created_at: now - 10 }));
+    
+    const client = await startClient(t, transport, ['ws://contacts.test']);
+    t.alike([...client.follows], [pubkey(carol)]);
+    t.ok(client.relevantPubkeys.has(pubkey(carol)));
+});
+
+/**
+ * Record the REQs a relay receives
+ */
+function watch(relay) {
+    const seen = [];
+    const handleReq = relay._handleReq.bind(relay);
+    relay._handleReq = (connection, subscriptionId, filters) => {
+        seen.push(filters);
+        handleReq(connection, subscriptionId, filters);
+    };
+    return seen;
+}
+
+test('an author missing from our relays is found on their NIP-65 write relays', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const ours = transport.addRelay('ws://ours.test');
+    const home = transport.addRelay('ws://bob-home.test');
+    const seen = watch(home);
+    ours.publish(await sign(bob, {
+        kind: NostrEvents.KIND_RELAY_LIST,
+        tags: [['r', 'ws://bob-home.test/'], ['r', 'ws://bob-inbox.test', 'read'], ['r', 'ftp://nowhere.test'], ['r', 42]]
+    }));
+    home.publish(await sign(bob, { kind: 0, content: JSON.stringify({ name: 'Bob at home' }) }));
+    const client = await startClient(t, transport, ['ws://ours.test']);
+    
+    t.is((await client.fetchUserProfile(pubkey(bob))).name, 'Bob at home');
+    t.alike(client.getRelayList(pubkey(bob)), {
+        read: ['ws://bob-home.test', 'ws://bob-inbox.test'],
+        write: ['ws://bob-home.test'],
+        created_at: now
+    }, 'read-only and malformed relays are not written to');
+    t.alike(client.getWriteRelays(pubkey(bob)), ['ws://bob-home.test']);
+    t.ok(client.relayManager.isTemporaryRelay('ws://bob-home.test'));
+    t.alike(client.relayManager.getRelays().filter(url => url.includes('inbox')), [], 'read relays are not connected');
+    t.is(seen.length, 1, 'the write relay was asked once our relays came up empty');
+    
+    // With the relay list known, the write relays are asked along with ours
+    client.cachedProfiles.delete(pubkey(bob));
+    t.is((await client.fetchUserProfile(pubkey(bob))).name, 'Bob at home');
+    t.is(seen.length, 2);
+    t.absent(seen[1].some(filter => filter.kinds.includes(NostrEvents.KIND_RELAY_LIST)), 'the relay list is not asked for again');
+});
+
+test('write relays that are unreachable or beyond maxAuthorRelays are not waited for', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const ours = transport.addRelay('ws://ours.test');
+    const fourth = transport.addRelay('ws://fourth.test');
+    const seen = watch(fourth);
+    fourth.publish(await sign(carol, { kind: 0, content: JSON.stringify({ name: 'Carol' }) }));
+    ours.publish(await sign(carol, {
+        kind: NostrEvents.KIND_RELAY_LIST,
+        tags: ['one', 'two', 'three', 'fourth'].map(name => ['r', `ws://${name}.test`, 'write'])
+    }));
+    const client = await startClient(t, transport, ['ws://ours.test']);
+    
+    const started = Date.now();
+    const profile = await client.fetchUserProfile(pubkey(carol));
+    t.ok(Date.now() - started < 1000, 'failed connections did not hold up the query');
+    t.is(profile.name, `User_${NostrUtils.truncatePubkey(pubkey(carol))}`, 'only the first three write relays are tried');
+    t.alike(client.getWriteRelays(pubkey(carol)), ['ws://one.test', 'ws://two.test', 'ws://three.test']);
+    t.alike(client.relayManager.getTemporaryRelays(), [], 'relays that did not connect are dropped');
+    t.is(seen.length, 0);
+});
+
+test('an older relay list does not replace a newer one', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    transport.addRelay('ws://ours.test');
+    const client = await startClient(t, transport, ['ws://ours.test']);
+    const updates = [];
+    client.on('relaylist:update', update => updates.push(update));
+    
+    client._processRelayListEvent(await sign(bob, { kind: NostrEvents.KIND_RELAY_LIST, tags: [['r', 'ws://new.test']], created_at: now - 10 }));
+    client._processRelayListEvent(await sign(bob, { kind: NostrEvents.KIND_RELAY_LIST, tags: [['r', 'ws://old.test']], created_at: now - 20 }));
+    t.alike(client.getWriteRelays(pubkey(bob)), ['ws://new.test']);
+    t.is(updates.length, 1);
+    t.is(client.getRelayList(pubkey(carol)), null);
+    t.alike(client.getWriteRelays(pubkey(carol)), []);
+});
+
+test('the user\'s relay list is published, kept and marks read-only and write-only relays', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay('ws://ours.test');
+    const client = await startClient(t, transport, ['ws://ours.test']);
+    
+    const event = await client.publishRelayList([
+        'ws://ours.test',
+        { url: 'ws://inbox.test', read: true },
+        { url: 'ws://outbox.test', write: true }
+    ]);
+    t.is(event.kind, NostrEvents.KIND_RELAY_LIST);
+    t.alike(event.tags, [['r', 'ws://ours.test'], ['r', 'ws://inbox.test', 'read'], ['r', 'ws://outbox.test', 'write']]);
+    t.ok(await NostrUtils.verifySignature(event));
+    t.alike(client.getWriteRelays(pubkey(alice)), ['ws://ours.test', 'ws://outbox.test']);
+    await until(() => relay.query([{ kinds: [NostrEvents.KIND_RELAY_LIST] }]).length === 1);
+    
+    // Without a list the configured relays are published
+    const defaults = await client.publishRelayList();
+    t.alike(defaults.tags, [['r', 'ws://ours.test']]);
+    
+    await t.exception(new NostrGroupClient(false, { transport }).publishRelayList([]), /User not logged in/);
+});
@@ -0,0 +1,221 @@
+/**
+ * The signer interface across LocalSigner, Nip07Signer and Nip46Signer, and the NIP-46
+ * request flow against a fake remote signer listening on an InMemoryRelay
+ */
+
+import test from 'brittle';
+import { until, quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import NostrEvents from '../NostrEvents.js';
+import LocalSigner from '../LocalSigner.js';
+import Nip07Signer from '../Nip07Signer.js';
+import Nip46Signer from '../Nip46Signer.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+
+const url = 'ws://bunker.test';
+const userKey = NostrUtils.generatePrivateKey();
+const userPubkey = NostrUtils.getPublicKey(userKey);
+const peerKey = NostrUtils.generatePrivateKey();
+const peerPubkey = NostrUtils.getPublicKey(peerKey);
+
+/**
+ * Remote signer app holding the user's key, answering kind 24133 requests on an InMemoryRelay
+ * Each method's answer can be replaced with a function returning {result, error}, or null to stay silent
+ */
+class FakeBunker {
+    constructor(relay, options = {}) {
+        this.relay = relay;
+        this.privateKey = NostrUtils.generatePrivateKey();
+        this.pubkey = NostrUtils.getPublicKey(this.privateKey);
+        this.secret = options.secret || null;
+        this.requests = []; // Decrypted requests in arrival order
+        this.answers = {
+            connect: ([, secret]) => this.secret && secret !== this.secret
+                ? { error: 'invalid secret' }
+                : { result: secret || 'ack' },
+            get_public_key: () => ({ result: userPubkey }),
+            sign_event: async ([json]) => ({
+                result: JSON.stringify(await NostrUtils.signEvent({ ...JSON.parse(json), pubkey: userPubkey }, userKey))
+            }),
+            nip44_encrypt: ([pubkey, text]) => ({ result: NostrUtils.encrypt(userKey, pubkey, text) }),
+            nip44_decrypt: ([pubkey, payload]) => ({ result: NostrUtils.decrypt(userKey, pubkey, payload) })
+        };
+        
+        const connection = relay.openConnection(data => this._receive(JSON.parse(data)), () => {});
+        relay.handleMessage(connection, JSON.stringify(['REQ', 'bunker', { kinds: [NostrEvents.KIND_NOSTR_CONNECT], '#p': [this.pubkey] }]));
+    }
+    
+    get uri() {
+        return `bunker://${this.pubkey}?relay=${encodeURIComponent(url)}${this.secret ? `&secret=${this.secret}` : ''}`;
+    }
+    
+    /**
+     * Send a response to the client that made a request
+     */
+    async respond(request, answer) {
+        const content = NostrUtils.encrypt(this.privateKey, request.client, JSON.stringify({ id: request.id, ...answer }));
+        const event = await NostrEvents.createEvent(NostrEvents.KIND_NOSTR_CONNECT, content, [['p', request.client]], this.privateKey);
+        this.relay.publish(event);
+    }
+    
+    async _receive(message) {
+        if (message[0] !== 'EVENT' || message[1] !== 'bunker') return;
+        
+        const event = message[2];
+        const request = { ...JSON.parse(NostrUtils.decrypt(this.privateKey, event.pubkey, event.content)), client: event.pubkey };
+        this.requests.push(request);
+        
+        const answer = await this.answers[request.method](request.params, request);
+        if (answer) {
+            await this.respond(request, answer);
+        }
+    }
+}
+
+/**
+ * Serve a fake bunker and create a signer for it, closed when the test ends
+ */
+function setup(t, options = {}) {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const bunker = new FakeBunker(transport.addRelay(url), options);
+    const signer = new Nip46Signer(bunker.uri, { transport, timeout: 500, ...options.signer });
+    t.teardown(() => signer.close());
+    return { bunker, signer };
+}
+
+/**
+ * Check a signer meets the interface in LocalSigner.js
+ */
+async function checkSigner(t, signer) {
+    t.is(await signer.getPublicKey(), userPubkey);
+    
+    const signed = await signer.signEvent({ kind: 1, content: 'signed', tags: [['t', 'test']], created_at: 1700000000 });
+    t.is(signed.pubkey, userPubkey);
+    t.alike(signed.tags, [['t', 'test']]);
+    t.ok(await NostrUtils.verifySignature(signed), 'the signature is valid');
+    
+    const payload = await signer.nip44Encrypt(peerPubkey, 'for the peer');
+    t.is(NostrUtils.decrypt(peerKey, userPubkey, payload), 'for the peer');
+    t.is(await signer.nip44Decrypt(peerPubkey, NostrUtils.encrypt(peerKey, userPubkey, 'from the peer')), 'from the peer');
+}
+
+test('LocalSigner implements the signer interface', async (t) => {
+    const signer = new LocalSigner(userKey);
+    await checkSigner(t, signer);
+    
+    const ciphertext = await signer.nip04Encrypt(peerPubkey, 'legacy');
+    t.ok(ciphertext.includes('?iv='));
+    t.is(await signer.nip04Decrypt(peerPubkey, ciphertext), 'legacy');
+});
+
+test('Nip07Signer forwards to the extension and names what it lacks', async (t) => {
+    const local = new LocalSigner(userKey);
+    let asked = 0;
+    const extension = {
+        getPublicKey: async () => {
+            asked++;
+            return userPubkey;
+        },
+        signEvent: event => local.signEvent(event),
+        nip44: {
+            encrypt: (pubkey, text) => local.nip44Encrypt(pubkey, text),
+            decrypt: (pubkey, payload) => local.nip44Decrypt(pubkey, payload)
+        }
+    };
+    
+    const signer = new Nip07Signer(extension);
+    await checkSigner(t, signer);
+    t.is(asked, 1, 'the public key is only asked for once');
+    
+    await t.exception(signer.nip04Encrypt(peerPubkey, 'legacy'), /does not support nip04/);
+    await t.exception(new Nip07Signer(null).getPublicKey(), /No NIP-07 extension found/);
+});
+
+test('Nip46Signer implements the signer interface through a remote signer', async (t) => {
+    const { bunker, signer } = setup(t, { secret: 'one-time' });
+    await checkSigner(t, signer);
+    
+    t.alike(bunker.requests[0].params, [bunker.pubkey, 'one-time'], 'connect carries the bunker secret');
+    t.is(signer.secret, null, 'the secret is only used once');
+    t.absent(signer.getBunkerUri().includes('secret'));
+    t.is(bunker.requests.filter(request => request.method === 'get_public_key').length, 1);
+    t.ok(bunker.requests.every(request => request.client === signer.clientSigner.pubkey));
+});
+
+test('Nip46Signer matches answers to requests by id', async (t) => {
+    const { bunker, signer } = setup(t);
+    await signer.connect();
+    
+    // Hold both answers, then send them in reverse order
+    const held = [];
+    bunker.answers.nip44_decrypt = (params, request) => {
+        held.push(request);
+        return null;
+    };
+    const first = signer.nip44Decrypt(peerPubkey, 'first');
+    const second = signer.nip44Decrypt(peerPubkey, 'second');
+    await until(() => held.length === 2);
+    
+    // Answers from anyone but the remote signer are ignored
+    await new FakeBunker(bunker.relay).respond(held[0], { result: 'forged' });
+    
+    await bunker.respond(held[1], { result: 'answer to second' });
+    await bunker.respond(held[0], { result: 'answer to first' });
+    t.is(await first, 'answer to first');
+    t.is(await second, 'answer to second');
+    t.is(signer.pending.size, 0);
+});
+
+test('Nip46Signer reports refusals, a wrong secret and silence', async (t) => {
+    const { bunker, signer } = setup(t, { secret: 'right' });
+    bunker.secret = 'other';
+    await t.exception(signer.connect(), /Remote signer refused connect: invalid secret/);
+    t.is(signer.connection, null, 'a failed connect can be retried');
+    
+    bunker.secret = 'right';
+    await signer.connect();
+    bunker.answers.sign_event = () => ({ error: 'user declined' });
+    await t.exception(signer.signEvent({ kind: 1, content: '', tags: [], created_at: 1 }), /Remote signer refused sign_event: user declined/);
+    
+    bunker.answers.nip44_encrypt = () => null;
+    await t.exception(signer.nip44Encrypt(peerPubkey, 'unanswered'), /Remote signer did not answer nip44_encrypt/);
+    t.is(signer.pending.size, 0);
+});
+
+test('Nip46Signer passes https approval URLs on and refuses others', async (t) => {
+    const approvals = [];
+    const { bunker, signer } = setup(t, { signer: { onAuthUrl: approvalUrl => approvals.push(approvalUrl) } });
+    await signer.connect();
+    
+    // Approval first, then the real answer once the user has approved
+    bunker.answers.sign_event = async (params, request) => {
+        await bunker.respond(request, { result: 'auth_url', error: 'https://signer.example/approve' });
+        setTimeout(async () => {
+            await bunker.respond(request, { result: JSON.stringify({ approved: true }) });
+        }, 20);
+        return null;
+    };
+    t.alike(await signer.signEvent({ kind: 1, content: '', tags: [], created_at: 1 }), { approved: true });
+    t.alike(approvals, ['https://signer.example/approve']);
+    
+    for (const approvalUrl of ['javascript:alert(1)', 'http://signer.example/approve', 'not a url']) {
+        bunker.answers.sign_event = () => ({ result: 'auth_url', error: approvalUrl });
+        await t.exception(signer.signEvent({ kind: 1, content: '', tags: [], created_at: 1 }), /not https/);
+    }
+    t.is(approvals.length, 1, 'only the https URL reached the user');
+    t.is(signer.pending.size, 0);
+});
+
+test('bunker URIs are validated', (t) => {
+    const pubkey = 'a'.repeat(64);
+    t.alike(Nip46Signer.parseBunkerUri(`bunker://${pubkey}?relay=wss%3A%2F%2Fr.example%2F&relay=ftp://x&secret=s`), {
+        remotePubkey: pubkey,
+        relays: ['wss://r.example'],
+        secret: 's'
+    });
+    t.exception(() => Nip46Signer.parseBunkerUri(`bunker://${pubkey}`), /no relay given/);
+    t.exception(() => Nip46Signer.parseBunkerUri('bunker://npub1?relay=wss://r.example'), /expected bunker/);
+});
@@ -0,0 +1,265 @@
+/**
+ * SubscriptionPlanner merging, chunking, routing and per-relay splitting,
+ * how the relay manager replays a planned wire subscription after reconnecting,
+ * and how NostrGroupClient splits a wire a relay refuses
+ */
+
+import test from 'brittle';
+import { until, quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import SubscriptionPlanner from '../SubscriptionPlanner.js';
+import WebSocketRelayManager from '../WebSocketRelayManager.js';
+import InMemoryRelay from '../InMemoryRelay.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+import NostrGroupClient from '../NostrGroupClient.js';
+
+/**
+ * Stands in for WebSocketRelayManager, keeping the subscriptions the planner opens
+ */
+class RecordingManager {
+    constructor() {
+        this.subscriptions = new Map(); // Map of subscription ID -> {filters, callback, options}
+        this.relayInfo = new Map(); // Map of relay URL -> NIP-11 document
+    }
+    
+    onRelayInfo() {}
+    
+    getRelays() {
+        return Array.from(this.relayInfo.keys());
+    }
+    
+    getRelayInfo(url) {
+        return this.relayInfo.get(url) || null;
+    }
+    
+    subscribe(subscriptionId, filters, callback, options = {}) {
+        this.subscriptions.set(subscriptionId, { filters, callback, options });
+        return subscriptionId;
+    }
+    
+    unsubscribe(subscriptionId) {
+        this.subscriptions.delete(subscriptionId);
+    }
+}
+
+function pubkeys(count) {
+    return Array.from({ length: count }, (_, i) => i.toString(16).padStart(64, '0'));
+}
+
+function event(fields) {
+    return { id: NostrUtils.generateRandomId(), pubkey: '0'.repeat(64), kind: 1, created_at: 1000, tags: [], content: '', ...fields };
+}
+
+test('filters that differ only in their lists share one wire subscription', (t) => {
+    quiet(t);
+    
+    const manager = new RecordingManager();
+    const planner = new SubscriptionPlanner(manager);
+    
+    planner.add('members-a', [{ kinds: [39002, 39001], '#d': ['group-a'], since: 100 }], () => {});
+    planner.add('members-b', [{ kinds: [39001, 39002], '#d': ['group-b'], since: 50 }], () => {});
+    planner.add('latest', [{ kinds: [39002], '#d': ['group-c'], limit: 10 }], () => {});
+    planner.replan();
+    
+    const plan = planner.getPlan();
+    t.is(plan.length, 2, 'a filter with a limit is never merged');
+    
+    const merged = plan.find(wire => wire.logicalIds.length === 2);
+    t.alike(merged.filters, [{ kinds: [39002, 39001], '#d': ['group-a', 'group-b'], since: 50 }]);
+    t.alike(merged.logicalIds.sort(), ['members-a', 'members-b']);
+    t.alike(planner.getWireSubscriptions('members-b'), [merged.wireId]);
+    t.alike(manager.subscriptions.get(merged.wireId).filters, merged.filters);
+    
+    // Removing one side narrows the same wire rather than opening a new one
+    planner.remove('members-b');
+    planner.replan();
+    t.alike(manager.subscriptions.get(merged.wireId).filters, [{ kinds: [39002, 39001], '#d': ['group-a'], since: 100 }]);
+    
+    planner.clear();
+    t.is(manager.subscriptions.size, 0);
+});
+
+test('lists over 100 values are chunked, and chunks past max_filters spill into more wires', (t) => {
+    quiet(t);
+    
+    const manager = new RecordingManager();
+    const planner = new SubscriptionPlanner(manager);
+    const authors = pubkeys(250);
+    
+    planner.add('profiles', [{ kinds: [0], authors }], () => {});
+    planner.replan();
+    
+    let plan = planner.getPlan();
+    t.is(plan.length, 1);
+    t.alike(plan[0].filters.map(filter => filter.authors.length), [100, 100, 50]);
+    t.alike(plan[0].filters.flatMap(filter => filter.authors), authors);
+    
+    // A relay that allows two filters per REQ needs a second wire for the last chunk
+    manager.relayInfo.set('wss://strict.example', { limitation: { max_filters: 2 } });
+    planner.replan();
+    
+    plan = planner.getPlan();
+    t.alike(plan.map(wire => wire.filters.length), [2, 1]);
+    t.is(plan[1].wireId, `${plan[0].wireId}-1`);
+    t.alike(planner.getWireSubscriptions('profiles'), plan.map(wire => wire.wireId));
+});
+
+test('events are routed back to the logical subscriptions they match, once each', (t) => {
+    quiet(t);
+    
+    const manager = new RecordingManager();
+    const planner = new SubscriptionPlanner(manager);
+    const received = { a: [], b: [] };
+    
+    planner.add('a', [{ kinds: [1], '#h': ['group-a'] }], (ev, relayUrl, id) => received.a.push([ev.id, relayUrl, id]));
+    planner.add('b', [{ kinds: [1], '#h': ['group-b'] }], (ev, relayUrl) => received.b.push([ev.id, relayUrl]));
+    planner.replan();
+    
+    const [wire] = planner.getPlan();
+    const deliver = manager.subscriptions.get(wire.wireId).callback;
+    const message = event({ tags: [['h', 'group-a']] });
+    
+    deliver(message, 'wss://one.example');
+    deliver(message, 'wss://two.example');
+    deliver(event({ tags: [['h', 'group-x']] }), 'wss://one.example');
+    
+    t.alike(received.a, [[message.id, 'wss://one.example', 'a']], 'the copy from a second relay is dropped');
+    t.alike(received.b, []);
+    
+    // Wires the planner no longer has deliver nothing
+    planner.clear();
+    deliver(event({ tags: [['h', 'group-b']] }), 'wss://one.example');
+    t.alike(received.b, []);
+});
+
+test('splitOnRelay re-issues a wire as one subscription per filter on that relay', (t) => {
+    quiet(t);
+    
+    const manager = new RecordingManager();
+    const planner = new SubscriptionPlanner(manager);
+    const received = [];
+    
+    const authors = pubkeys(150);
+    
+    // Chunking gives the wire two filters
+    planner.add('feed', [{ kinds: [1], authors }], (ev) => received.push(ev.id));
+    planner.add('single', [{ kinds: [0], authors: pubkeys(1) }], () => {});
+    planner.replan();
+    
+    const wireId = planner.getWireSubscriptions('feed')[0];
+    const single = planner.getWireSubscriptions('single')[0];
+    t.absent(planner.splitOnRelay('wss://strict.example', single), 'a single filter cannot be split');
+    
+    t.ok(planner.splitOnRelay('wss://strict.example', wireId));
+    t.absent(planner.splitOnRelay('wss://strict.example', wireId), 'a relay is only split once');
+    
+    const splits = [`${wireId}.0`, `${wireId}.1`];
+    splits.forEach((splitId, index) => {
+        const subscription = manager.subscriptions.get(splitId);
+        t.alike(subscription.filters, [planner.getPlan().find(wire => wire.wireId === wireId).filters[index]]);
+        t.alike(subscription.options.relays, ['wss://strict.example']);
+        t.ok(planner.hasWireSubscription(splitId));
+    });
+    
+    const note = event({ pubkey: authors[120] });
+    manager.subscriptions.get(splits[1]).callback(note, 'wss://strict.example');
+    t.alike(received, [note.id]);
+    
+    // Changing the wire's filters drops its splits
+    planner.add('feed', [{ kinds: [1], authors: pubkeys(160) }], () => {});
+    planner.replan();
+    t.absent(manager.subscriptions.has(splits[0]));
+    t.absent(planner.hasWireSubscription(splits[0]));
+});
+
+test('a wire whose filters changed while its relay was down is replayed without the old since', async (t) => {
+    quiet(t);
+    
+    const url = 'ws://in-memory.test';
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay(url);
+    const manager = new WebSocketRelayManager({ transport, verifyEvents: false, reconnect: { baseDelay: 10, jitter: 0 } });
+    const planner = new SubscriptionPlanner(manager);
+    t.teardown(() => manager.removeRelay(url));
+    
+    const [groupA, groupB] = ['group-a', 'group-b'];
+    relay.publish(event({ kind: 39001, tags: [['d', groupB]], created_at: 1000 }));
+    relay.publish(event({ kind: 39001, tags: [['d', groupA]], created_at: 2000 }));
+    
+    await manager.addRelay(url);
+    const received = [];
+    const callback = (ev) => received.push(ev.tags[0][1]);
+    planner.add(`admins-${groupA}`, [{ kinds: [39001], '#d': [groupA] }], callback);
+    planner.replan();
+    await until(() => received.length === 1);
+    
+    // A group is added while the relay is down; the merged wire keeps its ID
+    relay.disconnectAll();
+    await until(() => manager.getRelayStatus(url) !== 'open');
+    planner.add(`admins-${groupB}`, [{ kinds: [39001], '#d': [groupB] }], callback);
+    planner.replan();
+    
+    await until(() => received.includes(groupB));
+    t.alike(received.sort(), [groupA, groupB], 'the older event for the new group still arrives');
+});
+
+test('a per-relay since is the earliest any merged filter needs from that relay', (t) => {
+    quiet(t);
+    
+    const manager = new RecordingManager();
+    const planner = new SubscriptionPlanner(manager);
+    const stored = { 'group-a': { 'wss://one.example': 500, 'wss://two.example': 700 }, 'group-b': { 'wss://one.example': 300 } };
+    const since = (relayUrl, filter) => stored[filter['#d'][0]][relayUrl] || null;
+    
+    planner.add('members-a', [{ kinds: [39002], '#d': ['group-a'] }], () => {}, { since });
+    planner.add('members-b', [{ kinds: [39002], '#d': ['group-b'] }], () => {}, { since });
+    planner.replan();
+    
+    const [wire] = planner.getPlan();
+    const relaySince = manager.subscriptions.get(wire.wireId).options.since;
+    t.is(relaySince('wss://one.example'), 300);
+    t.is(relaySince('wss://two.example'), null, 'group-b has nothing from this relay yet');
+    
+    // A filter's own since still counts, and a filter without a lookup needs everything
+    planner.add('members-b', [{ kinds: [39002], '#d': ['group-b'], since: 400 }], () => {}, { since });
+    planner.replan();
+    t.is(relaySince('wss://one.example'), 400);
+    t.is(relaySince('wss://two.example'), 400);
+    
+    planner.add('members-c', [{ kinds: [39002], '#d': ['group-c'] }], () => {});
+    planner.replan();
+    t.is(manager.subscriptions.get(wire.wireId).options.since('wss://one.example'), null);
+});
+
+test('NostrGroupClient splits a wire a relay closes for too many filters', async (t) => {
+    quiet(t);
+    
+    // The relay enforces max_filters without advertising it, so only its CLOSED tells us
+    const url = 'ws://strict.test';
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay(url, new InMemoryRelay({ info: { limitation: { max_filters: 1 } } }));
+    transport.fetchRelayInfo = async () => ({ supported_nips: [1, 11] });
+    
+    const privateKey = NostrUtils.generatePrivateKey();
+    const client = new NostrGroupClient(false, { transport });
+    await client.init({ pubkey: NostrUtils.getPublicKey(privateKey), privateKey, name: 'Alice' }, [url]);
+    t.teardown(() => client.relayManager.removeRelay(url));
+    
+    // 150 authors are chunked into two filters on one wire
+    const author = NostrUtils.generatePrivateKey();
+    const authors = [...pubkeys(149), NostrUtils.getPublicKey(author)];
+    const received = [];
+    client.subscriptionPlanner.add('profiles', [{ kinds: [0], authors }], ev => received.push(ev.pubkey));
+    client.subscriptionPlanner.replan();
+    const [wireId] = client.subscriptionPlanner.getWireSubscriptions('profiles');
+    t.is(client.subscriptionPlanner.getPlan().find(wire => wire.wireId === wireId).filters.length, 2);
+    
+    await until(() => client.relayManager.getSubscriptionState(`${wireId}.1`)[url]);
+    t.is(client.relayManager.getSubscriptionState(wireId)[url].reason, 'error: too many filters (max 1)');
+    
+    relay.publish(await NostrUtils.signEvent({ kind: 0, content: '{}', tags: [], created_at: 1000, pubkey: authors[149] }, author));
+    await until(() => received.length === 1);
+    t.alike(received, [authors[149]], 'events arrive through the split subscriptions');
+    t.ok([...[...relay.connections][0].subscriptions.values()].every(filters => filters.length === 1));
+});
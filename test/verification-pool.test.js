@@ -0,0 +1,149 @@
+/**
+ * VerificationPool batching across workers, its in-thread fallback, and recovery from worker failures
+ */
+
+import test from 'brittle';
+import { quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import VerificationPool from '../VerificationPool.js';
+
+const privateKey = NostrUtils.generatePrivateKey();
+
+const fallback = {
+    hash: event => NostrUtils.getEventHashInThread(event),
+    verify: event => NostrUtils.verifySignatureInThread(event)
+};
+
+function note(content) {
+    return NostrUtils.signEvent({
+        kind: 1,
+        content,
+        tags: [],
+        created_at: 1700000000,
+        pubkey: NostrUtils.getPublicKey(privateKey)
+    }, privateKey);
+}
+
+// Signed up front, so the shared pool NostrUtils signs with never meets a fake worker
+const events = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(note));
+const forged = { ...(await note('original')), content: 'forged' };
+
+/**
+ * Stands in for the web worker, answering with the in-thread implementations
+ * behave: 'answer' (default), 'error' to post an error, 'crash' to fail the worker, 'throw' in the constructor
+ */
+class FakeWorker {
+    static behave = 'answer';
+    static instances = [];
+    
+    constructor(url, options) {
+        if (FakeWorker.behave === 'throw') throw new Error('workers are disabled');
+        
+        this.url = url;
+        this.options = options;
+        this.messages = [];
+        this.terminated = false;
+        FakeWorker.instances.push(this);
+    }
+    
+    postMessage(data) {
+        this.messages.push(data);
+        setTimeout(async () => {
+            if (this.terminated) return;
+            if (FakeWorker.behave === 'crash') {
+                this.onerror(new Error('worker crashed'));
+                return;
+            }
+            if (FakeWorker.behave === 'error') {
+                this.onmessage({ data: { id: data.id, error: 'out of memory' } });
+                return;
+            }
+            
+            const handler = data.type === 'hash' ? fallback.hash : fallback.verify;
+            const results = [];
+            for (const event of data.events) {
+                results.push(await handler(event));
+            }
+            this.onmessage({ data: { id: data.id, results } });
+        }, 0);
+    }
+    
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+/**
+ * Install FakeWorker as the global Worker until the test ends
+ */
+function useFakeWorkers(t, behave = 'answer') {
+    quiet(t);
+    
+    FakeWorker.behave = behave;
+    FakeWorker.instances = [];
+    globalThis.Worker = FakeWorker;
+    t.teardown(() => {
+        delete globalThis.Worker;
+    });
+}
+
+test('without workers events are hashed and verified on the calling thread', async (t) => {
+    quiet(t);
+    
+    const pool = new VerificationPool({ fallback });
+    t.alike(await pool.verifyBatch([events[0], forged]), [true, false]);
+    t.is(await pool.hash(events[0]), events[0].id);
+    t.is(pool.useWorkers, false);
+    t.alike(await NostrUtils.verifySignatures([forged, events[0]]), [false, true], 'NostrUtils uses the shared pool');
+});
+
+test('requests made together are sent to the workers in batches, in turn', async (t) => {
+    useFakeWorkers(t);
+    
+    const pool = new VerificationPool({ fallback, size: 2, batchSize: 2 });
+    t.teardown(() => pool.terminate());
+    
+    t.alike(await pool.verifyBatch(events), [true, true, true, true, true]);
+    t.alike(await pool.hashBatch(events.slice(0, 2)), events.slice(0, 2).map(event => event.id));
+    
+    const [first, second] = FakeWorker.instances;
+    t.is(FakeWorker.instances.length, 2);
+    t.alike(first.messages.map(message => [message.type, message.events.length]), [['verify', 2], ['verify', 1]]);
+    t.alike(second.messages.map(message => [message.type, message.events.length]), [['verify', 2], ['hash', 2]]);
+    t.is(first.options.type, 'module');
+});
+
+test('a batch a worker could not finish is redone on the calling thread', async (t) => {
+    useFakeWorkers(t, 'error');
+    
+    const pool = new VerificationPool({ fallback, size: 1 });
+    t.teardown(() => pool.terminate());
+    
+    t.is(await pool.verify(events[0]), true);
+    t.is(pool.useWorkers, true, 'the worker is kept for later batches');
+});
+
+test('a crashed worker pool falls back to the calling thread for good', async (t) => {
+    useFakeWorkers(t, 'crash');
+    
+    const pool = new VerificationPool({ fallback, size: 2 });
+    t.alike(await pool.verifyBatch(events.slice(0, 2)), [true, true], 'pending batches finish in the thread');
+    t.is(pool.useWorkers, false);
+    t.ok(FakeWorker.instances.every(worker => worker.terminated));
+    
+    t.is(await pool.hash(events[0]), events[0].id);
+    t.is(FakeWorker.instances.length, 2, 'no new workers are started');
+});
+
+test('workers that cannot start, and a pool without a fallback', async (t) => {
+    useFakeWorkers(t, 'throw');
+    
+    const pool = new VerificationPool({ fallback });
+    t.is(await pool.verify(events[0]), true);
+    t.is(pool.useWorkers, false);
+    
+    delete globalThis.Worker;
+    const bare = new VerificationPool();
+    await t.exception(bare.verify(events[0]), /No in-thread fallback configured/);
+});
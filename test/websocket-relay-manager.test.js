@@ -0,0 +1,666 @@
+/**
+ * WebSocketRelayManager over InMemoryTransport: NIP-42 AUTH against relays that require it,
+ * reconnection backoff, per-relay send queues, inbound event verification, one-shot queries,
+ * subscription state, NIP-11 relay information and relay health stats
+ */
+
+import test from 'brittle';
+import { until, quiet } from './helpers.js';
+
+import { NostrUtils } from '../NostrUtils.js';
+import LocalSigner from '../LocalSigner.js';
+import InMemoryRelay from '../InMemoryRelay.js';
+import InMemoryTransport from '../InMemoryTransport.js';
+import WebSocketRelayManager from '../WebSocketRelayManager.js';
+import WebSocketTransport from '../WebSocketTransport.js';
+
+const url = 'ws://relay.test';
+const alice = NostrUtils.generatePrivateKey();
+
+/**
+ * Serve a relay and create a manager for it, both shut down when the test ends
+ * @param {Object} relayOptions - InMemoryRelay options
+ * @param {Object} managerOptions - WebSocketRelayManager options
+ */
+function setup(t, relayOptions = {}, managerOptions = {}) {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay(url, new InMemoryRelay(relayOptions));
+    const manager = new WebSocketRelayManager({ transport, relayInfoWait: 0, ...managerOptions });
+    t.teardown(() => manager.removeRelay(url));
+    return { transport, relay, manager };
+}
+
+/**
+ * A signer that holds every signature until released, like a user slow to approve
+ */
+function gatedSigner(privateKey) {
+    const signer = new LocalSigner(privateKey);
+    let release;
+    const gate = new Promise(resolve => {
+        release = resolve;
+    });
+    
+    const gated = {
+        requests: 0, // Signatures asked for, released or not
+        release,
+        getPublicKey: () => signer.getPublicKey(),
+        signEvent: async (event) => {
+            gated.requests++;
+            await gate;
+            return signer.signEvent(event);
+        }
+    };
+    return gated;
+}
+
+function note(content) {
+    return new LocalSigner(alice).signEvent({ kind: 1, content, tags: [], created_at: Math.floor(Date.now() / 1000) });
+}
+
+test('events for a relay that requires AUTH wait until the challenge is answered', async (t) => {
+    const { relay, manager } = setup(t, { requireAuth: true, info: { limitation: { auth_required: true } } });
+    const signer = gatedSigner(alice);
+    manager.setSigner(signer);
+    await manager.addRelay(url);
+    await until(() => manager.getRelayAuthStatus(url) === 'pending');
+    
+    const event = await note('after auth');
+    const published = manager.publish(event);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    t.is(relay.query([{ ids: [event.id] }]).length, 0, 'nothing is sent before AUTH');
+    
+    signer.release();
+    const result = await published;
+    t.ok(result.success);
+    t.is(manager.getRelayAuthStatus(url), 'authenticated');
+    t.is([...relay.connections][0].authenticated, NostrUtils.getPublicKey(alice));
+    t.is(relay.query([{ ids: [event.id] }]).length, 1);
+});
+
+test('auth-required OK and CLOSED are replayed after a successful AUTH', async (t) => {
+    const { relay, manager } = setup(t, { requireAuth: true });
+    const stored = await note('stored');
+    relay.publish(stored);
+    
+    const signer = gatedSigner(alice);
+    manager.setSigner(signer);
+    await manager.addRelay(url);
+    
+    const closed = [];
+    const received = [];
+    manager.subscribe('notes', [{ kinds: [1] }], event => received.push(event.id), {
+        onClosed: (relayUrl, subscriptionId, reason) => closed.push(reason)
+    });
+    const event = await note('replayed');
+    const published = manager.publish(event);
+    
+    await until(() => closed.length === 1);
+    t.is(closed[0], 'auth-required: authenticate to read');
+    t.is(received.length, 0);
+    
+    signer.release();
+    t.ok((await published).success, 'the event was accepted once we authenticated');
+    await until(() => received.includes(stored.id));
+    t.is(manager.getSubscriptionState('notes')[url].state, 'eose', 'the subscription was re-sent');
+});
+
+test('a rejected AUTH fails the waiting publishes with the relay\'s reason', async (t) => {
+    const { manager } = setup(t, { requireAuth: true, authorize: () => false }, { authPublishTimeout: 60000 });
+    manager.setSigner(new LocalSigner(alice));
+    await manager.addRelay(url);
+    await until(() => manager.getRelayAuthStatus(url) === 'failed');
+    
+    const started = Date.now();
+    const error = await manager.publish(await note('refused')).catch(e => e);
+    t.ok(Date.now() - started < 5000, 'the publish did not wait for its timeout');
+    t.is(error.result.results[0].message, 'restricted: this pubkey may not use the relay');
+    t.is(manager.getRelayAuthStatus(url), 'failed');
+});
+
+test('a signer declining AUTH fails the waiting publishes', async (t) => {
+    const { manager } = setup(t, { requireAuth: true, info: { limitation: { auth_required: true } } }, { authPublishTimeout: 60000 });
+    let declined = 0;
+    manager.setSigner({
+        getPublicKey: async () => NostrUtils.getPublicKey(alice),
+        signEvent: async () => {
+            declined++;
+            throw new Error('User rejected');
+        }
+    });
+    await manager.addRelay(url);
+    await until(() => manager.getRelayAuthStatus(url) === 'failed');
+    
+    const error = await manager.publish(await note('declined')).catch(e => e);
+    t.ok(declined >= 2, 'the publish asked the signer again');
+    t.is(error.result.results[0].message, 'error: authentication declined: User rejected');
+    t.is(error.result.results[0].retryable, true);
+});
+
+test('an AUTH the closed socket could not take is answered on the next connection', async (t) => {
+    const { relay, manager } = setup(t, { requireAuth: true }, { reconnect: { baseDelay: 200, jitter: 0 } });
+    const signer = gatedSigner(alice);
+    manager.setSigner(signer);
+    await manager.addRelay(url);
+    await until(() => manager.getRelayAuthStatus(url) === 'pending');
+    
+    relay.disconnectAll();
+    await until(() => manager.getRelayStatus(url) === 'closed');
+    
+    signer.release();
+    await until(() => manager.getRelayAuthStatus(url) === 'none');
+    t.pass('the dead challenge was dropped instead of left as challenged');
+    
+    await until(() => manager.getRelayAuthStatus(url) === 'authenticated');
+    t.is(signer.requests, 2, 'the new connection\'s challenge was answered');
+    t.ok((await manager.publish(await note('reconnected'))).success);
+});
+
+/**
+ * Record when the manager opens each connection
+ */
+function recordConnects(transport) {
+    const attempts = [];
+    const connect = transport.connect.bind(transport);
+    transport.connect = (relayUrl) => {
+        attempts.push(Date.now());
+        return connect(relayUrl);
+    };
+    return attempts;
+}
+
+test('reconnection backs off exponentially with jitter and starts over once connected', async (t) => {
+    const { transport, relay, manager } = setup(t, {}, { reconnect: { baseDelay: 40, maxDelay: 160, jitter: 0.25 } });
+    await manager.addRelay(url);
+    const attempts = recordConnects(transport);
+    let closedAt = null;
+    manager.onDisconnect(() => {
+        closedAt = closedAt || Date.now();
+    });
+    
+    // Nothing answers while the relay is down
+    transport.removeRelay(url);
+    await until(() => attempts.length === 4);
+    const gaps = attempts.map((at, index) => at - (index === 0 ? closedAt : attempts[index - 1]));
+    [40, 80, 160, 160].forEach((backoff, index) => {
+        t.ok(gaps[index] >= backoff * 0.75 && gaps[index] <= backoff + 40,
+            `attempt ${index + 1} waited ${gaps[index]}ms for a ${backoff}ms backoff`);
+    });
+    
+    transport.addRelay(url, relay);
+    await until(() => manager.getRelayStatus(url) === 'open');
+    
+    closedAt = null;
+    attempts.length = 0;
+    relay.disconnectAll();
+    await until(() => attempts.length === 1);
+    t.ok(attempts[0] - closedAt <= 40 + 40, 'the next outage starts from the base delay again');
+});
+
+test('a relay that keeps failing is marked dead until it is added again', async (t) => {
+    const { transport, relay, manager } = setup(t, {}, { reconnect: { baseDelay: 10, maxAttempts: 2 } });
+    await manager.addRelay(url);
+    const attempts = recordConnects(transport);
+    const dead = [];
+    manager.onRelayDead(relayUrl => dead.push(relayUrl));
+    
+    transport.removeRelay(url);
+    await until(() => manager.getRelayStatus(url) === 'dead');
+    t.is(attempts.length, 2);
+    t.alike(dead, [url]);
+    
+    transport.addRelay(url, relay);
+    await manager.addRelay(url);
+    t.is(manager.getRelayStatus(url), 'open', 'adding it again gives it fresh attempts');
+});
+
+test('connecting fails when the socket closes without an error event', async (t) => {
+    quiet(t);
+    
+    // Closes before opening, like a refused upgrade in some WebSocket implementations
+    const silent = {
+        connect: () => {
+            const socket = { readyState: 0, send() {}, close() {} };
+            setTimeout(() => {
+                socket.readyState = 3;
+                socket.onclose({ code: 1006 });
+            }, 0);
+            return socket;
+        }
+    };
+    const manager = new WebSocketRelayManager({ transport: silent, reconnect: { maxAttempts: 0 } });
+    t.teardown(() => manager.removeRelay(url));
+    await t.exception(manager.addRelay(url), /closed/);
+    t.is(manager.getRelayStats(url).connectFailures, 1);
+    
+    // Closes after opening but before the manager was ready
+    const transport = new InMemoryTransport();
+    const relay = transport.addRelay('ws://flaky.test');
+    const openConnection = relay.openConnection.bind(relay);
+    relay.openConnection = (send, close) => {
+        const connection = openConnection(send, close);
+        setTimeout(() => {
+            relay.closeConnection(connection);
+            close();
+        }, 5);
+        return connection;
+    };
+    transport.fetchRelayInfo = () => new Promise(resolve => setTimeout(() => resolve({}), 100));
+    const waiting = new WebSocketRelayManager({ transport, relayInfoWait: 1000, reconnect: { maxAttempts: 0 } });
+    t.teardown(() => waiting.removeRelay('ws://flaky.test'));
+    await t.exception(waiting.addRelay('ws://flaky.test'), /closed/);
+});
+
+test('each relay sends through its own token bucket', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    transport.addRelay('ws://busy.test');
+    transport.addRelay('ws://idle.test');
+    const manager = new WebSocketRelayManager({ transport, relayInfoWait: 0, rateLimit: { rate: 20, burst: 2 } });
+    t.teardown(() => ['ws://busy.test', 'ws://idle.test'].forEach(relayUrl => manager.removeRelay(relayUrl)));
+    await Promise.all([manager.addRelay('ws://busy.test'), manager.addRelay('ws://idle.test')]);
+    await new Promise(resolve => setTimeout(resolve, 150)); // Refill both buckets
+    
+    const started = Date.now();
+    const sent = [];
+    for (let i = 0; i < 4; i++) {
+        manager._queueRequest('ws://busy.test', () => sent.push(['busy', Date.now() - started]));
+    }
+    manager._queueRequest('ws://idle.test', () => sent.push(['idle', Date.now() - started]));
+    
+    t.alike(sent.map(([relayUrl]) => relayUrl), ['busy', 'busy', 'idle'], 'a burst goes out at once, and the other relay is not held up');
+    await until(() => sent.length === 5);
+    t.ok(sent[3][1] >= 40 && sent[4][1] >= 90, `the rest waited for tokens (${sent[3][1]}ms, ${sent[4][1]}ms)`);
+    
+    // A rate-limited answer halves the relay's rate
+    transport.getRelay('ws://idle.test')._handleEvent = (connection, event) => {
+        connection.send(['OK', event.id, false, 'rate-limited: slow down']);
+    };
+    await manager.publish(await note('slow down'), { relays: ['ws://idle.test'] }).catch(() => {});
+    
+    const afterLimit = Date.now();
+    let sentAt = null;
+    manager._queueRequest('ws://idle.test', () => {
+        sentAt = Date.now() - afterLimit;
+    });
+    await until(() => sentAt !== null);
+    t.ok(sentAt >= 90, `the next request waited for the slower rate (${sentAt}ms)`);
+});
+
+test('queued requests go out by priority, then in order', async (t) => {
+    const { manager } = setup(t, {}, { rateLimit: { rate: 50, burst: 1 } });
+    await manager.addRelay(url);
+    
+    // Use up the token so everything below waits in the queue
+    const sent = [];
+    manager._queueRequest(url, () => sent.push('first'));
+    await until(() => sent.length === 1);
+    
+    const { PRIORITY_CONTROL, PRIORITY_PUBLISH, PRIORITY_SUBSCRIBE, PRIORITY_BACKFILL } = WebSocketRelayManager;
+    manager._queueRequest(url, () => sent.push('backfill'), PRIORITY_BACKFILL);
+    manager._queueRequest(url, () => sent.push('subscribe 1'), PRIORITY_SUBSCRIBE);
+    manager._queueRequest(url, () => sent.push('publish'), PRIORITY_PUBLISH);
+    manager._queueRequest(url, () => sent.push('subscribe 2'), PRIORITY_SUBSCRIBE);
+    manager._queueRequest(url, () => sent.push('control'), PRIORITY_CONTROL);
+    
+    await until(() => sent.length === 6);
+    t.alike(sent, ['first', 'control', 'publish', 'subscribe 1', 'subscribe 2', 'backfill']);
+});
+
+/**
+ * A copy of a signed event with its content changed after signing
+ */
+async function forged(content) {
+    return { ...(await note(`original ${content}`)), content };
+}
+
+test('inbound events with a bad signature are dropped', async (t) => {
+    const { relay, manager } = setup(t);
+    const valid = await note('valid');
+    const forgery = await forged('forged');
+    relay.publish(valid);
+    relay.publish(forgery);
+    await manager.addRelay(url);
+    
+    const received = [];
+    let eose = false;
+    manager.subscribe('notes', [{ kinds: [1] }], event => received.push(event.id), {
+        onEose: () => {
+            eose = true;
+        }
+    });
+    await until(() => eose);
+    
+    t.alike(received, [valid.id]);
+    t.is(manager.getRelayStats(url).invalidEvents, 1);
+    t.is(manager.getRelayStats(url).lastError.message, 'invalid event: bad id or signature');
+    t.is(manager.getRelayStatus(url), 'open', 'one bad event is not enough to disconnect by default');
+});
+
+test('a verified signature is not checked again, but the ID still is', async (t) => {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const relays = ['ws://first.test', 'ws://second.test', 'ws://tampered.test'];
+    relays.forEach(relayUrl => transport.addRelay(relayUrl));
+    const manager = new WebSocketRelayManager({ transport, relayInfoWait: 0 });
+    t.teardown(() => relays.forEach(relayUrl => manager.removeRelay(relayUrl)));
+    await Promise.all(relays.map(relayUrl => manager.addRelay(relayUrl)));
+    
+    const event = await note('cached');
+    transport.getRelay('ws://first.test').publish(event);
+    transport.getRelay('ws://second.test').publish(event);
+    transport.getRelay('ws://tampered.test').publish({ ...event, content: 'tampered' });
+    
+    let verified = 0;
+    const verifySignature = NostrUtils.verifySignature;
+    NostrUtils.verifySignature = (...args) => {
+        verified++;
+        return verifySignature.apply(NostrUtils, args);
+    };
+    t.teardown(() => {
+        NostrUtils.verifySignature = verifySignature;
+    });
+    
+    // One relay at a time, so the first verification has finished before the next copy arrives
+    for (const relayUrl of relays) {
+        let eose = false;
+        manager.subscribe(`from ${relayUrl}`, [{ kinds: [1] }], () => {}, {
+            relays: [relayUrl],
+            onEose: () => {
+                eose = true;
+            }
+        });
+        await until(() => eose);
+    }
+    
+    t.is(verified, 1, 'the signature was verified once');
+    t.alike(manager.getSeenOn(event.id).sort(), ['ws://first.test', 'ws://second.test']);
+    t.is(manager.getRelayStats('ws://tampered.test').invalidEvents, 1);
+    t.is(manager.getRelayStats('ws://tampered.test').lastError.message, 'invalid event: id does not match content');
+});
+
+test('a relay is disconnected for good after too many invalid events', async (t) => {
+    const { relay, manager } = setup(t, {}, { maxInvalidEvents: 2 });
+    relay.publish(await forged('one'));
+    relay.publish(await forged('two'));
+    relay.publish(await forged('three'));
+    await manager.addRelay(url);
+    
+    const dead = [];
+    manager.onRelayDead(relayUrl => dead.push(relayUrl));
+    manager.subscribe('notes', [{ kinds: [1] }], () => {});
+    
+    await until(() => manager.getRelayStatus(url) === 'dead');
+    t.alike(dead, [url]);
+    t.ok(manager.getRelayStats(url).invalidEvents >= 2);
+    t.is(relay.connections.size, 0, 'the relay was disconnected');
+});
+
+/**
+ * Serve several relays and create a manager connected to them all
+ * @param {Array} urls - Relay URLs
+ */
+async function setupMany(t, urls, managerOptions = {}) {
+    quiet(t);
+    
+    const transport = new InMemoryTransport();
+    const relays = urls.map(relayUrl => transport.addRelay(relayUrl));
+    const manager = new WebSocketRelayManager({ transport, relayInfoWait: 0, ...managerOptions });
+    t.teardown(() => urls.forEach(relayUrl => manager.removeRelay(relayUrl)));
+    await Promise.all(urls.map(relayUrl => manager.addRelay(relayUrl)));
+    return { transport, relays, manager };
+}
+
+test('a query resolves at EOSE with events from every relay, once each, newest first', async (t) => {
+    const { relays, manager } = await setupMany(t, ['ws://a.test', 'ws://b.test']);
+    const older = await new LocalSigner(alice).signEvent({ kind: 1, content: 'older', tags: [], created_at: 1700000000 });
+    const newer = await note('newer');
+    relays[0].publish(older);
+    relays[0].publish(newer);
+    relays[1].publish(newer);
+    
+    const started = Date.now();
+    const result = await manager.query([{ kinds: [1] }], { timeout: 5000 });
+    t.ok(Date.now() - started < 1000, 'the query did not wait for its timeout');
+    t.alike(result.events.map(event => event.id), [newer.id, older.id]);
+    t.alike(result.answered.sort(), ['ws://a.test', 'ws://b.test']);
+    t.alike(result.timedOut, []);
+    t.alike(manager.getSeenOn(newer.id).sort(), ['ws://a.test', 'ws://b.test']);
+    
+    await until(() => relays.every(relay => [...relay.connections][0].subscriptions.size === 0));
+    t.pass('the query closed its subscription');
+});
+
+test('a query reports relays that refused it or never answered', async (t) => {
+    const { relays, manager } = await setupMany(t, ['ws://answers.test', 'ws://silent.test', 'ws://refuses.test']);
+    const event = await note('answered');
+    relays[0].publish(event);
+    relays[1]._handleReq = () => {};
+    relays[2]._handleReq = (connection, subscriptionId) => {
+        connection.send(['CLOSED', subscriptionId, 'restricted: members only']);
+    };
+    
+    const result = await manager.query([{ kinds: [1] }], { timeout: 200 });
+    t.alike(result.events.map(found => found.id), [event.id]);
+    t.alike(result.answered.sort(), ['ws://answers.test', 'ws://refuses.test']);
+    t.alike(result.timedOut, ['ws://silent.test']);
+    t.alike(result.closed, [{ relayUrl: 'ws://refuses.test', reason: 'restricted: members only' }]);
+    t.is(manager.getRelayStats('ws://silent.test').queriesTimedOut, 1);
+    
+    t.alike(await manager.query([{ kinds: [1] }], { relays: ['ws://unknown.test'] }), { events: [], answered: [], timedOut: [], closed: [] },
+        'a query without open relays resolves empty at once');
+});
+
+test('subscription state moves from pending to live to eose, and to closed with the reason', async (t) => {
+    const { relay, manager } = setup(t);
+    await manager.addRelay(url);
+    
+    const changes = [];
+    manager.onSubscriptionState(change => changes.push(change));
+    const closed = [];
+    manager.subscribe('notes', [{ kinds: [1] }], () => {}, {
+        onClosed: (relayUrl, subscriptionId, reason) => closed.push([relayUrl, subscriptionId, reason])
+    });
+    await until(() => manager.getSubscriptionState('notes')[url].state === 'eose');
+    t.alike(changes.map(change => change.state), ['pending', 'live', 'eose']);
+    t.ok(changes.every(change => change.relayUrl === url && change.subscriptionId === 'notes'));
+    
+    // The relay ends the subscription
+    const connection = [...relay.connections][0];
+    const [wireId] = connection.subscriptions.keys();
+    connection.send(['CLOSED', wireId, 'error: shutting down']);
+    await until(() => closed.length === 1);
+    t.alike(closed, [[url, 'notes', 'error: shutting down']]);
+    t.alike(manager.getSubscriptionState('notes')[url], { state: 'closed', reason: 'error: shutting down' });
+    t.is(manager.getRelayStats(url).lastError.message, 'error: shutting down');
+    
+    // A CLOSED for a subscription we don't have changes nothing
+    connection.send(['CLOSED', 'unknown', 'error: what?']);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    t.is(closed.length, 1);
+});
+
+test('a lost connection closes its subscriptions, which are sent again on reconnect', async (t) => {
+    const { relay, manager } = setup(t, {}, { reconnect: { baseDelay: 10, jitter: 0 } });
+    await manager.addRelay(url);
+    manager.subscribe('notes', [{ kinds: [1] }], () => {});
+    await until(() => manager.getSubscriptionState('notes')[url].state === 'eose');
+    
+    const states = [];
+    manager.onSubscriptionState(change => states.push([change.state, change.reason]));
+    relay.disconnectAll();
+    await until(() => manager.getSubscriptionState('notes')[url].state === 'eose' && states.length > 1);
+    t.alike(states[0], ['closed', 'connection closed']);
+    t.alike(states.slice(1).map(([state]) => state), ['pending', 'live', 'eose']);
+});
+
+test('filters beyond a relay\'s max_filters are refused before sending', async (t) => {
+    const { relay, manager } = setup(t, { info: { limitation: { max_filters: 1 } } });
+    await manager.addRelay(url);
+    await until(() => manager.getRelayInfo(url));
+    
+    let reason = null;
+    manager.subscribe('wide', [{ kinds: [1] }, { kinds: [7] }], () => {}, {
+        onClosed: (relayUrl, subscriptionId, closedReason) => {
+            reason = closedReason;
+        }
+    });
+    t.is(reason, 'error: too many filters (relay allows 1)');
+    t.is([...relay.connections][0].subscriptions.size, 0, 'nothing was sent');
+});
+
+test('the NIP-11 document is fetched once, normalized and exposed', async (t) => {
+    const { transport, manager } = setup(t, { info: { name: 'Test relay', pubkey: 'b'.repeat(64), supported_nips: [1, '29', 'x'] } });
+    let fetches = 0;
+    const fetchRelayInfo = transport.fetchRelayInfo.bind(transport);
+    transport.fetchRelayInfo = (relayUrl, options) => {
+        fetches++;
+        return fetchRelayInfo(relayUrl, options);
+    };
+    
+    t.is(manager.supportsNip(url, 29), null, 'support is unknown before the document arrives');
+    const seen = [];
+    manager.onRelayInfo((relayUrl, info) => seen.push([relayUrl, info.name]));
+    await manager.addRelay(url);
+    await until(() => manager.getRelayInfo(url));
+    
+    const info = manager.getRelayInfo(url);
+    t.is(info.name, 'Test relay');
+    t.is(info.pubkey, 'b'.repeat(64));
+    t.alike(info.supported_nips, [1, 29], 'NIP numbers are numbers');
+    t.is(manager.supportsNip(url, 29), true);
+    t.is(manager.supportsNip(url, 42), false);
+    t.alike(manager.getRelaysSupportingNip(29), [url]);
+    t.alike(seen, [[url, 'Test relay']]);
+    
+    await manager.fetchRelayInfo(url);
+    t.is(fetches, 1, 'the cached document is reused');
+});
+
+test('a relay without a usable NIP-11 document is still used', async (t) => {
+    const { transport, manager } = setup(t);
+    transport.fetchRelayInfo = async () => {
+        throw new Error('HTTP 404');
+    };
+    await manager.addRelay(url);
+    t.is(await manager.fetchRelayInfo(url), null);
+    t.is(manager.supportsNip(url, 1), null);
+    
+    transport.fetchRelayInfo = async () => 'not a document';
+    const info = await manager.fetchRelayInfo(url, { force: true });
+    t.alike([info.name, info.pubkey, info.supported_nips, info.limitation], ['', null, [], {}]);
+    t.ok((await manager.publish(await note('no limits'))).success);
+});
+
+test('subscriptions wait for a free max_subscriptions slot and limits are clamped to max_limit', async (t) => {
+    const { relay, manager } = setup(t, { info: { limitation: { max_subscriptions: 1, max_limit: 10 } } });
+    await manager.addRelay(url);
+    await until(() => manager.getRelayInfo(url));
+    const connection = [...relay.connections][0];
+    
+    manager.subscribe('first', [{ kinds: [1], limit: 500 }], () => {});
+    manager.subscribe('second', [{ kinds: [7] }], () => {});
+    await until(() => connection.subscriptions.size === 1);
+    t.alike([...connection.subscriptions.values()][0], [{ kinds: [1], limit: 10 }]);
+    t.absent(manager.getSubscriptionState('second')[url], 'the second subscription is held back');
+    
+    manager.unsubscribe('first');
+    await until(() => manager.getSubscriptionState('second')[url]);
+    await until(() => connection.subscriptions.size === 1 && [...connection.subscriptions.values()][0][0].kinds[0] === 7);
+    t.pass('the second subscription took the freed slot');
+});
+
+test('messages longer than max_message_length are not sent', async (t) => {
+    const { relay, manager } = setup(t, { info: { limitation: { max_message_length: 300 } } });
+    await manager.addRelay(url);
+    await until(() => manager.getRelayInfo(url));
+    
+    const error = await manager.publish(await note('x'.repeat(300))).catch(e => e);
+    t.is(error.result.results[0].message, 'invalid: event exceeds relay max_message_length');
+    t.is(relay.events.size, 0);
+    
+    let reason = null;
+    manager.subscribe('long', [{ authors: Array(10).fill('a'.repeat(64)) }], () => {}, {
+        onClosed: (relayUrl, subscriptionId, closedReason) => {
+            reason = closedReason;
+        }
+    });
+    t.is(reason, 'error: REQ exceeds max_message_length (300)');
+});
+
+test('WebSocketTransport asks the relay\'s HTTP URL for application/nostr+json', async (t) => {
+    const requests = [];
+    const originalFetch = globalThis.fetch;
+    t.teardown(() => {
+        globalThis.fetch = originalFetch;
+    });
+    
+    globalThis.fetch = async (httpUrl, options) => {
+        requests.push([httpUrl, options.headers.Accept]);
+        return { ok: true, json: async () => ({ name: 'HTTP relay' }) };
+    };
+    const transport = new WebSocketTransport();
+    t.alike(await transport.fetchRelayInfo('wss://relay.example/path'), { name: 'HTTP relay' });
+    t.alike(requests, [['https://relay.example/path', 'application/nostr+json']]);
+    
+    globalThis.fetch = async () => ({ ok: false, status: 503 });
+    await t.exception(transport.fetchRelayInfo('ws://relay.example'), /HTTP 503/);
+});
+
+test('relay stats count connections, publishes, events, notices and errors', async (t) => {
+    const { relay, manager } = setup(t, {}, { publishTimeout: 50 });
+    await manager.addRelay(url);
+    
+    t.ok((await manager.publish(await note('accepted'))).success);
+    relay._handleEvent = (connection, event) => connection.send(['OK', event.id, false, 'blocked: no thanks']);
+    await manager.publish(await note('rejected')).catch(() => {});
+    relay._handleEvent = () => {};
+    await manager.publish(await note('ignored')).catch(() => {});
+    
+    relay.publish(await note('one'));
+    relay.publish(await note('two'));
+    let eose = false;
+    manager.subscribe('notes', [{ kinds: [1] }], () => {}, {
+        onEose: () => {
+            eose = true;
+        }
+    });
+    await until(() => eose);
+    [...relay.connections][0].send(['NOTICE', 'hello']);
+    await until(() => manager.getRelayStats(url).notices === 1);
+    
+    const stats = manager.getRelayStats(url);
+    t.is(stats.status, 'open');
+    t.is(stats.connects, 1);
+    t.is(typeof stats.connectLatency, 'number');
+    t.is(typeof stats.publishRtt, 'number');
+    t.is(typeof stats.eoseLatency, 'number');
+    t.alike([stats.okAccepted, stats.okRejected, stats.publishTimeouts], [1, 1, 1]);
+    t.is(stats.okRate, 1 / 3);
+    t.alike(stats.eventsPerSubscription, { notes: 3 }, 'the accepted note and the two the relay holds');
+    t.is(stats.eventsReceived, 3);
+    t.ok(stats.uptimeRatio > 0 && stats.uptimeRatio <= 1);
+    t.ok(stats.score > 0 && stats.score <= 1);
+    
+    t.alike(Object.keys(manager.getRelayStats()), [url]);
+    t.is(manager.getRelayStats('ws://unknown.test'), null);
+});
+
+test('queries skip relays whose score fell below minRelayScore', async (t) => {
+    const { relays, manager } = await setupMany(t, ['ws://healthy.test', 'ws://slow.test'], { minRelayScore: 0.8 });
+    relays[1]._handleReq = () => {};
+    
+    await manager.query([{ kinds: [1] }], { timeout: 50 });
+    t.ok(manager.getRelayStats('ws://healthy.test').score >= 0.8);
+    t.ok(manager.getRelayStats('ws://slow.test').score < 0.8, 'the relay that timed out lost score');
+    
+    const result = await manager.query([{ kinds: [1] }], { timeout: 50 });
+    t.alike(result.answered, ['ws://healthy.test']);
+    t.alike(result.timedOut, [], 'the slow relay was not asked');
+    
+    const named = await manager.query([{ kinds: [1] }], { timeout: 50, relays: ['ws://slow.test'] });
+    t.alike(named.timedOut, ['ws://slow.test'], 'relays named by the caller are always asked');
+});
@@ -0,0 +1,71 @@
+/**
+ * verification-worker.js
+ * Web worker that hashes and verifies nostr events for VerificationPool
+ *
+ * Messages in:  {id, type: 'hash'|'verify', events: [...]}
+ * Messages out: {id, results: [...]} or {id, error}
+ */
+
+import * as secp from 'noble-secp256k1';
+
+const encoder = new TextEncoder();
+
+/**
+ * Convert bytes to a hex string
+ * @param {Uint8Array} bytes - Bytes to convert
+ * @returns {string} - Hex string
+ */
+function bytesToHex(bytes) {
+    return Array.from(bytes)
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Compute an event's ID
+ * @param {Object} event - Event to hash
+ * @returns {Promise<string>} - Hex event ID
+ */
+async function hashEvent(event) {
+    const eventData = JSON.stringify([
+        0,
+        event.pubkey,
+        event.created_at,
+        event.kind,
+        event.tags,
+        event.content
+    ]);
+    
+    return bytesToHex(await secp.utils.sha256(encoder.encode(eventData)));
+}
+
+/**
+ * Check an event's ID and signature
+ * @param {Object} event - Signed event
+ * @returns {Promise<boolean>} - Whether the event is valid
+ */
+async function verifyEvent(event) {
+    try {
+        if (await hashEvent(event) !== event.id) {
+            return false;
+        }
+        return await secp.schnorr.verify(event.sig, event.id, '02' + event.pubkey);
+    } catch (e) {
+        return false;
+    }
+}
+
+self.onmessage = async (message) => {
+    const { id, type, events } = message.data;
+    
+    try {
+        const handler = type === 'hash' ? hashEvent : verifyEvent;
+        const results = [];
+        for (const event of events) {
+            results.push(await handler(event));
+        }
+        self.postMessage({ id, results });
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+};